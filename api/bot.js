@@ -1,37 +1,56 @@
 // WhatsApp Bot Logic for Vercel
 // Separated from Express handlers for better organization
 
-const { saveSession, getSession } = require('../lib/session');
+const { saveSession, getSession, deleteSession, DEFAULT_SESSION_ID } = require('../lib/session');
+const { clearAuthState } = require('../lib/baileys-redis-auth');
+const { formatJid, buildMessageContent } = require('../lib/jid');
+const { registerBotEvents } = require('../lib/bot-events');
+const { recordOutgoingMessage } = require('../lib/message-status');
+const { getMediaCache } = require('../lib/media-cache');
 const fs = require('fs');
 const path = require('path');
 
-// Bot state
-let sock = null;
-let botStarted = false;
-let botInitializing = false;
+// Bot state, one entry per session (WhatsApp account)
+const bots = new Map();
 let baileysModule = null;
 let qrcodeModule = null;
-let connectionPromise = null;
+
+/**
+ * Get (or create) the state for a session
+ * @param {string} sessionId - Session identifier
+ */
+function getBotState(sessionId = DEFAULT_SESSION_ID) {
+  if (!bots.has(sessionId)) {
+    bots.set(sessionId, {
+      sessionId,
+      sock: null,
+      botStarted: false,
+      botInitializing: false,
+      connectionPromise: null,
+      qr: null,
+    });
+  }
+  return bots.get(sessionId);
+}
 
 /**
  * Get appropriate auth directory
  * Uses /tmp for Vercel (read-only filesystem), local dir for development
+ * The default session keeps the legacy directory, other sessions get a suffix
  */
-function getAuthDir() {
+function getAuthDir(sessionId = DEFAULT_SESSION_ID) {
   const isVercel = process.env.VERCEL === '1';
-  if (isVercel) {
-    // Vercel has /tmp as writable
-    return '/tmp/whatsapp-session';
-  }
-  return './whatsapp-session';
+  // Vercel has /tmp as writable
+  const baseDir = isVercel ? '/tmp/whatsapp-session' : './whatsapp-session';
+  return sessionId === DEFAULT_SESSION_ID ? baseDir : `${baseDir}-${sessionId}`;
 }
 
 /**
  * Restore session files from Redis to filesystem
  * This is needed because Baileys requires files in filesystem
  */
-async function restoreSessionFromRedis() {
-  const authDir = getAuthDir();
+async function restoreSessionFromRedis(sessionId = DEFAULT_SESSION_ID) {
+  const authDir = getAuthDir(sessionId);
   
   try {
     // Create directory if it doesn't exist
@@ -41,7 +60,7 @@ async function restoreSessionFromRedis() {
 
     // Get session data from Redis
     console.log('🔍 Fetching session from Redis...');
-    const sessionData = await getSession('main');
+    const sessionData = await getSession(sessionId);
     
     if (sessionData && typeof sessionData === 'object') {
       console.log('📖 Restoring session from Redis...');
@@ -70,8 +89,8 @@ async function restoreSessionFromRedis() {
  * Save session files to Redis
  * Called when credentials are updated
  */
-async function saveSessionToRedis() {
-  const authDir = getAuthDir();
+async function saveSessionToRedis(sessionId = DEFAULT_SESSION_ID) {
+  const authDir = getAuthDir(sessionId);
   
   if (!fs.existsSync(authDir)) {
     return;
@@ -92,56 +111,59 @@ async function saveSessionToRedis() {
   }
 
   if (Object.keys(sessionData).length > 0) {
-    await saveSession('main', sessionData);
-    console.log('💾 Session saved to Redis');
+    await saveSession(sessionId, sessionData);
+    console.log(`💾 Session ${sessionId} saved to Redis`);
   }
 }
 
 /**
  * Initialize WhatsApp bot
  * Uses Redis for session storage instead of local files
+ * @param {string} sessionId - Session (account) to connect
  */
-async function startBot() {
+async function startBot(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBotState(sessionId);
+
   // Prevent multiple concurrent initialization attempts
-  if (botStarted && sock) {
-    console.log('✅ Bot already connected');
-    return sock;
+  if (bot.botStarted && bot.sock) {
+    console.log(`✅ Bot ${sessionId} already connected`);
+    return bot.sock;
   }
   
   // If already initializing, wait for that to complete
-  if (botInitializing && connectionPromise) {
-    console.log('⏳ Bot initialization in progress, waiting...');
+  if (bot.botInitializing && bot.connectionPromise) {
+    console.log(`⏳ Bot ${sessionId} initialization in progress, waiting...`);
     try {
-      await connectionPromise;
-      return sock;
+      await bot.connectionPromise;
+      return bot.sock;
     } catch (error) {
       // If the initialization failed, try again
       console.log('⚠️ Previous initialization failed, retrying...');
     }
   }
   
-  console.log('🔄 Starting WhatsApp bot...');
-  botInitializing = true;
+  console.log(`🔄 Starting WhatsApp bot (session: ${sessionId})...`);
+  bot.botInitializing = true;
   
   // Create a promise that resolves when connection is established
-  connectionPromise = new Promise((resolve, reject) => {
+  bot.connectionPromise = new Promise((resolve, reject) => {
     const cleanup = () => {
-      botInitializing = false;
-      connectionPromise = null;
+      bot.botInitializing = false;
+      bot.connectionPromise = null;
     };
     
     const startConnection = async () => {
       try {
         // Clean up any existing socket
-        if (sock) {
+        if (bot.sock) {
           console.log('🧹 Cleaning up existing socket...');
           try {
-            sock.ws.close();
-            sock.ev.removeAllListeners();
+            bot.sock.ws.close();
+            bot.sock.ev.removeAllListeners();
           } catch (e) {
             // Ignore cleanup errors
           }
-          sock = null;
+          bot.sock = null;
         }
 
         // Dynamic import for ES Modules
@@ -155,11 +177,11 @@ async function startBot() {
         const { makeWASocket, useMultiFileAuthState, fetchLatestBaileysVersion, DisconnectReason } = baileysModule;
 
         // Get appropriate auth directory
-        const authDir = getAuthDir();
+        const authDir = getAuthDir(sessionId);
         console.log(`📁 Using auth directory: ${authDir}`);
 
         // Restore session from Redis to filesystem
-        await restoreSessionFromRedis();
+        await restoreSessionFromRedis(sessionId);
 
         // Initialize auth state
         const { state, saveCreds } = await useMultiFileAuthState(authDir);
@@ -169,37 +191,43 @@ async function startBot() {
         console.log(`📢 Using Baileys version: ${version.join('.')}, Latest: ${isLatest}`);
 
         // Create WASocket
-        sock = makeWASocket({
+        const sock = makeWASocket({
           version,
           printQRInTerminal: true,
           auth: state,
         });
+        bot.sock = sock;
 
         // Handle connection updates
         const connectionHandler = async (update) => {
-          const { connection, lastDisconnect } = update;
+          const { connection, lastDisconnect, qr } = update;
+
+          if (qr) {
+            bot.qr = qr;
+          }
 
           if (connection === 'close') {
             const statusCode = lastDisconnect?.error?.output?.statusCode;
             const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
             
-            console.log(`🔌 Connection closed: ${DisconnectReason[statusCode] || statusCode} (shouldReconnect: ${shouldReconnect})`);
+            console.log(`🔌 Connection ${sessionId} closed: ${DisconnectReason[statusCode] || statusCode} (shouldReconnect: ${shouldReconnect})`);
             
-            botStarted = false;
+            bot.botStarted = false;
             
             if (shouldReconnect) {
               // Exponential backoff for reconnection
               await new Promise(resolve => setTimeout(resolve, 1000));
               await startConnection();
             } else {
-              console.log('❌ Logged out, please scan QR code again');
+              console.log(`❌ Session ${sessionId} logged out, please scan QR code again`);
               cleanup();
               reject(new Error('Logged out, please scan QR code again'));
             }
           } else if (connection === 'open') {
-            console.log('✅ Bot connected to WhatsApp');
-            botStarted = true;
-            botInitializing = false;
+            console.log(`✅ Bot ${sessionId} connected to WhatsApp`);
+            bot.botStarted = true;
+            bot.botInitializing = false;
+            bot.qr = null;
             resolve(sock);
           }
         };
@@ -211,15 +239,13 @@ async function startBot() {
           console.log('💾 Saving credentials...');
           await saveCreds();
           // Also save to Redis
-          await saveSessionToRedis();
+          await saveSessionToRedis(sessionId);
         });
 
         // Handle incoming messages
-        sock.ev.on('messages.upsert', async (msg) => {
-          await handleMessages(msg);
-        });
+        registerBotEvents(sock, sessionId);
       } catch (error) {
-        console.error('❌ Failed to start bot:', error.message);
+        console.error(`❌ Failed to start bot ${sessionId}:`, error.message);
         cleanup();
         reject(error);
       }
@@ -228,106 +254,70 @@ async function startBot() {
     startConnection();
   });
   
-  return connectionPromise;
-}
-
-/**
- * Handle incoming messages
- */
-async function handleMessages(msg) {
-  const messages = msg.messages || [];
-  
-  for (const m of messages) {
-    if (!m.message || m.key.fromMe) continue;
-
-    const remoteJid = m.key.remoteJid;
-    const messageType = Object.keys(m.message)[0];
-    const messageContent = m.message[messageType];
-
-    console.log(`📨 Message from ${remoteJid}: ${messageType}`);
-  }
+  return bot.connectionPromise;
 }
 
 /**
- * Format phone number to WhatsApp JID
- * @param {string} phone - Phone number
- * @returns {string} Formatted JID
+ * Get a connected socket, connecting the session first if needed
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object>} Baileys socket
  */
-function formatJid(phone) {
-  // Handle undefined or null
-  if (!phone) {
-    throw new Error('Phone number is required');
-  }
-  
-  // Convert to string
-  const phoneStr = String(phone);
-  
-  // If already contains @, return as is
-  if (phoneStr.includes('@')) {
-    return phoneStr;
-  }
-  
-  // Remove any non-digit characters
-  const cleaned = phoneStr.replace(/\D/g, '');
-  
-  // Add @s.whatsapp.net suffix for individual users
-  return `${cleaned}@s.whatsapp.net`;
-}
+async function getSocket(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBotState(sessionId);
 
-/**
- * Send a message
- */
-async function sendMessage(jid, message, type = 'text') {
   // Initialize bot if not started
-  if (!sock || !botStarted) {
-    console.log('🔄 Bot not initialized, starting...');
-    await startBot();
+  if (!bot.sock || !bot.botStarted) {
+    console.log(`🔄 Bot ${sessionId} not initialized, starting...`);
+    await startBot(sessionId);
     
     // Wait for connection to be established (with timeout)
     let attempts = 0;
     const maxAttempts = 30; // 30 seconds timeout
-    while (!botStarted && attempts < maxAttempts) {
+    while (!bot.botStarted && attempts < maxAttempts) {
       await new Promise(resolve => setTimeout(resolve, 1000));
       attempts++;
       console.log(`⏳ Waiting for bot connection... (${attempts}/${maxAttempts})`);
     }
     
-    if (!botStarted) {
-      throw new Error('Bot failed to connect within timeout period');
+    if (!bot.botStarted) {
+      throw new Error(`Bot ${sessionId} failed to connect within timeout period`);
     }
   }
 
+  return bot.sock;
+}
+
+/**
+ * Send a message
+ * @param {string} jid - Recipient phone number or JID
+ * @param {string} message - Message text (or media URL)
+ * @param {string} type - Message type (text, image, audio, document)
+ * @param {string} sessionId - Session (account) to send from
+ */
+async function sendMessage(jid, message, type = 'text', sessionId = DEFAULT_SESSION_ID) {
+  // Format the JID properly (invalid numbers fail before connecting)
+  const formattedJid = formatJid(jid);
+  const sock = await getSocket(sessionId);
+
   try {
-    // Format the JID properly
-    const formattedJid = formatJid(jid);
-    console.log(`📤 Sending message to ${formattedJid}...`);
+    console.log(`📤 [${sessionId}] Sending message to ${formattedJid}...`);
     
     // Validate that the JID is properly formatted
     if (!formattedJid || !formattedJid.includes('@')) {
       throw new Error(`Invalid JID format: ${formattedJid}`);
     }
     
-    const messageData = {};
-
-    switch (type) {
-      case 'text':
-        messageData.text = message;
-        break;
-      case 'image':
-        messageData.image = { url: message };
-        break;
-      case 'audio':
-        messageData.audio = { url: message };
-        break;
-      case 'document':
-        messageData.document = { url: message };
-        break;
-      default:
-        messageData.text = String(message);
-    }
+    // Reuse earlier WhatsApp uploads of the same media
+    const content = await buildMessageContent(message, type);
+    const mediaCache = getMediaCache(sessionId);
+    await mediaCache.preload(content);
 
-    const result = await sock.sendMessage(formattedJid, messageData);
+    const result = await sock.sendMessage(formattedJid, content, { mediaCache });
     console.log(`✅ Message sent to ${formattedJid}`);
+
+    // Track delivery & read receipts for this message. This socket disconnects after the send, so
+    // receipts mostly arrive only in the always-on mode (lib/persistent-bot.js)
+    await recordOutgoingMessage({ messageId: result?.key?.id, sessionId, to: formattedJid, type });
     return result;
   } catch (error) {
     console.error(`❌ Failed to send message to ${jid}: ${error?.message || 'Unknown error'}`);
@@ -341,41 +331,115 @@ async function sendMessage(jid, message, type = 'text') {
 
 /**
  * Get bot connection status
+ * @param {string} sessionId - Session identifier
  */
-function getBotStatus() {
+function getBotStatus(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBotState(sessionId);
   return {
-    initialized: botStarted,
-    connected: sock ? true : false,
+    sessionId,
+    status: bot.botStarted ? 'connected' : (bot.sock ? 'connecting' : 'disconnected'),
+    initialized: bot.botStarted,
+    connected: bot.sock ? true : false,
+    user: bot.sock?.user?.id || null,
+    hasQR: !!bot.qr,
     timestamp: new Date().toISOString(),
   };
 }
 
+/**
+ * Get the latest QR code for a session that is waiting to be linked
+ * @param {string} sessionId - Session identifier
+ * @returns {string|null} QR code string
+ */
+function getQR(sessionId = DEFAULT_SESSION_ID) {
+  return getBotState(sessionId).qr;
+}
+
+/**
+ * Start linking a session and wait until a QR code is available or it connects
+ * @param {string} sessionId - Session identifier
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<Object>} Bot status
+ */
+async function linkSession(sessionId, timeoutMs = 20000) {
+  const bot = getBotState(sessionId);
+
+  startBot(sessionId).catch((error) => {
+    console.error(`❌ Linking session ${sessionId} failed:`, error.message);
+  });
+
+  const deadline = Date.now() + timeoutMs;
+  while (!bot.qr && !bot.botStarted && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  return getBotStatus(sessionId);
+}
+
+/**
+ * Clear the stored auth state of a session so it can be linked again
+ * @param {string} sessionId - Session identifier
+ */
+async function resetSession(sessionId = DEFAULT_SESSION_ID) {
+  await disconnectBot(sessionId);
+  await deleteSession(sessionId);
+  await clearAuthState(sessionId);
+  fs.rmSync(getAuthDir(sessionId), { recursive: true, force: true });
+  getBotState(sessionId).qr = null;
+}
+
+/**
+ * Log out a session and remove its stored auth state
+ * @param {string} sessionId - Session identifier
+ */
+async function removeSession(sessionId) {
+  const bot = getBotState(sessionId);
+
+  // Stop listening first so the logout doesn't trigger a reconnect
+  bot.sock?.ev.removeAllListeners();
+  try {
+    await bot.sock?.logout();
+  } catch (e) {
+    // Socket may already be closed
+  }
+  await resetSession(sessionId);
+  bots.delete(sessionId);
+}
+
 /**
  * Disconnect bot
+ * @param {string} sessionId - Session identifier
  */
-async function disconnectBot() {
-  if (sock) {
+async function disconnectBot(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBotState(sessionId);
+  if (bot.sock) {
     try {
       // Close WebSocket connection
-      if (sock.ws) {
-        sock.ws.close();
+      if (bot.sock.ws) {
+        bot.sock.ws.close();
       }
       // Remove all event listeners
-      sock.ev.removeAllListeners();
+      bot.sock.ev.removeAllListeners();
     } catch (e) {
       console.log('⚠️ Error during socket cleanup:', e.message);
     }
-    sock = null;
-    botStarted = false;
-    botInitializing = false;
-    connectionPromise = null;
-    console.log('👋 Bot disconnected');
+    bot.sock = null;
+    bot.botStarted = false;
+    bot.botInitializing = false;
+    bot.connectionPromise = null;
+    console.log(`👋 Bot ${sessionId} disconnected`);
   }
 }
 
 module.exports = {
+  keepAlive: false,
   startBot,
+  getSocket,
   sendMessage,
   getBotStatus,
+  getQR,
+  linkSession,
+  resetSession,
+  removeSession,
   disconnectBot,
 };
@@ -1,8 +1,13 @@
 // Vercel Cron Job Handler
 // This endpoint is triggered by Vercel's cron system to process queued jobs
 
-const { dequeueJob, JobType, getQueueStats, cleanupOldJobs } = require('../lib/queue');
-const { processJob } = require('../lib/job-handlers');
+const { dequeueNextJob, recoverExpiredJobs, pruneExpiredJobs, JobType, getQueueStats, cleanupOldJobs } = require('../lib/queue');
+const { processJob, lockJobSession, unlockJobSession } = require('../lib/job-handlers');
+const { materializeDueRuns } = require('../lib/schedules');
+
+// Message jobs lock their WhatsApp session (shared with api/worker.js), so cron and worker never
+// send from the same session at the same time; other jobs run in parallel
+const LOCK_OPTIONS = { ttlSeconds: 60, retries: 3 }; // held while one job runs, Vercel functions run for at most 60s
 
 /**
  * Process jobs from the queue
@@ -11,6 +16,15 @@ const { processJob } = require('../lib/job-handlers');
 async function processQueue() {
   console.log('🔄 Starting queue processing...');
   
+  // Jobs of workers that died mid-run go back in the queue
+  const recovered = await recoverExpiredJobs();
+  
+  // Jobs that expired on their own leave the listings and counters
+  await pruneExpiredJobs();
+  
+  // Due runs of recurring schedules become jobs of this run
+  const scheduledRuns = await materializeDueRuns();
+  
   const stats = await getQueueStats();
   console.log(`📊 Queue stats:`, JSON.stringify(stats, null, 2));
   
@@ -20,6 +34,8 @@ async function processQueue() {
       processed: 0,
       successful: 0,
       failed: 0,
+      scheduledRuns: scheduledRuns.length,
+      recovered: recovered.length,
       message: 'No jobs to process',
     };
   }
@@ -28,51 +44,64 @@ async function processQueue() {
     processed: 0,
     successful: 0,
     failed: 0,
+    scheduledRuns: scheduledRuns.length,
+    recovered: recovered.length,
     jobs: [],
   };
   
-  // Process jobs from each queue type
+  // Process jobs of all types, by priority lane with the types taking turns
   const queueTypes = Object.values(JobType);
   const maxJobsPerRun = parseInt(process.env.MAX_JOBS_PER_RUN || '10', 10);
   
-  for (const queueType of queueTypes) {
-    let jobsProcessed = 0;
-    
-    while (jobsProcessed < maxJobsPerRun) {
-      const job = await dequeueJob(queueType);
-      
-      if (!job) {
-        break;
-      }
-      
-      results.processed++;
-      jobsProcessed++;
-      
-      try {
-        await processJob(job);
-        results.successful++;
-        results.jobs.push({
-          jobId: job.id,
-          type: job.type,
-          status: 'success',
-        });
-      } catch (error) {
-        results.failed++;
-        results.jobs.push({
-          jobId: job.id,
-          type: job.type,
-          status: 'failed',
-          error: error.message,
-        });
-      }
-    }
-  }
+  await processQueueTypes(queueTypes, maxJobsPerRun, results);
   
   console.log(`✅ Queue processing completed: ${results.processed} jobs processed`);
   
   return results;
 }
 
+/**
+ * Process up to maxJobsPerRun jobs, locking the session of each message job while it runs
+ */
+async function processQueueTypes(queueTypes, maxJobsPerRun, results) {
+  while (results.processed < maxJobsPerRun) {
+    const job = await dequeueNextJob(queueTypes);
+    
+    if (!job) {
+      break;
+    }
+    
+    // A job whose session another instance is using goes back to its queue
+    const lockToken = await lockJobSession(job, LOCK_OPTIONS);
+    if (lockToken === null) {
+      results.message = 'Another instance is using a session, try again later';
+      break;
+    }
+    
+    results.processed++;
+    
+    try {
+      await processJob(job);
+      results.successful++;
+      results.jobs.push({
+        jobId: job.id,
+        type: job.type,
+        status: 'success',
+      });
+    } catch (error) {
+      results.failed++;
+      results.jobs.push({
+        jobId: job.id,
+        type: job.type,
+        status: 'failed',
+        error: error.message,
+      });
+    } finally {
+      await unlockJobSession(job, lockToken);
+    }
+  }
+}
+
 /**
  * Cleanup old jobs
  * This function is called by Vercel cron jobs to clean up old completed/failed jobs
@@ -95,15 +124,8 @@ async function performCleanup() {
  * This is the entry point for Vercel cron jobs
  */
 module.exports = async (req, res) => {
-  // Verify cron secret (optional but recommended)
-  const cronSecret = req.headers['x-cron-secret'] || req.query.secret;
-  const expectedSecret = process.env.CRON_SECRET;
-  
-  if (expectedSecret && cronSecret !== expectedSecret) {
-    console.warn('⚠️ Unauthorized cron attempt');
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
+  // The app only lets requests with CRON_SECRET or an admin API key through (lib/auth.js)
+
   // Get action from query parameter
   const action = req.query.action || 'process';
   
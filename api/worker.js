@@ -1,101 +1,27 @@
 // Queue Worker API Endpoint
 // This endpoint processes jobs from the queue on-demand
 // Can be triggered manually or by external systems
-// Includes distributed locking to prevent multiple instance conflicts
+// Message jobs lock their WhatsApp session (shared with api/cron.js), other jobs run in parallel
 
-const { dequeueJob, JobType, getQueueStats } = require('../lib/queue');
-const { processJob } = require('../lib/job-handlers');
+const { dequeueNextJob, JobType, getQueueStats } = require('../lib/queue');
+const { processJob, isMessageJob, getJobSessionId, lockJobSession, unlockJobSession } = require('../lib/job-handlers');
 const { redis } = require('../lib/redis');
 
-// Cooldown configuration
+// Cooldown configuration (per session)
 const COOLDOWN_KEY = 'wa:last_message_sent';
 const DEFAULT_COOLDOWN_MS = 5000; // 5 seconds between messages
 
 // Distributed lock configuration
-const LOCK_KEY = 'wa:message_lock';
-const LOCK_TIMEOUT_MS = 30000; // 30 seconds lock timeout
+const LOCK_TTL_SECONDS = 60; // held while one job runs, Vercel functions run for at most 60s
 const LOCK_RETRY_DELAY_MS = 1000; // 1 second between lock retry attempts
 const MAX_LOCK_RETRIES = 5; // Maximum retries to acquire lock
+const LOCK_OPTIONS = { ttlSeconds: LOCK_TTL_SECONDS, retries: MAX_LOCK_RETRIES, retryDelayMs: LOCK_RETRY_DELAY_MS };
 
 // Circuit breaker configuration
 const CIRCUIT_BREAKER_KEY = 'wa:circuit_breaker';
 const CIRCUIT_FAILURE_THRESHOLD = 5; // Number of failures before opening circuit
 const CIRCUIT_TIMEOUT_MS = 30000; // 30 seconds before trying again
 
-// Message deduplication
-const DEDUP_KEY_PREFIX = 'wa:msg_dedup:';
-const DEDUP_TTL_SECONDS = 300; // 5 minutes deduplication window
-
-/**
- * Acquire distributed lock
- * @returns {Promise<boolean>} True if lock acquired, false otherwise
- */
-async function acquireLock() {
-  try {
-    // Use SET NX EX for atomic lock acquisition with expiry
-    const result = await redis.set(LOCK_KEY, Date.now().toString(), {
-      nx: true, // Only set if not exists
-      ex: 30, // 30 seconds expiry
-    });
-    return result === 'OK' || result === true;
-  } catch (error) {
-    console.error('Error acquiring lock:', error.message);
-    return false;
-  }
-}
-
-/**
- * Release distributed lock
- */
-async function releaseLock() {
-  try {
-    await redis.del(LOCK_KEY);
-    console.log('🔓 Lock released');
-  } catch (error) {
-    console.error('Error releasing lock:', error.message);
-  }
-}
-
-/**
- * Check if lock is held by another instance
- * @returns {Promise<{held: boolean, holderSince?: number}>}
- */
-async function checkLock() {
-  try {
-    const lockValue = await redis.get(LOCK_KEY);
-    if (lockValue) {
-      return { held: true, holderSince: parseInt(lockValue) };
-    }
-    return { held: false };
-  } catch (error) {
-    console.error('Error checking lock:', error.message);
-    return { held: false };
-  }
-}
-
-/**
- * Wait for lock to become available with retry
- * @returns {Promise<boolean>} True if lock acquired, false if max retries exceeded
- */
-async function waitForLock() {
-  for (let i = 0; i < MAX_LOCK_RETRIES; i++) {
-    if (await acquireLock()) {
-      console.log('🔐 Lock acquired');
-      return true;
-    }
-    
-    const lockInfo = await checkLock();
-    console.log(`⏳ Lock held by another instance (attempt ${i + 1}/${MAX_LOCK_RETRIES})`);
-    
-    if (i < MAX_LOCK_RETRIES - 1) {
-      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
-    }
-  }
-  
-  console.warn('⚠️ Failed to acquire lock after max retries');
-  return false;
-}
-
 /**
  * Check if circuit breaker is open (preventing further attempts)
  * @returns {Promise<boolean>}
@@ -165,36 +91,14 @@ async function resetCircuit() {
   }
 }
 
-/**
- * Check for duplicate message (deduplication)
- * @param {string} messageKey - Unique identifier for the message
- * @returns {Promise<boolean>} True if duplicate detected
- */
-async function isDuplicateMessage(messageKey) {
-  try {
-    const fullKey = `${DEDUP_KEY_PREFIX}${messageKey}`;
-    const exists = await redis.exists(fullKey);
-    if (exists) {
-      console.log(`🔁 Duplicate message detected: ${messageKey}`);
-      return true;
-    }
-    
-    // Mark this message as processed
-    await redis.set(fullKey, Date.now().toString(), { ex: DEDUP_TTL_SECONDS });
-    return false;
-  } catch (error) {
-    console.error('Error checking duplicate:', error.message);
-    return false;
-  }
-}
-
 /**
  * Get the cooldown time remaining before sending next message
+ * @param {string} sessionId - WhatsApp session
  * @returns {Promise<number>} Milliseconds to wait (0 if ready)
  */
-async function getCooldownRemaining() {
+async function getCooldownRemaining(sessionId) {
   try {
-    const lastSent = await redis.get(COOLDOWN_KEY);
+    const lastSent = await redis.get(`${COOLDOWN_KEY}:${sessionId}`);
     if (!lastSent) return 0;
     
     const lastSentTime = parseInt(lastSent);
@@ -210,10 +114,11 @@ async function getCooldownRemaining() {
 
 /**
  * Update the last message sent timestamp
+ * @param {string} sessionId - WhatsApp session
  */
-async function updateCooldown() {
+async function updateCooldown(sessionId) {
   try {
-    await redis.set(COOLDOWN_KEY, Date.now().toString(), { ex: 60 }); // 60 second TTL
+    await redis.set(`${COOLDOWN_KEY}:${sessionId}`, Date.now().toString(), { ex: 60 }); // 60 second TTL
   } catch (error) {
     console.error('Error updating cooldown:', error.message);
   }
@@ -221,10 +126,11 @@ async function updateCooldown() {
 
 /**
  * Wait for cooldown to complete
+ * @param {string} sessionId - WhatsApp session
  * @param {number} additionalDelay - Additional delay in ms
  */
-async function waitForCooldown(additionalDelay = 0) {
-  const cooldownRemaining = await getCooldownRemaining();
+async function waitForCooldown(sessionId, additionalDelay = 0) {
+  const cooldownRemaining = await getCooldownRemaining(sessionId);
   const totalDelay = cooldownRemaining + additionalDelay;
   
   if (totalDelay > 0) {
@@ -234,9 +140,24 @@ async function waitForCooldown(additionalDelay = 0) {
 }
 
 /**
- * Process a single job from the queue with distributed locking
+ * Enqueue the due runs of recurring schedules so this pass can process them
+ */
+async function enqueueScheduledRuns() {
+  try {
+    const { materializeDueRuns } = require('../lib/schedules');
+    return await materializeDueRuns();
+  } catch (error) {
+    console.error('Error enqueuing scheduled runs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Process a single job from the queue
  */
 async function processSingleJob(queueType = null) {
+  await enqueueScheduledRuns();
+  
   // Check circuit breaker
   if (await isCircuitOpen()) {
     return {
@@ -246,70 +167,65 @@ async function processSingleJob(queueType = null) {
     };
   }
   
-  // Try to acquire lock
-  if (!await waitForLock()) {
+  const types = queueType ? [queueType] : Object.values(JobType);
+  
+  const job = await dequeueNextJob(types);
+  if (!job) {
     return {
       success: false,
-      message: 'Another instance is processing, try again later',
-      retryAfter: LOCK_RETRY_DELAY_MS * MAX_LOCK_RETRIES,
+      message: 'No jobs available in queue',
     };
   }
   
-  const types = queueType ? [queueType] : Object.values(JobType);
+  const lockToken = await lockJobSession(job, LOCK_OPTIONS);
+  if (lockToken === null) {
+    return {
+      success: false,
+      message: 'Another instance is using this session, try again later',
+      retryAfter: LOCK_RETRY_DELAY_MS * MAX_LOCK_RETRIES,
+    };
+  }
   
-  for (const type of types) {
-    const job = await dequeueJob(type);
-    if (job) {
-      // Check for duplicate message
-      const dedupKey = `${job.type}:${job.id}:${JSON.stringify(job.payload)}`;
-      if (await isDuplicateMessage(dedupKey)) {
-        releaseLock();
-        return {
-          success: false,
-          jobId: job.id,
-          message: 'Duplicate message ignored',
-        };
-      }
-      
-      // Wait for cooldown before processing
-      await waitForCooldown();
-      
-      try {
-        const result = await processJob(job);
-        await updateCooldown();
-        await resetCircuit();
-        releaseLock();
-        return {
-          success: true,
-          jobId: job.id,
-          type: job.type,
-          result,
-        };
-      } catch (error) {
-        await recordCircuitFailure();
-        releaseLock();
-        return {
-          success: false,
-          jobId: job.id,
-          type: job.type,
-          error: error.message,
-        };
-      }
+  try {
+    // Wait for cooldown before processing
+    if (isMessageJob(job)) {
+      await waitForCooldown(getJobSessionId(job));
+    }
+    
+    const result = await processJob(job);
+    if (isMessageJob(job)) {
+      await updateCooldown(getJobSessionId(job));
+      await resetCircuit();
+    }
+    return {
+      success: true,
+      jobId: job.id,
+      type: job.type,
+      result,
+    };
+  } catch (error) {
+    // Unregistered numbers say nothing about the WhatsApp connection
+    if (isMessageJob(job) && error.retryable !== false) {
+      await recordCircuitFailure();
     }
+    return {
+      success: false,
+      jobId: job.id,
+      type: job.type,
+      error: error.message,
+    };
+  } finally {
+    await unlockJobSession(job, lockToken);
   }
-  
-  releaseLock();
-  return {
-    success: false,
-    message: 'No jobs available in queue',
-  };
 }
 
 /**
- * Process multiple jobs from the queue with distributed locking
- * With proper delays between jobs to prevent socket conflicts
+ * Process multiple jobs from the queue
+ * With proper delays between jobs of a session to prevent socket conflicts
  */
 async function processMultipleJobs(count = 5, queueType = null) {
+  await enqueueScheduledRuns();
+  
   // Check circuit breaker
   if (await isCircuitOpen()) {
     return [{
@@ -319,82 +235,74 @@ async function processMultipleJobs(count = 5, queueType = null) {
     }];
   }
   
-  // Try to acquire lock
-  if (!await waitForLock()) {
-    return [{
-      success: false,
-      message: 'Another instance is processing, try again later',
-      retryAfter: LOCK_RETRY_DELAY_MS * MAX_LOCK_RETRIES,
-    }];
-  }
-  
   const results = [];
   const types = queueType ? [queueType] : Object.values(JobType);
   let consecutiveFailures = 0;
   const MAX_CONSECUTIVE_FAILURES = 3;
   
   for (let i = 0; i < count; i++) {
-    let jobProcessed = false;
+    // Lanes in priority order, job types taking turns
+    const job = await dequeueNextJob(types);
+    if (!job) {
+      break;
+    }
     
-    for (const type of types) {
-      const job = await dequeueJob(type);
-      if (job) {
-        // Check for duplicate message
-        const dedupKey = `${job.type}:${job.id}:${JSON.stringify(job.payload)}`;
-        if (await isDuplicateMessage(dedupKey)) {
-          results.push({
-            success: false,
-            jobId: job.id,
-            message: 'Duplicate message ignored',
-          });
-          continue;
-        }
-        
-        // Wait for cooldown before processing (add 2s extra for send_message jobs)
-        const additionalDelay = job.type === JobType.SEND_MESSAGE ? 2000 : 0;
-        await waitForCooldown(additionalDelay);
-        
-        try {
-          const result = await processJob(job);
-          await updateCooldown();
-          results.push({
-            success: true,
-            jobId: job.id,
-            type: job.type,
-            result,
-          });
-          jobProcessed = true;
-          consecutiveFailures = 0;
-          await resetCircuit();
-          break;
-        } catch (error) {
-          consecutiveFailures++;
-          await recordCircuitFailure();
-          results.push({
-            success: false,
-            jobId: job.id,
-            type: job.type,
-            error: error.message,
-          });
-          jobProcessed = true;
-          
-          // Break on too many consecutive failures
-          if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-            console.warn(`⚠️ Too many consecutive failures (${consecutiveFailures}), stopping batch`);
-            releaseLock();
-            return results;
-          }
-          break;
-        }
+    // A job whose session another instance is using goes back to its queue
+    const lockToken = await lockJobSession(job, LOCK_OPTIONS);
+    if (lockToken === null) {
+      results.push({
+        success: false,
+        jobId: job.id,
+        type: job.type,
+        message: 'Another instance is using this session, try again later',
+        retryAfter: LOCK_RETRY_DELAY_MS * MAX_LOCK_RETRIES,
+      });
+      break;
+    }
+    
+    try {
+      // Wait for cooldown before processing (add 2s extra for send_message and send_template jobs)
+      if (isMessageJob(job)) {
+        const additionalDelay = [JobType.SEND_MESSAGE, JobType.SEND_TEMPLATE].includes(job.type) ? 2000 : 0;
+        await waitForCooldown(getJobSessionId(job), additionalDelay);
+      }
+      
+      const result = await processJob(job);
+      if (isMessageJob(job)) {
+        await updateCooldown(getJobSessionId(job));
+      }
+      results.push({
+        success: true,
+        jobId: job.id,
+        type: job.type,
+        result,
+      });
+      consecutiveFailures = 0;
+      if (isMessageJob(job)) {
+        await resetCircuit();
+      }
+    } catch (error) {
+      consecutiveFailures++;
+      if (isMessageJob(job) && error.retryable !== false) {
+        await recordCircuitFailure();
       }
+      results.push({
+        success: false,
+        jobId: job.id,
+        type: job.type,
+        error: error.message,
+      });
+    } finally {
+      await unlockJobSession(job, lockToken);
     }
     
-    if (!jobProcessed) {
+    // Break on too many consecutive failures
+    if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      console.warn(`⚠️ Too many consecutive failures (${consecutiveFailures}), stopping batch`);
       break;
     }
   }
   
-  releaseLock();
   return results;
 }
 
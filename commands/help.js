@@ -0,0 +1,27 @@
+// !help [command] - list commands or show the usage of one
+
+const { getCommand, formatUsage, CommandPermission } = require('../lib/command-router');
+
+module.exports = {
+  name: 'help',
+  aliases: ['menu'],
+  description: 'Tampilkan daftar perintah atau cara pakai satu perintah',
+  usage: '[perintah]',
+
+  async execute({ args, prefix, isAdmin, commands, reply }) {
+    if (args[0]) {
+      const command = getCommand(args[0].replace(prefix, ''));
+      if (!command) {
+        return reply(`❓ Perintah ${args[0]} tidak dikenal.`);
+      }
+      return reply(formatUsage(command, prefix));
+    }
+
+    // Admin commands are only listed for admins
+    const lines = commands
+      .filter(command => isAdmin || command.permission !== CommandPermission.ADMIN)
+      .map(command => `• ${prefix}${command.name}${command.description ? ` - ${command.description}` : ''}`);
+
+    return reply(`📋 *Daftar Perintah*\n\n${lines.join('\n')}\n\nKetik ${prefix}help <perintah> untuk detail.`);
+  },
+};
@@ -0,0 +1,12 @@
+// !ping - check that the bot responds
+
+module.exports = {
+  name: 'ping',
+  description: 'Cek apakah bot aktif',
+
+  async execute({ message, reply }) {
+    const sentAt = Number(message.messageTimestamp) * 1000;
+    const latency = sentAt ? ` (${Math.max(0, Date.now() - sentAt)} ms)` : '';
+    return reply(`🏓 Pong!${latency}`);
+  },
+};
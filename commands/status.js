@@ -0,0 +1,20 @@
+// !status - bot status for admins
+
+module.exports = {
+  name: 'status',
+  description: 'Status bot dan server',
+  permission: 'admin',
+
+  async execute({ sock, sessionId, reply }) {
+    const uptime = Math.floor(process.uptime());
+    const memory = Math.round(process.memoryUsage().rss / 1024 / 1024);
+
+    return reply([
+      '🤖 *Status Bot*',
+      `Sesi: ${sessionId}`,
+      `Nomor: ${sock.user?.id?.split(':')[0] || '-'}`,
+      `Uptime: ${Math.floor(uptime / 3600)}j ${Math.floor((uptime % 3600) / 60)}m`,
+      `Memori: ${memory} MB`,
+    ].join('\n'));
+  },
+};
@@ -0,0 +1,32 @@
+// Create an API key
+// Run this once to bootstrap the first admin key: node create-api-key.js <name> [admin|client]
+
+require('dotenv').config();
+const { createApiKey, Role } = require('./lib/auth');
+
+async function main() {
+    const [name, role = Role.ADMIN] = process.argv.slice(2);
+
+    if (!name) {
+        console.log('Usage: node create-api-key.js <name> [admin|client]');
+        process.exit(1);
+    }
+
+    try {
+        const { apiKey, key } = await createApiKey({ name, role });
+
+        console.log(`\n🎉 API key created: ${key.id} (${key.role})`);
+        console.log(`\n   ${apiKey}\n`);
+        console.log('⚠️ Store this key now, it cannot be shown again.');
+        console.log('📝 Use it as: Authorization: Bearer <key>\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Failed to create API key:', error.message);
+        console.log('\n⚠️ Make sure your Redis credentials are set in .env file:');
+        console.log('   UPSTASH_REDIS_REST_URL=...');
+        console.log('   UPSTASH_REDIS_REST_TOKEN=...\n');
+        process.exit(1);
+    }
+}
+
+main();
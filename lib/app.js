@@ -0,0 +1,104 @@
+// Shared Express app for every deployment target
+// index.js (Koyeb/Docker/VPS) and api/index.js (Vercel) both build their app here,
+// they only differ in the bot provider they pass in (see lib/bot-provider.js)
+
+const express = require('express');
+const cors = require('cors');
+const { authenticate } = require('./auth');
+const { setBotProvider } = require('./bot-provider');
+const { createSystemRouter } = require('./routes/system');
+const { createMessagesRouter } = require('./routes/messages');
+const { createSessionsRouter } = require('./routes/sessions');
+const { createKeysRouter } = require('./routes/keys');
+const { createJobsRouter } = require('./routes/jobs');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createMediaRouter } = require('./routes/media');
+const { createAutoRepliesRouter } = require('./routes/autoreplies');
+const { createFlowsRouter } = require('./routes/flows');
+const { createTemplatesRouter } = require('./routes/templates');
+const { createCampaignsRouter } = require('./routes/campaigns');
+const { createSchedulesRouter } = require('./routes/schedules');
+const { createGroupsRouter } = require('./routes/groups');
+const { createContactsRouter } = require('./routes/contacts');
+
+// Origins allowed by default, extend with CORS_ORIGINS (comma-separated)
+const DEFAULT_CORS_ORIGINS = [
+  'https://rt5vc.vercel.app',
+  'http://localhost:3000',
+  'http://localhost:5173',
+];
+
+// Endpoints that don't require an API key
+const PUBLIC_PATHS = ['/health', '/api', '/api/openapi.json'];
+
+// Endpoints that also accept CRON_SECRET instead of an API key
+const CRON_PATHS = ['/api/cron'];
+
+/**
+ * Get the list of allowed CORS origins
+ */
+function getAllowedOrigins() {
+  const extra = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  return [...DEFAULT_CORS_ORIGINS, ...extra];
+}
+
+/**
+ * Create the Express app
+ * @param {Object} options - App options
+ * @param {Object} options.bot - Bot provider (api/bot.js or lib/persistent-bot.js)
+ * @returns {express.Express} Express app
+ */
+function createApp({ bot }) {
+  // Job handlers send through the same provider as the HTTP routes
+  setBotProvider(bot);
+
+  const app = express();
+  const allowedOrigins = getAllowedOrigins();
+
+  // CORS configuration
+  const corsOptions = {
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin || allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    methods: 'GET, POST, PUT, DELETE, OPTIONS',
+    allowedHeaders: 'Content-Type, Authorization, Idempotency-Key',
+  };
+
+  app.use(cors(corsOptions));
+  // Base64 media can make bodies large (Vercel caps requests at 4.5 MB)
+  const bodyLimit = process.env.MAX_BODY_SIZE || '10mb';
+  app.use(express.json({ limit: bodyLimit }));
+  app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
+  // API key authentication
+  app.use(authenticate({ publicPaths: PUBLIC_PATHS, cronPaths: CRON_PATHS }));
+
+  app.use(createSystemRouter({ bot }));
+  app.use(createMessagesRouter({ bot }));
+  app.use(createSessionsRouter({ bot }));
+  app.use(createKeysRouter({ bot }));
+  app.use(createJobsRouter({ bot }));
+  app.use(createWebhooksRouter({ bot }));
+  app.use(createMediaRouter({ bot }));
+  app.use(createAutoRepliesRouter({ bot }));
+  app.use(createFlowsRouter({ bot }));
+  app.use(createTemplatesRouter({ bot }));
+  app.use(createCampaignsRouter({ bot }));
+  app.use(createSchedulesRouter({ bot }));
+  app.use(createGroupsRouter({ bot }));
+  app.use(createContactsRouter({ bot }));
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
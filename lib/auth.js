@@ -0,0 +1,261 @@
+// API key authentication for the HTTP API
+// Keys are stored hashed (SHA-256) in Redis, the plaintext is only shown once on creation
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+
+// Key storage configuration
+const API_KEYS_KEY = 'wa:apikeys'; // hash: keyId -> key record
+const API_KEY_HASH_PREFIX = 'wa:apikey:hash:'; // string: sha256(key) -> keyId
+const API_KEY_TOKEN_PREFIX = 'wak_';
+
+// Key roles
+const Role = {
+  ADMIN: 'admin',
+  CLIENT: 'client',
+};
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Hash a plaintext API key
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a new API key
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human readable name
+ * @param {string} options.role - Key role (admin or client)
+ * @returns {Promise<{apiKey: string, key: Object}>} Plaintext key and stored record
+ */
+async function createApiKey({ name, role = Role.CLIENT } = {}) {
+  if (!name) {
+    throw new Error('API key name is required');
+  }
+  if (!Object.values(Role).includes(role)) {
+    throw new Error(`Invalid role. Valid roles: ${Object.values(Role).join(', ')}`);
+  }
+
+  const id = `key_${crypto.randomBytes(6).toString('hex')}`;
+  const apiKey = `${API_KEY_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const hash = hashApiKey(apiKey);
+
+  const key = {
+    id,
+    name,
+    role,
+    hash,
+    prefix: apiKey.slice(0, API_KEY_TOKEN_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  await redis.hset(API_KEYS_KEY, { [id]: JSON.stringify(key) });
+  await redis.set(`${API_KEY_HASH_PREFIX}${hash}`, id);
+
+  console.log(`🔑 API key created: ${id} (${role})`);
+  return { apiKey, key: toPublicKey(key) };
+}
+
+/**
+ * Strip the hash from a key record before returning it to clients
+ */
+function toPublicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+/**
+ * List all API keys (without hashes)
+ * @returns {Promise<Array>} Array of key records
+ */
+async function listApiKeys() {
+  const all = await redis.hgetall(API_KEYS_KEY);
+  if (!all) {
+    return [];
+  }
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .map(toPublicKey)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<boolean>} True if the key existed and was revoked
+ */
+async function revokeApiKey(keyId) {
+  const key = parseRecord(await redis.hget(API_KEYS_KEY, keyId));
+  if (!key || key.revokedAt) {
+    return false;
+  }
+
+  key.revokedAt = new Date().toISOString();
+  await redis.del(`${API_KEY_HASH_PREFIX}${key.hash}`);
+  await redis.hset(API_KEYS_KEY, { [keyId]: JSON.stringify(key) });
+
+  console.log(`🚫 API key revoked: ${keyId}`);
+  return true;
+}
+
+/**
+ * Verify a plaintext API key
+ * @param {string} apiKey - Plaintext API key
+ * @returns {Promise<Object|null>} Key record or null if invalid/revoked
+ */
+async function verifyApiKey(apiKey) {
+  if (!apiKey || !apiKey.startsWith(API_KEY_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const hash = hashApiKey(apiKey);
+  const keyId = await redis.get(`${API_KEY_HASH_PREFIX}${hash}`);
+  if (!keyId) {
+    return null;
+  }
+
+  const key = parseRecord(await redis.hget(API_KEYS_KEY, keyId));
+  if (!key || key.revokedAt) {
+    return null;
+  }
+
+  // Track usage without blocking the request
+  key.lastUsedAt = new Date().toISOString();
+  redis.hset(API_KEYS_KEY, { [keyId]: JSON.stringify(key) }).catch((error) => {
+    console.error('Error updating API key usage:', error.message);
+  });
+
+  return toPublicKey(key);
+}
+
+/**
+ * Extract the API key from a request
+ * Accepts "Authorization: Bearer <key>". The /qr page, opened in a browser that can't send headers,
+ * also takes a ?key= query parameter; other routes don't, so keys don't end up in URLs and logs.
+ */
+function extractApiKey(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token.trim();
+  }
+  const isQrPage = req.path === '/qr' || req.path.startsWith('/qr/');
+  return (isQrPage && req.query?.key) || null;
+}
+
+/**
+ * Check the CRON_SECRET of a request (X-Cron-Secret header or ?secret=)
+ * Without CRON_SECRET configured no request has it, so the cron paths then need an API key.
+ */
+function hasCronSecret(req) {
+  const expected = process.env.CRON_SECRET;
+  const given = req.headers['x-cron-secret'] || req.query?.secret;
+  if (!expected || typeof given !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(given);
+  return expectedBuffer.length === givenBuffer.length && crypto.timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+/**
+ * Express middleware that requires a valid API key
+ * @param {Object} options - Middleware options
+ * @param {Array<string>} options.publicPaths - Paths that don't require authentication
+ * @param {Array<string>} options.cronPaths - Paths that also accept CRON_SECRET (sets req.cronSecret)
+ */
+function authenticate({ publicPaths = [], cronPaths = [] } = {}) {
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+      return next();
+    }
+    if (cronPaths.includes(req.path) && hasCronSecret(req)) {
+      req.cronSecret = true;
+      return next();
+    }
+
+    const apiKey = extractApiKey(req);
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: 'Missing API key. Use "Authorization: Bearer <key>"',
+      });
+    }
+
+    try {
+      const key = await verifyApiKey(apiKey);
+      if (!key) {
+        console.warn('⚠️ Rejected request with invalid API key');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          details: 'Invalid or revoked API key',
+        });
+      }
+
+      req.apiKey = key;
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({
+        error: 'Authentication failed',
+        details: error.message,
+      });
+    }
+  };
+}
+
+/**
+ * Express middleware that requires the authenticated key to have a role
+ * @param {string} role - Required role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiKey || req.apiKey.role !== role) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: `This endpoint requires an ${role} API key`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for the cron paths: passes requests with CRON_SECRET, others need an admin key
+ */
+function requireCronSecretOrAdmin(req, res, next) {
+  if (req.cronSecret) {
+    return next();
+  }
+  return requireRole(Role.ADMIN)(req, res, next);
+}
+
+module.exports = {
+  Role,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+  extractApiKey,
+  authenticate,
+  requireRole,
+  requireCronSecretOrAdmin,
+  hashApiKey,
+};
@@ -0,0 +1,344 @@
+// Keyword auto-replies
+// Rules live in Redis so they can be changed through /api/autoreplies without a redeploy.
+// Every incoming message that isn't a command is checked against the enabled rules, the first
+// matching rule (highest priority first) sends its reply.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { formatJid } = require('./jid');
+
+// Rule storage
+const RULES_KEY = 'wa:autoreplies'; // hash: ruleId -> rule
+const SEEDED_KEY = 'wa:autoreplies:seeded'; // set once the default rules were stored
+
+// Rules are read from Redis at most every few seconds (every write clears the cache)
+const RULES_CACHE_MS = 10 * 1000;
+
+const AUTO_REPLY_TIMEZONE = process.env.AUTO_REPLY_TIMEZONE || 'Asia/Jakarta';
+
+// Match types
+const MatchType = {
+  EXACT: 'exact',
+  CONTAINS: 'contains',
+  REGEX: 'regex',
+};
+
+// Stored the first time rules are read, so the bot keeps its old replies until they are changed
+const DEFAULT_RULES = [
+  { name: 'Sapaan', match: MatchType.EXACT, pattern: 'halo', reply: 'Halo! Saya bot WhatsApp Anda. 🚀' },
+  { name: 'Tes bot', match: MatchType.EXACT, pattern: 'test', reply: '✅ Bot aktif dan siap digunakan!' },
+];
+
+let cachedRules = null;
+let cachedAt = 0;
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Check if auto-replies are enabled (AUTO_REPLY_ENABLED=false turns them off)
+ */
+function isAutoReplyEnabled() {
+  return process.env.AUTO_REPLY_ENABLED !== 'false';
+}
+
+/**
+ * Build a case-(in)sensitive regex for a rule, throws when the pattern is invalid
+ */
+function compilePattern(rule) {
+  return new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i');
+}
+
+/**
+ * Normalize and check the fields of a rule
+ * @param {Object} rule - Rule fields
+ * @returns {Object} Rule with chats formatted as JIDs
+ */
+function normalizeRule(rule) {
+  if (rule.match === MatchType.REGEX) {
+    try {
+      compilePattern(rule);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid regex: ${error.message}`), { field: 'pattern' });
+    }
+  }
+
+  const { start, end } = rule.activeHours || {};
+  if ((start && !end) || (!start && end)) {
+    throw Object.assign(new Error('activeHours needs both start and end'), { field: 'activeHours' });
+  }
+  if (rule.activeHours?.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: rule.activeHours.timezone });
+    } catch {
+      throw Object.assign(new Error(`Unknown timezone: ${rule.activeHours.timezone}`), { field: 'activeHours.timezone' });
+    }
+  }
+
+  return {
+    ...rule,
+    chats: (rule.chats || []).map(chat => formatJid(chat)),
+  };
+}
+
+/**
+ * Store the default rules the first time rules are read
+ */
+async function seedDefaultRules() {
+  // NX: only the first caller gets OK
+  const first = await redis.set(SEEDED_KEY, new Date().toISOString(), { nx: true });
+  if (first !== 'OK') {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const fields = {};
+  for (const rule of DEFAULT_RULES) {
+    const id = `ar_${crypto.randomBytes(6).toString('hex')}`;
+    fields[id] = JSON.stringify(buildRule(id, rule, now));
+  }
+  await redis.hset(RULES_KEY, fields);
+  console.log(`💬 Stored ${DEFAULT_RULES.length} default auto-reply rules`);
+}
+
+/**
+ * Fill in the defaults of a new rule
+ */
+function buildRule(id, fields, now) {
+  return {
+    id,
+    name: null,
+    match: MatchType.EXACT,
+    pattern: '',
+    caseSensitive: false,
+    reply: '',
+    chats: [],
+    sessionId: null,
+    activeHours: null,
+    priority: 0,
+    enabled: true,
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * List auto-reply rules (highest priority first)
+ * @returns {Promise<Array>} Rules
+ */
+async function listRules() {
+  await seedDefaultRules();
+
+  const all = await redis.hgetall(RULES_KEY);
+  if (!all) {
+    return [];
+  }
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .sort((a, b) => (b.priority - a.priority) || (new Date(a.createdAt) - new Date(b.createdAt)));
+}
+
+/**
+ * Get an auto-reply rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object|null>} Rule
+ */
+async function getRule(ruleId) {
+  return parseRecord(await redis.hget(RULES_KEY, ruleId));
+}
+
+/**
+ * Create an auto-reply rule
+ * @param {Object} fields - Rule fields (see autoReplyRuleBody in lib/schemas.js)
+ * @returns {Promise<Object>} Created rule
+ */
+async function createRule(fields) {
+  await seedDefaultRules();
+
+  const id = `ar_${crypto.randomBytes(6).toString('hex')}`;
+  const rule = buildRule(id, normalizeRule(fields), new Date().toISOString());
+
+  await redis.hset(RULES_KEY, { [id]: JSON.stringify(rule) });
+  cachedRules = null;
+
+  console.log(`💬 Auto-reply rule created: ${id} (${rule.match} "${rule.pattern}")`);
+  return rule;
+}
+
+/**
+ * Update an auto-reply rule (only the given fields change)
+ * @param {string} ruleId - Rule ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} Updated rule, null if it doesn't exist
+ */
+async function updateRule(ruleId, fields) {
+  const existing = await getRule(ruleId);
+  if (!existing) {
+    return null;
+  }
+
+  const rule = {
+    ...normalizeRule({ ...existing, ...fields }),
+    id: existing.id,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await redis.hset(RULES_KEY, { [ruleId]: JSON.stringify(rule) });
+  cachedRules = null;
+  return rule;
+}
+
+/**
+ * Delete an auto-reply rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True if the rule existed
+ */
+async function deleteRule(ruleId) {
+  const removed = await redis.hdel(RULES_KEY, ruleId);
+  cachedRules = null;
+  return removed > 0;
+}
+
+/**
+ * Get the enabled rules, cached for a few seconds
+ */
+async function getActiveRules() {
+  if (!cachedRules || Date.now() - cachedAt > RULES_CACHE_MS) {
+    cachedRules = (await listRules()).filter(rule => rule.enabled);
+    cachedAt = Date.now();
+  }
+  return cachedRules;
+}
+
+/**
+ * Get the weekday and minutes since midnight in a timezone
+ */
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+  return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Check if a rule is active at a moment
+ * Ranges may wrap around midnight (22:00 - 06:00), days are 0 (Sunday) to 6
+ */
+function isWithinActiveHours(activeHours, date = new Date()) {
+  if (!activeHours) {
+    return true;
+  }
+
+  const { day, minutes } = localTime(date, activeHours.timezone || AUTO_REPLY_TIMEZONE);
+  if (activeHours.days?.length && !activeHours.days.includes(day)) {
+    return false;
+  }
+  if (!activeHours.start) {
+    return true;
+  }
+
+  const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  const start = toMinutes(activeHours.start);
+  const end = toMinutes(activeHours.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Check if a rule matches a message
+ * @param {Object} rule - Rule
+ * @param {Object} message - Message details
+ * @param {string} message.text - Message text
+ * @param {string} message.chat - Chat JID
+ * @param {string} message.sessionId - Session that received the message
+ * @param {Date} message.date - Time the message arrived
+ * @returns {boolean} True if the rule applies
+ */
+function matchRule(rule, { text, chat, sessionId, date = new Date() }) {
+  if (rule.sessionId && rule.sessionId !== sessionId) {
+    return false;
+  }
+  if (rule.chats.length > 0 && !rule.chats.includes(chat)) {
+    return false;
+  }
+  if (!isWithinActiveHours(rule.activeHours, date)) {
+    return false;
+  }
+
+  const value = text.trim();
+  if (rule.match === MatchType.REGEX) {
+    return compilePattern(rule).test(value);
+  }
+
+  const haystack = rule.caseSensitive ? value : value.toLowerCase();
+  const needle = rule.caseSensitive ? rule.pattern : rule.pattern.toLowerCase();
+  return rule.match === MatchType.CONTAINS ? haystack.includes(needle) : haystack === needle;
+}
+
+/**
+ * Find the first rule that matches a message
+ * @param {Object} message - See matchRule
+ * @returns {Promise<Object|null>} Matching rule
+ */
+async function findMatchingRule(message) {
+  if (!message.text) {
+    return null;
+  }
+
+  const rules = await getActiveRules();
+  return rules.find(rule => matchRule(rule, message)) || null;
+}
+
+/**
+ * Answer an incoming message with the matching auto-reply, if any
+ * @param {Object} options - Message details
+ * @param {Object} options.sock - Baileys socket that received the message
+ * @param {string} options.sessionId - Session the socket belongs to
+ * @param {Object} options.message - Baileys message
+ * @param {string} options.text - Message text
+ * @returns {Promise<Object|null>} The rule that replied
+ */
+async function handleAutoReply({ sock, sessionId, message, text }) {
+  if (!isAutoReplyEnabled()) {
+    return null;
+  }
+
+  const chat = message.key.remoteJid;
+  const rule = await findMatchingRule({ text, chat, sessionId });
+  if (!rule) {
+    return null;
+  }
+
+  console.log(`💬 [${sessionId}] Auto-reply ${rule.id} to ${chat}`);
+  await sock.sendMessage(chat, { text: rule.reply });
+  return rule;
+}
+
+module.exports = {
+  MatchType,
+  isAutoReplyEnabled,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  matchRule,
+  isWithinActiveHours,
+  findMatchingRule,
+  handleAutoReply,
+};
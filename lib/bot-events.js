@@ -0,0 +1,167 @@
+// Incoming WhatsApp event handling
+// Both bot providers register these listeners on every socket they create
+
+const { WebhookEvent, dispatchEvent } = require('./webhooks');
+const { MessageStatus, fromBaileysStatus, updateMessageStatus } = require('./message-status');
+const { handleCommand } = require('./command-router');
+const { handleAutoReply } = require('./auto-reply');
+const { handleFlowAnswer, handleFlowTrigger, isFlowChat } = require('./flows');
+
+/**
+ * Get the text of a message (plain or extended text)
+ * @param {Object} m - Baileys message
+ * @returns {string} Message text or an empty string
+ */
+function getMessageText(m) {
+  return m.message?.conversation || m.message?.extendedTextMessage?.text || '';
+}
+
+/**
+ * Build the webhook data for an incoming message
+ * @param {Object} m - Baileys message
+ * @returns {Object} Event data
+ */
+function toMessageEvent(m) {
+  return {
+    messageId: m.key?.id,
+    from: m.key?.remoteJid,
+    participant: m.key?.participant || null,
+    pushName: m.pushName || null,
+    type: m.message ? Object.keys(m.message)[0] : null,
+    text: getMessageText(m),
+    timestamp: m.messageTimestamp ? new Date(Number(m.messageTimestamp) * 1000).toISOString() : null,
+    message: m.message,
+  };
+}
+
+/**
+ * Send an event to webhook subscribers without breaking the socket listener
+ */
+async function emitEvent(event, data, sessionId) {
+  try {
+    await dispatchEvent(event, data, { sessionId });
+  } catch (error) {
+    console.error(`❌ [${sessionId}] Failed to dispatch ${event}:`, error.message);
+  }
+}
+
+/**
+ * Handle a status update of a message
+ * Our own messages are tracked (see lib/message-status.js), every update goes to webhooks
+ */
+async function handleReceipt(sessionId, key, status, participant = null) {
+  if (key.fromMe) {
+    try {
+      await updateMessageStatus(key.id, status, { sessionId, remoteJid: key.remoteJid, participant });
+    } catch (error) {
+      console.error(`❌ [${sessionId}] Failed to update status of ${key.id}:`, error.message);
+    }
+  }
+
+  await emitEvent(WebhookEvent.MESSAGE_RECEIPT, {
+    messageId: key.id,
+    remoteJid: key.remoteJid,
+    fromMe: key.fromMe,
+    ...(participant && { participant }),
+    status,
+  }, sessionId);
+}
+
+/**
+ * Handle a single incoming message
+ * @param {Object} sock - Baileys socket that received the message
+ * @param {string} sessionId - Session the socket belongs to
+ * @param {Object} m - Baileys message
+ */
+async function handleIncomingMessage(sock, sessionId, m) {
+  const remoteJid = m.key.remoteJid;
+  const messageType = Object.keys(m.message)[0];
+  const messageText = getMessageText(m);
+
+  console.log(`📨 [${sessionId}] Message from ${remoteJid}: ${messageType}`);
+
+  await emitEvent(WebhookEvent.MESSAGE_RECEIVED, toMessageEvent(m), sessionId);
+
+  const context = { sock, sessionId, message: m, text: messageText };
+  const inPrivateChat = isFlowChat(remoteJid);
+
+  // Jawaban untuk percakapan (flow) yang sedang berjalan
+  if (inPrivateChat && await handleFlowAnswer(context)) {
+    return;
+  }
+
+  // Perintah dengan prefix (!help, !ping, ...), lihat folder commands/
+  if (await handleCommand(context)) {
+    return;
+  }
+
+  // Kata kunci yang memulai flow (lihat /api/flows)
+  if (inPrivateChat && await handleFlowTrigger(context)) {
+    return;
+  }
+
+  // Balasan otomatis dari aturan di Redis (lihat /api/autoreplies)
+  await handleAutoReply(context);
+}
+
+/**
+ * Register incoming event listeners on a socket
+ * @param {Object} sock - Baileys socket
+ * @param {string} sessionId - Session the socket belongs to
+ */
+function registerBotEvents(sock, sessionId) {
+  sock.ev.on('messages.upsert', async (upsert) => {
+    for (const m of upsert.messages || []) {
+      // Abaikan pesan kosong & pesan dari bot sendiri
+      if (!m.message || m.key.fromMe) continue;
+
+      try {
+        await handleIncomingMessage(sock, sessionId, m);
+      } catch (error) {
+        console.error(`❌ [${sessionId}] Failed to handle message:`, error.message);
+      }
+    }
+  });
+
+  // Status changes of messages we sent (sent, delivered, read, ...)
+  sock.ev.on('messages.update', async (updates) => {
+    for (const { key, update } of updates) {
+      const status = fromBaileysStatus(update.status);
+      if (!status) continue;
+
+      await handleReceipt(sessionId, key, status);
+    }
+  });
+
+  // Per-participant receipts (groups)
+  sock.ev.on('message-receipt.update', async (updates) => {
+    for (const { key, receipt } of updates) {
+      let status = MessageStatus.DELIVERED;
+      if (receipt.playedTimestamp) {
+        status = MessageStatus.PLAYED;
+      } else if (receipt.readTimestamp) {
+        status = MessageStatus.READ;
+      }
+
+      await handleReceipt(sessionId, key, status, receipt.userJid);
+    }
+  });
+
+  sock.ev.on('connection.update', async ({ connection, lastDisconnect }) => {
+    if (connection !== 'open' && connection !== 'close') return;
+
+    await emitEvent(WebhookEvent.CONNECTION_UPDATE, {
+      connection,
+      user: connection === 'open' ? sock.user || null : null,
+      statusCode: lastDisconnect?.error?.output?.statusCode || null,
+      reason: lastDisconnect?.error?.message || null,
+    }, sessionId);
+  });
+}
+
+module.exports = {
+  registerBotEvents,
+  handleIncomingMessage,
+  getMessageText,
+  toMessageEvent,
+};
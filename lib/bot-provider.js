@@ -0,0 +1,42 @@
+// Bot provider registry
+// The HTTP app and the job handlers talk to WhatsApp through a provider, so the same code
+// works with the connect-per-request bot (api/bot.js, Vercel) and the always-on bot
+// (lib/persistent-bot.js, Koyeb/Docker/VPS).
+//
+// A provider exposes:
+//   startBot(sessionId)                           -> Promise<socket>
+//   getSocket(sessionId)                          -> Promise<connected socket> (groups, contacts, ...)
+//   sendMessage(jid, message, type, sessionId)    -> Promise<send result>
+//   getBotStatus(sessionId)                       -> { sessionId, status, user, hasQR, ... }
+//   getQR(sessionId)                              -> string|null
+//   linkSession(sessionId)                        -> Promise<status>
+//   resetSession(sessionId)                       -> Promise (clear auth and relink)
+//   removeSession(sessionId)                      -> Promise (log out and clear auth)
+//   disconnectBot(sessionId)                      -> Promise
+//   keepAlive                                     -> true if sockets stay connected between requests
+
+let provider = null;
+
+/**
+ * Set the provider used by the app and job handlers
+ * @param {Object} bot - Bot provider
+ */
+function setBotProvider(bot) {
+  provider = bot;
+}
+
+/**
+ * Get the current provider (defaults to the serverless bot)
+ * @returns {Object} Bot provider
+ */
+function getBotProvider() {
+  if (!provider) {
+    provider = require('../api/bot');
+  }
+  return provider;
+}
+
+module.exports = {
+  setBotProvider,
+  getBotProvider,
+};
@@ -0,0 +1,603 @@
+// Broadcast campaigns
+// A campaign sends one message (or a template rendered per recipient) to a list of recipients in
+// small batches. Every recipient has its own status in Redis, so a batch that dies halfway only
+// resends to the recipient it was on, a paused campaign continues where it stopped, and failed
+// recipients can be sent again on their own.
+//
+// Each batch runs as a campaign_batch job that enqueues the next batch when it is done, so a single
+// run stays well within the serverless time limit.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { getBotProvider } = require('./bot-provider');
+const { enqueueJob, getJobStatus, JobType, JobStatus } = require('./queue');
+const { DEFAULT_SESSION_ID } = require('./session');
+const { formatJid } = require('./jid');
+const { requireTemplate, renderTemplate } = require('./templates');
+const { shouldCheckRecipients, checkNumbers, NOT_ON_WHATSAPP } = require('./contacts');
+
+// Storage configuration
+const CAMPAIGNS_KEY = 'wa:campaigns'; // sorted set: campaignId by creation time
+const CAMPAIGN_PREFIX = 'wa:campaign:'; // string: campaign, plus :recipients / :queue / :status:<status> / :counts keys
+
+// Batch configuration
+const CAMPAIGN_BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE || '20', 10);
+const CAMPAIGN_BATCH_TIME_MS = parseInt(process.env.CAMPAIGN_BATCH_TIME_MS || '40000', 10); // stop a batch early after this
+const CAMPAIGN_BATCH_INTERVAL = parseInt(process.env.CAMPAIGN_BATCH_INTERVAL || '5', 10); // seconds between batches
+
+// Campaign statuses
+const CampaignStatus = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Recipient statuses (skipped recipients can't be sent to and are not resent)
+const RecipientStatus = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled',
+};
+
+const DUPLICATE_RECIPIENT = 'DUPLICATE_RECIPIENT';
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+function campaignKey(campaignId) {
+  return `${CAMPAIGN_PREFIX}${campaignId}`;
+}
+
+function recipientsKey(campaignId) {
+  return `${CAMPAIGN_PREFIX}${campaignId}:recipients`; // hash: index -> recipient
+}
+
+function queueKey(campaignId) {
+  return `${CAMPAIGN_PREFIX}${campaignId}:queue`; // sorted set: pending indexes in list order
+}
+
+/**
+ * Get the sorted set of recipient indexes with a status, in list order
+ * Pending recipients are the queue the batches work through.
+ */
+function statusKey(campaignId, status) {
+  return status === RecipientStatus.PENDING ? queueKey(campaignId) : `${CAMPAIGN_PREFIX}${campaignId}:status:${status}`;
+}
+
+function countsKey(campaignId) {
+  return `${CAMPAIGN_PREFIX}${campaignId}:counts`; // hash: recipient status -> count
+}
+
+/**
+ * Error for an action the campaign's status doesn't allow (answered with a 409)
+ */
+function conflictError(message) {
+  return Object.assign(new Error(message), { statusCode: 409 });
+}
+
+/**
+ * Store a campaign record
+ */
+async function saveCampaign(campaign) {
+  campaign.updatedAt = new Date().toISOString();
+  await redis.set(campaignKey(campaign.id), JSON.stringify(campaign));
+}
+
+/**
+ * Get a campaign record without its counts
+ */
+async function getCampaignRecord(campaignId) {
+  return parseRecord(await redis.get(campaignKey(campaignId)));
+}
+
+/**
+ * Get the recipient count per status
+ */
+async function getCounts(campaignId) {
+  const counts = await redis.hgetall(countsKey(campaignId)) || {};
+  return Object.fromEntries(Object.values(RecipientStatus).map(status => [status, Number(counts[status] || 0)]));
+}
+
+/**
+ * Add counts and progress to a campaign record
+ */
+async function withProgress(campaign) {
+  const counts = await getCounts(campaign.id);
+  const processed = campaign.total - counts.pending;
+  return {
+    ...campaign,
+    counts,
+    progress: {
+      processed,
+      percent: campaign.total ? Math.round((processed / campaign.total) * 1000) / 10 : 100,
+    },
+  };
+}
+
+/**
+ * Move a recipient to a new status and keep the counts and status sets in step
+ */
+async function setRecipientStatus(campaignId, recipient, status, fields = {}) {
+  const updated = { ...recipient, ...fields, status, updatedAt: new Date().toISOString() };
+  await redis.hset(recipientsKey(campaignId), { [recipient.index]: JSON.stringify(updated) });
+
+  if (recipient.status !== status) {
+    await redis.zrem(statusKey(campaignId, recipient.status), String(recipient.index));
+    await redis.zadd(statusKey(campaignId, status), { score: recipient.index, member: String(recipient.index) });
+    await redis.hincrby(countsKey(campaignId), recipient.status, -1);
+    await redis.hincrby(countsKey(campaignId), status, 1);
+  }
+  return updated;
+}
+
+/**
+ * Enqueue the next batch of a campaign (the campaign must be saved afterwards)
+ */
+async function scheduleBatch(campaign, delay = 0) {
+  campaign.batchJobId = await enqueueJob(
+    JobType.CAMPAIGN_BATCH,
+    { campaignId: campaign.id, sessionId: campaign.sessionId },
+    { delay, maxAttempts: 5 },
+  );
+  return campaign.batchJobId;
+}
+
+/**
+ * Mark a campaign as completed
+ */
+function completeCampaign(campaign) {
+  campaign.status = CampaignStatus.COMPLETED;
+  campaign.completedAt = new Date().toISOString();
+  campaign.batchJobId = null;
+  console.log(`🏁 Campaign ${campaign.id} completed`);
+}
+
+/**
+ * Create a campaign and enqueue its first batch
+ * @param {Object} fields - Campaign fields (see createCampaignBody in lib/schemas.js)
+ * @returns {Promise<Object>} Campaign with counts and progress
+ */
+async function createCampaign(fields) {
+  const id = `cmp_${crypto.randomBytes(6).toString('hex')}`;
+  const now = new Date().toISOString();
+  const seen = new Set();
+
+  // Numbers that can't be normalized and duplicates are skipped right away
+  const recipients = fields.recipients.map((entry, index) => {
+    const { to, variables = null } = typeof entry === 'string' ? { to: entry } : entry;
+    const recipient = {
+      index, to, jid: null, variables, status: RecipientStatus.PENDING,
+      attempts: 0, messageId: null, error: null, code: null, updatedAt: now,
+    };
+
+    try {
+      recipient.jid = formatJid(to);
+    } catch (error) {
+      return { ...recipient, status: RecipientStatus.SKIPPED, error: error.message, code: error.code || null };
+    }
+    if (seen.has(recipient.jid)) {
+      return { ...recipient, status: RecipientStatus.SKIPPED, error: 'Duplicate recipient', code: DUPLICATE_RECIPIENT };
+    }
+    seen.add(recipient.jid);
+    return recipient;
+  });
+
+  const campaign = {
+    id,
+    name: fields.name || null,
+    status: CampaignStatus.RUNNING,
+    message: fields.message ?? null,
+    template: fields.template || null,
+    variables: fields.variables || {},
+    type: fields.type || 'text',
+    sessionId: fields.sessionId || DEFAULT_SESSION_ID,
+    delay: fields.delay ?? 1000,
+    batchSize: fields.batchSize || CAMPAIGN_BATCH_SIZE,
+    checkRecipients: fields.checkRecipients ?? null,
+    total: recipients.length,
+    batches: 0,
+    batchJobId: null,
+    lastError: null,
+    createdAt: now,
+    pausedAt: null,
+    completedAt: null,
+    cancelledAt: null,
+  };
+
+  // Recipients and the status sets (the pending one is the queue) are written in chunks to keep requests small
+  for (let i = 0; i < recipients.length; i += 500) {
+    const chunk = recipients.slice(i, i + 500);
+    await redis.hset(recipientsKey(id), Object.fromEntries(chunk.map(r => [r.index, JSON.stringify(r)])));
+
+    for (const status of Object.values(RecipientStatus)) {
+      const members = chunk.filter(r => r.status === status).map(r => ({ score: r.index, member: String(r.index) }));
+      if (members.length > 0) {
+        await redis.zadd(statusKey(id, status), ...members);
+      }
+    }
+  }
+
+  const counts = Object.fromEntries(Object.values(RecipientStatus).map(status => [status, 0]));
+  recipients.forEach((recipient) => { counts[recipient.status]++; });
+  await redis.hset(countsKey(id), counts);
+
+  if (counts.pending === 0) {
+    completeCampaign(campaign);
+  } else {
+    await scheduleBatch(campaign);
+  }
+  await saveCampaign(campaign);
+  await redis.zadd(CAMPAIGNS_KEY, { score: Date.now(), member: id });
+
+  console.log(`📣 Campaign ${id} created: ${counts.pending} recipient(s), ${counts.skipped} skipped`);
+  return withProgress(campaign);
+}
+
+/**
+ * Get a campaign with its counts and progress
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign
+ */
+async function getCampaign(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  return campaign ? withProgress(campaign) : null;
+}
+
+/**
+ * List campaigns (newest first)
+ * @param {Object} options - Paging options
+ * @param {number} options.offset - Campaigns to skip
+ * @param {number} options.limit - Maximum number of campaigns
+ * @returns {Promise<{total: number, campaigns: Array}>} Campaigns with counts and progress
+ */
+async function listCampaigns({ offset = 0, limit = 50 } = {}) {
+  const ids = (await redis.zrange(CAMPAIGNS_KEY, 0, -1)).map(String).reverse();
+  const campaigns = [];
+
+  for (const id of ids.slice(offset, offset + limit)) {
+    const campaign = await getCampaign(id);
+    if (campaign) {
+      campaigns.push(campaign);
+    }
+  }
+  return { total: ids.length, campaigns };
+}
+
+/**
+ * List the recipients of a campaign
+ * Only the recipients of the page are read: recipients are numbered in list order, and the numbers
+ * with a status are in its sorted set.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} options - Filter and paging options
+ * @param {string} options.status - Only recipients with this RecipientStatus
+ * @param {number} options.offset - Recipients to skip
+ * @param {number} options.limit - Maximum number of recipients
+ * @returns {Promise<{total: number, recipients: Array}>} Recipients in list order
+ */
+async function listRecipients(campaignId, { status, offset = 0, limit = 100 } = {}) {
+  let total;
+  let indexes;
+  if (status) {
+    total = await redis.zcard(statusKey(campaignId, status));
+    indexes = (await redis.zrange(statusKey(campaignId, status), offset, offset + limit - 1)).map(String);
+  } else {
+    total = await redis.hlen(recipientsKey(campaignId));
+    indexes = Array.from({ length: Math.max(Math.min(limit, total - offset), 0) }, (_, i) => String(offset + i));
+  }
+  if (indexes.length === 0) {
+    return { total, recipients: [] };
+  }
+
+  const records = await redis.hmget(recipientsKey(campaignId), ...indexes) || {};
+  const recipients = indexes.map(index => parseRecord(records[index])).filter(Boolean);
+  return { total, recipients };
+}
+
+/**
+ * Pause a running campaign (the current batch stops before its next recipient)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign, null if it doesn't exist
+ */
+async function pauseCampaign(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign) {
+    return null;
+  }
+  if (campaign.status !== CampaignStatus.RUNNING) {
+    throw conflictError(`Campaign is ${campaign.status}, only running campaigns can be paused`);
+  }
+
+  campaign.status = CampaignStatus.PAUSED;
+  campaign.pausedAt = new Date().toISOString();
+  campaign.batchJobId = null;
+  await saveCampaign(campaign);
+
+  console.log(`⏸️ Campaign ${campaignId} paused`);
+  return withProgress(campaign);
+}
+
+/**
+ * Resume a paused campaign, or restart a running campaign whose batch job failed
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign, null if it doesn't exist
+ */
+async function resumeCampaign(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign) {
+    return null;
+  }
+
+  if (campaign.status === CampaignStatus.RUNNING) {
+    const job = campaign.batchJobId ? await getJobStatus(campaign.batchJobId) : null;
+    if (job && [JobStatus.PENDING, JobStatus.PROCESSING].includes(job.status)) {
+      throw conflictError('Campaign is already running');
+    }
+  } else if (campaign.status !== CampaignStatus.PAUSED) {
+    throw conflictError(`Campaign is ${campaign.status}, only paused campaigns can be resumed`);
+  }
+
+  campaign.status = CampaignStatus.RUNNING;
+  campaign.pausedAt = null;
+  campaign.lastError = null;
+  if (await redis.zcard(queueKey(campaignId)) === 0) {
+    completeCampaign(campaign);
+  } else {
+    await scheduleBatch(campaign);
+  }
+  await saveCampaign(campaign);
+
+  console.log(`▶️ Campaign ${campaignId} resumed`);
+  return withProgress(campaign);
+}
+
+/**
+ * Cancel a campaign, recipients that weren't sent to yet are marked cancelled
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign, null if it doesn't exist
+ */
+async function cancelCampaign(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign) {
+    return null;
+  }
+  if (![CampaignStatus.RUNNING, CampaignStatus.PAUSED].includes(campaign.status)) {
+    throw conflictError(`Campaign is already ${campaign.status}`);
+  }
+
+  campaign.status = CampaignStatus.CANCELLED;
+  campaign.cancelledAt = new Date().toISOString();
+  campaign.batchJobId = null;
+  await saveCampaign(campaign);
+
+  const indexes = (await redis.zrange(queueKey(campaignId), 0, -1)).map(String);
+  for (const index of indexes) {
+    const recipient = parseRecord(await redis.hget(recipientsKey(campaignId), index));
+    if (recipient?.status === RecipientStatus.PENDING) {
+      await setRecipientStatus(campaignId, recipient, RecipientStatus.CANCELLED);
+    }
+  }
+  await redis.del(queueKey(campaignId));
+
+  console.log(`🚫 Campaign ${campaignId} cancelled, ${indexes.length} recipient(s) not sent`);
+  return withProgress(campaign);
+}
+
+/**
+ * Send again to the recipients that failed (skipped recipients are left alone)
+ * A completed campaign starts running again, a paused one sends them when it is resumed.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{campaign: Object, requeued: number}|null>} Campaign and number of requeued recipients
+ */
+async function resendFailed(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign) {
+    return null;
+  }
+  if (campaign.status === CampaignStatus.CANCELLED) {
+    throw conflictError('Campaign is cancelled');
+  }
+
+  // Requeued recipients leave the failed set, so every page starts at the front
+  let requeued = 0;
+  let failed;
+  do {
+    ({ recipients: failed } = await listRecipients(campaignId, { status: RecipientStatus.FAILED, limit: 500 }));
+    for (const recipient of failed) {
+      await setRecipientStatus(campaignId, recipient, RecipientStatus.PENDING, { error: null, code: null });
+      requeued++;
+    }
+  } while (failed.length === 500);
+
+  if (requeued > 0 && campaign.status === CampaignStatus.COMPLETED) {
+    campaign.status = CampaignStatus.RUNNING;
+    campaign.completedAt = null;
+    await scheduleBatch(campaign);
+    await saveCampaign(campaign);
+  }
+
+  console.log(`🔁 Campaign ${campaignId}: ${requeued} failed recipient(s) queued again`);
+  return { campaign: await withProgress(campaign), requeued };
+}
+
+/**
+ * Delete a campaign and its recipients (running campaigns must be paused or cancelled first)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if the campaign existed
+ */
+async function deleteCampaign(campaignId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign) {
+    return false;
+  }
+  if (campaign.status === CampaignStatus.RUNNING) {
+    throw conflictError('Campaign is running, pause or cancel it first');
+  }
+
+  await redis.del(
+    campaignKey(campaignId),
+    recipientsKey(campaignId),
+    countsKey(campaignId),
+    ...Object.values(RecipientStatus).map(status => statusKey(campaignId, status)),
+  );
+  await redis.zrem(CAMPAIGNS_KEY, campaignId);
+  return true;
+}
+
+/**
+ * Build the message for one recipient
+ */
+function buildRecipientMessage(campaign, template, recipient) {
+  if (!template) {
+    return { message: campaign.message, type: campaign.type };
+  }
+  const { text } = renderTemplate(template, { ...campaign.variables, ...recipient.variables });
+  return { message: text, type: 'text' };
+}
+
+/**
+ * Send the next batch of a campaign (handler of campaign_batch jobs)
+ * Stops early when the campaign is paused or cancelled, or when the batch takes too long,
+ * and enqueues the next batch while recipients are left.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} jobId - ID of the running batch job (older batch jobs stop right away)
+ * @returns {Promise<Object>} Batch result
+ */
+async function runCampaignBatch(campaignId, jobId) {
+  const campaign = await getCampaignRecord(campaignId);
+  if (!campaign || campaign.status !== CampaignStatus.RUNNING || campaign.batchJobId !== jobId) {
+    const reason = !campaign ? 'deleted' : (campaign.status !== CampaignStatus.RUNNING ? campaign.status : 'superseded');
+    console.log(`⏭️ Campaign ${campaignId}: batch ${jobId} skipped (${reason})`);
+    return { campaignId, processed: 0, stopped: reason };
+  }
+
+  const { sessionId } = campaign;
+  const indexes = (await redis.zrange(queueKey(campaignId), 0, campaign.batchSize - 1)).map(String);
+
+  // A deleted template pauses the campaign instead of failing every recipient
+  let template = null;
+  if (campaign.template) {
+    try {
+      template = await requireTemplate(campaign.template);
+    } catch (error) {
+      Object.assign(campaign, { status: CampaignStatus.PAUSED, pausedAt: new Date().toISOString(), batchJobId: null, lastError: error.message });
+      await saveCampaign(campaign);
+      console.log(`⏸️ Campaign ${campaignId} paused: ${error.message}`);
+      return { campaignId, processed: 0, stopped: CampaignStatus.PAUSED, error: error.message };
+    }
+  }
+
+  const bot = getBotProvider();
+  const tally = { sent: 0, failed: 0, skipped: 0 };
+  let stopped = null;
+
+  try {
+    if (indexes.length > 0) {
+      await bot.startBot(sessionId);
+    }
+
+    const recipients = [];
+    for (const index of indexes) {
+      const recipient = parseRecord(await redis.hget(recipientsKey(campaignId), index));
+      if (recipient?.status === RecipientStatus.PENDING) {
+        recipients.push(recipient);
+      } else {
+        await redis.zrem(queueKey(campaignId), index);
+      }
+    }
+
+    // Recipients that aren't on WhatsApp are skipped (checked in one query)
+    const unregistered = new Set();
+    if (shouldCheckRecipients(campaign) && recipients.length > 0) {
+      const checks = await checkNumbers(recipients.map(r => r.jid), { sessionId });
+      checks.filter(check => check.exists === false).forEach(check => unregistered.add(check.jid));
+    }
+
+    const startedAt = Date.now();
+    for (let i = 0; i < recipients.length; i++) {
+      const recipient = recipients[i];
+
+      if (i > 0) {
+        if (Date.now() - startedAt > CAMPAIGN_BATCH_TIME_MS) {
+          stopped = 'time';
+          break;
+        }
+        const current = await getCampaignRecord(campaignId);
+        if (current?.status !== CampaignStatus.RUNNING || current.batchJobId !== jobId) {
+          stopped = current ? current.status : 'deleted';
+          break;
+        }
+        if (campaign.delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, campaign.delay));
+        }
+      }
+
+      let outcome;
+      if (unregistered.has(recipient.jid)) {
+        outcome = [RecipientStatus.SKIPPED, { error: `${recipient.to} is not registered on WhatsApp`, code: NOT_ON_WHATSAPP }];
+      } else {
+        try {
+          const { message, type } = buildRecipientMessage(campaign, template, recipient);
+          const result = await bot.sendMessage(recipient.jid, message, type, sessionId);
+          outcome = [RecipientStatus.SENT, { messageId: result?.key?.id || null, error: null, code: null }];
+        } catch (error) {
+          // Errors that can't be fixed by sending again (missing variables, ...) are skipped
+          const status = error.retryable === false ? RecipientStatus.SKIPPED : RecipientStatus.FAILED;
+          outcome = [status, { error: error.message, code: error.code || null }];
+        }
+      }
+
+      const [status, fields] = outcome;
+      await setRecipientStatus(campaignId, recipient, status, { ...fields, attempts: recipient.attempts + 1 });
+      tally[status]++;
+    }
+  } finally {
+    if (indexes.length > 0 && !bot.keepAlive) {
+      await bot.disconnectBot(sessionId);
+    }
+  }
+
+  // Continue with the next batch, unless the campaign was paused, cancelled or finished meanwhile
+  const remaining = await redis.zcard(queueKey(campaignId));
+  const current = await getCampaignRecord(campaignId);
+  let nextJobId = null;
+
+  if (current?.status === CampaignStatus.RUNNING && current.batchJobId === jobId) {
+    current.batches++;
+    if (remaining === 0) {
+      completeCampaign(current);
+    } else {
+      nextJobId = await scheduleBatch(current, CAMPAIGN_BATCH_INTERVAL);
+    }
+    await saveCampaign(current);
+  }
+
+  const processed = tally.sent + tally.failed + tally.skipped;
+  console.log(`📣 Campaign ${campaignId}: batch sent ${tally.sent}, failed ${tally.failed}, skipped ${tally.skipped}, ${remaining} left`);
+  return { campaignId, processed, ...tally, remaining, stopped, nextJobId };
+}
+
+module.exports = {
+  CampaignStatus,
+  RecipientStatus,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  listRecipients,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  resendFailed,
+  deleteCampaign,
+  runCampaignBatch,
+};
@@ -0,0 +1,282 @@
+// Command router for incoming messages
+// Commands are plugin modules loaded from COMMANDS_DIR (default: ./commands), one command per file:
+//
+//   module.exports = {
+//     name: 'ping',
+//     aliases: ['p'],
+//     description: 'Check that the bot responds',
+//     usage: '',                   // shown in `!help ping`, without the command itself
+//     minArgs: 0,                  // fewer arguments replies with the usage
+//     permission: 'everyone',      // or 'admin' (senders listed in ADMIN_NUMBERS)
+//     async execute(ctx) { await ctx.reply('🏓 Pong!'); },
+//   };
+//
+// ctx: { sock, sessionId, message, jid, sender, isGroup, isAdmin, prefix, command, args, text, reply, commands }
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PREFIX = process.env.DEFAULT_PREFIX || '!';
+const COMMANDS_DIR = process.env.COMMANDS_DIR
+  ? path.resolve(process.env.COMMANDS_DIR)
+  : path.join(__dirname, '..', 'commands');
+
+// Command permissions
+const CommandPermission = {
+  EVERYONE: 'everyone',
+  ADMIN: 'admin',
+};
+
+// Loaded commands: name -> command, aliases -> same command
+const commands = new Map();
+let loaded = false;
+
+/**
+ * Get the phone number of a JID (drops the device suffix and server)
+ * @param {string} jid - WhatsApp JID, e.g. 6281234567890:12@s.whatsapp.net
+ * @returns {string} Phone number digits
+ */
+function jidToNumber(jid) {
+  return String(jid || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+}
+
+/**
+ * Check if a sender may run admin commands
+ * @param {string} jid - Sender JID
+ * @returns {boolean} True if the number is listed in ADMIN_NUMBERS
+ */
+function isAdminNumber(jid) {
+  const admins = (process.env.ADMIN_NUMBERS || '')
+    .split(',')
+    .map(number => number.replace(/\D/g, ''))
+    .filter(Boolean);
+  const number = jidToNumber(jid);
+  return Boolean(number) && admins.includes(number);
+}
+
+/**
+ * Split command arguments on whitespace, keeping "quoted text" together
+ * @param {string} text - Argument text
+ * @returns {Array<string>} Arguments
+ */
+function parseArgs(text) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Parse a message into a command
+ * @param {string} text - Message text
+ * @param {string} prefix - Command prefix
+ * @returns {{command: string, args: Array<string>, text: string}|null} Command, arguments and raw argument text
+ */
+function parseCommand(text, prefix = DEFAULT_PREFIX) {
+  if (!text || !text.startsWith(prefix)) {
+    return null;
+  }
+
+  const body = text.slice(prefix.length).trim();
+  const [command] = body.split(/\s+/, 1);
+  if (!command) {
+    return null;
+  }
+
+  const argsText = body.slice(command.length).trim();
+  return { command: command.toLowerCase(), args: parseArgs(argsText), text: argsText };
+}
+
+/**
+ * Register a command
+ * @param {Object} command - Command plugin (see the top of this file)
+ */
+function registerCommand(command) {
+  if (!command?.name || typeof command.execute !== 'function') {
+    throw new Error('A command needs a name and an execute function');
+  }
+
+  const permission = command.permission || CommandPermission.EVERYONE;
+  if (!Object.values(CommandPermission).includes(permission)) {
+    throw new Error(`Invalid permission "${permission}" for command ${command.name}`);
+  }
+
+  const entry = {
+    aliases: [],
+    description: '',
+    usage: '',
+    minArgs: 0,
+    ...command,
+    name: command.name.toLowerCase(),
+    permission,
+  };
+
+  for (const name of [entry.name, ...entry.aliases.map(alias => alias.toLowerCase())]) {
+    const existing = commands.get(name);
+    if (existing && existing.name !== entry.name) {
+      throw new Error(`Command name "${name}" is already used by ${existing.name}`);
+    }
+    commands.set(name, entry);
+  }
+}
+
+/**
+ * Load every command plugin from a directory
+ * Files that fail to load are logged and skipped
+ * @param {string} dir - Plugin directory
+ * @returns {number} Number of loaded commands
+ */
+function loadCommands(dir = COMMANDS_DIR) {
+  loaded = true;
+  if (!fs.existsSync(dir)) {
+    console.warn(`⚠️ Command directory not found: ${dir}`);
+    return 0;
+  }
+
+  let count = 0;
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.js')) continue;
+
+    try {
+      registerCommand(require(path.join(dir, file)));
+      count++;
+    } catch (error) {
+      console.error(`❌ Failed to load command ${file}:`, error.message);
+    }
+  }
+
+  console.log(`🧩 Loaded ${count} command(s) from ${dir}`);
+  return count;
+}
+
+/**
+ * Get a command by name or alias
+ * @param {string} name - Command name or alias
+ * @returns {Object|null} Command
+ */
+function getCommand(name) {
+  if (!loaded) {
+    loadCommands();
+  }
+  return commands.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * List loaded commands (without alias duplicates)
+ * @returns {Array<Object>} Commands sorted by name
+ */
+function listCommands() {
+  if (!loaded) {
+    loadCommands();
+  }
+  return [...new Set(commands.values())].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Format the help text of a command
+ * @param {Object} command - Command
+ * @param {string} prefix - Command prefix
+ * @returns {string} Help text
+ */
+function formatUsage(command, prefix = DEFAULT_PREFIX) {
+  const lines = [`*${prefix}${command.name}${command.usage ? ` ${command.usage}` : ''}*`];
+  if (command.description) {
+    lines.push(command.description);
+  }
+  if (command.aliases.length > 0) {
+    lines.push(`Alias: ${command.aliases.map(alias => prefix + alias).join(', ')}`);
+  }
+  if (command.permission === CommandPermission.ADMIN) {
+    lines.push('🔒 Khusus admin');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run the command in an incoming message, if it has one
+ * @param {Object} options - Message details
+ * @param {Object} options.sock - Baileys socket that received the message
+ * @param {string} options.sessionId - Session the socket belongs to
+ * @param {Object} options.message - Baileys message
+ * @param {string} options.text - Message text
+ * @returns {Promise<boolean>} True if the message was a command (handled or rejected); an unknown
+ * command in a group isn't answered and counts as a normal message
+ */
+async function handleCommand({ sock, sessionId, message, text }) {
+  const parsed = parseCommand(text.trim());
+  if (!parsed) {
+    return false;
+  }
+
+  const jid = message.key.remoteJid;
+  const sender = message.key.participant || jid;
+  const isGroup = jid.endsWith('@g.us');
+  const reply = content => sock.sendMessage(
+    jid,
+    typeof content === 'string' ? { text: content } : content,
+    { quoted: message }
+  );
+
+  const command = getCommand(parsed.command);
+  // In groups the prefix often belongs to other bots or plain text: unknown commands pass silently
+  if (!command && isGroup) {
+    return false;
+  }
+  if (!command) {
+    await reply(`❓ Perintah ${DEFAULT_PREFIX}${parsed.command} tidak dikenal. Ketik ${DEFAULT_PREFIX}help untuk daftar perintah.`);
+    return true;
+  }
+
+  const isAdmin = isAdminNumber(sender);
+  if (command.permission === CommandPermission.ADMIN && !isAdmin) {
+    console.log(`⛔ [${sessionId}] ${sender} is not allowed to run ${command.name}`);
+    await reply('⛔ Perintah ini khusus admin.');
+    return true;
+  }
+
+  if (parsed.args.length < command.minArgs) {
+    await reply(`⚠️ Argumen kurang.\n\n${formatUsage(command)}`);
+    return true;
+  }
+
+  console.log(`🧩 [${sessionId}] ${sender} ran ${DEFAULT_PREFIX}${command.name}`);
+
+  try {
+    await command.execute({
+      sock,
+      sessionId,
+      message,
+      jid,
+      sender,
+      isGroup,
+      isAdmin,
+      prefix: DEFAULT_PREFIX,
+      command: command.name,
+      args: parsed.args,
+      text: parsed.text,
+      reply,
+      commands: listCommands(),
+    });
+  } catch (error) {
+    console.error(`❌ [${sessionId}] Command ${command.name} failed:`, error.message);
+    await reply('❌ Terjadi kesalahan saat menjalankan perintah.');
+  }
+  return true;
+}
+
+module.exports = {
+  DEFAULT_PREFIX,
+  CommandPermission,
+  parseArgs,
+  parseCommand,
+  registerCommand,
+  loadCommands,
+  getCommand,
+  listCommands,
+  formatUsage,
+  isAdminNumber,
+  handleCommand,
+};
@@ -0,0 +1,128 @@
+// WhatsApp number checks
+// Asks WhatsApp (Baileys onWhatsApp) whether numbers are registered and caches the answers in Redis,
+// so jobs can skip unregistered recipients instead of retrying them
+
+const { redis } = require('./redis');
+const { getBotProvider } = require('./bot-provider');
+const { formatJid, isGroupJid } = require('./jid');
+
+// Cache configuration
+const CONTACT_PREFIX = 'wa:contact:'; // string: phone number -> check result
+const CONTACT_CHECK_TTL = parseInt(process.env.CONTACT_CHECK_TTL || '86400', 10); // 24 hours
+
+// Pre-send checks in send_message / broadcast jobs (payload.checkRecipients overrides it per job)
+const CHECK_RECIPIENTS = process.env.CHECK_RECIPIENTS === 'true';
+
+// Error code of recipients that aren't on WhatsApp
+const NOT_ON_WHATSAPP = 'NOT_ON_WHATSAPP';
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Get the phone number part of a JID
+ */
+function toNumber(jid) {
+  return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Check if a job should check its recipients before sending
+ * @param {Object} payload - Job payload
+ * @returns {boolean} payload.checkRecipients, or CHECK_RECIPIENTS when it isn't set
+ */
+function shouldCheckRecipients(payload) {
+  return payload.checkRecipients ?? CHECK_RECIPIENTS;
+}
+
+/**
+ * Check whether numbers are registered on WhatsApp
+ * Cached answers are reused for CONTACT_CHECK_TTL seconds, the rest is asked in one query.
+ * Groups can't be checked and are reported with exists: null.
+ * @param {Array<string>} numbers - Phone numbers or JIDs
+ * @param {Object} options - Check options
+ * @param {string} options.sessionId - Session used to ask WhatsApp
+ * @param {boolean} options.refresh - Ignore cached answers
+ * @returns {Promise<Array<{input: string, jid: string, exists: boolean|null, cached: boolean, checkedAt: string|null}>>} Result per number, in input order
+ */
+async function checkNumbers(numbers, { sessionId, refresh = false } = {}) {
+  const entries = numbers.map(input => ({ input, jid: formatJid(input) }));
+  const results = new Map();
+
+  for (const { jid } of entries) {
+    if (isGroupJid(jid)) {
+      results.set(jid, { jid, exists: null, cached: false, checkedAt: null });
+    }
+  }
+
+  const pending = [...new Set(entries.map(entry => entry.jid).filter(jid => !results.has(jid)))];
+
+  if (pending.length > 0 && !refresh) {
+    const cached = await redis.mget(...pending.map(jid => `${CONTACT_PREFIX}${toNumber(jid)}`));
+    cached.forEach((data, index) => {
+      const record = parseRecord(data);
+      if (record) {
+        results.set(pending[index], { ...record, cached: true });
+      }
+    });
+  }
+
+  const unknown = pending.filter(jid => !results.has(jid));
+  if (unknown.length > 0) {
+    const sock = await getBotProvider().getSocket(sessionId);
+    const found = (await sock.onWhatsApp(...unknown)) || [];
+    const registered = new Set(found.filter(item => item.exists).map(item => toNumber(item.jid)));
+    const checkedAt = new Date().toISOString();
+
+    for (const jid of unknown) {
+      const record = { jid, exists: registered.has(toNumber(jid)), checkedAt };
+      results.set(jid, { ...record, cached: false });
+      await redis.set(`${CONTACT_PREFIX}${toNumber(jid)}`, JSON.stringify(record), { ex: CONTACT_CHECK_TTL });
+    }
+    console.log(`🔎 [${sessionId}] Checked ${unknown.length} number(s) on WhatsApp, ${registered.size} registered`);
+  }
+
+  return entries.map(({ input, jid }) => ({ input, ...results.get(jid) }));
+}
+
+/**
+ * Build the error for a recipient that isn't on WhatsApp
+ * It is marked non-retryable, so the queue fails the job right away
+ * @param {string} jid - Recipient JID
+ * @returns {Error} Error with code NOT_ON_WHATSAPP and retryable: false
+ */
+function notOnWhatsAppError(jid) {
+  return Object.assign(new Error(`${toNumber(jid)} is not registered on WhatsApp`), {
+    code: NOT_ON_WHATSAPP,
+    retryable: false,
+  });
+}
+
+/**
+ * Make sure a recipient is on WhatsApp before sending to it
+ * @param {string} recipient - Phone number, JID or group ID (groups are not checked)
+ * @param {string} sessionId - Session used to ask WhatsApp
+ * @throws {Error} notOnWhatsAppError when the number isn't registered
+ */
+async function ensureOnWhatsApp(recipient, sessionId) {
+  const [result] = await checkNumbers([recipient], { sessionId });
+  if (result.exists === false) {
+    throw notOnWhatsAppError(result.jid);
+  }
+}
+
+module.exports = {
+  NOT_ON_WHATSAPP,
+  shouldCheckRecipients,
+  checkNumbers,
+  notOnWhatsAppError,
+  ensureOnWhatsApp,
+};
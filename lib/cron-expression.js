@@ -0,0 +1,228 @@
+// Cron expressions
+// Standard five-field expressions (minute hour day-of-month month day-of-week) evaluated in an
+// IANA time zone, used by recurring schedules:
+//
+//   0 7 * * MON        every Monday at 07:00
+//   */15 8-17 * * 1-5  every 15 minutes during office hours on weekdays
+//   0 9 1,15 * *       on the 1st and 15th of the month at 09:00
+//
+// Fields accept *, lists (1,15), ranges (1-5), steps (*/15, 8-17/2) and names (JAN, MON). Sunday is
+// 0 or 7. When both day fields are restricted a day matching either one runs, like in crontab.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const MINUTE_MS = 60000;
+const SEARCH_LIMIT_DAYS = 366 * 5; // far enough for 29 February
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits a time into wall-clock parts of a time zone
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check if a time zone name is known (e.g. Asia/Jakarta, UTC)
+ * @param {string} timezone - IANA time zone
+ * @returns {boolean} True if the time zone can be used
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get a time as wall clock of a time zone, expressed as a UTC timestamp (minutes precision)
+ */
+function toWallClock(time, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+/**
+ * Turn a wall-clock time of a time zone back into a real timestamp
+ * Times skipped by a daylight saving change move forward by the size of the gap.
+ */
+function fromWallClock(wallClock, timezone) {
+  const offset = toWallClock(wallClock, timezone) - wallClock;
+  const guess = wallClock - offset;
+  const actualOffset = toWallClock(guess, timezone) - guess;
+  if (actualOffset === offset) {
+    return guess;
+  }
+  const corrected = wallClock - actualOffset;
+  // Inside a gap neither offset gives the wall-clock time back: take the one after the gap
+  return toWallClock(corrected, timezone) === wallClock ? corrected : Math.max(guess, corrected);
+}
+
+/**
+ * Parse a number or name of a field
+ */
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + field.offset : (/^\d+$/.test(text) ? Number(text) : NaN);
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" (allowed: ${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || !/^\d+$/.test(stepText ?? '1')) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseValue(value, field));
+      if (from > to) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro (@daily, @weekly, ...)
+ * @returns {Object} Parsed expression, accepted by nextRun
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const trimmed = String(expression).trim();
+  const fields = (MACROS[trimmed.toLowerCase()] || trimmed).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Expected 5 fields (minute hour day-of-month month day-of-week), got ${fields.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: trimmed,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+/**
+ * Check if a wall-clock day matches the day-of-month and day-of-week fields
+ */
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+/**
+ * Get the next time a cron expression runs
+ * @param {string|Object} cron - Expression or result of parseCron
+ * @param {Object} options - Options
+ * @param {number|Date} options.after - Find the first run after this time (default: now)
+ * @param {string} options.timezone - IANA time zone the expression is read in (default: UTC)
+ * @returns {Date|null} Next run, null if the expression never runs (e.g. 31 February)
+ */
+function nextRun(cron, { after = Date.now(), timezone = 'UTC' } = {}) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = new Date(after).getTime();
+
+  // Walk the wall clock, skipping whole months, days and hours that can't match
+  const wall = new Date(toWallClock(start, timezone) + MINUTE_MS);
+  const limit = wall.getTime() + (SEARCH_LIMIT_DAYS * 1440 * MINUTE_MS);
+
+  while (wall.getTime() < limit) {
+    if (!parsed.months.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+    } else {
+      // A wall-clock time repeated by a daylight saving change may map before `after`
+      const time = fromWallClock(wall.getTime(), timezone);
+      if (time > start) {
+        return new Date(time);
+      }
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  isValidTimezone,
+};
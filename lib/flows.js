@@ -0,0 +1,358 @@
+// Multi-step conversation flows
+// A flow is a JSON definition of steps (question -> answer -> next step), managed through /api/flows.
+// Each private chat can be in one flow at a time; its state (current step and collected answers)
+// is kept in Redis and expires after the flow's timeout. When a flow reaches an end step, the
+// answers are sent to webhook subscribers as a flow.completed event.
+//
+// {
+//   "id": "pengaduan",
+//   "triggers": ["lapor"],
+//   "start": "nama",
+//   "steps": {
+//     "nama":    { "message": "Siapa nama Anda?", "save": "name", "next": "jenis" },
+//     "jenis":   { "message": "1. Kebersihan 2. Keamanan", "save": "category",
+//                  "options": [{ "match": "1", "value": "kebersihan", "next": "selesai" },
+//                              { "match": ["2", "keamanan"], "value": "keamanan", "next": "selesai" }] },
+//     "selesai": { "message": "Terima kasih {{name}}, laporan {{category}} diterima.", "end": true }
+//   }
+// }
+
+const { redis } = require('./redis');
+const { WebhookEvent, dispatchEvent } = require('./webhooks');
+
+// Storage configuration
+const FLOWS_KEY = 'wa:flows'; // hash: flowId -> flow definition
+const FLOW_STATE_PREFIX = 'wa:flow:state:'; // string: `${sessionId}:${jid}` -> state
+
+const FLOW_TIMEOUT_MINUTES = parseInt(process.env.FLOW_TIMEOUT_MINUTES || '30', 10);
+
+// Flows are read from Redis at most every few seconds (every write clears the cache)
+const FLOWS_CACHE_MS = 10 * 1000;
+
+const DEFAULT_CANCEL_KEYWORDS = ['batal', 'cancel'];
+const DEFAULT_CANCEL_MESSAGE = 'Percakapan dibatalkan.';
+const DEFAULT_INVALID_MESSAGE = 'Jawaban tidak valid, silakan coba lagi.';
+
+let cachedFlows = null;
+let cachedAt = 0;
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Error in a flow definition, answered with a 400 by the routes
+ */
+function flowError(field, message) {
+  return Object.assign(new Error(message), { field });
+}
+
+/**
+ * Check that a flow definition is consistent (every step reference exists, every step can continue)
+ * @param {Object} flow - Flow definition
+ */
+function checkFlow(flow) {
+  const steps = flow.steps || {};
+
+  if (!steps[flow.start]) {
+    throw flowError('start', `Step "${flow.start}" does not exist`);
+  }
+
+  for (const [name, step] of Object.entries(steps)) {
+    const field = `steps.${name}`;
+    const targets = [step.next, ...(step.options || []).map(option => option.next)].filter(Boolean);
+
+    for (const target of targets) {
+      if (!steps[target]) {
+        throw flowError(field, `Next step "${target}" does not exist`);
+      }
+    }
+    if (!step.end && targets.length === 0) {
+      throw flowError(field, 'needs next, options or end');
+    }
+    if (step.pattern) {
+      try {
+        new RegExp(step.pattern);
+      } catch (error) {
+        throw flowError(`${field}.pattern`, `Invalid regex: ${error.message}`);
+      }
+    }
+  }
+
+  if (!Object.values(steps).some(step => step.end)) {
+    throw flowError('steps', 'needs at least one end step');
+  }
+}
+
+/**
+ * List flows
+ * @returns {Promise<Array>} Flow definitions
+ */
+async function listFlows() {
+  const all = await redis.hgetall(FLOWS_KEY);
+  if (!all) {
+    return [];
+  }
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Get a flow
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object|null>} Flow definition
+ */
+async function getFlow(flowId) {
+  return parseRecord(await redis.hget(FLOWS_KEY, flowId));
+}
+
+/**
+ * Create or replace a flow
+ * @param {Object} definition - Flow definition (see flowBody in lib/schemas.js)
+ * @returns {Promise<{flow: Object, created: boolean}>} Stored flow, created=false when it replaced one
+ */
+async function saveFlow(definition) {
+  checkFlow(definition);
+
+  const existing = await getFlow(definition.id);
+  const now = new Date().toISOString();
+  const flow = {
+    name: null,
+    triggers: [],
+    enabled: true,
+    sessionId: null,
+    timeoutMinutes: FLOW_TIMEOUT_MINUTES,
+    cancelKeywords: DEFAULT_CANCEL_KEYWORDS,
+    ...definition,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  await redis.hset(FLOWS_KEY, { [flow.id]: JSON.stringify(flow) });
+  cachedFlows = null;
+
+  console.log(`🔀 Flow ${existing ? 'updated' : 'created'}: ${flow.id}`);
+  return { flow, created: !existing };
+}
+
+/**
+ * Delete a flow (chats in the middle of it are dropped on their next message)
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<boolean>} True if the flow existed
+ */
+async function deleteFlow(flowId) {
+  const removed = await redis.hdel(FLOWS_KEY, flowId);
+  cachedFlows = null;
+  return removed > 0;
+}
+
+/**
+ * Get the enabled flows, cached for a few seconds
+ */
+async function getActiveFlows() {
+  if (!cachedFlows || Date.now() - cachedAt > FLOWS_CACHE_MS) {
+    cachedFlows = (await listFlows()).filter(flow => flow.enabled);
+    cachedAt = Date.now();
+  }
+  return cachedFlows;
+}
+
+/**
+ * Redis key of the flow state of a chat
+ */
+function stateKey(sessionId, jid) {
+  return `${FLOW_STATE_PREFIX}${sessionId}:${jid}`;
+}
+
+/**
+ * Get the flow a chat is in
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Chat JID
+ * @returns {Promise<Object|null>} State: { flowId, step, data, startedAt, updatedAt }
+ */
+async function getFlowState(sessionId, jid) {
+  return parseRecord(await redis.get(stateKey(sessionId, jid)));
+}
+
+/**
+ * Store the flow state of a chat (the timeout restarts on every answer)
+ */
+async function saveFlowState(sessionId, jid, state, flow) {
+  const timeout = (flow.timeoutMinutes || FLOW_TIMEOUT_MINUTES) * 60;
+  await redis.set(stateKey(sessionId, jid), JSON.stringify(state), { ex: timeout });
+}
+
+/**
+ * End the flow of a chat
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Chat JID
+ * @returns {Promise<boolean>} True if the chat was in a flow
+ */
+async function clearFlowState(sessionId, jid) {
+  return (await redis.del(stateKey(sessionId, jid))) > 0;
+}
+
+/**
+ * Fill {{key}} placeholders with collected answers
+ */
+function renderMessage(text, data) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => (data[key] ?? ''));
+}
+
+/**
+ * Check an answer against a step
+ * @returns {{next: string, value: string}|null} Next step and value to save, null when invalid
+ */
+function evaluateAnswer(step, answer) {
+  if (step.options?.length) {
+    const normalized = answer.toLowerCase();
+    const option = step.options.find((candidate) => {
+      const matches = Array.isArray(candidate.match) ? candidate.match : [candidate.match];
+      return matches.some(match => match.toLowerCase() === normalized);
+    });
+    return option ? { next: option.next, value: option.value ?? answer } : null;
+  }
+
+  if (step.pattern && !new RegExp(step.pattern, 'i').test(answer)) {
+    return null;
+  }
+  return { next: step.next, value: answer };
+}
+
+/**
+ * Send a step's message and move the chat to it (completes the flow on an end step)
+ */
+async function enterStep({ sock, sessionId, jid, flow, state, stepName }) {
+  const step = flow.steps[stepName];
+  await sock.sendMessage(jid, { text: renderMessage(step.message, state.data) });
+
+  if (!step.end) {
+    await saveFlowState(sessionId, jid, { ...state, step: stepName, updatedAt: new Date().toISOString() }, flow);
+    return;
+  }
+
+  await clearFlowState(sessionId, jid);
+  console.log(`✅ [${sessionId}] Flow ${flow.id} completed by ${jid}`);
+
+  try {
+    await dispatchEvent(WebhookEvent.FLOW_COMPLETED, {
+      flowId: flow.id,
+      flowName: flow.name,
+      chat: jid,
+      pushName: state.pushName,
+      endStep: stepName,
+      data: state.data,
+      startedAt: state.startedAt,
+      completedAt: new Date().toISOString(),
+    }, { sessionId });
+  } catch (error) {
+    console.error(`❌ [${sessionId}] Failed to dispatch ${WebhookEvent.FLOW_COMPLETED}:`, error.message);
+  }
+}
+
+/**
+ * Start a flow in a chat
+ * @param {Object} options - Flow start details
+ * @param {Object} options.sock - Baileys socket
+ * @param {string} options.sessionId - Session ID
+ * @param {string} options.jid - Chat JID
+ * @param {Object} options.flow - Flow definition
+ * @param {string} options.pushName - WhatsApp name of the user
+ */
+async function startFlow({ sock, sessionId, jid, flow, pushName = null }) {
+  const now = new Date().toISOString();
+  const state = { flowId: flow.id, step: flow.start, data: {}, pushName, startedAt: now, updatedAt: now };
+
+  console.log(`🔀 [${sessionId}] Flow ${flow.id} started by ${jid}`);
+  await enterStep({ sock, sessionId, jid, flow, state, stepName: flow.start });
+}
+
+/**
+ * Handle the answer of a chat that is in a flow
+ * @returns {Promise<boolean>} True if the message was consumed by a flow
+ */
+async function handleFlowAnswer({ sock, sessionId, message, text }) {
+  const jid = message.key.remoteJid;
+  const state = await getFlowState(sessionId, jid);
+  if (!state) {
+    return false;
+  }
+
+  const flow = await getFlow(state.flowId);
+  const step = flow?.enabled && flow.steps[state.step];
+  if (!step) {
+    // The flow was deleted, disabled or changed, let the message through
+    await clearFlowState(sessionId, jid);
+    return false;
+  }
+
+  const answer = text.trim();
+  if (flow.cancelKeywords.some(keyword => keyword.toLowerCase() === answer.toLowerCase())) {
+    await clearFlowState(sessionId, jid);
+    await sock.sendMessage(jid, { text: flow.cancelMessage || DEFAULT_CANCEL_MESSAGE });
+    console.log(`🚫 [${sessionId}] Flow ${flow.id} cancelled by ${jid}`);
+    return true;
+  }
+
+  const result = answer ? evaluateAnswer(step, answer) : null;
+  if (!result) {
+    await sock.sendMessage(jid, { text: renderMessage(step.invalidMessage || DEFAULT_INVALID_MESSAGE, state.data) });
+    await saveFlowState(sessionId, jid, state, flow);
+    return true;
+  }
+
+  const data = step.save ? { ...state.data, [step.save]: result.value } : state.data;
+  await enterStep({ sock, sessionId, jid, flow, state: { ...state, data }, stepName: result.next });
+  return true;
+}
+
+/**
+ * Start the flow triggered by a message, if any
+ * @returns {Promise<boolean>} True if a flow was started
+ */
+async function handleFlowTrigger({ sock, sessionId, message, text }) {
+  const normalized = text.trim().toLowerCase();
+  if (!normalized) {
+    return false;
+  }
+
+  const flows = await getActiveFlows();
+  const flow = flows.find(candidate =>
+    (!candidate.sessionId || candidate.sessionId === sessionId)
+    && candidate.triggers.some(trigger => trigger.toLowerCase() === normalized));
+  if (!flow) {
+    return false;
+  }
+
+  await startFlow({ sock, sessionId, jid: message.key.remoteJid, flow, pushName: message.pushName || null });
+  return true;
+}
+
+/**
+ * Check if flows can run in a chat (only private chats, group members would share one state)
+ */
+function isFlowChat(jid) {
+  return Boolean(jid) && !jid.endsWith('@g.us') && jid !== 'status@broadcast';
+}
+
+module.exports = {
+  listFlows,
+  getFlow,
+  saveFlow,
+  deleteFlow,
+  getFlowState,
+  clearFlowState,
+  startFlow,
+  handleFlowAnswer,
+  handleFlowTrigger,
+  isFlowChat,
+};
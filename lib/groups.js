@@ -0,0 +1,177 @@
+// WhatsApp group management
+// Thin wrappers around the Baileys group API, using the socket of the current bot provider
+
+const { getBotProvider } = require('./bot-provider');
+const { formatJid, isGroupJid } = require('./jid');
+
+// Participant actions supported by groupParticipantsUpdate
+const ParticipantAction = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  PROMOTE: 'promote',
+  DEMOTE: 'demote',
+};
+
+const INVITE_LINK_PREFIX = 'https://chat.whatsapp.com/';
+
+/**
+ * Get the connected socket of a session
+ */
+function getSocket(sessionId) {
+  return getBotProvider().getSocket(sessionId);
+}
+
+/**
+ * Format a group ID to a group JID
+ * @param {string} groupId - Group ID, with or without @g.us
+ * @returns {string} Group JID
+ */
+function formatGroupJid(groupId) {
+  if (!isGroupJid(groupId)) {
+    throw Object.assign(new Error(`Not a group ID: ${groupId}`), { statusCode: 400 });
+  }
+  return formatJid(groupId);
+}
+
+/**
+ * Summarize group metadata (participants are only counted)
+ */
+function toGroupSummary(metadata) {
+  return {
+    id: metadata.id,
+    subject: metadata.subject,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    size: metadata.size ?? metadata.participants?.length ?? 0,
+    createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    announce: Boolean(metadata.announce), // only admins can send messages
+    restrict: Boolean(metadata.restrict), // only admins can edit group info
+  };
+}
+
+/**
+ * Convert group metadata to the API format (with participants)
+ */
+function toGroup(metadata) {
+  return {
+    ...toGroupSummary(metadata),
+    participants: (metadata.participants || []).map(participant => ({
+      id: participant.id,
+      admin: participant.admin || null, // 'admin', 'superadmin' or null
+    })),
+  };
+}
+
+/**
+ * List the groups the session is a member of
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} Group summaries sorted by subject
+ */
+async function listGroups(sessionId) {
+  const sock = await getSocket(sessionId);
+  const groups = await sock.groupFetchAllParticipating();
+  return Object.values(groups)
+    .map(toGroupSummary)
+    .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+}
+
+/**
+ * Get a group with its participants
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group ID or JID
+ * @returns {Promise<Object>} Group
+ */
+async function getGroup(sessionId, groupId) {
+  const sock = await getSocket(sessionId);
+  return toGroup(await sock.groupMetadata(formatGroupJid(groupId)));
+}
+
+/**
+ * Create a group
+ * @param {string} sessionId - Session ID
+ * @param {string} subject - Group name
+ * @param {Array<string>} participants - Phone numbers or JIDs to add
+ * @returns {Promise<Object>} Created group
+ */
+async function createGroup(sessionId, subject, participants) {
+  const sock = await getSocket(sessionId);
+  const metadata = await sock.groupCreate(subject, participants.map(formatJid));
+  console.log(`👥 [${sessionId}] Group created: ${metadata.id} (${subject})`);
+  return toGroup(metadata);
+}
+
+/**
+ * Add, remove, promote or demote group members
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group ID or JID
+ * @param {string} action - ParticipantAction
+ * @param {Array<string>} participants - Phone numbers or JIDs
+ * @returns {Promise<Array<{id: string, status: string, success: boolean}>>} Result per participant
+ */
+async function updateParticipants(sessionId, groupId, action, participants) {
+  const sock = await getSocket(sessionId);
+  const jid = formatGroupJid(groupId);
+  const results = await sock.groupParticipantsUpdate(jid, participants.map(formatJid), action);
+
+  console.log(`👥 [${sessionId}] ${action} ${participants.length} participant(s) in ${jid}`);
+  // Baileys reports an HTTP-like status per participant (200 ok, 403 not allowed, 409 already in group, ...)
+  return results.map(result => ({
+    id: result.jid,
+    status: String(result.status),
+    success: String(result.status) === '200',
+  }));
+}
+
+/**
+ * Change the subject and/or description of a group
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group ID or JID
+ * @param {Object} changes - Changes
+ * @param {string} changes.subject - New group name
+ * @param {string} changes.description - New description (empty string removes it)
+ * @returns {Promise<Object>} Updated group
+ */
+async function updateGroup(sessionId, groupId, { subject, description } = {}) {
+  const sock = await getSocket(sessionId);
+  const jid = formatGroupJid(groupId);
+
+  if (subject !== undefined) {
+    await sock.groupUpdateSubject(jid, subject);
+  }
+  if (description !== undefined) {
+    await sock.groupUpdateDescription(jid, description || undefined);
+  }
+
+  console.log(`👥 [${sessionId}] Group updated: ${jid}`);
+  return toGroup(await sock.groupMetadata(jid));
+}
+
+/**
+ * Get the invite link of a group (the session must be a group admin)
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group ID or JID
+ * @param {Object} options - Options
+ * @param {boolean} options.revoke - Revoke the current link and return a new one
+ * @returns {Promise<{code: string, link: string}>} Invite code and link
+ */
+async function getInviteLink(sessionId, groupId, { revoke = false } = {}) {
+  const sock = await getSocket(sessionId);
+  const jid = formatGroupJid(groupId);
+
+  const code = revoke ? await sock.groupRevokeInvite(jid) : await sock.groupInviteCode(jid);
+  if (revoke) {
+    console.log(`👥 [${sessionId}] Invite link of ${jid} revoked`);
+  }
+  return { code, link: `${INVITE_LINK_PREFIX}${code}` };
+}
+
+module.exports = {
+  ParticipantAction,
+  formatGroupJid,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+  updateGroup,
+  getInviteLink,
+};
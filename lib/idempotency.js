@@ -0,0 +1,115 @@
+// Idempotency keys
+// A client that retries a request (e.g. after a network timeout) sends the same Idempotency-Key
+// header; the first successful response is stored and returned again instead of sending twice.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { getCallerId } = require('./rate-limit');
+const { sendValidationError } = require('./validation');
+
+const IDEMPOTENCY_PREFIX = 'wa:idempotency:';
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a stored response is returned for retries (default: 24 hours)
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400', 10);
+
+// A request that is still running holds its key this long, so a crashed one doesn't block retries
+const IN_PROGRESS_TTL = 120;
+
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Hash a value, so long keys and bodies take little room in Redis
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Express middleware making a route idempotent for requests with an Idempotency-Key header
+ * Keys are scoped per route and caller. Only successful responses are stored: after an error the
+ * key is free again, so the retry runs for real. Requests without the header aren't affected.
+ * @param {string} route - Route name used in the Redis key (e.g. "send")
+ */
+function idempotency(route) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+    if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return sendValidationError(res, [{ field: IDEMPOTENCY_HEADER, message: `must be 1-${MAX_KEY_LENGTH} characters` }]);
+    }
+
+    const key = `${IDEMPOTENCY_PREFIX}${route}:${getCallerId(req)}:${hash(idempotencyKey)}`;
+    const fingerprint = hash(JSON.stringify(req.body ?? {}));
+
+    let claimed;
+    try {
+      claimed = await redis.set(
+        key,
+        JSON.stringify({ status: 'in_progress', fingerprint, createdAt: new Date().toISOString() }),
+        { nx: true, ex: IN_PROGRESS_TTL },
+      );
+    } catch (error) {
+      // Don't block sending when Redis is unavailable
+      console.error(`Idempotency check failed for ${route}:`, error.message);
+      return next();
+    }
+
+    if (claimed !== 'OK' && claimed !== true) {
+      const record = parseRecord(await redis.get(key).catch(() => null));
+      if (record && record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          details: `This ${IDEMPOTENCY_HEADER} was already used for a different request`,
+        });
+      }
+      if (record && record.status === 'completed') {
+        console.log(`♻️ Replayed ${route} response for idempotency key`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.body);
+      }
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: 'Request in progress',
+        details: `A request with this ${IDEMPOTENCY_HEADER} is still being processed, retry shortly`,
+      });
+    }
+
+    // Store the response before it goes out, so a retry right after it gets the replay
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode >= 200 && res.statusCode < 300
+        ? redis.set(key, JSON.stringify({
+          status: 'completed',
+          fingerprint,
+          statusCode: res.statusCode,
+          body,
+          createdAt: new Date().toISOString(),
+        }), { ex: IDEMPOTENCY_TTL })
+        : redis.del(key);
+
+      store
+        .catch(error => console.error(`Failed to store idempotent ${route} response:`, error.message))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  IDEMPOTENCY_HEADER,
+};
@@ -0,0 +1,98 @@
+// WhatsApp JID helpers
+// Shared by the serverless and always-on bots
+
+const { MEDIA_TYPES, normalizeMessage, guessMimetype, baseName, resolveMedia } = require('./media');
+const { normalizePhone } = require('./phone');
+
+// Group IDs: 120363012345678901 (new) or 6281234567890-1600000000 (creator-timestamp, old)
+// Only these formats are groups: a mistyped, over-long phone number fails as a phone number instead
+// of going to a group. The old format needs a full creator number and a 10-digit timestamp, so
+// dashed numbers like 0812-34567890 aren't mistaken for groups.
+const GROUP_ID_PATTERN = /^(120363\d{12,}|[1-9]\d{6,14}-\d{10})$/;
+
+/**
+ * Check if a JID or ID points to a group
+ * @param {string} jid - JID or ID
+ * @returns {boolean} True for group JIDs and IDs
+ */
+function isGroupJid(jid) {
+  const value = String(jid || '');
+  return value.endsWith('@g.us') || GROUP_ID_PATTERN.test(value);
+}
+
+/**
+ * Format phone number to WhatsApp JID
+ * Group IDs (with or without @g.us) become group JIDs, phone numbers are normalized
+ * (local 0812..., +62 812-..., 0062...) by lib/phone.js
+ * @param {string} phone - Phone number or group ID
+ * @returns {string} Formatted JID
+ * @throws {Error} When the phone number is invalid (statusCode 400, retryable: false)
+ */
+function formatJid(phone) {
+  // Handle undefined or null
+  if (!phone) {
+    throw new Error('Phone number is required');
+  }
+  
+  // Convert to string
+  const phoneStr = String(phone);
+  
+  // If already contains @, return as is
+  if (phoneStr.includes('@')) {
+    return phoneStr;
+  }
+  
+  if (GROUP_ID_PATTERN.test(phoneStr.trim())) {
+    return `${phoneStr.trim()}@g.us`;
+  }
+
+  // Country code, no separators
+  const normalized = normalizePhone(phoneStr);
+  
+  // Add @s.whatsapp.net suffix for individual users
+  return `${normalized}@s.whatsapp.net`;
+}
+
+/**
+ * Build Baileys message content from a message and type
+ * @param {string|Object} message - Message text, media URL, or a message object:
+ *   { text } for text, { url | base64 | path | mediaId, caption, filename, mimetype, ptt } for media
+ * @param {string} type - Message type (text, image, video, audio, document)
+ * @returns {Promise<Object>} Baileys message content
+ */
+async function buildMessageContent(message, type = 'text') {
+  const content = normalizeMessage(message, type);
+
+  if (!MEDIA_TYPES.includes(type)) {
+    return { text: String(content.text ?? message) };
+  }
+
+  const { media, mimetype, source, filename } = await resolveMedia(content);
+  const messageData = { [type]: media };
+
+  if (content.caption && type !== 'audio') {
+    messageData.caption = content.caption;
+  }
+  if (content.mimetype || mimetype) {
+    messageData.mimetype = content.mimetype || mimetype;
+  }
+
+  switch (type) {
+    case 'audio':
+      messageData.ptt = Boolean(content.ptt);
+      break;
+    case 'document':
+      // WhatsApp shows the file name, without one documents arrive unnamed
+      messageData.fileName = content.filename || filename || baseName(source) || 'document';
+      messageData.mimetype = messageData.mimetype || guessMimetype(messageData.fileName) || 'application/octet-stream';
+      break;
+  }
+
+  return messageData;
+}
+
+module.exports = {
+  formatJid,
+  isGroupJid,
+  buildMessageContent,
+};
@@ -1,44 +1,83 @@
 // Job Handlers for WhatsApp Bot Queue System
 // Each handler processes a specific job type
 
-const { sendMessage: botSendMessage, startBot, disconnectBot } = require('../api/bot');
-const { updateJobStatus } = require('./queue');
+const { getBotProvider } = require('./bot-provider');
+const { updateJobStatus, startHeartbeat, releaseJob } = require('./queue');
+const { DEFAULT_SESSION_ID } = require('./session');
+const { sessionLockKey, waitForLock, releaseLock } = require('./lock');
+const { shouldCheckRecipients, checkNumbers, ensureOnWhatsApp, NOT_ON_WHATSAPP } = require('./contacts');
+const { formatJid } = require('./jid');
+const { requireTemplate, renderTemplate } = require('./templates');
+
+/**
+ * Connect a session through the current bot provider
+ */
+function startBot(sessionId) {
+  return getBotProvider().startBot(sessionId);
+}
+
+/**
+ * Send a message through the current bot provider
+ */
+function botSendMessage(jid, message, type, sessionId) {
+  return getBotProvider().sendMessage(jid, message, type, sessionId);
+}
+
+/**
+ * Disconnect after a job, unless the provider keeps sockets connected (always-on mode)
+ */
+async function disconnectBot(sessionId) {
+  const bot = getBotProvider();
+  if (!bot.keepAlive) {
+    await bot.disconnectBot(sessionId);
+  }
+}
 
 /**
  * Handle SEND_MESSAGE job
  * Sends a single message to a WhatsApp number
  */
 async function handleSendMessage(job) {
-  const { to, message, type = 'text' } = job.payload;
+  const { to, message, type = 'text', sessionId = DEFAULT_SESSION_ID } = job.payload;
+  
+  // Normalize the number first, an invalid one fails the job without retries
+  const jid = formatJid(to);
   
   try {
-    console.log(`📤 Sending message to ${to}...`);
+    console.log(`📤 [${sessionId}] Sending message to ${jid}...`);
     
     // Initialize bot (connects using Redis session)
-    await startBot();
+    await startBot(sessionId);
     
     // Wait for bot to be fully connected before sending
     await new Promise(resolve => setTimeout(resolve, 2000));
     
+    // Fail right away (without retries) when the number isn't on WhatsApp
+    if (shouldCheckRecipients(job.payload)) {
+      await ensureOnWhatsApp(jid, sessionId);
+    }
+    
     // Send message
-    const result = await botSendMessage(to, message, type);
+    const result = await botSendMessage(jid, message, type, sessionId);
     
     // Disconnect immediately after sending
-    await disconnectBot();
+    await disconnectBot(sessionId);
     
-    console.log(`✅ Message sent successfully to ${to}`);
+    console.log(`✅ Message sent successfully to ${jid}`);
     
     return {
       success: true,
       messageId: result?.key?.id,
+      jid,
+      sessionId,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
-    console.error(`❌ Failed to send message to ${to}:`, error.message);
+    console.error(`❌ Failed to send message to ${jid}:`, error.message);
     
     // Ensure disconnect even on error
     try {
-      await disconnectBot();
+      await disconnectBot(sessionId);
     } catch (disconnectError) {
       console.error('Error during disconnect:', disconnectError.message);
     }
@@ -47,37 +86,114 @@ async function handleSendMessage(job) {
   }
 }
 
+/**
+ * Handle SEND_TEMPLATE job
+ * Renders a template with the job's variables and sends it as a text message
+ */
+async function handleSendTemplate(job) {
+  const { template: templateName, variables = {} } = job.payload;
+  
+  // Missing templates or variables fail the job without retries
+  const template = await requireTemplate(templateName);
+  const { text } = renderTemplate(template, variables);
+  
+  const result = await handleSendMessage({ ...job, payload: { ...job.payload, message: text, type: 'text' } });
+  return {
+    ...result,
+    template: templateName,
+  };
+}
+
 /**
  * Handle BROADCAST job
- * Sends a message to multiple recipients
+ * Sends a message to multiple recipients, or a template rendered with each recipient's variables
  */
 async function handleBroadcast(job) {
-  const { recipients, message, type = 'text', delay = 1000 } = job.payload;
+  const {
+    recipients,
+    message,
+    template: templateName,
+    variables = {},
+    type = 'text',
+    delay = 1000,
+    sessionId = DEFAULT_SESSION_ID,
+  } = job.payload;
   
   if (!Array.isArray(recipients) || recipients.length === 0) {
     throw new Error('Recipients must be a non-empty array');
   }
   
+  // Recipients are numbers, or { to, variables } objects for templates
+  const entries = recipients.map(entry => (typeof entry === 'string' ? { to: entry, variables: {} } : entry));
+  const template = templateName ? await requireTemplate(templateName) : null;
+  
   const results = [];
   const errors = [];
   
   try {
-    console.log(`📢 Broadcasting to ${recipients.length} recipients...`);
+    console.log(`📢 [${sessionId}] Broadcasting to ${recipients.length} recipients...`);
     
     // Initialize bot once for all messages
-    await startBot();
+    await startBot(sessionId);
+    
+    // Normalize every number up front, invalid ones are skipped
+    const jids = entries.map(({ to }) => {
+      try {
+        return { jid: formatJid(to) };
+      } catch (error) {
+        return { error };
+      }
+    });
+    
+    // Recipients that aren't on WhatsApp are skipped (checked in one query)
+    const unregistered = new Set();
+    const valid = jids.filter(entry => entry.jid).map(entry => entry.jid);
+    if (shouldCheckRecipients(job.payload) && valid.length > 0) {
+      const checks = await checkNumbers(valid, { sessionId });
+      checks.filter(check => check.exists === false).forEach(check => unregistered.add(check.jid));
+    }
     
     // Send to each recipient with delay
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
+    for (let i = 0; i < entries.length; i++) {
+      const recipient = entries[i].to;
+      const { jid, error: jidError } = jids[i];
+      
+      if (jidError) {
+        console.log(`⏭️ [${i + 1}/${recipients.length}] Skipping ${recipient}: ${jidError.reason}`);
+        errors.push({ recipient, error: jidError.message, code: jidError.code });
+        results.push({ recipient, success: false, error: jidError.message, code: jidError.code });
+        continue;
+      }
+      
+      if (unregistered.has(jid)) {
+        const error = `${recipient} is not registered on WhatsApp`;
+        console.log(`⏭️ [${i + 1}/${recipients.length}] Skipping ${recipient}: not on WhatsApp`);
+        errors.push({ recipient, jid, error, code: NOT_ON_WHATSAPP });
+        results.push({ recipient, jid, success: false, error, code: NOT_ON_WHATSAPP });
+        continue;
+      }
+      
+      // Personalized text, recipients without the required variables are skipped
+      let content = message;
+      if (template) {
+        try {
+          content = renderTemplate(template, { ...variables, ...entries[i].variables }).text;
+        } catch (error) {
+          console.log(`⏭️ [${i + 1}/${recipients.length}] Skipping ${recipient}: ${error.message}`);
+          errors.push({ recipient, jid, error: error.message, code: error.code });
+          results.push({ recipient, jid, success: false, error: error.message, code: error.code });
+          continue;
+        }
+      }
       
       try {
-        console.log(`📤 [${i + 1}/${recipients.length}] Sending to ${recipient}...`);
+        console.log(`📤 [${i + 1}/${recipients.length}] Sending to ${jid}...`);
         
-        const result = await botSendMessage(recipient, message, type);
+        const result = await botSendMessage(jid, content, template ? 'text' : type, sessionId);
         
         results.push({
           recipient,
+          jid,
           success: true,
           messageId: result?.key?.id,
         });
@@ -90,10 +206,12 @@ async function handleBroadcast(job) {
         console.error(`❌ Failed to send to ${recipient}:`, error.message);
         errors.push({
           recipient,
+          jid,
           error: error.message,
         });
         results.push({
           recipient,
+          jid,
           success: false,
           error: error.message,
         });
@@ -101,12 +219,14 @@ async function handleBroadcast(job) {
     }
     
     // Disconnect after all messages sent
-    await disconnectBot();
+    await disconnectBot(sessionId);
     
     console.log(`✅ Broadcast completed: ${results.filter(r => r.success).length}/${recipients.length} successful`);
     
     return {
       success: true,
+      sessionId,
+      template: templateName || null,
       total: recipients.length,
       successful: results.filter(r => r.success).length,
       failed: errors.length,
@@ -119,7 +239,7 @@ async function handleBroadcast(job) {
     
     // Ensure disconnect even on error
     try {
-      await disconnectBot();
+      await disconnectBot(sessionId);
     } catch (disconnectError) {
       console.error('Error during disconnect:', disconnectError.message);
     }
@@ -133,34 +253,44 @@ async function handleBroadcast(job) {
  * Sends a message at a specific time (already scheduled by queue)
  */
 async function handleScheduledMessage(job) {
-  const { to, message, type = 'text', scheduledFor } = job.payload;
+  const { to, message, type = 'text', scheduledFor, sessionId = DEFAULT_SESSION_ID } = job.payload;
+  
+  // Normalize the number first, an invalid one fails the job without retries
+  const jid = formatJid(to);
   
   try {
-    console.log(`⏰ Sending scheduled message to ${to} (scheduled for ${scheduledFor})...`);
+    console.log(`⏰ [${sessionId}] Sending scheduled message to ${jid} (scheduled for ${scheduledFor})...`);
     
     // Initialize bot
-    await startBot();
+    await startBot(sessionId);
+    
+    // Fail right away (without retries) when the number isn't on WhatsApp
+    if (shouldCheckRecipients(job.payload)) {
+      await ensureOnWhatsApp(jid, sessionId);
+    }
     
     // Send message
-    const result = await botSendMessage(to, message, type);
+    const result = await botSendMessage(jid, message, type, sessionId);
     
     // Disconnect immediately
-    await disconnectBot();
+    await disconnectBot(sessionId);
     
-    console.log(`✅ Scheduled message sent successfully to ${to}`);
+    console.log(`✅ Scheduled message sent successfully to ${jid}`);
     
     return {
       success: true,
       messageId: result?.key?.id,
+      jid,
+      sessionId,
       scheduledFor,
       sentAt: new Date().toISOString(),
     };
   } catch (error) {
-    console.error(`❌ Failed to send scheduled message to ${to}:`, error.message);
+    console.error(`❌ Failed to send scheduled message to ${jid}:`, error.message);
     
     // Ensure disconnect even on error
     try {
-      await disconnectBot();
+      await disconnectBot(sessionId);
     } catch (disconnectError) {
       console.error('Error during disconnect:', disconnectError.message);
     }
@@ -174,13 +304,13 @@ async function handleScheduledMessage(job) {
  * Executes custom logic defined in the job payload
  */
 async function handleCustom(job) {
-  const { handler, data } = job.payload;
+  const { handler, data, sessionId = DEFAULT_SESSION_ID } = job.payload;
   
   try {
     console.log(`🔧 Executing custom handler: ${handler}...`);
     
     // Initialize bot if needed
-    await startBot();
+    await startBot(sessionId);
     
     // Execute custom handler (should be a function name or identifier)
     // This is a placeholder - implement based on your custom needs
@@ -199,7 +329,7 @@ async function handleCustom(job) {
     }
     
     // Disconnect
-    await disconnectBot();
+    await disconnectBot(sessionId);
     
     console.log(`✅ Custom handler ${handler} executed successfully`);
     
@@ -214,7 +344,7 @@ async function handleCustom(job) {
     
     // Ensure disconnect even on error
     try {
-      await disconnectBot();
+      await disconnectBot(sessionId);
     } catch (disconnectError) {
       console.error('Error during disconnect:', disconnectError.message);
     }
@@ -223,6 +353,85 @@ async function handleCustom(job) {
   }
 }
 
+/**
+ * Handle WEBHOOK_DELIVERY job
+ * Posts one event to one webhook subscriber (no WhatsApp connection needed)
+ */
+async function handleWebhookDelivery(job) {
+  const { webhookId, payload } = job.payload;
+  const { deliverWebhook } = require('./webhooks');
+
+  return deliverWebhook(webhookId, payload);
+}
+
+/**
+ * Handle CAMPAIGN_BATCH job
+ * Sends the next batch of a campaign (see lib/campaigns.js), which enqueues the batch after it
+ */
+async function handleCampaignBatch(job) {
+  const { runCampaignBatch } = require('./campaigns');
+
+  return runCampaignBatch(job.payload.campaignId, job.id);
+}
+
+/**
+ * Record the outcome of a job enqueued by a recurring schedule in its run history
+ */
+async function recordScheduleRun(job) {
+  if (!job.metadata?.scheduleId) {
+    return;
+  }
+  try {
+    const { recordRunResult } = require('./schedules');
+    await recordRunResult(job);
+  } catch (error) {
+    console.error(`Failed to record run of schedule ${job.metadata.scheduleId}:`, error.message);
+  }
+}
+
+/**
+ * Check if a job talks to WhatsApp
+ * These run one at a time per session, with a cooldown (webhook deliveries don't touch WhatsApp)
+ */
+function isMessageJob(job) {
+  return job.type !== 'webhook_delivery';
+}
+
+/**
+ * Get the WhatsApp session a job uses
+ */
+function getJobSessionId(job) {
+  return job.payload?.sessionId || DEFAULT_SESSION_ID;
+}
+
+/**
+ * Lock the WhatsApp session of a message job, so only one instance talks to it at a time
+ * A job whose session stays locked goes back to its queue without counting an attempt.
+ * @param {Object} job - Claimed job
+ * @param {Object} options - waitForLock options
+ * @returns {Promise<string|null|undefined>} Owner token, undefined for jobs that don't need the lock,
+ * null when the session is busy
+ */
+async function lockJobSession(job, options) {
+  if (!isMessageJob(job)) {
+    return undefined;
+  }
+  const lockToken = await waitForLock(sessionLockKey(getJobSessionId(job)), options);
+  if (!lockToken) {
+    await releaseJob(job.id);
+  }
+  return lockToken;
+}
+
+/**
+ * Release the session lock taken by lockJobSession
+ */
+async function unlockJobSession(job, lockToken) {
+  if (lockToken) {
+    await releaseLock(sessionLockKey(getJobSessionId(job)), lockToken);
+  }
+}
+
 /**
  * Main job processor
  * Routes jobs to appropriate handlers
@@ -234,6 +443,9 @@ async function processJob(job) {
   
   let result;
   
+  // Renew the job's lease while it runs, so the reaper leaves it alone
+  const stopHeartbeat = startHeartbeat(job);
+  
   try {
     switch (type) {
       case 'send_message':
@@ -245,23 +457,36 @@ async function processJob(job) {
       case 'scheduled_message':
         result = await handleScheduledMessage(job);
         break;
+      case 'send_template':
+        result = await handleSendTemplate(job);
+        break;
       case 'custom':
         result = await handleCustom(job);
         break;
+      case 'webhook_delivery':
+        result = await handleWebhookDelivery(job);
+        break;
+      case 'campaign_batch':
+        result = await handleCampaignBatch(job);
+        break;
       default:
         throw new Error(`Unknown job type: ${type}`);
     }
+    stopHeartbeat();
     
     // Update job status to completed
     await updateJobStatus(id, 'completed', result);
+    await recordScheduleRun(job);
     
     console.log(`✅ Job ${id} completed successfully`);
     return result;
   } catch (error) {
+    stopHeartbeat();
     console.error(`❌ Job ${id} failed:`, error.message);
     
     // Update job status to failed
-    await updateJobStatus(id, 'failed', { error: error.message });
+    await updateJobStatus(id, 'failed', { error: error.message, code: error.code, retryable: error.retryable });
+    await recordScheduleRun(job);
     
     throw error;
   }
@@ -297,7 +522,14 @@ module.exports = {
   handleSendMessage,
   handleBroadcast,
   handleScheduledMessage,
+  handleSendTemplate,
   handleCustom,
+  handleWebhookDelivery,
+  handleCampaignBatch,
   processJob,
   processJobs,
+  isMessageJob,
+  getJobSessionId,
+  lockJobSession,
+  unlockJobSession,
 };
@@ -0,0 +1,113 @@
+// Distributed locks
+// SET NX locks with an owner token: an instance only ever extends or releases its own lock, even
+// when its lock expired and another instance took it over in the meantime.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { DEFAULT_SESSION_ID } = require('./session');
+
+// Only one instance talks to a WhatsApp session at a time
+const SESSION_LOCK_PREFIX = 'wa:message_lock:';
+
+// Server-side scripts, so checking the owner and changing the lock can't interleave with other instances
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Get the lock key of a WhatsApp session
+ */
+function sessionLockKey(sessionId = DEFAULT_SESSION_ID) {
+  return `${SESSION_LOCK_PREFIX}${sessionId}`;
+}
+
+/**
+ * Acquire a lock
+ * @param {string} key - Lock key
+ * @param {number} ttlSeconds - Time after which the lock expires when it isn't released
+ * @returns {Promise<string|null>} Owner token (needed to extend or release), null if the lock is taken
+ */
+async function acquireLock(key, ttlSeconds) {
+  const token = `${Date.now()}:${crypto.randomBytes(8).toString('hex')}`;
+  try {
+    const result = await redis.set(key, token, { nx: true, ex: ttlSeconds });
+    return result === 'OK' || result === true ? token : null;
+  } catch (error) {
+    console.error('Error acquiring lock:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Acquire a lock, retrying while another instance holds it
+ * @param {string} key - Lock key
+ * @param {Object} options - Options
+ * @param {number} options.ttlSeconds - Lock expiry (default: 30)
+ * @param {number} options.retries - Attempts before giving up (default: 5)
+ * @param {number} options.retryDelayMs - Wait between attempts (default: 1000)
+ * @returns {Promise<string|null>} Owner token, null if the lock stayed taken
+ */
+async function waitForLock(key, { ttlSeconds = 30, retries = 5, retryDelayMs = 1000 } = {}) {
+  for (let i = 0; i < retries; i++) {
+    const token = await acquireLock(key, ttlSeconds);
+    if (token) {
+      console.log('🔐 Lock acquired');
+      return token;
+    }
+
+    console.log(`⏳ Lock held by another instance (attempt ${i + 1}/${retries})`);
+    if (i < retries - 1) {
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+  }
+
+  console.warn('⚠️ Failed to acquire lock after max retries');
+  return null;
+}
+
+/**
+ * Extend a lock that is still held by this owner
+ * @param {string} key - Lock key
+ * @param {string} token - Owner token from acquireLock
+ * @param {number} ttlSeconds - New expiry
+ * @returns {Promise<boolean>} False if the lock expired or belongs to another owner
+ */
+async function extendLock(key, token, ttlSeconds) {
+  try {
+    return (await redis.eval(EXTEND_SCRIPT, [key], [token, ttlSeconds])) === 1;
+  } catch (error) {
+    console.error('Error extending lock:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Release a lock held by this owner
+ * @param {string} key - Lock key
+ * @param {string} token - Owner token from acquireLock
+ */
+async function releaseLock(key, token) {
+  try {
+    if (await redis.eval(RELEASE_SCRIPT, [key], [token]) === 1) {
+      console.log('🔓 Lock released');
+    }
+  } catch (error) {
+    console.error('Error releasing lock:', error.message);
+  }
+}
+
+module.exports = {
+  sessionLockKey,
+  acquireLock,
+  waitForLock,
+  extendLock,
+  releaseLock,
+};
@@ -0,0 +1,94 @@
+// Cache of WhatsApp media uploads
+// Baileys uploads media again for every message unless it gets a `mediaCache`. Its cache API is
+// synchronous, so entries are kept in memory and written through to Redis; preload() copies an
+// entry from Redis into memory before sending (serverless instances start with an empty cache).
+// Entries are per session, cache keys are Baileys' `${mediaType}:${url}`.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+
+// Cache configuration
+const MEDIA_CACHE_PREFIX = 'wa:media:upload:';
+const MEDIA_CACHE_TTL = parseInt(process.env.MEDIA_UPLOAD_CACHE_TTL || '86400', 10); // 24 hours
+const MAX_MEMORY_ENTRIES = 200;
+
+// Media message types Baileys can cache
+const CACHEABLE_TYPES = ['image', 'video', 'audio', 'document'];
+
+// In-memory caches, one per session
+const caches = new Map();
+
+/**
+ * Redis key of a cache entry
+ */
+function redisKey(sessionId, cacheKey) {
+  const hash = crypto.createHash('sha256').update(cacheKey).digest('hex');
+  return `${MEDIA_CACHE_PREFIX}${sessionId}:${hash}`;
+}
+
+/**
+ * Get the Baileys cache key of message content (null when it can't be cached)
+ * @param {Object} content - Baileys message content
+ * @returns {string|null} Cache key
+ */
+function getCacheKey(content) {
+  const type = CACHEABLE_TYPES.find(mediaType => content[mediaType]);
+  const url = type && content[type]?.url;
+  return url ? `${type}:${url}` : null;
+}
+
+/**
+ * Get the upload cache of a session
+ * Pass it to sock.sendMessage(jid, content, { mediaCache })
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Cache with Baileys' get/set plus preload(content)
+ */
+function getMediaCache(sessionId) {
+  if (caches.has(sessionId)) {
+    return caches.get(sessionId);
+  }
+
+  const entries = new Map();
+
+  const cache = {
+    get(key) {
+      return entries.get(key);
+    },
+
+    set(key, value) {
+      // Drop the oldest entry, Map keeps insertion order
+      if (entries.size >= MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, value);
+
+      redis.set(redisKey(sessionId, key), Buffer.from(value).toString('base64'), { ex: MEDIA_CACHE_TTL })
+        .catch(error => console.error(`❌ Failed to cache media upload ${key}:`, error.message));
+    },
+
+    async preload(content) {
+      const key = getCacheKey(content);
+      if (!key || entries.has(key)) {
+        return;
+      }
+
+      try {
+        const cached = await redis.get(redisKey(sessionId, key));
+        if (cached) {
+          entries.set(key, Buffer.from(String(cached), 'base64'));
+          console.log(`♻️ [${sessionId}] Reusing uploaded media ${key}`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to load media cache ${key}:`, error.message);
+      }
+    },
+  };
+
+  caches.set(sessionId, cache);
+  return cache;
+}
+
+module.exports = {
+  getMediaCache,
+  getCacheKey,
+};
@@ -0,0 +1,193 @@
+// Media library
+// Uploaded files are stored by content hash in a pluggable store (local disk by default),
+// their metadata lives in Redis so every instance can look them up by media ID
+//
+// A store implements:
+//   save(id, buffer, record)  - persist the file
+//   resolve(id, record)       - return Baileys media: { url } (http URL or local path) or a Buffer
+//   remove(id, record)        - delete the file
+// Returning { url } lets Baileys cache the WhatsApp upload (see lib/media-cache.js)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { redis } = require('./redis');
+
+// Metadata storage
+const MEDIA_KEY = 'wa:media'; // hash: mediaId -> media record
+
+// Local disk store location (Vercel only allows writing to /tmp)
+const DEFAULT_STORE_DIR = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'wa-media')
+  : path.join(process.cwd(), 'data', 'media');
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Create a store that keeps files on local disk
+ * @param {string} dir - Directory for the files
+ * @returns {Object} Media store
+ */
+function createLocalMediaStore(dir = process.env.MEDIA_STORE_DIR || DEFAULT_STORE_DIR) {
+  const filePath = id => path.join(dir, id);
+
+  return {
+    name: 'local',
+
+    async save(id, buffer) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(filePath(id), buffer);
+    },
+
+    async resolve(id) {
+      if (!fs.existsSync(filePath(id))) {
+        throw new Error(`Media file ${id} is missing from ${dir}`);
+      }
+      return { url: filePath(id) };
+    },
+
+    async remove(id) {
+      await fs.promises.rm(filePath(id), { force: true });
+    },
+  };
+}
+
+let store = createLocalMediaStore();
+
+/**
+ * Replace the media store (e.g. with an S3 or R2 backed store)
+ * @param {Object} mediaStore - Store implementing save, resolve and remove
+ */
+function setMediaStore(mediaStore) {
+  store = mediaStore;
+}
+
+/**
+ * Get the current media store
+ */
+function getMediaStore() {
+  return store;
+}
+
+/**
+ * Build the media ID of some content
+ * The same file always gets the same ID, so uploading it again is free
+ * @param {Buffer} buffer - File contents
+ * @returns {{id: string, sha256: string}} Media ID and content hash
+ */
+function hashMedia(buffer) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  return { id: `med_${sha256.slice(0, 40)}`, sha256 };
+}
+
+/**
+ * Get a media record
+ * @param {string} mediaId - Media ID
+ * @returns {Promise<Object|null>} Media record
+ */
+async function getMedia(mediaId) {
+  return parseRecord(await redis.hget(MEDIA_KEY, mediaId));
+}
+
+/**
+ * Store an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - File details
+ * @param {string} options.filename - Original file name
+ * @param {string} options.mimetype - File mimetype
+ * @param {string} options.uploadedBy - API key ID of the uploader
+ * @returns {Promise<{media: Object, created: boolean}>} Media record, created=false when it already existed
+ */
+async function saveMedia(buffer, { filename, mimetype, uploadedBy = null } = {}) {
+  const { id, sha256 } = hashMedia(buffer);
+
+  const existing = await getMedia(id);
+  if (existing) {
+    return { media: existing, created: false };
+  }
+
+  const media = {
+    id,
+    sha256,
+    filename: filename || id,
+    mimetype: mimetype || 'application/octet-stream',
+    size: buffer.length,
+    store: store.name || 'custom',
+    uploadedBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  await store.save(id, buffer, media);
+  await redis.hset(MEDIA_KEY, { [id]: JSON.stringify(media) });
+
+  console.log(`🖼️ Media stored: ${id} (${media.filename}, ${media.size} bytes)`);
+  return { media, created: true };
+}
+
+/**
+ * List stored media (newest first)
+ * @returns {Promise<Array>} Media records
+ */
+async function listMedia() {
+  const all = await redis.hgetall(MEDIA_KEY);
+  if (!all) {
+    return [];
+  }
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Delete a stored file and its record
+ * @param {string} mediaId - Media ID
+ * @returns {Promise<boolean>} True if the media existed
+ */
+async function deleteMedia(mediaId) {
+  const media = await getMedia(mediaId);
+  if (!media) {
+    return false;
+  }
+
+  await store.remove(mediaId, media);
+  await redis.hdel(MEDIA_KEY, mediaId);
+
+  console.log(`🗑️ Media deleted: ${mediaId}`);
+  return true;
+}
+
+/**
+ * Get Baileys media for a media ID
+ * @param {string} mediaId - Media ID
+ * @returns {Promise<{media: Object|Buffer, record: Object}>} Baileys media and the media record
+ */
+async function resolveStoredMedia(mediaId) {
+  const record = await getMedia(mediaId);
+  if (!record) {
+    throw new Error(`Unknown media ID: ${mediaId}`);
+  }
+  return { media: await store.resolve(mediaId, record), record };
+}
+
+module.exports = {
+  createLocalMediaStore,
+  setMediaStore,
+  getMediaStore,
+  hashMedia,
+  saveMedia,
+  getMedia,
+  listMedia,
+  deleteMedia,
+  resolveStoredMedia,
+};
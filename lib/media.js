@@ -0,0 +1,181 @@
+// Media message helpers
+// Media can be given as a URL, base64 data (or a data: URI), a path inside MEDIA_DIR
+// or the ID of a file uploaded to the media library (POST /api/media)
+
+const fs = require('fs');
+const path = require('path');
+const { resolveStoredMedia } = require('./media-store');
+
+// Message types that carry media
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Local files can only be read from this directory (disabled when unset)
+const MEDIA_DIR = process.env.MEDIA_DIR ? path.resolve(process.env.MEDIA_DIR) : null;
+
+// Ways to provide the media of a message (exactly one per message)
+const MEDIA_SOURCES = ['url', 'base64', 'path', 'mediaId'];
+
+// Mimetypes by file extension, used when a document has no mimetype
+const MIMETYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  json: 'application/json',
+  zip: 'application/zip',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp4: 'video/mp4',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg; codecs=opus',
+  opus: 'audio/ogg; codecs=opus',
+};
+
+const DATA_URI_PATTERN = /^data:([^;,]+)(;[^,]*)?;base64,(.*)$/s;
+
+/**
+ * Normalize a message to an object
+ * A string is the text for text messages and the media URL for media messages (legacy format)
+ * @param {string|Object} message - Message string or object
+ * @param {string} type - Message type
+ * @returns {Object} Message object
+ */
+function normalizeMessage(message, type = 'text') {
+  if (typeof message === 'string') {
+    return MEDIA_TYPES.includes(type) ? { url: message } : { text: message };
+  }
+  return message || {};
+}
+
+/**
+ * Guess a mimetype from a file name or URL
+ * @param {string} name - File name, path or URL
+ * @returns {string|null} Mimetype
+ */
+function guessMimetype(name) {
+  if (!name) {
+    return null;
+  }
+  const extension = path.extname(name.split(/[?#]/)[0]).slice(1).toLowerCase();
+  return MIMETYPES[extension] || null;
+}
+
+/**
+ * Get the file name part of a URL or path
+ */
+function baseName(source) {
+  if (!source) {
+    return null;
+  }
+  try {
+    return path.basename(new URL(source).pathname) || null;
+  } catch {
+    return path.basename(source) || null;
+  }
+}
+
+/**
+ * Resolve a path inside MEDIA_DIR
+ * @param {string} filePath - Path relative to MEDIA_DIR (or absolute inside it)
+ * @returns {string} Absolute path
+ */
+function resolveMediaPath(filePath) {
+  if (!MEDIA_DIR) {
+    throw new Error('Local media paths are disabled (set MEDIA_DIR)');
+  }
+
+  const resolved = path.resolve(MEDIA_DIR, filePath);
+  if (resolved !== MEDIA_DIR && !resolved.startsWith(MEDIA_DIR + path.sep)) {
+    throw new Error('Media path must be inside MEDIA_DIR');
+  }
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+    throw new Error(`Media file not found: ${filePath}`);
+  }
+
+  // Symlinks may point outside MEDIA_DIR
+  const real = fs.realpathSync(resolved);
+  if (!real.startsWith(fs.realpathSync(MEDIA_DIR) + path.sep)) {
+    throw new Error('Media path must be inside MEDIA_DIR');
+  }
+  return real;
+}
+
+/**
+ * Turn the media source of a message into Baileys media
+ * @param {Object} message - Message object (url, base64, path or mediaId)
+ * @returns {Promise<{media: Object|Buffer, mimetype: string|null, source: string|null, filename?: string}>} Baileys media and what we know about it
+ */
+async function resolveMedia(message) {
+  if (message.url) {
+    // Baileys reads non-http URLs from disk, local files must go through `path`
+    if (!/^https?:\/\//i.test(message.url)) {
+      throw new Error('Media URL must start with http:// or https://');
+    }
+    return { media: { url: message.url }, mimetype: guessMimetype(message.url), source: message.url };
+  }
+
+  if (message.base64) {
+    const dataUri = message.base64.match(DATA_URI_PATTERN);
+    const data = dataUri ? dataUri[3] : message.base64;
+    return { media: Buffer.from(data, 'base64'), mimetype: dataUri ? dataUri[1] : null, source: null };
+  }
+
+  if (message.path) {
+    const filePath = resolveMediaPath(message.path);
+    return { media: { url: filePath }, mimetype: guessMimetype(filePath), source: filePath };
+  }
+
+  if (message.mediaId) {
+    const { media, record } = await resolveStoredMedia(message.mediaId);
+    return { media, mimetype: record.mimetype, source: null, filename: record.filename };
+  }
+
+  throw new Error('Media message needs a url, base64, path or mediaId');
+}
+
+/**
+ * Check a message against its type
+ * @param {string|Object} message - Message string or object
+ * @param {string} type - Message type
+ * @param {string} field - Field name used in errors
+ * @returns {Array<{field: string, message: string}>} Validation errors (empty when valid)
+ */
+async function validateMessage(message, type = 'text', field = 'message') {
+  const content = normalizeMessage(message, type);
+
+  if (!MEDIA_TYPES.includes(type)) {
+    return content.text ? [] : [{ field: `${field}.text`, message: 'is required for text messages' }];
+  }
+
+  const sources = MEDIA_SOURCES.filter(key => content[key]);
+  if (sources.length !== 1) {
+    return [{ field, message: `must have exactly one of ${MEDIA_SOURCES.join(', ')} for ${type} messages` }];
+  }
+  try {
+    await resolveMedia(content);
+  } catch (error) {
+    return [{ field: `${field}.${sources[0]}`, message: error.message }];
+  }
+  if (content.ptt && type !== 'audio') {
+    return [{ field: `${field}.ptt`, message: 'is only supported for audio messages' }];
+  }
+  return [];
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  normalizeMessage,
+  guessMimetype,
+  baseName,
+  resolveMedia,
+  validateMessage,
+};
@@ -0,0 +1,254 @@
+// Outbound message status tracking
+// Every message sent through the API is stored with its status transitions
+// (pending -> sent -> delivered -> read/played, or failed), updated from Baileys receipts
+
+const { redis } = require('./redis');
+
+// Storage configuration
+const MESSAGE_PREFIX = 'wa:msg:';
+const MESSAGE_TTL = parseInt(process.env.MESSAGE_STATUS_TTL || String(86400 * 30), 10); // 30 days
+
+// Message status constants
+const MessageStatus = {
+  PENDING: 'pending',
+  SENT: 'sent', // server ack
+  DELIVERED: 'delivered',
+  READ: 'read',
+  PLAYED: 'played', // voice notes / videos
+  FAILED: 'failed',
+};
+
+// Baileys message status (proto.WebMessageInfo.Status) -> MessageStatus
+const BAILEYS_STATUS = [
+  MessageStatus.FAILED, // ERROR
+  MessageStatus.PENDING, // PENDING
+  MessageStatus.SENT, // SERVER_ACK
+  MessageStatus.DELIVERED, // DELIVERY_ACK
+  MessageStatus.READ, // READ
+  MessageStatus.PLAYED, // PLAYED
+];
+
+// Receipts can arrive out of order, a status never moves back to a lower rank
+const STATUS_RANK = {
+  [MessageStatus.PENDING]: 0,
+  [MessageStatus.SENT]: 1,
+  [MessageStatus.DELIVERED]: 2,
+  [MessageStatus.READ]: 3,
+  [MessageStatus.PLAYED]: 4,
+  [MessageStatus.FAILED]: 5,
+};
+
+// Pending updates per message, receipts for one message are applied one at a time
+const updateChains = new Map();
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Convert a Baileys status number to a MessageStatus
+ * @param {number} status - proto.WebMessageInfo.Status value
+ * @returns {string|null} Message status
+ */
+function fromBaileysStatus(status) {
+  return BAILEYS_STATUS[status] || null;
+}
+
+/**
+ * Run read-modify-write updates of one message in order
+ * (Baileys can emit several receipts for the same message at once)
+ */
+function serialize(messageId, fn) {
+  const previous = updateChains.get(messageId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  updateChains.set(messageId, next);
+  next.finally(() => {
+    if (updateChains.get(messageId) === next) {
+      updateChains.delete(messageId);
+    }
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * Create an empty message record
+ */
+function newRecord(messageId, sessionId, to) {
+  const now = new Date().toISOString();
+  return {
+    id: messageId,
+    sessionId,
+    to,
+    type: null,
+    status: MessageStatus.PENDING,
+    sentAt: now,
+    updatedAt: now,
+    history: [{ status: MessageStatus.PENDING, at: now }],
+    recipients: {},
+  };
+}
+
+/**
+ * Store a message record (the TTL restarts on every update)
+ */
+async function saveRecord(record) {
+  await redis.set(`${MESSAGE_PREFIX}${record.id}`, JSON.stringify(record), { ex: MESSAGE_TTL });
+}
+
+/**
+ * Get the tracked status of a message
+ * @param {string} messageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Message record
+ */
+async function getMessageStatus(messageId) {
+  return parseRecord(await redis.get(`${MESSAGE_PREFIX}${messageId}`));
+}
+
+/**
+ * Get the tracked status of several messages
+ * @param {Array<string>} messageIds - WhatsApp message IDs
+ * @returns {Promise<Object>} Map of messageId -> record (missing messages are left out)
+ */
+async function getMessageStatuses(messageIds) {
+  const ids = messageIds.filter(Boolean);
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const records = await redis.mget(...ids.map(id => `${MESSAGE_PREFIX}${id}`));
+  const result = {};
+  records.forEach((data, index) => {
+    const record = parseRecord(data);
+    if (record) {
+      result[ids[index]] = record;
+    }
+  });
+  return result;
+}
+
+/**
+ * Record a message that was just sent
+ * Tracking errors are only logged, the message has already gone out
+ * @param {Object} message - Sent message
+ * @param {string} message.messageId - WhatsApp message ID
+ * @param {string} message.sessionId - Session that sent it
+ * @param {string} message.to - Recipient JID
+ * @param {string} message.type - Message type
+ */
+async function recordOutgoingMessage({ messageId, sessionId, to, type }) {
+  if (!messageId) {
+    return;
+  }
+
+  try {
+    await serialize(messageId, async () => {
+      // A receipt may already have been stored before sendMessage resolved
+      const record = (await getMessageStatus(messageId)) || newRecord(messageId, sessionId, to);
+      record.to = to;
+      record.type = type;
+      await saveRecord(record);
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record message ${messageId}:`, error.message);
+  }
+}
+
+/**
+ * Apply a status update to a message
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} status - New status (MessageStatus)
+ * @param {Object} options - Update options
+ * @param {string} options.sessionId - Session that sent the message
+ * @param {string} options.remoteJid - Chat of the message
+ * @param {string} options.participant - Group member the receipt is from
+ * @returns {Promise<Object|null>} Updated record
+ */
+async function updateMessageStatus(messageId, status, { sessionId, remoteJid, participant } = {}) {
+  if (!messageId || !(status in STATUS_RANK)) {
+    return null;
+  }
+
+  return serialize(messageId, () => applyStatus(messageId, status, { sessionId, remoteJid, participant }));
+}
+
+/**
+ * Apply a status update (see updateMessageStatus)
+ */
+async function applyStatus(messageId, status, { sessionId, remoteJid, participant }) {
+  const record = (await getMessageStatus(messageId)) || newRecord(messageId, sessionId, remoteJid);
+  const now = new Date().toISOString();
+
+  if (participant) {
+    // Group receipt: track per member, the overall status comes from messages.update
+    const current = record.recipients[participant];
+    if (current && STATUS_RANK[current.status] >= STATUS_RANK[status]) {
+      return record;
+    }
+    record.recipients[participant] = { status, at: now };
+  } else {
+    if (STATUS_RANK[record.status] >= STATUS_RANK[status]) {
+      return record;
+    }
+    record.status = status;
+    record.history.push({ status, at: now });
+  }
+
+  record.updatedAt = now;
+  await saveRecord(record);
+  return record;
+}
+
+/**
+ * Add the current delivery status to the result of a finished message job
+ * (send_message, scheduled_message and send_template get `delivery`, broadcast gets a status per recipient)
+ * @param {Object} job - Job object
+ * @returns {Promise<Object>} The same job, with its result enriched
+ */
+async function attachDeliveryStatus(job) {
+  const result = job?.result;
+  if (!result) {
+    return job;
+  }
+
+  if (result.messageId) {
+    const record = await getMessageStatus(result.messageId);
+    result.delivery = record
+      ? { status: record.status, updatedAt: record.updatedAt, history: record.history, recipients: record.recipients }
+      : null;
+  }
+
+  if (Array.isArray(result.results)) {
+    const records = await getMessageStatuses(result.results.map(r => r.messageId));
+    const summary = {};
+
+    for (const item of result.results) {
+      const record = records[item.messageId];
+      item.status = record ? record.status : (item.success ? null : MessageStatus.FAILED);
+      item.statusUpdatedAt = record ? record.updatedAt : null;
+      if (item.status) {
+        summary[item.status] = (summary[item.status] || 0) + 1;
+      }
+    }
+
+    result.deliverySummary = summary;
+  }
+
+  return job;
+}
+
+module.exports = {
+  MessageStatus,
+  fromBaileysStatus,
+  getMessageStatus,
+  getMessageStatuses,
+  recordOutgoingMessage,
+  updateMessageStatus,
+  attachDeliveryStatus,
+};
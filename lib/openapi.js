@@ -0,0 +1,304 @@
+// OpenAPI document
+// Generated from the route list below and the schemas in lib/schemas.js,
+// served at /api/openapi.json so clients can be generated from it
+
+const schemas = require('./schemas');
+const { JobType } = require('./queue');
+
+const errorResponse = {
+  description: 'Error',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          details: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const validationErrorResponse = {
+  description: 'Validation failed',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', enum: ['Validation failed'] },
+          details: { type: 'string' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Job body with the payload schema picked by job type
+const enqueueJobRequest = {
+  oneOf: Object.entries(schemas.jobPayloadSchemas).map(([type, payload]) => ({
+    type: 'object',
+    required: ['type', 'payload'],
+    properties: {
+      type: { type: 'string', enum: [type] },
+      payload,
+      options: schemas.jobOptions,
+    },
+  })),
+  discriminator: { propertyName: 'type' },
+};
+
+const sessionIdParam = { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } };
+const optionalSessionIdParam = { ...sessionIdParam, description: 'Defaults to "main" when omitted' };
+const webhookIdParam = { name: 'webhookId', in: 'path', required: true, schema: { type: 'string' } };
+const mediaIdParam = { name: 'mediaId', in: 'path', required: true, schema: { type: 'string' } };
+const ruleIdParam = { name: 'ruleId', in: 'path', required: true, schema: { type: 'string' } };
+const flowIdParam = { name: 'flowId', in: 'path', required: true, schema: { type: 'string' } };
+const templateNameParam = { name: 'name', in: 'path', required: true, schema: { type: 'string' } };
+const campaignIdParam = { name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } };
+const scheduleIdParam = { name: 'scheduleId', in: 'path', required: true, schema: { type: 'string' } };
+const groupIdParam = { name: 'groupId', in: 'path', required: true, schema: { type: 'string' }, description: 'Group ID, with or without @g.us' };
+const idempotencyKeyParam = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Retries with the same key get the first successful response back instead of sending again',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+};
+const cronSecretParam = { name: 'X-Cron-Secret', in: 'header', required: false, schema: { type: 'string' }, description: 'CRON_SECRET, instead of an API key' };
+const jobIdParam = { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } };
+
+// Multipart upload form of POST /api/media
+const uploadMediaForm = {
+  type: 'object',
+  required: ['file'],
+  properties: {
+    file: { type: 'string', format: 'binary' },
+    filename: { type: 'string', description: 'File name, defaults to the uploaded file name' },
+  },
+};
+
+// Route list: [method, path, options]
+const routes = [
+  ['get', '/health', { tag: 'System', summary: 'Health check', public: true }],
+  ['get', '/status/{sessionId}', { tag: 'System', summary: 'Bot status of a session', parameters: [optionalSessionIdParam] }],
+  ['get', '/qr/{sessionId}', { tag: 'System', summary: 'QR code page for linking a session', admin: true, parameters: [optionalSessionIdParam], html: true }],
+  ['get', '/api', { tag: 'System', summary: 'API info', public: true }],
+  ['get', '/api/openapi.json', { tag: 'System', summary: 'This OpenAPI document', public: true }],
+
+  ['post', '/api/send', { tag: 'Messages', summary: 'Send a message', body: schemas.sendMessageBody, rateLimited: true, idempotent: true }],
+  ['post', '/api/notify', { tag: 'Messages', summary: 'Send a text notification (legacy format)', body: schemas.notifyBody, rateLimited: true, idempotent: true }],
+  ['get', '/api/messages/{messageId}', { tag: 'Messages', summary: 'Delivery status of a sent message', description: 'Receipts only arrive while the session is connected: with the serverless bot statuses usually stay at "sent", delivered and read need the always-on mode', parameters: [{ name: 'messageId', in: 'path', required: true, schema: { type: 'string' } }] }],
+  ['post', '/api/webhook', { tag: 'Messages', summary: 'Receive forwarded incoming messages', body: schemas.incomingMessagesBody }],
+
+  ['post', '/api/media', { tag: 'Media', summary: 'Upload a file to the media library', multipart: uploadMediaForm, status: 201, rateLimited: true }],
+  ['get', '/api/media', { tag: 'Media', summary: 'List stored media' }],
+  ['get', '/api/media/{mediaId}', { tag: 'Media', summary: 'Get media details', parameters: [mediaIdParam] }],
+  ['delete', '/api/media/{mediaId}', { tag: 'Media', summary: 'Delete stored media', admin: true, parameters: [mediaIdParam] }],
+
+  ['get', '/api/sessions', { tag: 'Sessions', summary: 'List sessions' }],
+  ['post', '/api/sessions', { tag: 'Sessions', summary: 'Create a session and start linking it', admin: true, body: schemas.createSessionBody, status: 201 }],
+  ['delete', '/api/sessions/{sessionId}', { tag: 'Sessions', summary: 'Log out and remove a session', admin: true, parameters: [sessionIdParam] }],
+  ['delete', '/api/sessions', { tag: 'Sessions', summary: 'Clear all stored session data', admin: true }],
+  ['post', '/api/clear-session', { tag: 'Sessions', summary: 'Reset a session for re-linking', admin: true, body: schemas.clearSessionBody }],
+
+  ['post', '/api/keys', { tag: 'API keys', summary: 'Create an API key', admin: true, body: schemas.createApiKeyBody, status: 201 }],
+  ['get', '/api/keys', { tag: 'API keys', summary: 'List API keys', admin: true }],
+  ['delete', '/api/keys/{keyId}', { tag: 'API keys', summary: 'Revoke an API key', admin: true, parameters: [{ name: 'keyId', in: 'path', required: true, schema: { type: 'string' } }] }],
+
+  ['post', '/api/webhooks', { tag: 'Webhooks', summary: 'Register a webhook subscriber', admin: true, body: schemas.createWebhookBody, status: 201 }],
+  ['get', '/api/webhooks', { tag: 'Webhooks', summary: 'List webhook subscribers', admin: true }],
+  ['delete', '/api/webhooks/{webhookId}', { tag: 'Webhooks', summary: 'Delete a webhook subscriber', admin: true, parameters: [webhookIdParam] }],
+  ['post', '/api/webhooks/{webhookId}/test', { tag: 'Webhooks', summary: 'Send a test event', admin: true, parameters: [webhookIdParam] }],
+
+  ['post', '/api/contacts/check', { tag: 'Contacts', summary: 'Check whether numbers are registered on WhatsApp', body: schemas.checkContactsBody, rateLimited: true }],
+
+  ['get', '/api/groups', { tag: 'Groups', summary: 'List groups the session is a member of', query: schemas.sessionQuery }],
+  ['post', '/api/groups', { tag: 'Groups', summary: 'Create a group', admin: true, body: schemas.createGroupBody, status: 201 }],
+  ['get', '/api/groups/{groupId}', { tag: 'Groups', summary: 'Group metadata and participants', parameters: [groupIdParam], query: schemas.sessionQuery }],
+  ['put', '/api/groups/{groupId}', { tag: 'Groups', summary: 'Update the subject and/or description', admin: true, parameters: [groupIdParam], body: schemas.updateGroupBody }],
+  ['post', '/api/groups/{groupId}/participants', { tag: 'Groups', summary: 'Add, remove, promote or demote members', admin: true, parameters: [groupIdParam], body: schemas.updateParticipantsBody }],
+  ['get', '/api/groups/{groupId}/invite', { tag: 'Groups', summary: 'Get the invite link', admin: true, parameters: [groupIdParam], query: schemas.sessionQuery }],
+  ['post', '/api/groups/{groupId}/invite/revoke', { tag: 'Groups', summary: 'Revoke the invite link and get a new one', admin: true, parameters: [groupIdParam], body: schemas.clearSessionBody }],
+
+  ['get', '/api/autoreplies', { tag: 'Auto-replies', summary: 'List auto-reply rules' }],
+  ['post', '/api/autoreplies', { tag: 'Auto-replies', summary: 'Create an auto-reply rule', admin: true, body: schemas.createAutoReplyBody, status: 201 }],
+  ['post', '/api/autoreplies/test', { tag: 'Auto-replies', summary: 'Show which rule would answer a message', body: schemas.testAutoReplyBody }],
+  ['get', '/api/autoreplies/{ruleId}', { tag: 'Auto-replies', summary: 'Get an auto-reply rule', parameters: [ruleIdParam] }],
+  ['put', '/api/autoreplies/{ruleId}', { tag: 'Auto-replies', summary: 'Update fields of an auto-reply rule', admin: true, parameters: [ruleIdParam], body: schemas.updateAutoReplyBody }],
+  ['delete', '/api/autoreplies/{ruleId}', { tag: 'Auto-replies', summary: 'Delete an auto-reply rule', admin: true, parameters: [ruleIdParam] }],
+
+  ['get', '/api/flows', { tag: 'Flows', summary: 'List conversation flows' }],
+  ['post', '/api/flows', { tag: 'Flows', summary: 'Create a conversation flow', admin: true, body: schemas.createFlowBody, status: 201 }],
+  ['get', '/api/flows/{flowId}', { tag: 'Flows', summary: 'Get a conversation flow', parameters: [flowIdParam] }],
+  ['put', '/api/flows/{flowId}', { tag: 'Flows', summary: 'Replace a conversation flow', admin: true, parameters: [flowIdParam], body: schemas.replaceFlowBody }],
+  ['delete', '/api/flows/{flowId}', { tag: 'Flows', summary: 'Delete a conversation flow', admin: true, parameters: [flowIdParam] }],
+
+  ['get', '/api/templates', { tag: 'Templates', summary: 'List message templates' }],
+  ['post', '/api/templates', { tag: 'Templates', summary: 'Create a message template', admin: true, body: schemas.createTemplateBody, status: 201 }],
+  ['get', '/api/templates/{name}', { tag: 'Templates', summary: 'Get a message template', parameters: [templateNameParam] }],
+  ['post', '/api/templates/{name}/preview', { tag: 'Templates', summary: 'Render a template with variables (nothing is sent)', parameters: [templateNameParam], body: schemas.previewTemplateBody }],
+  ['put', '/api/templates/{name}', { tag: 'Templates', summary: 'Update fields of a message template', admin: true, parameters: [templateNameParam], body: schemas.updateTemplateBody }],
+  ['delete', '/api/templates/{name}', { tag: 'Templates', summary: 'Delete a message template', admin: true, parameters: [templateNameParam] }],
+
+  ['get', '/api/campaigns', { tag: 'Campaigns', summary: 'List campaigns (newest first)', query: schemas.listCampaignsQuery }],
+  ['post', '/api/campaigns', { tag: 'Campaigns', summary: 'Create a campaign and start sending', body: schemas.createCampaignBody, status: 201, rateLimited: true }],
+  ['get', '/api/campaigns/{campaignId}', { tag: 'Campaigns', summary: 'Get a campaign with its progress', parameters: [campaignIdParam] }],
+  ['get', '/api/campaigns/{campaignId}/recipients', { tag: 'Campaigns', summary: 'List recipients with their status', parameters: [campaignIdParam], query: schemas.listCampaignRecipientsQuery }],
+  ['post', '/api/campaigns/{campaignId}/pause', { tag: 'Campaigns', summary: 'Pause a running campaign', parameters: [campaignIdParam] }],
+  ['post', '/api/campaigns/{campaignId}/resume', { tag: 'Campaigns', summary: 'Resume a paused campaign', parameters: [campaignIdParam] }],
+  ['post', '/api/campaigns/{campaignId}/cancel', { tag: 'Campaigns', summary: 'Cancel a campaign', parameters: [campaignIdParam] }],
+  ['post', '/api/campaigns/{campaignId}/resend-failed', { tag: 'Campaigns', summary: 'Send again to failed recipients only', parameters: [campaignIdParam] }],
+  ['delete', '/api/campaigns/{campaignId}', { tag: 'Campaigns', summary: 'Delete a campaign that isn\'t running', parameters: [campaignIdParam] }],
+  ['get', '/api/schedules', { tag: 'Schedules', summary: 'List recurring schedules (newest first)', query: schemas.listSchedulesQuery }],
+  ['post', '/api/schedules', { tag: 'Schedules', summary: 'Create a recurring schedule', body: schemas.createScheduleBody, status: 201, rateLimited: true }],
+  ['get', '/api/schedules/{scheduleId}', { tag: 'Schedules', summary: 'Get a schedule with its next run', parameters: [scheduleIdParam] }],
+  ['get', '/api/schedules/{scheduleId}/runs', { tag: 'Schedules', summary: 'List past runs of a schedule', parameters: [scheduleIdParam], query: schemas.listScheduleRunsQuery }],
+  ['post', '/api/schedules/{scheduleId}/pause', { tag: 'Schedules', summary: 'Pause a schedule', parameters: [scheduleIdParam] }],
+  ['post', '/api/schedules/{scheduleId}/resume', { tag: 'Schedules', summary: 'Resume a paused schedule', parameters: [scheduleIdParam] }],
+  ['delete', '/api/schedules/{scheduleId}', { tag: 'Schedules', summary: 'Delete a schedule', parameters: [scheduleIdParam] }],
+
+  ['post', '/api/jobs', { tag: 'Jobs', summary: 'Enqueue a job', body: enqueueJobRequest, rateLimited: true, idempotent: true }],
+  ['get', '/api/jobs/stats', { tag: 'Jobs', summary: 'Queue statistics', parameters: [{ name: 'type', in: 'query', schema: { type: 'string', enum: Object.values(JobType) } }] }],
+  ['get', '/api/jobs/list/{status}', { tag: 'Jobs', summary: 'List jobs by status (newest first, paged with a cursor)', params: schemas.listJobsParams, query: schemas.listJobsQuery }],
+  ['get', '/api/jobs/dead', { tag: 'Jobs', summary: 'List dead-lettered jobs (attempts used up)', query: schemas.listDeadJobsQuery }],
+  ['get', '/api/jobs/dead/{jobId}', { tag: 'Jobs', summary: 'Get a dead-lettered job with its attempt history', parameters: [jobIdParam] }],
+  ['post', '/api/jobs/dead/replay', { tag: 'Jobs', summary: 'Queue dead-lettered jobs again', body: schemas.deadJobsBody }],
+  ['post', '/api/jobs/dead/purge', { tag: 'Jobs', summary: 'Remove dead-lettered jobs', admin: true, body: schemas.deadJobsBody }],
+  ['delete', '/api/jobs/dead/{jobId}', { tag: 'Jobs', summary: 'Remove a dead-lettered job', admin: true, parameters: [jobIdParam] }],
+  ['get', '/api/jobs/{jobId}', { tag: 'Jobs', summary: 'Get a job (message jobs include the current delivery status)', parameters: [jobIdParam] }],
+  ['post', '/api/jobs/{jobId}/cancel', { tag: 'Jobs', summary: 'Cancel a pending job', parameters: [jobIdParam] }],
+  ['post', '/api/jobs/{jobId}/retry', { tag: 'Jobs', summary: 'Retry a failed job', parameters: [jobIdParam] }],
+  ['post', '/api/worker', { tag: 'Jobs', summary: 'Process queued jobs', body: schemas.workerBody }],
+  ['post', '/api/cron', { tag: 'Jobs', summary: 'Run the cron pass', admin: true, description: 'Requires an admin API key, or CRON_SECRET in the X-Cron-Secret header', parameters: [cronSecretParam] }],
+];
+
+/**
+ * Turn an object schema into OpenAPI parameters
+ */
+function toParameters(schema, location) {
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: property,
+    // Objects in the query string are written as name[key]=value
+    ...(property.type === 'object' ? { style: 'deepObject', explode: true } : {}),
+  }));
+}
+
+/**
+ * Build a single OpenAPI operation
+ */
+function buildOperation(method, path, options) {
+  const operation = {
+    tags: [options.tag],
+    summary: options.summary,
+    parameters: [
+      ...(options.parameters || []),
+      ...(options.params ? toParameters(options.params, 'path') : []),
+      ...(options.query ? toParameters(options.query, 'query') : []),
+      ...(options.idempotent ? [idempotencyKeyParam] : []),
+    ],
+    responses: {
+      [options.status || 200]: options.html
+        ? { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+        : { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+      500: errorResponse,
+    },
+  };
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  if (options.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: options.body } },
+    };
+  }
+
+  if (options.multipart) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: options.multipart } },
+    };
+  }
+
+  if (options.body || options.multipart || options.query || options.params) {
+    operation.responses[400] = validationErrorResponse;
+  }
+
+  if (options.public) {
+    operation.security = [];
+  } else {
+    operation.responses[401] = errorResponse;
+  }
+
+  if (options.description) {
+    operation.description = options.description;
+  }
+
+  if (options.admin) {
+    operation.description = operation.description || 'Requires an admin API key';
+    operation.responses[403] = errorResponse;
+  }
+
+  if (options.rateLimited) {
+    operation.responses[429] = errorResponse;
+  }
+
+  if (options.idempotent) {
+    operation.responses[409] = errorResponse;
+    operation.responses[422] = errorResponse;
+  }
+
+  return operation;
+}
+
+/**
+ * Generate the OpenAPI document
+ * @param {Object} options - Document options
+ * @param {string} options.serverUrl - Base URL of this deployment (optional)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function generateOpenApiSpec({ serverUrl } = {}) {
+  const paths = {};
+
+  for (const [method, path, options] of routes) {
+    paths[path] = paths[path] || {};
+    paths[path][method] = buildOperation(method, path, options);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'WhatsApp Bot API',
+      version: '1.0.0',
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (wak_...)' },
+      },
+    },
+    security: [{ bearerAuth: [] }],
+    paths,
+  };
+}
+
+module.exports = {
+  generateOpenApiSpec,
+};
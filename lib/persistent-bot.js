@@ -0,0 +1,337 @@
+// Always-on WhatsApp bot for Koyeb, Docker and VPS deployments
+// Keeps one socket per session connected and reconnects automatically
+
+const { DEFAULT_SESSION_ID, listRegisteredSessions } = require('./session');
+const { useRedisAuthState, clearAuthState } = require('./baileys-redis-auth');
+const { formatJid, buildMessageContent } = require('./jid');
+const { registerBotEvents } = require('./bot-events');
+const { recordOutgoingMessage } = require('./message-status');
+const { getMediaCache } = require('./media-cache');
+
+// State per sesi (satu akun WhatsApp per sessionId)
+const bots = new Map();
+
+/**
+ * Get (or create) the state for a session
+ */
+function getBot(sessionId = DEFAULT_SESSION_ID) {
+  if (!bots.has(sessionId)) {
+    bots.set(sessionId, {
+      sock: null,
+      currentQR: null,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      starting: null,
+      forceNewSession: false, // Flag untuk force new session
+    });
+  }
+  return bots.get(sessionId);
+}
+
+/**
+ * Cleanup socket resources
+ */
+function cleanupSocket(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBot(sessionId);
+  if (bot.sock) {
+    try {
+      bot.sock.ws?.close();
+      bot.sock.ev?.removeAllListeners();
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+    bot.sock = null;
+  }
+  if (bot.reconnectTimer) {
+    clearTimeout(bot.reconnectTimer);
+    bot.reconnectTimer = null;
+  }
+}
+
+// **Fungsi untuk memulai bot dengan sesi Redis**
+async function startBot(sessionId = DEFAULT_SESSION_ID) {
+  const bot = getBot(sessionId);
+
+  // Socket sudah ada (atau sedang dibuat), tidak perlu membuat koneksi baru
+  if (bot.sock) {
+    return bot.sock;
+  }
+  if (!bot.starting) {
+    bot.starting = createSocket(sessionId).finally(() => {
+      bot.starting = null;
+    });
+  }
+  return bot.starting;
+}
+
+/**
+ * Create and wire a new socket for a session
+ */
+async function createSocket(sessionId) {
+  const bot = getBot(sessionId);
+
+  console.log(`🔄 Memulai WhatsApp bot (sesi: ${sessionId})...`);
+
+  // Dynamic import untuk Baileys (ES Module)
+  const { makeWASocket, fetchLatestBaileysVersion, DisconnectReason } = await import('@whiskeysockets/baileys');
+  const qrcode = (await import('qrcode-terminal')).default;
+  const { Boom } = await import('@hapi/boom');
+
+  // **Inisialisasi sesi dari Redis**
+  console.log('📡 Loading auth state from Redis...');
+
+  // Jika force new session, clear dulu
+  if (bot.forceNewSession) {
+    console.log('🆕 Forcing new session...');
+    await clearAuthState(sessionId);
+    bot.forceNewSession = false;
+  }
+
+  const { state, saveCreds } = await useRedisAuthState(sessionId);
+
+  let { version, isLatest } = await fetchLatestBaileysVersion();
+  console.log(`📢 Menggunakan versi Baileys: ${version.join('.')}, Terbaru: ${isLatest}`);
+
+  // Cleanup existing socket if any
+  cleanupSocket(sessionId);
+
+  const sock = makeWASocket({
+    version,
+    printQRInTerminal: false,
+    auth: state,
+    // Add keep-alive settings
+    keepAliveIntervalMs: 30000,
+    // Browser info
+    browser: ['Ubuntu', 'Chrome', '22.04.4'],
+  });
+  bot.sock = sock;
+
+  // Simpan sesi ketika diperbarui - langsung ke Redis
+  sock.ev.on('creds.update', saveCreds);
+
+  // Pesan masuk
+  registerBotEvents(sock, sessionId);
+
+  sock.ev.on('connection.update', async (update) => {
+    const { connection, lastDisconnect, qr } = update;
+
+    if (qr) {
+      console.log(`\n📸 QR Code ditemukan untuk sesi ${sessionId} — silakan scan:`);
+      bot.currentQR = qr;
+      // Try to generate terminal QR (works sometimes)
+      try {
+        qrcode.generate(qr, { small: true });
+      } catch(e) {
+        console.log(`📸 QR Code tersedia di endpoint /qr/${sessionId}`);
+      }
+    }
+
+    if (connection === 'open') {
+      console.log(`✅ Bot ${sessionId} berhasil terhubung ke WhatsApp`);
+      bot.currentQR = null;
+      bot.reconnectAttempts = 0; // Reset reconnect counter on successful connection
+    }
+
+    if (connection === 'close') {
+      const statusCode = new Boom(lastDisconnect?.error)?.output?.statusCode;
+      const reason = lastDisconnect?.error?.message || 'Unknown';
+
+      console.log(`⚠️ Koneksi ${sessionId} terputus, code: ${statusCode}, reason: ${reason}`);
+
+      // Socket lama sudah mati, startBot berikutnya harus membuat koneksi baru
+      bot.sock = null;
+
+      // Handle logged out - clear session and don't reconnect
+      if (statusCode === DisconnectReason.loggedOut || statusCode === 401) {
+        console.log('🚫 Session invalid (logged out), menghapus session...');
+        await clearAuthState(sessionId);
+        bot.currentQR = null;
+        bot.reconnectAttempts = 0;
+        bot.forceNewSession = true; // Force new session on next start
+
+        // Wait a bit then restart to get new QR
+        console.log('🔄 Restarting for new QR code scan...');
+        bot.reconnectTimer = setTimeout(() => startBot(sessionId), 3000);
+        return;
+      }
+
+      // Handle bad session
+      if (statusCode === DisconnectReason.badSession) {
+        console.log('🚫 Bad session, clearing and reconnecting...');
+        await clearAuthState(sessionId);
+        bot.currentQR = null;
+        bot.reconnectAttempts = 0;
+        bot.forceNewSession = true;
+        bot.reconnectTimer = setTimeout(() => startBot(sessionId), 3000);
+        return;
+      }
+
+      // Handle restart required
+      if (statusCode === DisconnectReason.restartRequired) {
+        console.log('🔄 Restart required, reconnecting...');
+        bot.reconnectAttempts = 0;
+        bot.reconnectTimer = setTimeout(() => startBot(sessionId), 2000);
+        return;
+      }
+
+      // For other disconnects, use exponential backoff
+      bot.reconnectAttempts++;
+      const backoffMs = Math.min(1000 * Math.pow(2, bot.reconnectAttempts - 1), 30000);
+
+      console.log(`🔁 Reconnecting ${sessionId} in ${backoffMs}ms (attempt ${bot.reconnectAttempts})...`);
+
+      bot.reconnectTimer = setTimeout(async () => {
+        try {
+          await startBot(sessionId);
+        } catch (error) {
+          console.error('❌ Reconnect failed:', error.message);
+        }
+      }, backoffMs);
+    }
+  });
+
+  return sock;
+}
+
+/**
+ * Start every registered session (called once on boot)
+ */
+async function startAllSessions() {
+  try {
+    const sessions = await listRegisteredSessions();
+    for (const session of sessions) {
+      startBot(session.id).catch((error) => {
+        console.error(`❌ Gagal memulai sesi ${session.id}:`, error.message);
+      });
+    }
+  } catch (error) {
+    console.error('❌ Gagal memuat daftar sesi, memulai sesi default:', error.message);
+    await startBot();
+  }
+}
+
+/**
+ * Get the connected socket of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object>} Baileys socket
+ */
+async function getSocket(sessionId = DEFAULT_SESSION_ID) {
+  const { sock } = getBot(sessionId);
+
+  // Pastikan socket sudah siap sebelum dipakai
+  if (!sock || !sock.user) {
+    throw new Error(`Bot ${sessionId} belum terhubung ke WhatsApp`);
+  }
+  return sock;
+}
+
+/**
+ * Send a message through a connected session
+ * @param {string} jid - Recipient phone number or JID
+ * @param {string} message - Message text (or media URL)
+ * @param {string} type - Message type (text, image, audio, document)
+ * @param {string} sessionId - Session (account) to send from
+ */
+async function sendMessage(jid, message, type = 'text', sessionId = DEFAULT_SESSION_ID) {
+  const formattedJid = formatJid(jid);
+  const sock = await getSocket(sessionId);
+
+  console.log(`📤 [${sessionId}] Sending message to ${formattedJid}...`);
+
+  // Pakai ulang media yang sudah pernah diupload ke WhatsApp
+  const content = await buildMessageContent(message, type);
+  const mediaCache = getMediaCache(sessionId);
+  await mediaCache.preload(content);
+
+  const result = await sock.sendMessage(formattedJid, content, { mediaCache });
+  console.log(`✅ Message sent to ${formattedJid}`);
+
+  // Simpan status pesan untuk tracking delivered/read
+  await recordOutgoingMessage({ messageId: result?.key?.id, sessionId, to: formattedJid, type });
+  return result;
+}
+
+/**
+ * Get connection status for a session
+ */
+function getBotStatus(sessionId = DEFAULT_SESSION_ID) {
+  const { sock, currentQR, reconnectAttempts } = getBot(sessionId);
+  return {
+    sessionId,
+    status: sock?.user ? 'connected' : (sock ? 'connecting' : 'disconnected'),
+    user: sock?.user ? sock.user.id : null,
+    hasQR: !!currentQR,
+    reconnectAttempts,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the latest QR code for a session that is waiting to be linked
+ */
+function getQR(sessionId = DEFAULT_SESSION_ID) {
+  return getBot(sessionId).currentQR;
+}
+
+/**
+ * Start linking a session (QR code becomes available at /qr/:sessionId)
+ */
+async function linkSession(sessionId) {
+  await startBot(sessionId);
+  return getBotStatus(sessionId);
+}
+
+/**
+ * Clear the auth state of a session and restart it for a new QR scan
+ */
+async function resetSession(sessionId = DEFAULT_SESSION_ID) {
+  await clearAuthState(sessionId);
+  const bot = getBot(sessionId);
+  bot.currentQR = null;
+  bot.reconnectAttempts = 0;
+  bot.forceNewSession = true;
+  cleanupSocket(sessionId);
+
+  // Restart bot after clearing
+  setTimeout(() => startBot(sessionId), 1000);
+}
+
+/**
+ * Log out a session and forget its state
+ */
+async function removeSession(sessionId) {
+  const { sock } = getBot(sessionId);
+
+  // Stop listening first so the logout doesn't trigger a reconnect
+  sock?.ev.removeAllListeners();
+  try {
+    await sock?.logout();
+  } catch (e) {
+    // Socket may already be closed
+  }
+  cleanupSocket(sessionId);
+  bots.delete(sessionId);
+  await clearAuthState(sessionId);
+}
+
+/**
+ * Disconnect a session without clearing its auth state
+ */
+async function disconnectBot(sessionId = DEFAULT_SESSION_ID) {
+  cleanupSocket(sessionId);
+  console.log(`👋 Bot ${sessionId} disconnected`);
+}
+
+module.exports = {
+  keepAlive: true,
+  startBot,
+  startAllSessions,
+  getSocket,
+  sendMessage,
+  getBotStatus,
+  getQR,
+  linkSession,
+  resetSession,
+  removeSession,
+  disconnectBot,
+};
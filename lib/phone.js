@@ -0,0 +1,87 @@
+// Phone number normalization
+// Turns the ways people write numbers into international digits (E.164 without the +):
+//   +62 812-3456-7890, 0062 812 3456 7890, 0812 3456 7890 -> 6281234567890
+// Numbers starting with a single 0 are local and get DEFAULT_COUNTRY_CODE, other digits are
+// taken as already international (the format the API has always used).
+
+// Country code for local numbers (0812... -> 62812...)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '62').replace(/\D/g, '');
+
+// E.164 allows at most 15 digits; shorter than 7 can't be a full international number
+const MIN_DIGITS = 7;
+const MAX_DIGITS = 15;
+
+// Characters people put between digits
+const SEPARATORS = /[\s\-.()/]/g;
+
+/**
+ * Build the error for a number that can't be normalized
+ * It is a client error (400) and retrying a job with it can't help
+ */
+function invalidPhoneError(input, reason) {
+  return Object.assign(new Error(`Invalid phone number "${input}": ${reason}`), {
+    code: 'INVALID_PHONE_NUMBER',
+    reason,
+    statusCode: 400,
+    retryable: false,
+  });
+}
+
+/**
+ * Normalize a phone number to international digits
+ * @param {string|number} input - Phone number as written by a person
+ * @param {Object} options - Options
+ * @param {string} options.countryCode - Country code for local numbers (default: DEFAULT_COUNTRY_CODE)
+ * @returns {string} Digits with country code, e.g. 6281234567890
+ * @throws {Error} When the number has other characters or an impossible length
+ */
+function normalizePhone(input, { countryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  const raw = String(input ?? '').trim();
+  const compact = raw.replace(SEPARATORS, '');
+
+  if (!compact) {
+    throw invalidPhoneError(raw, 'number is empty');
+  }
+  if (!/^\+?\d+$/.test(compact)) {
+    throw invalidPhoneError(raw, 'only digits, spaces, dashes, dots, brackets and a leading + are allowed');
+  }
+
+  let digits;
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+  } else if (compact.startsWith('0')) {
+    digits = `${countryCode}${compact.slice(1)}`;
+  } else {
+    digits = compact;
+  }
+
+  if (digits.startsWith('0')) {
+    throw invalidPhoneError(raw, 'country code can\'t start with 0');
+  }
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) {
+    throw invalidPhoneError(raw, `must have ${MIN_DIGITS} to ${MAX_DIGITS} digits including the country code`);
+  }
+  return digits;
+}
+
+/**
+ * Check a phone number without throwing
+ * @param {string} input - Phone number
+ * @returns {string|null} Why the number is invalid, null when it is valid
+ */
+function phoneError(input) {
+  try {
+    normalizePhone(input);
+    return null;
+  } catch (error) {
+    return error.reason;
+  }
+}
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  normalizePhone,
+  phoneError,
+};
@@ -1,6 +1,8 @@
 // Redis Queue System for WhatsApp Bot
 // Handles job queuing, processing, and status tracking
 
+const os = require('os');
+const crypto = require('crypto');
 const { redis } = require('./redis');
 
 // Helper function to safely parse job data from Redis
@@ -18,8 +20,154 @@ function parseJobData(jobData) {
 // Queue configuration
 const QUEUE_PREFIX = 'wa:queue:';
 const JOB_PREFIX = 'wa:job:';
+const CLAIM_PREFIX = 'wa:claim:'; // string: owner of a processing job
+const PROCESSING_KEY = 'wa:processing'; // sorted set: processing jobId by lease expiry
+const LOST_KEY = 'wa:stats:lost'; // hash: job type -> jobs whose lease expired
+const DEAD_KEY = 'wa:dead'; // sorted set: dead-lettered jobId by time (no expiry)
+const DEAD_JOBS_KEY = 'wa:dead:jobs'; // hash: jobId -> job as it was dead-lettered (no expiry)
+const STATUS_INDEX_PREFIX = 'wa:index:status:'; // sorted set per status: jobId by creation time
+const TYPE_INDEX_PREFIX = 'wa:index:type:'; // sorted set per type: jobId by creation time
+const INDEX_KEY = 'wa:index:jobs'; // hash: jobId -> "<type>:<status>:<lane>" it is indexed under
+const EXPIRY_KEY = 'wa:index:expiry'; // sorted set: jobId by the time its job key expires
+const SCHEDULED_KEY = 'wa:index:scheduled'; // sorted set: pending jobId by runAt, while not runnable yet
+const COUNTS_KEY = 'wa:stats:jobs'; // hash: "<status>", "<type>:<status>", "pending:<lane>", "<type>:pending:<lane>", "scheduled" and "<type>:scheduled" -> number of jobs
 const QUEUE_TTL = 86400 * 7; // 7 days
 const JOB_TTL = 86400; // 24 hours for job data
+const DUE_WINDOW = 10; // due jobs of a lane tried on each dequeue when other workers claim them first
+const TURN_KEY = 'wa:queue:turn'; // job type dequeued last, the types after it go first among equal lanes
+const LIST_SCAN_LIMIT = 1000; // index entries looked at per listing request, filters may skip most
+const PRUNE_BATCH = 500; // expired jobs dropped from the indexes per call
+const PRUNE_MAX_BATCHES = 20; // batches per prune, the rest waits for the next one
+
+// A processing job is leased to its worker, which renews the lease while the job runs. When a worker
+// dies (e.g. a function timeout) its leases expire and the reaper puts the jobs back in the queue.
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_SECONDS || '90', 10) * 1000;
+const HEARTBEAT_INTERVAL_MS = Math.floor(JOB_LEASE_MS / 3);
+
+// A job waiting this long in a lower lane counts as one lane higher (twice as long: two lanes), so
+// urgent and normal traffic can't starve bulk jobs forever
+const PRIORITY_AGING_MS = parseInt(process.env.PRIORITY_AGING_SECONDS || '300', 10) * 1000;
+
+// Identifies this process as the owner of the jobs it claims
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Take a job off its queue, lease it and record its owner in one step: of several workers racing
+// for the same job, only one gets 1 back
+const CLAIM_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+redis.call('SET', KEYS[3], ARGV[2], 'EX', ARGV[4])
+return 1`;
+
+// Renew a lease, only while the job still belongs to this owner
+const HEARTBEAT_SCRIPT = `
+if redis.call('GET', KEYS[2]) ~= ARGV[2] then
+  return 0
+end
+redis.call('ZADD', KEYS[1], 'XX', ARGV[3], ARGV[1])
+return 1`;
+
+// Score of the oldest due job in each queue ('' for none), so a dequeue looks at all lanes in one call
+const HEADS_SCRIPT = `
+local heads = {}
+for i, key in ipairs(KEYS) do
+  local head = redis.call('ZRANGE', key, '-inf', ARGV[1], 'BYSCORE', 'LIMIT', 0, 1, 'WITHSCORES')
+  heads[i] = head[2] or ''
+end
+return heads`;
+
+// Take back an expired lease (not one renewed in the meantime); only one reaper gets 1 back
+const REAP_SCRIPT = `
+local expiry = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not expiry or tonumber(expiry) > tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('DEL', KEYS[2])
+return 1`;
+
+// Counter updates shared by the index scripts: add (1) or remove (-1) a job indexed as
+// "<type>:<status>:<lane>" (entries from before the lanes were counted have no lane)
+const COUNT_FUNCTION = `
+local function count(countsKey, entry, delta)
+  local jobType, status, lane = string.match(entry, '^([^:]*):([^:]*):?(.*)$')
+  redis.call('HINCRBY', countsKey, status, delta)
+  redis.call('HINCRBY', countsKey, jobType .. ':' .. status, delta)
+  if status == 'pending' and lane ~= '' then
+    redis.call('HINCRBY', countsKey, 'pending:' .. lane, delta)
+    redis.call('HINCRBY', countsKey, jobType .. ':pending:' .. lane, delta)
+  end
+  return jobType, status
+end
+local function unschedule(scheduledKey, countsKey, jobId, jobType)
+  if redis.call('ZREM', scheduledKey, jobId) == 1 then
+    redis.call('HINCRBY', countsKey, 'scheduled', -1)
+    redis.call('HINCRBY', countsKey, jobType .. ':scheduled', -1)
+  end
+end`;
+
+// Move a job to the index of its current status and keep the counters in step; a pending job that
+// isn't runnable yet counts as scheduled until its runAt. The job key's new expiry is recorded so
+// the entries can be dropped once the job is gone
+const INDEX_SCRIPT = `${COUNT_FUNCTION}
+local previous = redis.call('HGET', KEYS[1], ARGV[1])
+local current = ARGV[2] .. ':' .. ARGV[3] .. ':' .. ARGV[8]
+if previous ~= current then
+  if previous then
+    local _, previousStatus = count(KEYS[2], previous, -1)
+    redis.call('ZREM', ARGV[6] .. previousStatus, ARGV[1])
+  end
+  redis.call('ZADD', ARGV[6] .. ARGV[3], ARGV[4], ARGV[1])
+  redis.call('ZADD', ARGV[7] .. ARGV[2], ARGV[4], ARGV[1])
+  count(KEYS[2], current, 1)
+  redis.call('HSET', KEYS[1], ARGV[1], current)
+end
+unschedule(KEYS[4], KEYS[2], ARGV[1], ARGV[2])
+if ARGV[3] == 'pending' and tonumber(ARGV[9]) > tonumber(ARGV[10]) then
+  redis.call('ZADD', KEYS[4], ARGV[9], ARGV[1])
+  redis.call('HINCRBY', KEYS[2], 'scheduled', 1)
+  redis.call('HINCRBY', KEYS[2], ARGV[2] .. ':scheduled', 1)
+end
+redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+return 1`;
+
+// Drop the index entries and counts of a job whose key is gone (expired or deleted). A key that is
+// still there got a later expiry than recorded, its entry moves to that time
+const UNINDEX_SCRIPT = `${COUNT_FUNCTION}
+local ttl = redis.call('PTTL', KEYS[4])
+if ttl > 0 then
+  redis.call('ZADD', KEYS[3], tonumber(ARGV[4]) + ttl, ARGV[1])
+  return 0
+end
+redis.call('ZREM', KEYS[3], ARGV[1])
+if ttl == -1 then
+  return 0
+end
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then
+  return 0
+end
+local jobType, status = count(KEYS[2], current, -1)
+unschedule(KEYS[5], KEYS[2], ARGV[1], jobType)
+redis.call('ZREM', ARGV[2] .. status, ARGV[1])
+redis.call('ZREM', ARGV[3] .. jobType, ARGV[1])
+redis.call('HDEL', KEYS[1], ARGV[1])
+return 1`;
+
+// Scheduled jobs whose runAt has passed are runnable now: drop them from the scheduled counts
+const SETTLE_SCRIPT = `
+local due = redis.call('ZRANGE', KEYS[1], '-inf', ARGV[1], 'BYSCORE', 'LIMIT', 0, ARGV[2])
+for _, jobId in ipairs(due) do
+  redis.call('ZREM', KEYS[1], jobId)
+  redis.call('HINCRBY', KEYS[3], 'scheduled', -1)
+  local current = redis.call('HGET', KEYS[2], jobId)
+  if current then
+    redis.call('HINCRBY', KEYS[3], string.match(current, '^[^:]*') .. ':scheduled', -1)
+  end
+end
+return #due`;
 
 // Job status constants
 const JobStatus = {
@@ -30,12 +178,23 @@ const JobStatus = {
   CANCELLED: 'cancelled',
 };
 
+// Priority lanes, dequeued in this order (subject to aging)
+const JobPriority = {
+  URGENT: 'urgent',
+  NORMAL: 'normal',
+  BULK: 'bulk',
+};
+const PRIORITY_LANES = [JobPriority.URGENT, JobPriority.NORMAL, JobPriority.BULK];
+
 // Job types
 const JobType = {
   SEND_MESSAGE: 'send_message',
   BROADCAST: 'broadcast',
   SCHEDULED_MESSAGE: 'scheduled_message',
+  SEND_TEMPLATE: 'send_template',
   CUSTOM: 'custom',
+  WEBHOOK_DELIVERY: 'webhook_delivery',
+  CAMPAIGN_BATCH: 'campaign_batch',
 };
 
 /**
@@ -45,15 +204,126 @@ function generateJobId() {
   return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Get the lane for the priority option of a new job
+ * Numbers from before the lanes existed still work: above 0 is urgent, below 0 bulk.
+ * @param {string|number} priority - Lane name or number (optional)
+ * @param {string} type - Job type, for its default lane (broadcasts and campaign batches are bulk)
+ * @returns {string} JobPriority value
+ */
+function getPriority(priority, type) {
+  if (PRIORITY_LANES.includes(priority)) {
+    return priority;
+  }
+  if (typeof priority === 'number' && priority !== 0) {
+    return priority > 0 ? JobPriority.URGENT : JobPriority.BULK;
+  }
+  return [JobType.BROADCAST, JobType.CAMPAIGN_BATCH].includes(type) ? JobPriority.BULK : JobPriority.NORMAL;
+}
+
+/**
+ * Get the queue of a job type in a lane (normal keeps the original wa:queue:<type> key)
+ */
+function queueKey(type, priority = JobPriority.NORMAL) {
+  return priority === JobPriority.NORMAL ? `${QUEUE_PREFIX}${type}` : `${QUEUE_PREFIX}${type}:${priority}`;
+}
+
+/**
+ * Get the lane of a job (jobs stored before the lanes existed, with a number, are in normal)
+ */
+function jobLane(job) {
+  return PRIORITY_LANES.includes(job.priority) ? job.priority : JobPriority.NORMAL;
+}
+
+/**
+ * Get the queue a job waits in
+ */
+function jobQueueKey(job) {
+  return queueKey(job.type, jobLane(job));
+}
+
+/**
+ * Store a job and move it to the index of its status
+ * Every write of a job goes through here, so listings and counters follow each transition.
+ */
+async function saveJob(job) {
+  await redis.set(`${JOB_PREFIX}${job.id}`, JSON.stringify(job), { ex: JOB_TTL });
+  const now = Date.now();
+  await redis.eval(
+    INDEX_SCRIPT,
+    [INDEX_KEY, COUNTS_KEY, EXPIRY_KEY, SCHEDULED_KEY],
+    [
+      job.id, job.type, job.status, Date.parse(job.createdAt), now + (JOB_TTL * 1000), STATUS_INDEX_PREFIX, TYPE_INDEX_PREFIX,
+      jobLane(job), (job.runAt && Date.parse(job.runAt)) || 0, now,
+    ],
+  );
+}
+
+/**
+ * Drop the index entries of jobs whose key expired
+ * Runs from cron and cleanup; at most PRUNE_MAX_BATCHES batches per call, the rest is left for the next.
+ * @returns {Promise<number>} Number of jobs dropped
+ */
+async function pruneExpiredJobs() {
+  const now = Date.now();
+  let pruned = 0;
+  let expired;
+  let batches = 0;
+  do {
+    expired = await redis.zrange(EXPIRY_KEY, '-inf', now, { byScore: true, offset: 0, count: PRUNE_BATCH });
+    for (const jobId of expired) {
+      pruned += await unindexJob(jobId, now);
+    }
+    batches++;
+  } while (expired.length === PRUNE_BATCH && batches < PRUNE_MAX_BATCHES);
+  return pruned;
+}
+
+/**
+ * Drop the index entries of a job, unless its key still exists
+ * @returns {Promise<number>} 1 when the entries were dropped
+ */
+async function unindexJob(jobId, now = Date.now()) {
+  return redis.eval(
+    UNINDEX_SCRIPT,
+    [INDEX_KEY, COUNTS_KEY, EXPIRY_KEY, `${JOB_PREFIX}${jobId}`, SCHEDULED_KEY],
+    [jobId, STATUS_INDEX_PREFIX, TYPE_INDEX_PREFIX, now],
+  );
+}
+
+/**
+ * Stop counting scheduled jobs whose runAt has passed
+ */
+async function settleScheduledJobs() {
+  let settled;
+  do {
+    settled = await redis.eval(SETTLE_SCRIPT, [SCHEDULED_KEY, INDEX_KEY, COUNTS_KEY], [Date.now(), PRUNE_BATCH]);
+  } while (settled === PRUNE_BATCH);
+}
+
+/**
+ * Work out when a job becomes runnable: at scheduledFor when given, otherwise after its delay
+ * @param {Object} options - Job options (scheduledFor, delay in seconds)
+ * @returns {number} Timestamp in ms, used as the job's queue score
+ */
+function getRunAt(options = {}) {
+  const scheduledFor = options.scheduledFor ? Date.parse(options.scheduledFor) : NaN;
+  if (!Number.isNaN(scheduledFor)) {
+    return scheduledFor;
+  }
+  return Date.now() + ((options.delay || 0) * 1000);
+}
+
 /**
  * Enqueue a job
  * @param {string} type - Job type
  * @param {Object} payload - Job payload
- * @param {Object} options - Job options (priority, delay, etc.)
+ * @param {Object} options - Job options (priority, delay, scheduledFor, etc.)
  * @returns {Promise<string>} Job ID
  */
 async function enqueueJob(type, payload, options = {}) {
   const jobId = generateJobId();
+  const runAt = getRunAt(options);
   const job = {
     id: jobId,
     type,
@@ -62,60 +332,247 @@ async function enqueueJob(type, payload, options = {}) {
     createdAt: new Date().toISOString(),
     attempts: 0,
     maxAttempts: options.maxAttempts || 3,
-    priority: options.priority || 0,
+    priority: getPriority(options.priority, type),
     delay: options.delay || 0,
     scheduledFor: options.scheduledFor || null,
+    runAt: new Date(runAt).toISOString(),
     metadata: options.metadata || {},
   };
 
   // Store job data
-  await redis.set(`${JOB_PREFIX}${jobId}`, JSON.stringify(job), {
-    ex: JOB_TTL,
-  });
+  await saveJob(job);
 
-  // Add to queue (with score for priority and delay)
-  const score = (job.priority * 1000000) + Date.now() + (job.delay * 1000);
-  await redis.zadd(`${QUEUE_PREFIX}${type}`, { score, member: jobId });
+  // Add to the queue of its lane, the score is the time the job becomes runnable
+  await redis.zadd(jobQueueKey(job), { score: runAt, member: jobId });
 
-  console.log(`✅ Job enqueued: ${jobId} (${type})`);
+  console.log(`✅ Job enqueued: ${jobId} (${type}, ${job.priority})`);
   return jobId;
 }
 
 /**
- * Dequeue a job (get next job from queue)
+ * Claim a queued job for this worker and mark it as processing
+ * @returns {Promise<Object|null>} Job, null if another worker claimed it first or it is gone
+ */
+async function claimQueuedJob(key, jobId) {
+  const claimed = await redis.eval(
+    CLAIM_SCRIPT,
+    [key, PROCESSING_KEY, `${CLAIM_PREFIX}${jobId}`],
+    [jobId, WORKER_ID, Date.now() + JOB_LEASE_MS, JOB_TTL],
+  );
+  if (claimed !== 1) {
+    return null;
+  }
+
+  const job = parseJobData(await redis.get(`${JOB_PREFIX}${jobId}`));
+  if (!job) {
+    await releaseClaim(jobId);
+    return null;
+  }
+
+  job.status = JobStatus.PROCESSING;
+  job.startedAt = new Date().toISOString();
+  job.workerId = WORKER_ID;
+  await saveJob(job);
+  return job;
+}
+
+/**
+ * Put a job this worker claimed back in its queue without running it (no attempt is counted)
+ * It keeps its runAt, so it stays at the front of its lane.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} False if the job isn't processing by this worker (anymore)
+ */
+async function releaseJob(jobId) {
+  const job = parseJobData(await redis.get(`${JOB_PREFIX}${jobId}`));
+  if (!job || job.status !== JobStatus.PROCESSING || job.workerId !== WORKER_ID) {
+    return false;
+  }
+
+  job.status = JobStatus.PENDING;
+  job.startedAt = null;
+  job.workerId = null;
+  job.updatedAt = new Date().toISOString();
+  await saveJob(job);
+  await releaseClaim(jobId);
+  // Queued last: a worker that claims it right away must find it saved as pending, with no claim left to drop
+  await redis.zadd(jobQueueKey(job), { score: Date.parse(job.runAt) || Date.now(), member: jobId });
+  console.log(`↩️ Job ${jobId} released back to its queue`);
+  return true;
+}
+
+/**
+ * Dequeue the next job of any of the given types
+ * Only jobs whose time has come are taken. Lanes go in order (urgent, normal, bulk), but a job that
+ * waited PRIORITY_AGING_MS moves up a lane, so lower lanes still make progress. Job types in the same
+ * lane take turns, so one type with a large backlog doesn't hold up the others. Within a lane the
+ * oldest job goes first. Safe with parallel workers: a job another worker claimed first is passed over.
+ * @param {Array<string>} types - Job types (default: all)
+ * @returns {Promise<Object|null>} Job object or null
+ */
+async function dequeueNextJob(types = Object.values(JobType)) {
+  const now = Date.now();
+  const queues = types.flatMap(type => PRIORITY_LANES.map((priority, lane) => ({ type, priority, lane, key: queueKey(type, priority) })));
+  const heads = await redis.eval(HEADS_SCRIPT, queues.map(({ key }) => key), [now]);
+
+  // Rank the queues with due jobs by their lane after aging, then by whose turn it is
+  const last = types.length > 1 ? types.indexOf(await redis.get(TURN_KEY)) : -1;
+  const candidates = queues
+    .map((queue, index) => ({ ...queue, head: heads[index] === '' || heads[index] === null ? null : Number(heads[index]) }))
+    .filter(({ head }) => head !== null)
+    .map(queue => ({
+      ...queue,
+      rank: Math.max(queue.lane - Math.floor((now - queue.head) / PRIORITY_AGING_MS), 0),
+      order: (types.indexOf(queue.type) - last - 1 + types.length) % types.length,
+    }))
+    .sort((a, b) => (a.rank - b.rank) || (a.order - b.order) || (a.lane - b.lane));
+
+  for (const { type, priority, key } of candidates) {
+    const due = await redis.zrange(key, '-inf', now, { byScore: true, offset: 0, count: DUE_WINDOW });
+    for (const jobId of due) {
+      const job = await claimQueuedJob(key, jobId);
+      if (job) {
+        if (types.length > 1) {
+          await redis.set(TURN_KEY, type);
+        }
+        console.log(`🔄 Job dequeued: ${jobId} (${type}, ${priority})`);
+        return job;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Dequeue a job of one type (claim the next runnable job from its queues)
  * @param {string} type - Job type
  * @returns {Promise<Object|null>} Job object or null
  */
 async function dequeueJob(type) {
+  return dequeueNextJob([type]);
+}
+
+/**
+ * Claim a specific pending job (take it off its queue and mark it as processing)
+ * Used to process a job right after enqueuing it, while keeping the queue's retries
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job object, or null if it is gone or already taken
+ */
+async function claimJob(jobId) {
+  const job = await getJobStatus(jobId);
+  if (!job) {
+    return null;
+  }
+  return claimQueuedJob(jobQueueKey(job), jobId);
+}
+
+/**
+ * Add the outcome of the current attempt to a job's history (before its owner is cleared)
+ */
+function recordAttempt(job, status, details = {}) {
+  job.attemptHistory = job.attemptHistory || [];
+  job.attemptHistory.push({
+    attempt: job.attemptHistory.length + 1,
+    status,
+    workerId: job.workerId || null,
+    startedAt: job.startedAt || null,
+    finishedAt: new Date().toISOString(),
+    error: details.error || null,
+    code: details.code || null,
+  });
+}
+
+/**
+ * Move a job that used up its attempts to the dead-letter queue, where it stays until it is
+ * replayed or purged (the job key itself still expires after JOB_TTL)
+ */
+async function moveToDeadLetter(job) {
+  job.deadLetteredAt = new Date().toISOString();
+  await redis.hset(DEAD_JOBS_KEY, { [job.id]: JSON.stringify(job) });
+  await redis.zadd(DEAD_KEY, { score: Date.now(), member: job.id });
+  console.log(`☠️ Job ${job.id} moved to the dead-letter queue after ${job.attempts} attempt(s): ${job.error}`);
+}
+
+/**
+ * Drop the lease and owner of a job
+ */
+async function releaseClaim(jobId) {
+  await redis.zrem(PROCESSING_KEY, jobId);
+  await redis.del(`${CLAIM_PREFIX}${jobId}`);
+}
+
+/**
+ * Keep renewing the lease of a job while it is processed
+ * @param {Object} job - Job claimed by this worker
+ * @returns {Function} Stops the heartbeat
+ */
+function startHeartbeat(job) {
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await redis.eval(
+        HEARTBEAT_SCRIPT,
+        [PROCESSING_KEY, `${CLAIM_PREFIX}${job.id}`],
+        [job.id, WORKER_ID, Date.now() + JOB_LEASE_MS],
+      );
+      if (renewed !== 1) {
+        console.warn(`⚠️ Job ${job.id} lost its lease, it may run again elsewhere`);
+        clearInterval(timer);
+      }
+    } catch (error) {
+      console.error(`Error renewing lease of job ${job.id}:`, error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Put jobs whose lease expired back in their queue (their worker died or timed out)
+ * Counts as an attempt: a job that used up its attempts fails instead.
+ * @returns {Promise<Array<{jobId: string, type: string, status: string}>>} Recovered jobs
+ */
+async function recoverExpiredJobs() {
   const now = Date.now();
-   
-   // Get jobs that are ready to process (score <= now)
-   // Use zrange with limit instead of zrangebyscore
-   const jobs = await redis.zrange(`${QUEUE_PREFIX}${type}`, 0, 1);
-   
-   if (jobs.length === 0) {
-     return null;
-   }
-
-   const jobId = jobs[0];
-   
-   // Remove from queue
-   await redis.zrem(`${QUEUE_PREFIX}${type}`, jobId);
-   
-   // Get job data
-   const jobData = await redis.get(`${JOB_PREFIX}${jobId}`);
-   const job = parseJobData(jobData);
-   if (!job) {
-     return null;
-   }
-
-   // Update status to processing
-   job.status = JobStatus.PROCESSING;
-   job.startedAt = new Date().toISOString();
-   await redis.set(`${JOB_PREFIX}${jobId}`, JSON.stringify(job), { ex: JOB_TTL });
-
-   console.log(`🔄 Job dequeued: ${jobId} (${type})`);
-   return job;
+  const expired = await redis.zrange(PROCESSING_KEY, '-inf', now, { byScore: true, offset: 0, count: 100 });
+  const recovered = [];
+
+  for (const jobId of expired) {
+    const reaped = await redis.eval(REAP_SCRIPT, [PROCESSING_KEY, `${CLAIM_PREFIX}${jobId}`], [jobId, now]);
+    const job = reaped === 1 ? await getJobStatus(jobId) : null;
+    if (!job) {
+      continue;
+    }
+    // The worker saved its result but died before releasing the claim: only the lease was left over
+    if (job.status !== JobStatus.PROCESSING) {
+      console.log(`🧹 Dropped stale lease of job ${jobId} (${job.status})`);
+      continue;
+    }
+
+    await redis.hincrby(LOST_KEY, job.type, 1);
+    job.attempts++;
+    job.lost = (job.lost || 0) + 1;
+    job.error = `Lease expired while processing${job.workerId ? ` on ${job.workerId}` : ''}`;
+    recordAttempt(job, 'lost', { error: job.error });
+    job.workerId = null;
+    job.updatedAt = new Date().toISOString();
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = JobStatus.PENDING;
+      job.runAt = new Date(now).toISOString();
+    } else {
+      job.status = JobStatus.FAILED;
+      job.failedAt = new Date().toISOString();
+      await moveToDeadLetter(job);
+    }
+    await saveJob(job);
+    if (job.status === JobStatus.PENDING) {
+      await redis.zadd(jobQueueKey(job), { score: now, member: jobId });
+    }
+
+    console.warn(`🪦 Job ${jobId} lost its lease, ${job.status === JobStatus.PENDING ? 'queued again' : 'failed'} (attempt ${job.attempts}/${job.maxAttempts})`);
+    recovered.push({ jobId, type: job.type, status: job.status });
+  }
+  return recovered;
 }
 
 /**
@@ -130,8 +587,30 @@ async function updateJobStatus(jobId, status, result = {}) {
   if (!job) {
     return false;
   }
+
+  // A worker that lost its lease finishes a job the reaper already took back
+  if ([JobStatus.COMPLETED, JobStatus.FAILED].includes(status)) {
+    const ownedByOther = job.status === JobStatus.PROCESSING && job.workerId && job.workerId !== WORKER_ID;
+    // A completed job that is queued again doesn't need to run again, a failed one keeps its retry
+    const requeued = job.status === JobStatus.PENDING
+      && (status === JobStatus.FAILED || !await redis.zrem(jobQueueKey(job), jobId));
+    if (ownedByOther || requeued) {
+      console.warn(`⚠️ Job ${jobId} was taken back after its lease expired, ${status} result ignored`);
+      return false;
+    }
+  }
+
+  if (status === JobStatus.COMPLETED) {
+    recordAttempt(job, JobStatus.COMPLETED);
+  } else if (status === JobStatus.FAILED) {
+    recordAttempt(job, JobStatus.FAILED, { error: result.error || 'Unknown error', code: result.code });
+  }
+
   job.status = status;
   job.updatedAt = new Date().toISOString();
+  job.workerId = null;
+  let deadLetter = false;
+  let retryAt = null;
 
   if (status === JobStatus.COMPLETED) {
     job.completedAt = new Date().toISOString();
@@ -141,17 +620,30 @@ async function updateJobStatus(jobId, status, result = {}) {
     job.error = result.error || 'Unknown error';
     job.attempts++;
     
-    // Retry logic
-    if (job.attempts < job.maxAttempts) {
+    // Retry logic (errors marked retryable: false, e.g. unregistered numbers, fail right away)
+    if (result.retryable === false) {
+      console.log(`⛔ Job ${jobId} will not be retried: ${job.error}`);
+      deadLetter = true;
+    } else if (job.attempts < job.maxAttempts) {
       job.status = JobStatus.PENDING;
       const retryDelay = Math.pow(2, job.attempts) * 1000; // Exponential backoff
-      const score = Date.now() + retryDelay;
-      await redis.zadd(`${QUEUE_PREFIX}${job.type}`, { score, member: jobId });
+      retryAt = Date.now() + retryDelay;
+      job.runAt = new Date(retryAt).toISOString();
       console.log(`🔄 Job ${jobId} will retry in ${retryDelay}ms (attempt ${job.attempts}/${job.maxAttempts})`);
+    } else {
+      deadLetter = true;
     }
   }
 
-  await redis.set(`${JOB_PREFIX}${jobId}`, JSON.stringify(job), { ex: JOB_TTL });
+  if (deadLetter) {
+    await moveToDeadLetter(job);
+  }
+  await saveJob(job);
+  await releaseClaim(jobId);
+  // Queued only after it is saved as pending and its claim is gone, see releaseJob
+  if (retryAt !== null) {
+    await redis.zadd(jobQueueKey(job), { score: retryAt, member: jobId });
+  }
   console.log(`📊 Job ${jobId} status updated: ${status}`);
   return true;
 }
@@ -183,8 +675,10 @@ async function cancelJob(jobId) {
     return false;
   }
 
-  // Remove from queue
-  await redis.zrem(`${QUEUE_PREFIX}${job.type}`, jobId);
+  // Remove from queue (fails when a worker claimed the job in the meantime)
+  if (!await redis.zrem(jobQueueKey(job), jobId)) {
+    return false;
+  }
   
   // Update status
   await updateJobStatus(jobId, JobStatus.CANCELLED);
@@ -200,40 +694,47 @@ async function cancelJob(jobId) {
  */
 async function getQueueStats(type = null) {
   const queues = type ? [type] : Object.values(JobType);
+  await settleScheduledJobs();
   const stats = {
     total: 0,
     pending: 0,
+    scheduled: 0,
     processing: 0,
     completed: 0,
     failed: 0,
     cancelled: 0,
+    lost: 0,
+    dead: await redis.zcard(DEAD_KEY),
+    byPriority: Object.fromEntries(PRIORITY_LANES.map(priority => [priority, 0])),
     byType: {},
   };
 
+  // Pending jobs include scheduled ones, those that aren't runnable yet. Lost jobs are those whose
+  // lease expired (counted since the start, they were queued again or failed). Dead jobs are in the
+  // dead-letter queue, over all types. The other counts come from the counters kept by saveJob
+  const lost = await redis.hgetall(LOST_KEY) || {};
+  const counts = await redis.hgetall(COUNTS_KEY) || {};
+  const countedStatuses = [JobStatus.PROCESSING, JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED];
   for (const queueType of queues) {
-    const queueSize = await redis.zcard(`${QUEUE_PREFIX}${queueType}`);
+    const pending = Number(counts[`${queueType}:${JobStatus.PENDING}`] || 0);
+    const scheduled = Number(counts[`${queueType}:scheduled`] || 0);
+    for (const priority of PRIORITY_LANES) {
+      stats.byPriority[priority] += Number(counts[`${queueType}:${JobStatus.PENDING}:${priority}`] || 0);
+    }
     stats.byType[queueType] = {
-      pending: queueSize,
+      pending,
+      scheduled,
+      lost: Number(lost[queueType] || 0),
     };
-    stats.total += queueSize;
-    stats.pending += queueSize;
-  }
-
-  // Get all job keys to count by status
-  const jobKeys = await redis.keys(`${JOB_PREFIX}*`);
-  for (const key of jobKeys) {
-    const jobData = await redis.get(key);
-    const job = parseJobData(jobData);
-    if (job) {
-      if (job.status === JobStatus.PROCESSING) {
-        stats.processing++;
-      } else if (job.status === JobStatus.COMPLETED) {
-        stats.completed++;
-      } else if (job.status === JobStatus.FAILED) {
-        stats.failed++;
-      } else if (job.status === JobStatus.CANCELLED) {
-        stats.cancelled++;
-      }
+    stats.total += pending;
+    stats.pending += pending;
+    stats.scheduled += scheduled;
+    stats.lost += stats.byType[queueType].lost;
+
+    for (const status of countedStatuses) {
+      const count = Number(counts[`${queueType}:${status}`] || 0);
+      stats.byType[queueType][status] = count;
+      stats[status] += count;
     }
   }
 
@@ -242,6 +743,7 @@ async function getQueueStats(type = null) {
 
 /**
  * Clean up old completed/failed jobs
+ * Also drops the index entries of jobs that expired on their own.
  * @param {number} olderThan - Age in seconds (default: 7 days)
  * @returns {Promise<number>} Number of jobs cleaned
  */
@@ -249,57 +751,116 @@ async function cleanupOldJobs(olderThan = 86400 * 7) {
   const cutoffTime = Date.now() - (olderThan * 1000);
   let cleaned = 0;
 
-  const jobKeys = await redis.keys(`${JOB_PREFIX}*`);
-  for (const key of jobKeys) {
-    const jobData = await redis.get(key);
-    const job = parseJobData(jobData);
-    if (job) {
-      const jobTime = new Date(job.createdAt).getTime();
-      
-      // Clean old completed/failed/cancelled jobs
-      if (
-        (job.status === JobStatus.COMPLETED ||
-         job.status === JobStatus.FAILED ||
-         job.status === JobStatus.CANCELLED) &&
-        jobTime < cutoffTime
-      ) {
-        await redis.del(key);
-        cleaned++;
-      }
+  const pruned = await pruneExpiredJobs();
+
+  // Clean old completed/failed/cancelled jobs
+  for (const status of [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED]) {
+    const jobIds = await redis.zrange(`${STATUS_INDEX_PREFIX}${status}`, '-inf', cutoffTime, { byScore: true });
+    for (const jobId of jobIds) {
+      await redis.del(`${JOB_PREFIX}${jobId}`);
+      await unindexJob(jobId);
+      cleaned++;
     }
   }
 
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} old jobs`);
+  if (cleaned > 0 || pruned > 0) {
+    console.log(`🧹 Cleaned up ${cleaned} old jobs (${pruned} expired jobs dropped from the indexes)`);
   }
   
   return cleaned;
 }
 
 /**
- * Get jobs by status
+ * Encode the position of a listing in the status index
+ */
+function encodeCursor(score, jobId) {
+  return Buffer.from(`${score}:${jobId}`).toString('base64url');
+}
+
+/**
+ * Decode a listing cursor
+ * @throws {Error} With field 'cursor' when it isn't one of ours
+ */
+function decodeCursor(cursor) {
+  const text = Buffer.from(cursor, 'base64url').toString();
+  const separator = text.indexOf(':');
+  const score = Number(text.slice(0, separator));
+  if (separator < 1 || !Number.isFinite(score) || !text.slice(separator + 1)) {
+    throw Object.assign(new Error('is invalid'), { field: 'cursor' });
+  }
+  return { score, jobId: text.slice(separator + 1) };
+}
+
+/**
+ * Check if a job matches the listing filters
+ */
+function matchesFilters(job, { type, metadata }) {
+  if (type && job.type !== type) {
+    return false;
+  }
+  return Object.entries(metadata || {}).every(([key, value]) => String(job.metadata?.[key]) === value);
+}
+
+/**
+ * List jobs with a status (newest first), page by page
+ * Reads the status index, so only the jobs looked at are fetched. A page ends after LIST_SCAN_LIMIT
+ * index entries even when the filters matched fewer jobs than the limit; continue with nextCursor.
  * @param {string} status - Job status
- * @param {number} limit - Maximum number of jobs to return
- * @returns {Promise<Array>} Array of jobs
+ * @param {Object} options - Options
+ * @param {string} options.type - Only jobs of this type
+ * @param {string} options.from - Only jobs created at or after this time (ISO date-time)
+ * @param {string} options.to - Only jobs created at or before this time (ISO date-time)
+ * @param {Object} options.metadata - Only jobs whose metadata has these values
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit - Maximum number of jobs (default: 50)
+ * @returns {Promise<Object>} { jobs, nextCursor } where nextCursor is null after the last page
  */
-async function getJobsByStatus(status, limit = 50) {
+async function listJobs(status, { type, from, to, metadata, cursor, limit = 50 } = {}) {
+  const key = `${STATUS_INDEX_PREFIX}${status}`;
+  const after = cursor ? decodeCursor(cursor) : null;
+  const max = after ? after.score : (to ? Date.parse(to) : '+inf');
+  const min = from ? Date.parse(from) : '-inf';
+
   const jobs = [];
-  const jobKeys = await redis.keys(`${JOB_PREFIX}*`);
-  
-  for (const key of jobKeys.slice(0, limit)) {
-    const jobData = await redis.get(key);
-    const job = parseJobData(jobData);
-    if (job) {
-      if (job.status === status) {
+  let scanned = 0;
+  let position = null; // last index entry looked at
+  let more = true;
+  while (more && jobs.length < limit && scanned < LIST_SCAN_LIMIT) {
+    const count = Math.min(limit * 2, LIST_SCAN_LIMIT - scanned);
+    const entries = await redis.zrange(key, max, min, { byScore: true, rev: true, offset: scanned, count, withScores: true });
+    scanned += entries.length / 2;
+    more = entries.length === count * 2;
+
+    // Members come with their scores; equal scores are ordered by ID, those up to the cursor were listed
+    const page = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      const entry = { jobId: String(entries[i]), score: Number(entries[i + 1]) };
+      if (!after || entry.score < after.score || entry.jobId < after.jobId) {
+        page.push(entry);
+      }
+    }
+    if (page.length === 0) {
+      continue;
+    }
+
+    const records = await redis.mget(...page.map(({ jobId }) => `${JOB_PREFIX}${jobId}`));
+    for (const [index, entry] of page.entries()) {
+      position = entry;
+      const job = parseJobData(records[index]);
+      if (job && job.status === status && matchesFilters(job, { type, metadata })) {
         jobs.push(job);
       }
+      if (jobs.length === limit) {
+        more = more || index < page.length - 1;
+        break;
+      }
     }
   }
-  
-  // Sort by creation time (newest first)
-  jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  return jobs;
+
+  return {
+    jobs,
+    nextCursor: more && position ? encodeCursor(position.score, position.jobId) : null,
+  };
 }
 
 /**
@@ -325,28 +886,181 @@ async function retryJob(jobId) {
   job.error = null;
   job.updatedAt = new Date().toISOString();
   
-  // Add back to queue
-  const score = (job.priority * 1000000) + Date.now();
-  await redis.zadd(`${QUEUE_PREFIX}${job.type}`, { score, member: jobId });
-  
-  // Update job data
-  await redis.set(`${JOB_PREFIX}${jobId}`, JSON.stringify(job), { ex: JOB_TTL });
+  // Save it as pending before it is back in the queue, runnable right away
+  const runAt = Date.now();
+  job.runAt = new Date(runAt).toISOString();
+  await saveJob(job);
+  await redis.zadd(jobQueueKey(job), { score: runAt, member: jobId });
+
+  // It's no longer dead
+  await redis.hdel(DEAD_JOBS_KEY, jobId);
+  await redis.zrem(DEAD_KEY, jobId);
   
   console.log(`🔄 Job ${jobId} queued for retry`);
   return true;
 }
 
+/**
+ * List dead-lettered jobs (newest first)
+ * @param {Object} options - Options
+ * @param {string} options.type - Only jobs of this type
+ * @param {number} options.offset - Jobs to skip (default: 0)
+ * @param {number} options.limit - Maximum number of jobs (default: 50)
+ * @returns {Promise<Object>} { total, jobs } with a summary of each job
+ */
+async function listDeadJobs({ type, offset = 0, limit = 50 } = {}) {
+  let jobs = [];
+  let total;
+
+  if (type) {
+    // Filtering needs the records, the dead-letter queue is small enough for that
+    const jobIds = await listDeadJobIds({ type });
+    total = jobIds.length;
+    jobs = await getDeadJobs(jobIds.slice(offset, offset + limit));
+  } else {
+    total = await redis.zcard(DEAD_KEY);
+    const jobIds = await redis.zrange(DEAD_KEY, offset, offset + limit - 1, { rev: true });
+    jobs = await getDeadJobs(jobIds);
+  }
+
+  return {
+    total,
+    jobs: jobs.map(job => ({
+      id: job.id,
+      type: job.type,
+      error: job.error,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      createdAt: job.createdAt,
+      failedAt: job.failedAt || null,
+      deadLetteredAt: job.deadLetteredAt,
+    })),
+  };
+}
+
+/**
+ * Get dead-lettered jobs by ID, skipping those that aren't dead (anymore)
+ */
+async function getDeadJobs(jobIds) {
+  if (jobIds.length === 0) {
+    return [];
+  }
+  const records = await redis.hmget(DEAD_JOBS_KEY, ...jobIds) || {};
+  return jobIds.map(jobId => parseJobData(records[jobId])).filter(Boolean);
+}
+
+/**
+ * IDs of all dead-lettered jobs (newest first)
+ * @param {Object} options - Options
+ * @param {string} options.type - Only jobs of this type
+ * @returns {Promise<Array<string>>} Job IDs
+ */
+async function listDeadJobIds({ type } = {}) {
+  const jobIds = await redis.zrange(DEAD_KEY, 0, -1, { rev: true });
+  if (!type) {
+    return jobIds;
+  }
+  const jobs = await getDeadJobs(jobIds);
+  return jobs.filter(job => job.type === type).map(job => job.id);
+}
+
+/**
+ * Get a dead-lettered job with its last error and the history of all its attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job, null if it isn't in the dead-letter queue
+ */
+async function getDeadJob(jobId) {
+  const [job] = await getDeadJobs([jobId]);
+  return job || null;
+}
+
+/**
+ * Queue dead-lettered jobs again with fresh attempts
+ * The attempt history is kept, so it covers the attempts before and after the replay.
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Object>} { replayed, notFound } job IDs
+ */
+async function replayDeadJobs(jobIds) {
+  const replayed = [];
+  const notFound = [];
+
+  for (const jobId of jobIds) {
+    const job = await getDeadJob(jobId);
+    if (!job) {
+      notFound.push(jobId);
+      continue;
+    }
+
+    const runAt = Date.now();
+    job.status = JobStatus.PENDING;
+    job.attempts = 0;
+    job.error = null;
+    job.replays = (job.replays || 0) + 1;
+    job.deadLetteredAt = null;
+    job.runAt = new Date(runAt).toISOString();
+    job.updatedAt = new Date().toISOString();
+
+    // The job key may have expired in the meantime, the dead-letter record brings it back
+    await saveJob(job);
+    await redis.zadd(jobQueueKey(job), { score: runAt, member: jobId });
+    await redis.hdel(DEAD_JOBS_KEY, jobId);
+    await redis.zrem(DEAD_KEY, jobId);
+    replayed.push(jobId);
+  }
+
+  if (replayed.length > 0) {
+    console.log(`🔄 Replayed ${replayed.length} dead-lettered job(s)`);
+  }
+  return { replayed, notFound };
+}
+
+/**
+ * Remove jobs from the dead-letter queue for good
+ * @param {Array<string>} jobIds - Job IDs
+ * @returns {Promise<Object>} { purged, notFound } job IDs
+ */
+async function purgeDeadJobs(jobIds) {
+  const purged = [];
+  const notFound = [];
+
+  for (const jobId of jobIds) {
+    if (await redis.hdel(DEAD_JOBS_KEY, jobId) === 1) {
+      purged.push(jobId);
+    } else {
+      notFound.push(jobId);
+    }
+    await redis.zrem(DEAD_KEY, jobId);
+  }
+
+  if (purged.length > 0) {
+    console.log(`🗑️ Purged ${purged.length} dead-lettered job(s)`);
+  }
+  return { purged, notFound };
+}
+
 module.exports = {
   JobStatus,
   JobType,
+  JobPriority,
   enqueueJob,
   dequeueJob,
+  dequeueNextJob,
+  claimJob,
+  releaseJob,
+  startHeartbeat,
+  recoverExpiredJobs,
   updateJobStatus,
   getJobStatus,
   cancelJob,
   getQueueStats,
   cleanupOldJobs,
-  getJobsByStatus,
+  pruneExpiredJobs,
+  listJobs,
   retryJob,
+  listDeadJobs,
+  listDeadJobIds,
+  getDeadJob,
+  replayDeadJobs,
+  purgeDeadJobs,
   generateJobId,
 };
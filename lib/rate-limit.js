@@ -0,0 +1,86 @@
+// Per-route rate limiting middleware
+// Uses the Upstash sliding-window limiter, keyed per caller (API key or IP)
+
+const { createRatelimit } = require('./redis');
+
+// Limiters are created lazily, one per route
+const limiters = {};
+
+/**
+ * Read the limit for a route from the environment
+ * RATE_LIMIT_<ROUTE>_REQUESTS / RATE_LIMIT_<ROUTE>_WINDOW override the global
+ * RATE_LIMIT_REQUESTS / RATE_LIMIT_WINDOW settings
+ * @param {string} route - Route name (e.g. "send")
+ * @returns {{requests: number, window: string}}
+ */
+function getRouteLimit(route) {
+  const envPrefix = `RATE_LIMIT_${route.toUpperCase()}`;
+  return {
+    requests: parseInt(
+      process.env[`${envPrefix}_REQUESTS`] || process.env.RATE_LIMIT_REQUESTS || '10',
+      10
+    ),
+    window: process.env[`${envPrefix}_WINDOW`] || process.env.RATE_LIMIT_WINDOW || '10 s',
+  };
+}
+
+function getLimiter(route) {
+  if (!limiters[route]) {
+    const { requests, window } = getRouteLimit(route);
+    limiters[route] = createRatelimit(requests, window, `wa-bot:ratelimit:${route}`);
+  }
+  return limiters[route];
+}
+
+/**
+ * Identify the caller: the authenticated API key, or the client IP as a fallback
+ */
+function getCallerId(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0].trim() : req.ip;
+  return `ip:${ip}`;
+}
+
+/**
+ * Express middleware enforcing the rate limit for a route
+ * @param {string} route - Route name used for config and the Redis prefix
+ */
+function rateLimit(route) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await getLimiter(route).limit(getCallerId(req));
+    } catch (error) {
+      // Don't block sending when Redis is unavailable
+      console.error(`Rate limit check failed for ${route}:`, error.message);
+      return next();
+    }
+
+    const { success, limit, remaining, reset } = result;
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(remaining, 0)));
+    res.set('X-RateLimit-Reset', String(Math.ceil(reset / 1000)));
+
+    if (!success) {
+      const retryAfter = Math.max(Math.ceil((reset - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      console.warn(`⚠️ Rate limit exceeded on ${route} for ${getCallerId(req)}`);
+      return res.status(429).json({
+        error: 'Too many requests',
+        details: `Rate limit exceeded, retry in ${retryAfter}s`,
+        retryAfter,
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  getRouteLimit,
+  getCallerId,
+};
@@ -11,12 +11,25 @@ const redis = new Redis({
 });
 
 // Rate limiter configuration
-const ratelimit = new Ratelimit({
-  redis: redis,
-  limiter: Ratelimit.slidingWindow(10, '10 s'),
-  analytics: true,
-  prefix: 'wa-bot',
-});
+const RATE_LIMIT_REQUESTS = parseInt(process.env.RATE_LIMIT_REQUESTS || '10', 10);
+const RATE_LIMIT_WINDOW = process.env.RATE_LIMIT_WINDOW || '10 s';
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {number} requests - Requests allowed per window
+ * @param {string} window - Window duration (e.g. "10 s", "1m")
+ * @param {string} prefix - Redis key prefix for this limiter
+ */
+function createRatelimit(requests = RATE_LIMIT_REQUESTS, window = RATE_LIMIT_WINDOW, prefix = 'wa-bot') {
+  return new Ratelimit({
+    redis: redis,
+    limiter: Ratelimit.slidingWindow(requests, window),
+    analytics: true,
+    prefix,
+  });
+}
+
+const ratelimit = createRatelimit();
 
 // Cache helper functions
 const cache = {
@@ -107,5 +120,6 @@ const cache = {
 module.exports = {
   redis,
   ratelimit,
+  createRatelimit,
   cache,
 };
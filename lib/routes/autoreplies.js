@@ -0,0 +1,150 @@
+// Auto-reply rule routes
+// Anyone with an API key can read the rules, changing them needs an admin key
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { DEFAULT_SESSION_ID } = require('../session');
+const { validateRequest, sendValidationError } = require('../validation');
+const { createAutoReplyBody, updateAutoReplyBody, testAutoReplyBody } = require('../schemas');
+
+/**
+ * Answer rule errors: invalid patterns, hours or timezones are a 400, the rest a 500
+ */
+function sendRuleError(res, error, message) {
+  if (error.field) {
+    return sendValidationError(res, [{ field: error.field, message: error.message }]);
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Create the auto-reply router
+ */
+function createAutoRepliesRouter() {
+  const router = express.Router();
+
+  // List rules
+  router.get('/api/autoreplies', async (req, res) => {
+    try {
+      const { listRules, isAutoReplyEnabled } = require('../auto-reply');
+      const rules = await listRules();
+      res.json({
+        success: true,
+        enabled: isAutoReplyEnabled(),
+        count: rules.length,
+        rules,
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to list auto-reply rules');
+    }
+  });
+
+  // Create a rule
+  router.post('/api/autoreplies', requireRole(Role.ADMIN), validateRequest({ body: createAutoReplyBody }), async (req, res) => {
+    try {
+      const { createRule } = require('../auto-reply');
+      const rule = await createRule(req.body);
+      res.status(201).json({
+        success: true,
+        rule,
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to create auto-reply rule');
+    }
+  });
+
+  // Show which rule would answer a message (nothing is sent)
+  router.post('/api/autoreplies/test', validateRequest({ body: testAutoReplyBody }), async (req, res) => {
+    try {
+      const { text, chat, sessionId = DEFAULT_SESSION_ID } = req.body;
+      const { formatJid } = require('../jid');
+      const { findMatchingRule, isAutoReplyEnabled } = require('../auto-reply');
+
+      const rule = await findMatchingRule({ text, chat: chat ? formatJid(chat) : null, sessionId });
+
+      res.json({
+        success: true,
+        enabled: isAutoReplyEnabled(),
+        matched: Boolean(rule),
+        rule,
+        reply: rule ? rule.reply : null,
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to test auto-reply rules');
+    }
+  });
+
+  // Get a rule
+  router.get('/api/autoreplies/:ruleId', async (req, res) => {
+    try {
+      const { getRule } = require('../auto-reply');
+      const rule = await getRule(req.params.ruleId);
+
+      if (!rule) {
+        return res.status(404).json({
+          error: 'Auto-reply rule not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        rule,
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to get auto-reply rule');
+    }
+  });
+
+  // Update a rule (only the fields in the body change)
+  router.put('/api/autoreplies/:ruleId', requireRole(Role.ADMIN), validateRequest({ body: updateAutoReplyBody }), async (req, res) => {
+    try {
+      const { updateRule } = require('../auto-reply');
+      const rule = await updateRule(req.params.ruleId, req.body);
+
+      if (!rule) {
+        return res.status(404).json({
+          error: 'Auto-reply rule not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        rule,
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to update auto-reply rule');
+    }
+  });
+
+  // Delete a rule
+  router.delete('/api/autoreplies/:ruleId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { ruleId } = req.params;
+      const { deleteRule } = require('../auto-reply');
+
+      if (!await deleteRule(ruleId)) {
+        return res.status(404).json({
+          error: 'Auto-reply rule not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        ruleId,
+        message: 'Auto-reply rule deleted',
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to delete auto-reply rule');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAutoRepliesRouter,
+};
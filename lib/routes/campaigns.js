@@ -0,0 +1,214 @@
+// Campaign routes
+// Create broadcast campaigns, follow their progress and pause, resume, cancel or resend them
+
+const express = require('express');
+const { rateLimit } = require('../rate-limit');
+const { getRegisteredSession } = require('../session');
+const { validateRequest, sendValidationError } = require('../validation');
+const { validateMessage } = require('../media');
+const { createCampaignBody, listCampaignsQuery, listCampaignRecipientsQuery } = require('../schemas');
+
+/**
+ * Answer campaign errors: actions the campaign's status doesn't allow are a 409, the rest a 500
+ */
+function sendCampaignError(res, error, message) {
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      error: message,
+      details: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Answer 404 for an unknown campaign
+ */
+function sendNotFound(res) {
+  return res.status(404).json({
+    error: 'Campaign not found',
+  });
+}
+
+/**
+ * Create the campaign router
+ */
+function createCampaignsRouter() {
+  const router = express.Router();
+
+  // List campaigns (newest first)
+  router.get('/api/campaigns', validateRequest({ query: listCampaignsQuery }), async (req, res) => {
+    try {
+      const { offset = 0, limit = 50 } = req.validatedQuery;
+      const { listCampaigns } = require('../campaigns');
+      const { total, campaigns } = await listCampaigns({ offset, limit });
+
+      res.json({
+        success: true,
+        total,
+        count: campaigns.length,
+        campaigns,
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to list campaigns');
+    }
+  });
+
+  // Create a campaign (sending starts with the first batch job)
+  router.post('/api/campaigns', rateLimit('jobs'), validateRequest({ body: createCampaignBody }), async (req, res) => {
+    try {
+      const body = req.body;
+
+      // Either one message for everyone or a template rendered per recipient
+      const errors = [];
+      if (body.message === undefined && body.template === undefined) {
+        errors.push({ field: 'message', message: 'or template is required' });
+      } else if (body.message !== undefined && body.template !== undefined) {
+        errors.push({ field: 'template', message: 'can\'t be combined with message' });
+      } else if (body.message !== undefined) {
+        errors.push(...await validateMessage(body.message, body.type));
+      } else {
+        const { validateTemplatePayload } = require('../templates');
+        errors.push(...await validateTemplatePayload(body, ''));
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (body.sessionId && !await getRegisteredSession(body.sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${body.sessionId}`,
+        });
+      }
+
+      const { createCampaign } = require('../campaigns');
+      const campaign = await createCampaign(body);
+
+      res.status(201).json({
+        success: true,
+        campaign,
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to create campaign');
+    }
+  });
+
+  // Campaign progress
+  router.get('/api/campaigns/:campaignId', async (req, res) => {
+    try {
+      const { getCampaign } = require('../campaigns');
+      const campaign = await getCampaign(req.params.campaignId);
+
+      if (!campaign) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        campaign,
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to get campaign');
+    }
+  });
+
+  // Recipients with their status (e.g. ?status=failed)
+  router.get('/api/campaigns/:campaignId/recipients', validateRequest({ query: listCampaignRecipientsQuery }), async (req, res) => {
+    try {
+      const { campaignId } = req.params;
+      const { status, offset = 0, limit = 100 } = req.validatedQuery;
+      const { getCampaign, listRecipients } = require('../campaigns');
+
+      if (!await getCampaign(campaignId)) {
+        return sendNotFound(res);
+      }
+
+      const { total, recipients } = await listRecipients(campaignId, { status, offset, limit });
+      res.json({
+        success: true,
+        campaignId,
+        status: status || null,
+        total,
+        count: recipients.length,
+        recipients,
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to list campaign recipients');
+    }
+  });
+
+  // Pause, resume and cancel
+  const actions = [
+    ['pause', 'pauseCampaign', 'Failed to pause campaign'],
+    ['resume', 'resumeCampaign', 'Failed to resume campaign'],
+    ['cancel', 'cancelCampaign', 'Failed to cancel campaign'],
+  ];
+  for (const [action, functionName, errorMessage] of actions) {
+    router.post(`/api/campaigns/:campaignId/${action}`, async (req, res) => {
+      try {
+        const campaign = await require('../campaigns')[functionName](req.params.campaignId);
+
+        if (!campaign) {
+          return sendNotFound(res);
+        }
+
+        res.json({
+          success: true,
+          campaign,
+        });
+      } catch (error) {
+        sendCampaignError(res, error, errorMessage);
+      }
+    });
+  }
+
+  // Send again to failed recipients only
+  router.post('/api/campaigns/:campaignId/resend-failed', async (req, res) => {
+    try {
+      const { resendFailed } = require('../campaigns');
+      const result = await resendFailed(req.params.campaignId);
+
+      if (!result) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        requeued: result.requeued,
+        campaign: result.campaign,
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to resend campaign');
+    }
+  });
+
+  // Delete a campaign that isn't running
+  router.delete('/api/campaigns/:campaignId', async (req, res) => {
+    try {
+      const { campaignId } = req.params;
+      const { deleteCampaign } = require('../campaigns');
+
+      if (!await deleteCampaign(campaignId)) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        campaignId,
+        message: 'Campaign deleted',
+      });
+    } catch (error) {
+      sendCampaignError(res, error, 'Failed to delete campaign');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCampaignsRouter,
+};
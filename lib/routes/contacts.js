@@ -0,0 +1,52 @@
+// Contact routes
+// Check numbers before sending to them (answers are cached, see lib/contacts.js)
+
+const express = require('express');
+const { rateLimit } = require('../rate-limit');
+const { DEFAULT_SESSION_ID, getRegisteredSession } = require('../session');
+const { validateRequest } = require('../validation');
+const { checkContactsBody } = require('../schemas');
+
+/**
+ * Create the contacts router
+ */
+function createContactsRouter() {
+  const router = express.Router();
+
+  // Check whether numbers are registered on WhatsApp
+  router.post('/api/contacts/check', rateLimit('contacts'), validateRequest({ body: checkContactsBody }), async (req, res) => {
+    try {
+      const { numbers, refresh = false, sessionId = DEFAULT_SESSION_ID } = req.body;
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      const { checkNumbers } = require('../contacts');
+      const results = await checkNumbers(numbers, { sessionId, refresh });
+
+      res.json({
+        success: true,
+        sessionId,
+        total: results.length,
+        registered: results.filter(result => result.exists === true).length,
+        notRegistered: results.filter(result => result.exists === false).length,
+        results,
+      });
+    } catch (error) {
+      console.error('Check contacts error:', error);
+      res.status(500).json({
+        error: 'Failed to check numbers',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createContactsRouter,
+};
@@ -0,0 +1,136 @@
+// Conversation flow routes
+// Anyone with an API key can read flows, changing them needs an admin key
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { validateRequest, sendValidationError } = require('../validation');
+const { createFlowBody, replaceFlowBody } = require('../schemas');
+
+/**
+ * Answer flow errors: inconsistent definitions are a 400, the rest a 500
+ */
+function sendFlowError(res, error, message) {
+  if (error.field) {
+    return sendValidationError(res, [{ field: error.field, message: error.message }]);
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Create the conversation flow router
+ */
+function createFlowsRouter() {
+  const router = express.Router();
+
+  // List flows
+  router.get('/api/flows', async (req, res) => {
+    try {
+      const { listFlows } = require('../flows');
+      const flows = await listFlows();
+      res.json({
+        success: true,
+        count: flows.length,
+        flows,
+      });
+    } catch (error) {
+      sendFlowError(res, error, 'Failed to list flows');
+    }
+  });
+
+  // Create a flow
+  router.post('/api/flows', requireRole(Role.ADMIN), validateRequest({ body: createFlowBody }), async (req, res) => {
+    try {
+      const { getFlow, saveFlow } = require('../flows');
+
+      if (await getFlow(req.body.id)) {
+        return res.status(409).json({
+          error: 'Flow already exists',
+          details: `Use PUT /api/flows/${req.body.id} to replace it`,
+        });
+      }
+
+      const { flow } = await saveFlow(req.body);
+      res.status(201).json({
+        success: true,
+        flow,
+      });
+    } catch (error) {
+      sendFlowError(res, error, 'Failed to create flow');
+    }
+  });
+
+  // Get a flow
+  router.get('/api/flows/:flowId', async (req, res) => {
+    try {
+      const { getFlow } = require('../flows');
+      const flow = await getFlow(req.params.flowId);
+
+      if (!flow) {
+        return res.status(404).json({
+          error: 'Flow not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        flow,
+      });
+    } catch (error) {
+      sendFlowError(res, error, 'Failed to get flow');
+    }
+  });
+
+  // Replace a flow (chats in the middle of it continue from their current step if it still exists)
+  router.put('/api/flows/:flowId', requireRole(Role.ADMIN), validateRequest({ body: replaceFlowBody }), async (req, res) => {
+    try {
+      const { getFlow, saveFlow } = require('../flows');
+      const { flowId } = req.params;
+
+      if (!await getFlow(flowId)) {
+        return res.status(404).json({
+          error: 'Flow not found',
+        });
+      }
+
+      const { flow } = await saveFlow({ ...req.body, id: flowId });
+      res.json({
+        success: true,
+        flow,
+      });
+    } catch (error) {
+      sendFlowError(res, error, 'Failed to update flow');
+    }
+  });
+
+  // Delete a flow
+  router.delete('/api/flows/:flowId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { deleteFlow } = require('../flows');
+
+      if (!await deleteFlow(flowId)) {
+        return res.status(404).json({
+          error: 'Flow not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        flowId,
+        message: 'Flow deleted',
+      });
+    } catch (error) {
+      sendFlowError(res, error, 'Failed to delete flow');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFlowsRouter,
+};
@@ -0,0 +1,201 @@
+// Group routes
+// Anyone with an API key can read groups, changing them (and invite links) needs an admin key.
+// Every route works on the "main" session unless a sessionId is given (query for GET, body otherwise).
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { DEFAULT_SESSION_ID, getRegisteredSession } = require('../session');
+const { validateRequest } = require('../validation');
+const {
+  sessionQuery,
+  clearSessionBody,
+  createGroupBody,
+  updateParticipantsBody,
+  updateGroupBody,
+} = require('../schemas');
+
+// WhatsApp error codes passed on to the client (401 from WhatsApp means we aren't a group admin)
+const WHATSAPP_ERROR_STATUS = { 400: 400, 401: 403, 403: 403, 404: 404, 406: 400, 409: 409 };
+
+/**
+ * Answer a group error with the matching status
+ */
+function sendGroupError(res, error, message) {
+  const code = error.statusCode || (typeof error.data === 'number' ? error.data : null);
+  const status = WHATSAPP_ERROR_STATUS[code] || 500;
+
+  if (status === 500) {
+    console.error(`${message}:`, error);
+  }
+  return res.status(status).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Create the group router
+ */
+function createGroupsRouter() {
+  const router = express.Router();
+
+  // Resolve the session of a request, answering 404 for unknown sessions
+  const resolveSession = async (req, res) => {
+    const sessionId = req.validatedQuery?.sessionId || req.body?.sessionId || DEFAULT_SESSION_ID;
+    if (!await getRegisteredSession(sessionId)) {
+      res.status(404).json({
+        error: `Unknown session: ${sessionId}`,
+      });
+      return null;
+    }
+    return sessionId;
+  };
+
+  // List groups
+  router.get('/api/groups', validateRequest({ query: sessionQuery }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { listGroups } = require('../groups');
+      const groups = await listGroups(sessionId);
+      res.json({
+        success: true,
+        sessionId,
+        count: groups.length,
+        groups,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to list groups');
+    }
+  });
+
+  // Create a group
+  router.post('/api/groups', requireRole(Role.ADMIN), validateRequest({ body: createGroupBody }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { subject, participants } = req.body;
+      const { createGroup } = require('../groups');
+      const group = await createGroup(sessionId, subject, participants);
+
+      res.status(201).json({
+        success: true,
+        sessionId,
+        group,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to create group');
+    }
+  });
+
+  // Group metadata and participants
+  router.get('/api/groups/:groupId', validateRequest({ query: sessionQuery }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { getGroup } = require('../groups');
+      const group = await getGroup(sessionId, req.params.groupId);
+      res.json({
+        success: true,
+        sessionId,
+        group,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to get group');
+    }
+  });
+
+  // Update subject and/or description
+  router.put('/api/groups/:groupId', requireRole(Role.ADMIN), validateRequest({ body: updateGroupBody }), async (req, res) => {
+    try {
+      const { subject, description } = req.body;
+      if (subject === undefined && description === undefined) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: 'subject or description is required',
+          fields: [{ field: 'subject', message: 'or description is required' }],
+        });
+      }
+
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { updateGroup } = require('../groups');
+      const group = await updateGroup(sessionId, req.params.groupId, { subject, description });
+      res.json({
+        success: true,
+        sessionId,
+        group,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to update group');
+    }
+  });
+
+  // Add, remove, promote or demote members
+  router.post('/api/groups/:groupId/participants', requireRole(Role.ADMIN), validateRequest({ body: updateParticipantsBody }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { action, participants } = req.body;
+      const { updateParticipants } = require('../groups');
+      const results = await updateParticipants(sessionId, req.params.groupId, action, participants);
+
+      res.json({
+        success: results.every(result => result.success),
+        sessionId,
+        action,
+        results,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to update participants');
+    }
+  });
+
+  // Invite link
+  router.get('/api/groups/:groupId/invite', requireRole(Role.ADMIN), validateRequest({ query: sessionQuery }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { getInviteLink } = require('../groups');
+      const invite = await getInviteLink(sessionId, req.params.groupId);
+      res.json({
+        success: true,
+        sessionId,
+        ...invite,
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to get invite link');
+    }
+  });
+
+  // Revoke the invite link (the old link stops working)
+  router.post('/api/groups/:groupId/invite/revoke', requireRole(Role.ADMIN), validateRequest({ body: clearSessionBody }), async (req, res) => {
+    try {
+      const sessionId = await resolveSession(req, res);
+      if (!sessionId) return;
+
+      const { getInviteLink } = require('../groups');
+      const invite = await getInviteLink(sessionId, req.params.groupId, { revoke: true });
+      res.json({
+        success: true,
+        sessionId,
+        ...invite,
+        message: 'Invite link revoked',
+      });
+    } catch (error) {
+      sendGroupError(res, error, 'Failed to revoke invite link');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createGroupsRouter,
+};
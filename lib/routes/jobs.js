@@ -0,0 +1,411 @@
+// Job management routes
+// Enqueue, inspect, cancel and retry queued jobs, plus the worker and cron triggers
+
+const express = require('express');
+const { rateLimit } = require('../rate-limit');
+const { idempotency } = require('../idempotency');
+const { requireRole, requireCronSecretOrAdmin, Role } = require('../auth');
+const { getRegisteredSession } = require('../session');
+const { validate, validateRequest, sendValidationError } = require('../validation');
+const { validateMessage } = require('../media');
+const { JobType, JobPriority } = require('../queue');
+const {
+  enqueueJobBody,
+  jobPayloadSchemas,
+  listJobsParams,
+  listJobsQuery,
+  workerBody,
+  listDeadJobsQuery,
+  deadJobsBody,
+} = require('../schemas');
+
+/**
+ * Resolve the dead-lettered jobs a bulk action applies to: the listed ones, or all (of a type)
+ * @returns {Promise<Array<string>|null>} Job IDs, null after answering a validation error
+ */
+async function resolveDeadJobIds(req, res) {
+  const { jobIds, all, type } = req.body;
+
+  if (jobIds === undefined && all !== true) {
+    sendValidationError(res, [{ field: 'jobIds', message: 'or all is required' }]);
+    return null;
+  }
+  if (jobIds !== undefined && all !== undefined) {
+    sendValidationError(res, [{ field: 'all', message: 'can\'t be combined with jobIds' }]);
+    return null;
+  }
+  if (type !== undefined && all !== true) {
+    sendValidationError(res, [{ field: 'type', message: 'only applies with all' }]);
+    return null;
+  }
+
+  if (jobIds) {
+    return [...new Set(jobIds)];
+  }
+  const { listDeadJobIds } = require('../queue');
+  return listDeadJobIds({ type });
+}
+
+/**
+ * Create the job management router
+ */
+function createJobsRouter() {
+  const router = express.Router();
+
+  // Enqueue a job
+  router.post('/api/jobs', idempotency('jobs'), rateLimit('jobs'), validateRequest({ body: enqueueJobBody }), async (req, res) => {
+    try {
+      const { type, payload, options = {} } = req.body;
+
+      // Validate the payload for this job type before it reaches a handler
+      const payloadErrors = validate(jobPayloadSchemas[type], payload, 'payload');
+      if (typeof options.priority === 'string' && !Object.values(JobPriority).includes(options.priority)) {
+        payloadErrors.push({ field: 'options.priority', message: `must be one of: ${Object.values(JobPriority).join(', ')}` });
+      }
+      if (payloadErrors.length === 0 && type === JobType.BROADCAST) {
+        if (payload.message === undefined && payload.template === undefined) {
+          payloadErrors.push({ field: 'payload.message', message: 'or payload.template is required' });
+        } else if (payload.message !== undefined && payload.template !== undefined) {
+          payloadErrors.push({ field: 'payload.template', message: 'can\'t be combined with payload.message' });
+        }
+      }
+      if (payloadErrors.length === 0 && payload.message !== undefined) {
+        payloadErrors.push(...await validateMessage(payload.message, payload.type, 'payload.message'));
+      }
+      // Templates must exist and every recipient needs its required variables
+      if (payloadErrors.length === 0 && payload.template !== undefined) {
+        const { validateTemplatePayload } = require('../templates');
+        payloadErrors.push(...await validateTemplatePayload(payload));
+      }
+      if (payloadErrors.length > 0) {
+        return sendValidationError(res, payloadErrors);
+      }
+
+      const { enqueueJob } = require('../queue');
+
+      if (payload.sessionId && !await getRegisteredSession(payload.sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${payload.sessionId}`,
+        });
+      }
+
+      // A scheduled message waits in the queue until its scheduledFor (unless options say otherwise)
+      const jobOptions = type === JobType.SCHEDULED_MESSAGE && payload.scheduledFor && !options.scheduledFor
+        ? { ...options, scheduledFor: payload.scheduledFor }
+        : options;
+
+      const jobId = await enqueueJob(type, payload, jobOptions);
+
+      res.json({
+        success: true,
+        jobId,
+        type,
+        status: 'pending',
+        message: 'Job enqueued successfully',
+      });
+    } catch (error) {
+      console.error('Enqueue job error:', error);
+      res.status(500).json({
+        error: 'Failed to enqueue job',
+        details: error.message,
+      });
+    }
+  });
+
+  // Get queue statistics
+  router.get('/api/jobs/stats', async (req, res) => {
+    try {
+      const { type } = req.query;
+      const { getQueueStats } = require('../queue');
+      
+      const stats = await getQueueStats(type);
+      
+      res.json({
+        success: true,
+        stats,
+      });
+    } catch (error) {
+      console.error('Get queue stats error:', error);
+      res.status(500).json({
+        error: 'Failed to get queue statistics',
+        details: error.message,
+      });
+    }
+  });
+
+  // Get jobs by status
+  router.get('/api/jobs/list/:status', validateRequest({ params: listJobsParams, query: listJobsQuery }), async (req, res) => {
+    try {
+      const { status } = req.params;
+      const { type, from, to, metadata, cursor, limit = 50 } = req.validatedQuery;
+      const { listJobs } = require('../queue');
+
+      const { jobs, nextCursor } = await listJobs(status, { type, from, to, metadata, cursor, limit });
+
+      res.json({
+        success: true,
+        status,
+        count: jobs.length,
+        jobs,
+        nextCursor,
+      });
+    } catch (error) {
+      if (error.field) {
+        return sendValidationError(res, [{ field: error.field, message: error.message }]);
+      }
+      console.error('Get jobs by status error:', error);
+      res.status(500).json({
+        error: 'Failed to get jobs',
+        details: error.message,
+      });
+    }
+  });
+
+  // Dead-letter queue: jobs that used up their attempts (newest first)
+  router.get('/api/jobs/dead', validateRequest({ query: listDeadJobsQuery }), async (req, res) => {
+    try {
+      const { type, offset = 0, limit = 50 } = req.validatedQuery;
+      const { listDeadJobs } = require('../queue');
+      const { total, jobs } = await listDeadJobs({ type, offset, limit });
+
+      res.json({
+        success: true,
+        type: type || null,
+        total,
+        count: jobs.length,
+        jobs,
+      });
+    } catch (error) {
+      console.error('List dead jobs error:', error);
+      res.status(500).json({
+        error: 'Failed to list dead-lettered jobs',
+        details: error.message,
+      });
+    }
+  });
+
+  // Queue dead-lettered jobs again with fresh attempts
+  router.post('/api/jobs/dead/replay', validateRequest({ body: deadJobsBody }), async (req, res) => {
+    try {
+      const jobIds = await resolveDeadJobIds(req, res);
+      if (!jobIds) {
+        return;
+      }
+
+      const { replayDeadJobs } = require('../queue');
+      const { replayed, notFound } = await replayDeadJobs(jobIds);
+
+      res.json({
+        success: true,
+        replayed: replayed.length,
+        jobIds: replayed,
+        notFound,
+      });
+    } catch (error) {
+      console.error('Replay dead jobs error:', error);
+      res.status(500).json({
+        error: 'Failed to replay dead-lettered jobs',
+        details: error.message,
+      });
+    }
+  });
+
+  // Remove dead-lettered jobs for good
+  router.post('/api/jobs/dead/purge', requireRole(Role.ADMIN), validateRequest({ body: deadJobsBody }), async (req, res) => {
+    try {
+      const jobIds = await resolveDeadJobIds(req, res);
+      if (!jobIds) {
+        return;
+      }
+
+      const { purgeDeadJobs } = require('../queue');
+      const { purged, notFound } = await purgeDeadJobs(jobIds);
+
+      res.json({
+        success: true,
+        purged: purged.length,
+        jobIds: purged,
+        notFound,
+      });
+    } catch (error) {
+      console.error('Purge dead jobs error:', error);
+      res.status(500).json({
+        error: 'Failed to purge dead-lettered jobs',
+        details: error.message,
+      });
+    }
+  });
+
+  // Inspect a dead-lettered job: last error and every attempt
+  router.get('/api/jobs/dead/:jobId', async (req, res) => {
+    try {
+      const { getDeadJob } = require('../queue');
+      const job = await getDeadJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found in the dead-letter queue',
+        });
+      }
+
+      res.json({
+        success: true,
+        job,
+      });
+    } catch (error) {
+      console.error('Get dead job error:', error);
+      res.status(500).json({
+        error: 'Failed to get dead-lettered job',
+        details: error.message,
+      });
+    }
+  });
+
+  // Remove one dead-lettered job
+  router.delete('/api/jobs/dead/:jobId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { purgeDeadJobs } = require('../queue');
+      const { purged } = await purgeDeadJobs([jobId]);
+
+      if (purged.length === 0) {
+        return res.status(404).json({
+          error: 'Job not found in the dead-letter queue',
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        message: 'Dead-lettered job purged',
+      });
+    } catch (error) {
+      console.error('Purge dead job error:', error);
+      res.status(500).json({
+        error: 'Failed to purge dead-lettered job',
+        details: error.message,
+      });
+    }
+  });
+
+  // Get job status
+  router.get('/api/jobs/:jobId', async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { getJobStatus } = require('../queue');
+      const { attachDeliveryStatus } = require('../message-status');
+
+      const job = await getJobStatus(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+        });
+      }
+
+      // Delivery/read receipts arrive after the job completed, add the current state
+      await attachDeliveryStatus(job);
+
+      res.json({
+        success: true,
+        job,
+      });
+    } catch (error) {
+      console.error('Get job status error:', error);
+      res.status(500).json({
+        error: 'Failed to get job status',
+        details: error.message,
+      });
+    }
+  });
+
+  // Cancel a job
+  router.post('/api/jobs/:jobId/cancel', async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { cancelJob } = require('../queue');
+
+      const cancelled = await cancelJob(jobId);
+
+      if (!cancelled) {
+        return res.status(400).json({
+          error: 'Job not found or cannot be cancelled (only pending jobs can be cancelled)',
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        message: 'Job cancelled successfully',
+      });
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      res.status(500).json({
+        error: 'Failed to cancel job',
+        details: error.message,
+      });
+    }
+  });
+
+  // Retry a failed job
+  router.post('/api/jobs/:jobId/retry', async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const { retryJob } = require('../queue');
+
+      const retried = await retryJob(jobId);
+
+      if (!retried) {
+        return res.status(400).json({
+          error: 'Job not found or cannot be retried (only failed jobs can be retried)',
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        message: 'Job queued for retry',
+      });
+    } catch (error) {
+      console.error('Retry job error:', error);
+      res.status(500).json({
+        error: 'Failed to retry job',
+        details: error.message,
+      });
+    }
+  });
+
+  // Worker endpoint - process jobs on-demand
+  router.post('/api/worker', validateRequest({ body: workerBody }), async (req, res) => {
+    try {
+      const worker = require('../../api/worker');
+      await worker(req, res);
+    } catch (error) {
+      console.error('Worker error:', error);
+      res.status(500).json({
+        error: 'Worker failed',
+        details: error.message,
+      });
+    }
+  });
+
+  // Cron endpoint - trigger cron job manually (CRON_SECRET or an admin API key)
+  router.post('/api/cron', requireCronSecretOrAdmin, async (req, res) => {
+    try {
+      const cron = require('../../api/cron');
+      await cron(req, res);
+    } catch (error) {
+      console.error('Cron error:', error);
+      res.status(500).json({
+        error: 'Cron failed',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJobsRouter,
+};
@@ -0,0 +1,89 @@
+// API key management routes (admin only)
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { validateRequest } = require('../validation');
+const { createApiKeyBody } = require('../schemas');
+
+/**
+ * Create the API key management router
+ */
+function createKeysRouter() {
+  const router = express.Router();
+
+  // Create an API key
+  router.post('/api/keys', requireRole(Role.ADMIN), validateRequest({ body: createApiKeyBody }), async (req, res) => {
+    try {
+      const { name, role = Role.CLIENT } = req.body;
+
+      const { createApiKey } = require('../auth');
+      const { apiKey, key } = await createApiKey({ name, role });
+
+      res.status(201).json({
+        success: true,
+        apiKey,
+        key,
+        message: 'Store this API key now, it cannot be shown again',
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        details: error.message,
+      });
+    }
+  });
+
+  // List API keys
+  router.get('/api/keys', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { listApiKeys } = require('../auth');
+      const keys = await listApiKeys();
+      res.json({
+        success: true,
+        count: keys.length,
+        keys,
+      });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        details: error.message,
+      });
+    }
+  });
+
+  // Revoke an API key
+  router.delete('/api/keys/:keyId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { keyId } = req.params;
+      const { revokeApiKey } = require('../auth');
+
+      const revoked = await revokeApiKey(keyId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'API key not found or already revoked',
+        });
+      }
+
+      res.json({
+        success: true,
+        keyId,
+        message: 'API key revoked',
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createKeysRouter,
+};
@@ -0,0 +1,146 @@
+// Media library routes
+// Upload a file once, then send it by media ID ({ "mediaId": "med_..." } in a message)
+
+const express = require('express');
+const multer = require('multer');
+const { requireRole, Role } = require('../auth');
+const { rateLimit } = require('../rate-limit');
+
+// Upload limit in MB (WhatsApp allows 16 MB for images/videos, 100 MB for documents)
+const MEDIA_MAX_SIZE_MB = parseInt(process.env.MEDIA_MAX_SIZE_MB || '16', 10);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+});
+
+/**
+ * Parse a single file from the "file" field, answering upload errors with a 400
+ */
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: 'Upload failed',
+        details: error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${MEDIA_MAX_SIZE_MB} MB` : error.message,
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Create the media library router
+ */
+function createMediaRouter() {
+  const router = express.Router();
+
+  // Upload a file (multipart/form-data, field "file", optional "filename")
+  router.post('/api/media', rateLimit('media'), uploadFile, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: 'file is required',
+          fields: [{ field: 'file', message: 'is required' }],
+        });
+      }
+
+      const { saveMedia } = require('../media-store');
+      const { media, created } = await saveMedia(req.file.buffer, {
+        filename: req.body.filename || req.file.originalname,
+        mimetype: req.file.mimetype,
+        uploadedBy: req.apiKey?.id,
+      });
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        mediaId: media.id,
+        media,
+        message: created ? 'Media stored' : 'Media already stored',
+      });
+    } catch (error) {
+      console.error('Upload media error:', error);
+      res.status(500).json({
+        error: 'Failed to store media',
+        details: error.message,
+      });
+    }
+  });
+
+  // List stored media
+  router.get('/api/media', async (req, res) => {
+    try {
+      const { listMedia } = require('../media-store');
+      const media = await listMedia();
+      res.json({
+        success: true,
+        count: media.length,
+        media,
+      });
+    } catch (error) {
+      console.error('List media error:', error);
+      res.status(500).json({
+        error: 'Failed to list media',
+        details: error.message,
+      });
+    }
+  });
+
+  // Get media details
+  router.get('/api/media/:mediaId', async (req, res) => {
+    try {
+      const { getMedia } = require('../media-store');
+      const media = await getMedia(req.params.mediaId);
+
+      if (!media) {
+        return res.status(404).json({
+          error: 'Media not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        media,
+      });
+    } catch (error) {
+      console.error('Get media error:', error);
+      res.status(500).json({
+        error: 'Failed to get media',
+        details: error.message,
+      });
+    }
+  });
+
+  // Delete stored media
+  router.delete('/api/media/:mediaId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { mediaId } = req.params;
+      const { deleteMedia } = require('../media-store');
+
+      if (!await deleteMedia(mediaId)) {
+        return res.status(404).json({
+          error: 'Media not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        mediaId,
+        message: 'Media deleted',
+      });
+    } catch (error) {
+      console.error('Delete media error:', error);
+      res.status(500).json({
+        error: 'Failed to delete media',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMediaRouter,
+};
@@ -0,0 +1,193 @@
+// Message routes
+// Send messages directly or through the queue, and receive forwarded incoming messages
+
+const express = require('express');
+const { rateLimit } = require('../rate-limit');
+const { idempotency } = require('../idempotency');
+const { DEFAULT_SESSION_ID, getRegisteredSession } = require('../session');
+const { validate, validateRequest, sendValidationError } = require('../validation');
+const { validateMessage } = require('../media');
+const { formatJid } = require('../jid');
+const { sendMessageBody, notifyBody, incomingMessagesBody } = require('../schemas');
+
+/**
+ * Trigger Pipedream webhook
+ */
+async function triggerPipedream(webhookUrl, jobId) {
+  try {
+    await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId }),
+    });
+    console.log(`🚀 Pipedream triggered for job ${jobId}`);
+  } catch (error) {
+    console.error('Failed to trigger Pipedream:', error.message);
+  }
+}
+
+/**
+ * Create the messaging router
+ * @param {Object} options - Router options
+ * @param {Object} options.bot - Bot provider
+ */
+function createMessagesRouter({ bot }) {
+  const router = express.Router();
+
+  // Send message endpoint
+  router.post('/api/send', idempotency('send'), rateLimit('send'), validateRequest({ body: sendMessageBody }), async (req, res) => {
+    try {
+      const { to, message, type = 'text', usePipedream = false, sessionId = DEFAULT_SESSION_ID } = req.body;
+
+      const messageErrors = await validateMessage(message, type);
+      if (messageErrors.length > 0) {
+        return sendValidationError(res, messageErrors);
+      }
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      // Normalized recipient (0812... -> 62812...@s.whatsapp.net), echoed back so clients see where it went
+      const jid = formatJid(to);
+
+      // Check if Pipedream should be used
+      const pipedreamWebhookUrl = process.env.PIPEDREAM_WEBHOOK_URL;
+
+      if (usePipedream && pipedreamWebhookUrl) {
+        // Use Pipedream for processing (hybrid mode)
+        const { enqueueJob, JobType } = require('../queue');
+
+        // Enqueue job
+        const jobId = await enqueueJob(JobType.SEND_MESSAGE, { to: jid, message, type, sessionId });
+
+        // Trigger Pipedream
+        await triggerPipedream(pipedreamWebhookUrl, jobId);
+
+        res.json({
+          success: true,
+          jobId,
+          jid,
+          status: 'queued',
+          message: 'Message queued for processing via Pipedream',
+        });
+      } else {
+        // Send through the bot of this deployment
+        const result = await bot.sendMessage(jid, message, type, sessionId);
+        res.json({
+          success: true,
+          messageId: result?.key?.id,
+          jid,
+          sessionId,
+          status: 'sent',
+        });
+      }
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(error.statusCode || 500).json({
+        error: 'Failed to send message',
+        details: error.message,
+      });
+    }
+  });
+
+  // Notify endpoint (legacy format used by the frontend)
+  router.post('/api/notify', idempotency('notify'), rateLimit('notify'), async (req, res) => {
+    try {
+      // Keep the legacy { success, message } error shape for this endpoint
+      const errors = validate(notifyBody, req.body ?? {});
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.map(e => `${e.field} ${e.message}`).join('; '),
+          fields: errors,
+        });
+      }
+
+      const { number, bodyMessage, sessionId = DEFAULT_SESSION_ID } = req.body;
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      const jid = formatJid(number);
+      const result = await bot.sendMessage(jid, bodyMessage, 'text', sessionId);
+
+      res.json({
+        success: true,
+        message: `Pesan berhasil dikirim ke ${number}`,
+        messageId: result?.key?.id,
+        jid,
+        sessionId,
+      });
+    } catch (error) {
+      console.error('❌ Error mengirim pesan:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Gagal mengirim pesan',
+        details: error.message,
+      });
+    }
+  });
+
+  // Delivery status of a sent message (sent, delivered, read, ...)
+  router.get('/api/messages/:messageId', async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      const { getMessageStatus } = require('../message-status');
+
+      const message = await getMessageStatus(messageId);
+
+      if (!message) {
+        return res.status(404).json({
+          error: 'Message not found (unknown ID or older than the retention period)',
+        });
+      }
+
+      res.json({
+        success: true,
+        message,
+      });
+    } catch (error) {
+      console.error('Get message status error:', error);
+      res.status(500).json({
+        error: 'Failed to get message status',
+        details: error.message,
+      });
+    }
+  });
+
+  // Webhook endpoint for incoming messages forwarded by another bot instance
+  // Each message is passed on to webhook subscribers as message.received
+  router.post('/api/webhook', validateRequest({ body: incomingMessagesBody }), async (req, res) => {
+    try {
+      const { messages = [], sessionId = DEFAULT_SESSION_ID } = req.body;
+      const { WebhookEvent, dispatchEvent } = require('../webhooks');
+      const { toMessageEvent } = require('../bot-events');
+
+      let deliveries = 0;
+      for (const msg of messages) {
+        console.log('Incoming message:', msg.key?.id || msg.key?.remoteJid);
+        const jobIds = await dispatchEvent(WebhookEvent.MESSAGE_RECEIVED, toMessageEvent(msg), { sessionId });
+        deliveries += jobIds.length;
+      }
+      res.json({ received: messages.length, deliveries });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Webhook processing failed',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMessagesRouter,
+};
@@ -0,0 +1,201 @@
+// Recurring schedule routes
+// Create schedules that send on a cron expression, list them with their run history, pause or delete them
+
+const express = require('express');
+const { rateLimit } = require('../rate-limit');
+const { getRegisteredSession } = require('../session');
+const { validateRequest, sendValidationError } = require('../validation');
+const { validateMessage } = require('../media');
+const { createScheduleBody, listSchedulesQuery, listScheduleRunsQuery } = require('../schemas');
+
+/**
+ * Answer schedule errors: invalid expressions are a 400, actions the status doesn't allow a 409,
+ * the rest a 500
+ */
+function sendScheduleError(res, error, message) {
+  if (error.field) {
+    return sendValidationError(res, [{ field: error.field, message: error.message }]);
+  }
+  if (error.statusCode === 409) {
+    return res.status(409).json({
+      error: message,
+      details: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Answer 404 for an unknown schedule
+ */
+function sendNotFound(res) {
+  return res.status(404).json({
+    error: 'Schedule not found',
+  });
+}
+
+/**
+ * Create the schedule router
+ */
+function createSchedulesRouter() {
+  const router = express.Router();
+
+  // List schedules (newest first)
+  router.get('/api/schedules', validateRequest({ query: listSchedulesQuery }), async (req, res) => {
+    try {
+      const { status, offset = 0, limit = 50 } = req.validatedQuery;
+      const { listSchedules } = require('../schedules');
+      const { total, schedules } = await listSchedules({ status, offset, limit });
+
+      res.json({
+        success: true,
+        total,
+        count: schedules.length,
+        schedules,
+      });
+    } catch (error) {
+      sendScheduleError(res, error, 'Failed to list schedules');
+    }
+  });
+
+  // Create a schedule (runs are enqueued by the cron and worker passes)
+  router.post('/api/schedules', rateLimit('jobs'), validateRequest({ body: createScheduleBody }), async (req, res) => {
+    try {
+      const body = req.body;
+
+      // One recipient or a list, and either one message or a template
+      const errors = [];
+      if (body.to === undefined && body.recipients === undefined) {
+        errors.push({ field: 'to', message: 'or recipients is required' });
+      } else if (body.to !== undefined && body.recipients !== undefined) {
+        errors.push({ field: 'recipients', message: 'can\'t be combined with to' });
+      }
+      if (body.message === undefined && body.template === undefined) {
+        errors.push({ field: 'message', message: 'or template is required' });
+      } else if (body.message !== undefined && body.template !== undefined) {
+        errors.push({ field: 'template', message: 'can\'t be combined with message' });
+      } else if (body.message !== undefined) {
+        errors.push(...await validateMessage(body.message, body.type));
+      }
+      if (errors.length === 0 && body.template !== undefined) {
+        const { validateTemplatePayload } = require('../templates');
+        errors.push(...await validateTemplatePayload(body, ''));
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (body.sessionId && !await getRegisteredSession(body.sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${body.sessionId}`,
+        });
+      }
+
+      const { createSchedule } = require('../schedules');
+      const schedule = await createSchedule(body);
+
+      res.status(201).json({
+        success: true,
+        schedule,
+      });
+    } catch (error) {
+      sendScheduleError(res, error, 'Failed to create schedule');
+    }
+  });
+
+  // Get a schedule
+  router.get('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+      const { getSchedule } = require('../schedules');
+      const schedule = await getSchedule(req.params.scheduleId);
+
+      if (!schedule) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        schedule,
+      });
+    } catch (error) {
+      sendScheduleError(res, error, 'Failed to get schedule');
+    }
+  });
+
+  // Past runs with the status of their jobs (newest first)
+  router.get('/api/schedules/:scheduleId/runs', validateRequest({ query: listScheduleRunsQuery }), async (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+      const { limit = 50 } = req.validatedQuery;
+      const { getSchedule, listRuns } = require('../schedules');
+
+      if (!await getSchedule(scheduleId)) {
+        return sendNotFound(res);
+      }
+
+      const runs = await listRuns(scheduleId, { limit });
+      res.json({
+        success: true,
+        scheduleId,
+        count: runs.length,
+        runs,
+      });
+    } catch (error) {
+      sendScheduleError(res, error, 'Failed to list schedule runs');
+    }
+  });
+
+  // Pause and resume
+  const actions = [
+    ['pause', 'pauseSchedule', 'Failed to pause schedule'],
+    ['resume', 'resumeSchedule', 'Failed to resume schedule'],
+  ];
+  for (const [action, functionName, errorMessage] of actions) {
+    router.post(`/api/schedules/:scheduleId/${action}`, async (req, res) => {
+      try {
+        const schedule = await require('../schedules')[functionName](req.params.scheduleId);
+
+        if (!schedule) {
+          return sendNotFound(res);
+        }
+
+        res.json({
+          success: true,
+          schedule,
+        });
+      } catch (error) {
+        sendScheduleError(res, error, errorMessage);
+      }
+    });
+  }
+
+  // Delete a schedule (runs already enqueued are still sent)
+  router.delete('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+      const { deleteSchedule } = require('../schedules');
+
+      if (!await deleteSchedule(scheduleId)) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        scheduleId,
+        message: 'Schedule deleted',
+      });
+    } catch (error) {
+      sendScheduleError(res, error, 'Failed to delete schedule');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSchedulesRouter,
+};
@@ -0,0 +1,140 @@
+// Session (WhatsApp account) management routes
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { validateRequest } = require('../validation');
+const { createSessionBody, clearSessionBody } = require('../schemas');
+const {
+  DEFAULT_SESSION_ID,
+  registerSession,
+  getRegisteredSession,
+  listRegisteredSessions,
+  unregisterSession,
+} = require('../session');
+
+/**
+ * Create the session management router
+ * @param {Object} options - Router options
+ * @param {Object} options.bot - Bot provider
+ */
+function createSessionsRouter({ bot }) {
+  const router = express.Router();
+
+  // List sessions with their connection status
+  router.get('/api/sessions', async (req, res) => {
+    try {
+      const sessions = await listRegisteredSessions();
+      res.json({
+        count: sessions.length,
+        sessions: sessions.map(session => ({
+          ...session,
+          status: bot.getBotStatus(session.id),
+        })),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to get sessions',
+        details: error.message,
+      });
+    }
+  });
+
+  // Create a named session and start linking it (scan the QR code at /qr/:sessionId)
+  router.post('/api/sessions', requireRole(Role.ADMIN), validateRequest({ body: createSessionBody }), async (req, res) => {
+    try {
+      const { sessionId, label } = req.body;
+
+      const session = await registerSession(sessionId, { label });
+      const status = await bot.linkSession(sessionId);
+
+      res.status(201).json({
+        success: true,
+        session,
+        status,
+        qr: `/qr/${sessionId}`,
+      });
+    } catch (error) {
+      console.error('Create session error:', error);
+      res.status(500).json({
+        error: 'Failed to create session',
+        details: error.message,
+      });
+    }
+  });
+
+  // Log out and remove a single session
+  router.delete('/api/sessions/:sessionId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      await bot.removeSession(sessionId);
+      await unregisterSession(sessionId);
+
+      res.json({
+        success: true,
+        sessionId,
+        message: 'Session removed',
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to remove session',
+        details: error.message,
+      });
+    }
+  });
+
+  // Clear all stored session data
+  router.delete('/api/sessions', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { clearAllSessions } = require('../session');
+      await clearAllSessions();
+      res.json({
+        success: true,
+        message: 'All sessions cleared',
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to clear sessions',
+        details: error.message,
+      });
+    }
+  });
+
+  // Clear session endpoint (for manual reset and re-linking)
+  router.post('/api/clear-session', requireRole(Role.ADMIN), validateRequest({ body: clearSessionBody }), async (req, res) => {
+    try {
+      const sessionId = req.body.sessionId || DEFAULT_SESSION_ID;
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      await bot.resetSession(sessionId);
+
+      res.json({
+        success: true,
+        sessionId,
+        message: bot.keepAlive ? 'Session cleared, bot restarting...' : 'Session cleared',
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to clear session',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSessionsRouter,
+};
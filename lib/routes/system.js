@@ -0,0 +1,236 @@
+// Health, status, QR and API info routes
+
+const express = require('express');
+const QRCode = require('qrcode');
+const { requireRole, Role } = require('../auth');
+const { DEFAULT_SESSION_ID, getRegisteredSession } = require('../session');
+
+/**
+ * Create the system router
+ * @param {Object} options - Router options
+ * @param {Object} options.bot - Bot provider
+ */
+function createSystemRouter({ bot }) {
+  const router = express.Router();
+
+  // Health check endpoint
+  router.get('/health', async (req, res) => {
+    try {
+      // Check Redis connection
+      const { redis } = require('../redis');
+      const redisStatus = await redis.ping();
+      res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        redis: redisStatus === 'PONG' ? 'connected' : 'error',
+        bot: bot.getBotStatus(DEFAULT_SESSION_ID).status,
+      });
+    } catch (error) {
+      res.json({
+        status: 'degraded',
+        timestamp: new Date().toISOString(),
+        error: error.message,
+      });
+    }
+  });
+
+  // **API Endpoint untuk Cek Status Bot** (per session)
+  router.get('/status/:sessionId?', async (req, res) => {
+    try {
+      const sessionId = req.params.sessionId || DEFAULT_SESSION_ID;
+
+      if (!await getRegisteredSession(sessionId)) {
+        return res.status(404).json({
+          error: `Unknown session: ${sessionId}`,
+        });
+      }
+
+      res.json(bot.getBotStatus(sessionId));
+    } catch (error) {
+      res.status(500).json({
+        error: 'Failed to get status',
+        details: error.message,
+      });
+    }
+  });
+
+  // **QR Code Endpoint - Untuk discan di browser**
+  router.get('/qr/:sessionId?', requireRole(Role.ADMIN), async (req, res) => {
+    const sessionId = req.params.sessionId || DEFAULT_SESSION_ID;
+
+    if (!await getRegisteredSession(sessionId)) {
+      return res.status(404).send(`Sesi ${sessionId} tidak ditemukan`);
+    }
+
+    const currentQR = bot.getQR(sessionId);
+    const { reconnectAttempts = 0 } = bot.getBotStatus(sessionId);
+
+    if (!currentQR) {
+      return res.send(`
+        <html>
+          <head><title>WA Bot QR Code</title><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+          <body style="display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background:#f0f0f0;font-family:Arial,sans-serif;">
+            <div style="text-align:center;background:white;padding:20px;border-radius:10px;box-shadow:0 2px 10px rgba(0,0,0,0.1);">
+              <h2>QR Code belum tersedia (sesi: ${sessionId})</h2>
+              <p>Bot sedang memulai, silakan tunggu beberapa detik atau refresh halaman ini.</p>
+              <p>Status reconnect: ${reconnectAttempts} attempts</p>
+              <button onclick="location.reload()" style="padding:10px 20px;margin-top:10px;cursor:pointer;">Refresh</button>
+            </div>
+          </body>
+        </html>
+      `);
+    }
+
+    try {
+      const qrImage = await QRCode.toDataURL(currentQR);
+      res.send(`
+        <html>
+          <head>
+            <title>WA Bot QR Code</title>
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <meta http-equiv="refresh" content="30">
+          </head>
+          <body style="display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background:#f0f0f0;font-family:Arial,sans-serif;">
+            <div style="text-align:center;background:white;padding:20px;border-radius:10px;box-shadow:0 2px 10px rgba(0,0,0,0.1);">
+              <h2>Scan QR ini dengan WhatsApp</h2>
+              <p>Sesi: <b>${sessionId}</b></p>
+              <p>Buka WhatsApp > Linked Devices > Link a Device</p>
+              <img src="${qrImage}" alt="QR Code" style="width:300px;height:300px;">
+              <p style="font-size:12px;color:#666;margin-top:10px;">Halaman refresh otomatis setiap 30 detik</p>
+            </div>
+          </body>
+        </html>
+      `);
+    } catch (error) {
+      res.status(500).send('Error generating QR: ' + error.message);
+    }
+  });
+
+  // OpenAPI document (for generating API clients)
+  router.get('/api/openapi.json', (req, res) => {
+    const { generateOpenApiSpec } = require('../openapi');
+    res.json(generateOpenApiSpec({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+  });
+
+  // API Info endpoint (also used as health check by Koyeb)
+  router.get('/api', (req, res) => {
+    const { status, reconnectAttempts } = bot.getBotStatus(DEFAULT_SESSION_ID);
+    res.json({
+      name: 'WhatsApp Bot API',
+      version: '1.0.0',
+      status: 'ok',
+      bot: status,
+      mode: bot.keepAlive ? 'always-on' : 'serverless',
+      reconnectAttempts,
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        health: '/health',
+        status: '/status/:sessionId',
+        qr: '/qr/:sessionId',
+        send: '/api/send',
+        notify: '/api/notify',
+        messageStatus: '/api/messages/:messageId',
+        media: {
+          upload: '/api/media',
+          list: '/api/media',
+          get: '/api/media/:mediaId',
+          delete: '/api/media/:mediaId',
+        },
+        sessions: {
+          list: '/api/sessions',
+          create: '/api/sessions',
+          delete: '/api/sessions/:sessionId',
+          clear: '/api/clear-session',
+        },
+        jobs: {
+          enqueue: '/api/jobs',
+          status: '/api/jobs/:jobId',
+          cancel: '/api/jobs/:jobId/cancel',
+          retry: '/api/jobs/:jobId/retry',
+          list: '/api/jobs/list/:status',
+          stats: '/api/jobs/stats',
+          dead: '/api/jobs/dead',
+          deadJob: '/api/jobs/dead/:jobId',
+          replayDead: '/api/jobs/dead/replay',
+          purgeDead: '/api/jobs/dead/purge',
+        },
+        keys: {
+          create: '/api/keys',
+          list: '/api/keys',
+          revoke: '/api/keys/:keyId',
+        },
+        webhooks: {
+          create: '/api/webhooks',
+          list: '/api/webhooks',
+          delete: '/api/webhooks/:webhookId',
+          test: '/api/webhooks/:webhookId/test',
+        },
+        contacts: {
+          check: '/api/contacts/check',
+        },
+        groups: {
+          list: '/api/groups',
+          create: '/api/groups',
+          get: '/api/groups/:groupId',
+          update: '/api/groups/:groupId',
+          participants: '/api/groups/:groupId/participants',
+          invite: '/api/groups/:groupId/invite',
+          revokeInvite: '/api/groups/:groupId/invite/revoke',
+        },
+        autoreplies: {
+          list: '/api/autoreplies',
+          create: '/api/autoreplies',
+          get: '/api/autoreplies/:ruleId',
+          update: '/api/autoreplies/:ruleId',
+          delete: '/api/autoreplies/:ruleId',
+          test: '/api/autoreplies/test',
+        },
+        flows: {
+          list: '/api/flows',
+          create: '/api/flows',
+          get: '/api/flows/:flowId',
+          replace: '/api/flows/:flowId',
+          delete: '/api/flows/:flowId',
+        },
+        templates: {
+          list: '/api/templates',
+          create: '/api/templates',
+          get: '/api/templates/:name',
+          update: '/api/templates/:name',
+          delete: '/api/templates/:name',
+          preview: '/api/templates/:name/preview',
+        },
+        campaigns: {
+          list: '/api/campaigns',
+          create: '/api/campaigns',
+          get: '/api/campaigns/:campaignId',
+          recipients: '/api/campaigns/:campaignId/recipients',
+          pause: '/api/campaigns/:campaignId/pause',
+          resume: '/api/campaigns/:campaignId/resume',
+          cancel: '/api/campaigns/:campaignId/cancel',
+          resendFailed: '/api/campaigns/:campaignId/resend-failed',
+          delete: '/api/campaigns/:campaignId',
+        },
+        schedules: {
+          list: '/api/schedules',
+          create: '/api/schedules',
+          get: '/api/schedules/:scheduleId',
+          runs: '/api/schedules/:scheduleId/runs',
+          pause: '/api/schedules/:scheduleId/pause',
+          resume: '/api/schedules/:scheduleId/resume',
+          delete: '/api/schedules/:scheduleId',
+        },
+        worker: '/api/worker',
+        cron: '/api/cron',
+        openapi: '/api/openapi.json',
+      },
+      authentication: 'Authorization: Bearer <api key>',
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSystemRouter,
+};
@@ -0,0 +1,160 @@
+// Message template routes
+// Anyone with an API key can read and preview templates, changing them needs an admin key
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { validateRequest, sendValidationError } = require('../validation');
+const { createTemplateBody, updateTemplateBody, previewTemplateBody } = require('../schemas');
+
+/**
+ * Answer template errors: invalid template syntax is a 400, the rest a 500
+ */
+function sendTemplateError(res, error, message) {
+  if (error.field) {
+    return sendValidationError(res, [{ field: error.field, message: error.message }]);
+  }
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message,
+  });
+}
+
+/**
+ * Create the message template router
+ */
+function createTemplatesRouter() {
+  const router = express.Router();
+
+  // List templates
+  router.get('/api/templates', async (req, res) => {
+    try {
+      const { listTemplates } = require('../templates');
+      const templates = await listTemplates();
+      res.json({
+        success: true,
+        count: templates.length,
+        templates,
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to list templates');
+    }
+  });
+
+  // Create a template
+  router.post('/api/templates', requireRole(Role.ADMIN), validateRequest({ body: createTemplateBody }), async (req, res) => {
+    try {
+      const { name, ...fields } = req.body;
+      const { getTemplate, saveTemplate } = require('../templates');
+
+      if (await getTemplate(name)) {
+        return res.status(409).json({
+          error: 'Template already exists',
+          details: `Use PUT /api/templates/${name} to change it`,
+        });
+      }
+
+      const { template } = await saveTemplate(name, fields);
+      res.status(201).json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to create template');
+    }
+  });
+
+  // Get a template
+  router.get('/api/templates/:name', async (req, res) => {
+    try {
+      const { getTemplate } = require('../templates');
+      const template = await getTemplate(req.params.name);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to get template');
+    }
+  });
+
+  // Render a template with variables (nothing is sent)
+  router.post('/api/templates/:name/preview', validateRequest({ body: previewTemplateBody }), async (req, res) => {
+    try {
+      const { getTemplate, renderTemplate } = require('../templates');
+      const template = await getTemplate(req.params.name);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+        });
+      }
+
+      const { text, missing } = renderTemplate(template, req.body.variables, { strict: false });
+      res.json({
+        success: missing.length === 0,
+        name: template.name,
+        text,
+        missing,
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to preview template');
+    }
+  });
+
+  // Update a template (only the fields in the body change)
+  router.put('/api/templates/:name', requireRole(Role.ADMIN), validateRequest({ body: updateTemplateBody }), async (req, res) => {
+    try {
+      const { getTemplate, saveTemplate } = require('../templates');
+
+      if (!await getTemplate(req.params.name)) {
+        return res.status(404).json({
+          error: 'Template not found',
+        });
+      }
+
+      const { template } = await saveTemplate(req.params.name, req.body);
+      res.json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to update template');
+    }
+  });
+
+  // Delete a template (queued jobs that use it will fail)
+  router.delete('/api/templates/:name', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { deleteTemplate } = require('../templates');
+
+      if (!await deleteTemplate(name)) {
+        return res.status(404).json({
+          error: 'Template not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        name,
+        message: 'Template deleted',
+      });
+    } catch (error) {
+      sendTemplateError(res, error, 'Failed to delete template');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTemplatesRouter,
+};
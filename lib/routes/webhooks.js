@@ -0,0 +1,116 @@
+// Webhook subscription routes (admin only)
+// Subscribers receive signed POSTs for incoming messages, receipts and connection events
+
+const express = require('express');
+const { requireRole, Role } = require('../auth');
+const { validateRequest } = require('../validation');
+const { createWebhookBody } = require('../schemas');
+
+/**
+ * Create the webhook subscription router
+ */
+function createWebhooksRouter() {
+  const router = express.Router();
+
+  // Register a webhook
+  router.post('/api/webhooks', requireRole(Role.ADMIN), validateRequest({ body: createWebhookBody }), async (req, res) => {
+    try {
+      const { url, secret, events, description } = req.body;
+      const { createWebhook } = require('../webhooks');
+
+      const webhook = await createWebhook({ url, secret, events, description });
+
+      res.status(201).json({
+        success: true,
+        webhook,
+        message: 'Store the secret now, it cannot be shown again',
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to create webhook',
+        details: error.message,
+      });
+    }
+  });
+
+  // List webhooks
+  router.get('/api/webhooks', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { listWebhooks } = require('../webhooks');
+      const webhooks = await listWebhooks();
+      res.json({
+        success: true,
+        count: webhooks.length,
+        webhooks,
+      });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({
+        error: 'Failed to list webhooks',
+        details: error.message,
+      });
+    }
+  });
+
+  // Delete a webhook
+  router.delete('/api/webhooks/:webhookId', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+      const { deleteWebhook } = require('../webhooks');
+
+      if (!await deleteWebhook(webhookId)) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        webhookId,
+        message: 'Webhook deleted',
+      });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to delete webhook',
+        details: error.message,
+      });
+    }
+  });
+
+  // Send a test event to one webhook
+  router.post('/api/webhooks/:webhookId/test', requireRole(Role.ADMIN), async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+      const { getWebhook, dispatchEvent } = require('../webhooks');
+
+      if (!await getWebhook(webhookId)) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+        });
+      }
+
+      const [jobId] = await dispatchEvent('webhook.test', { message: 'Test event' }, { webhookId });
+
+      res.json({
+        success: true,
+        webhookId,
+        jobId,
+        message: 'Test event queued, check the delivery job for the result',
+      });
+    } catch (error) {
+      console.error('Test webhook error:', error);
+      res.status(500).json({
+        error: 'Failed to send test event',
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createWebhooksRouter,
+};
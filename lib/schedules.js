@@ -0,0 +1,364 @@
+// Recurring schedules
+// A schedule sends a message (or template) on a cron expression in its time zone, e.g. the weekly
+// garbage collection reminder every Monday at 07:00 Asia/Jakarta. It doesn't send anything itself:
+// each cron or worker pass turns due runs into ordinary send_message, send_template or broadcast
+// jobs, so runs get the queue's retries and status tracking.
+//
+// Runs missed while nothing processed the queue are not made up for, only the latest one is sent.
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+const { enqueueJob, getJobStatus, JobType } = require('./queue');
+const { DEFAULT_SESSION_ID } = require('./session');
+const { parseCron, nextRun } = require('./cron-expression');
+
+// Storage configuration
+const SCHEDULES_KEY = 'wa:schedules'; // sorted set: scheduleId by creation time
+const DUE_KEY = 'wa:schedules:due'; // sorted set: active scheduleId by next run time
+const SCHEDULE_PREFIX = 'wa:schedule:'; // string: schedule, plus :runs list (newest first)
+
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Jakarta';
+const SCHEDULE_HISTORY_LIMIT = parseInt(process.env.SCHEDULE_HISTORY_LIMIT || '50', 10); // runs kept per schedule
+const MAX_RUNS_PER_PASS = 50;
+
+// Schedule statuses
+const ScheduleStatus = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+};
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+function scheduleKey(scheduleId) {
+  return `${SCHEDULE_PREFIX}${scheduleId}`;
+}
+
+function runsKey(scheduleId) {
+  return `${SCHEDULE_PREFIX}${scheduleId}:runs`; // list: runs, newest first
+}
+
+/**
+ * Error for an action the schedule's status doesn't allow (answered with a 409)
+ */
+function conflictError(message) {
+  return Object.assign(new Error(message), { statusCode: 409 });
+}
+
+/**
+ * Store a schedule record
+ */
+async function saveSchedule(schedule) {
+  schedule.updatedAt = new Date().toISOString();
+  await redis.set(scheduleKey(schedule.id), JSON.stringify(schedule));
+}
+
+/**
+ * Work out the job a schedule enqueues for each run
+ * @returns {{jobType: string, payload: Object}} Job type and payload
+ */
+function buildJob(fields) {
+  const payload = {
+    ...(fields.recipients ? { recipients: fields.recipients } : { to: fields.to }),
+    ...(fields.template !== undefined
+      ? { template: fields.template, variables: fields.variables || {} }
+      : { message: fields.message, type: fields.type || 'text' }),
+    sessionId: fields.sessionId || DEFAULT_SESSION_ID,
+  };
+  if (fields.checkRecipients !== undefined) {
+    payload.checkRecipients = fields.checkRecipients;
+  }
+
+  let jobType = JobType.SEND_MESSAGE;
+  if (fields.recipients) {
+    jobType = JobType.BROADCAST;
+  } else if (fields.template !== undefined) {
+    jobType = JobType.SEND_TEMPLATE;
+  }
+  return { jobType, payload };
+}
+
+/**
+ * Set the next run of a schedule after a time and put it on the due set
+ * A schedule whose expression never runs again is paused.
+ */
+async function planNextRun(schedule, after = Date.now()) {
+  const next = nextRun(schedule.cron, { after, timezone: schedule.timezone });
+  if (!next) {
+    schedule.status = ScheduleStatus.PAUSED;
+    schedule.pausedAt = new Date().toISOString();
+    schedule.nextRunAt = null;
+    await redis.zrem(DUE_KEY, schedule.id);
+    return;
+  }
+  schedule.nextRunAt = next.toISOString();
+  await redis.zadd(DUE_KEY, { score: next.getTime(), member: schedule.id });
+}
+
+/**
+ * Create a schedule
+ * @param {Object} fields - Schedule fields (see createScheduleBody in lib/schemas.js)
+ * @returns {Promise<Object>} Schedule
+ * @throws {Error} With field 'cron' when the expression has no future runs
+ */
+async function createSchedule(fields) {
+  const id = `sch_${crypto.randomBytes(6).toString('hex')}`;
+  const { jobType, payload } = buildJob(fields);
+
+  const schedule = {
+    id,
+    name: fields.name || null,
+    cron: parseCron(fields.cron).expression,
+    timezone: fields.timezone || SCHEDULE_TIMEZONE,
+    status: ScheduleStatus.ACTIVE,
+    jobType,
+    payload,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastJobId: null,
+    runs: 0,
+    createdAt: new Date().toISOString(),
+    pausedAt: null,
+  };
+
+  await planNextRun(schedule);
+  if (schedule.status !== ScheduleStatus.ACTIVE) {
+    throw Object.assign(new Error('has no future runs'), { field: 'cron' });
+  }
+  await saveSchedule(schedule);
+  await redis.zadd(SCHEDULES_KEY, { score: Date.now(), member: id });
+
+  console.log(`🗓️ Schedule ${id} created: "${schedule.cron}" (${schedule.timezone}), next run ${schedule.nextRunAt}`);
+  return schedule;
+}
+
+/**
+ * Get a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule
+ */
+async function getSchedule(scheduleId) {
+  return parseRecord(await redis.get(scheduleKey(scheduleId)));
+}
+
+/**
+ * List schedules (newest first)
+ * @param {Object} options - Filter and paging options
+ * @param {string} options.status - Only schedules with this ScheduleStatus
+ * @param {number} options.offset - Schedules to skip
+ * @param {number} options.limit - Maximum number of schedules
+ * @returns {Promise<{total: number, schedules: Array}>} Schedules
+ */
+async function listSchedules({ status, offset = 0, limit = 50 } = {}) {
+  const ids = (await redis.zrange(SCHEDULES_KEY, 0, -1)).map(String).reverse();
+  const schedules = [];
+
+  for (const id of ids) {
+    const schedule = await getSchedule(id);
+    if (schedule && (!status || schedule.status === status)) {
+      schedules.push(schedule);
+    }
+  }
+  return { total: schedules.length, schedules: schedules.slice(offset, offset + limit) };
+}
+
+/**
+ * Pause a schedule (no runs are enqueued until it is resumed)
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule, null if it doesn't exist
+ */
+async function pauseSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.status !== ScheduleStatus.ACTIVE) {
+    throw conflictError('Schedule is already paused');
+  }
+
+  await redis.zrem(DUE_KEY, scheduleId);
+  schedule.status = ScheduleStatus.PAUSED;
+  schedule.pausedAt = new Date().toISOString();
+  schedule.nextRunAt = null;
+  await saveSchedule(schedule);
+
+  console.log(`⏸️ Schedule ${scheduleId} paused`);
+  return schedule;
+}
+
+/**
+ * Resume a paused schedule from its next run after now (runs during the pause are skipped)
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule, null if it doesn't exist
+ */
+async function resumeSchedule(scheduleId) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.status !== ScheduleStatus.PAUSED) {
+    throw conflictError('Schedule is already active');
+  }
+
+  schedule.status = ScheduleStatus.ACTIVE;
+  schedule.pausedAt = null;
+  await planNextRun(schedule);
+  await saveSchedule(schedule);
+
+  if (schedule.status !== ScheduleStatus.ACTIVE) {
+    throw conflictError(`"${schedule.cron}" has no future runs`);
+  }
+
+  console.log(`▶️ Schedule ${scheduleId} resumed, next run ${schedule.nextRunAt}`);
+  return schedule;
+}
+
+/**
+ * Delete a schedule and its run history (jobs already enqueued still run)
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} True if the schedule existed
+ */
+async function deleteSchedule(scheduleId) {
+  const deleted = await redis.del(scheduleKey(scheduleId), runsKey(scheduleId));
+  await redis.zrem(DUE_KEY, scheduleId);
+  await redis.zrem(SCHEDULES_KEY, scheduleId);
+  return deleted > 0;
+}
+
+/**
+ * List past runs of a schedule (newest first)
+ * Runs whose job is still known show its current status, older runs keep their last recorded one.
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Maximum number of runs
+ * @returns {Promise<Array>} Runs: { scheduledAt, enqueuedAt, jobId, skipped, status, error, finishedAt }
+ */
+async function listRuns(scheduleId, { limit = SCHEDULE_HISTORY_LIMIT } = {}) {
+  const runs = (await redis.lrange(runsKey(scheduleId), 0, limit - 1)).map(parseRecord);
+
+  for (const run of runs) {
+    const job = await getJobStatus(run.jobId);
+    if (job) {
+      run.status = job.status;
+      run.error = job.error || null;
+      run.finishedAt = job.completedAt || job.failedAt || null;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Record the outcome of a run's job in the schedule's history (called after a job is processed)
+ * @param {Object} job - Job with metadata.scheduleId
+ */
+async function recordRunResult(job) {
+  const { scheduleId } = job.metadata || {};
+  if (!scheduleId) {
+    return;
+  }
+
+  const current = await getJobStatus(job.id);
+  const runs = (await redis.lrange(runsKey(scheduleId), 0, -1)).map(parseRecord);
+  const index = runs.findIndex(run => run.jobId === job.id);
+  if (!current || index < 0) {
+    return;
+  }
+
+  const run = {
+    ...runs[index],
+    status: current.status,
+    error: current.error || null,
+    finishedAt: current.completedAt || current.failedAt || null,
+  };
+  await redis.lset(runsKey(scheduleId), index, JSON.stringify(run));
+}
+
+/**
+ * Enqueue a job for every schedule whose next run is due (called by each cron and worker pass)
+ * @returns {Promise<Array<{scheduleId: string, jobId: string}>>} Enqueued runs
+ */
+async function materializeDueRuns() {
+  const now = Date.now();
+  const due = (await redis.zrange(DUE_KEY, '-inf', now, {
+    byScore: true,
+    offset: 0,
+    count: MAX_RUNS_PER_PASS,
+  })).map(String);
+  const enqueued = [];
+
+  for (const scheduleId of due) {
+    // Only one pass can take a due run off the set
+    if (!await redis.zrem(DUE_KEY, scheduleId)) {
+      continue;
+    }
+
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule || schedule.status !== ScheduleStatus.ACTIVE) {
+      continue;
+    }
+
+    // Runs missed since nextRunAt are skipped, the job sends for the latest one
+    const scheduledAt = Date.parse(schedule.nextRunAt);
+    const parsed = parseCron(schedule.cron);
+    let latest = scheduledAt;
+    let skipped = 0;
+    let next = nextRun(parsed, { after: latest, timezone: schedule.timezone });
+    while (next && next.getTime() <= now) {
+      latest = next.getTime();
+      skipped++;
+      next = nextRun(parsed, { after: latest, timezone: schedule.timezone });
+    }
+
+    try {
+      const jobId = await enqueueJob(schedule.jobType, schedule.payload, {
+        metadata: { scheduleId, scheduledAt: new Date(latest).toISOString() },
+      });
+
+      await redis.lpush(runsKey(scheduleId), JSON.stringify({
+        scheduledAt: new Date(latest).toISOString(),
+        enqueuedAt: new Date().toISOString(),
+        jobId,
+        skipped,
+        status: 'pending',
+        error: null,
+        finishedAt: null,
+      }));
+      await redis.ltrim(runsKey(scheduleId), 0, SCHEDULE_HISTORY_LIMIT - 1);
+
+      schedule.runs++;
+      schedule.lastRunAt = new Date(latest).toISOString();
+      schedule.lastJobId = jobId;
+      await planNextRun(schedule, latest);
+      await saveSchedule(schedule);
+
+      enqueued.push({ scheduleId, jobId });
+      console.log(`🗓️ Schedule ${scheduleId}: run of ${schedule.lastRunAt} enqueued as ${jobId}${skipped ? ` (${skipped} missed run(s) skipped)` : ''}`);
+    } catch (error) {
+      // Put the run back so the next pass tries again
+      await redis.zadd(DUE_KEY, { score: scheduledAt, member: scheduleId });
+      console.error(`❌ Schedule ${scheduleId}: failed to enqueue run:`, error.message);
+    }
+  }
+  return enqueued;
+}
+
+module.exports = {
+  ScheduleStatus,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  listRuns,
+  recordRunResult,
+  materializeDueRuns,
+};
@@ -0,0 +1,601 @@
+// Request and job payload schemas
+// Used for validation (lib/validation.js) and to generate the OpenAPI document (lib/openapi.js)
+
+const { JobType, JobStatus } = require('./queue');
+const { Role } = require('./auth');
+const { WebhookEvent, ALL_EVENTS } = require('./webhooks');
+const { MatchType } = require('./auto-reply');
+const { ParticipantAction } = require('./groups');
+const { RecipientStatus } = require('./campaigns');
+const { ScheduleStatus } = require('./schedules');
+
+const sessionId = {
+  type: 'string',
+  pattern: '^[a-zA-Z0-9_-]{1,32}$',
+  description: 'Session (WhatsApp account) to use, defaults to "main"',
+};
+
+const recipient = {
+  type: 'string',
+  minLength: 1,
+  format: 'recipient',
+  description: 'Phone number (international like 6281234567890 or +62 812-3456-7890, or local like 0812... for DEFAULT_COUNTRY_CODE), WhatsApp JID or group ID',
+};
+
+const participants = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 256,
+  items: { type: 'string', minLength: 1, format: 'recipient', description: 'Phone number or WhatsApp JID' },
+};
+
+const messageType = {
+  type: 'string',
+  enum: ['text', 'image', 'video', 'audio', 'document'],
+  default: 'text',
+};
+
+const checkRecipients = {
+  type: 'boolean',
+  description: 'Check that recipients are on WhatsApp first and fail unregistered ones without retrying (default: CHECK_RECIPIENTS)',
+};
+
+const message = {
+  type: ['string', 'object'],
+  minLength: 1,
+  description: 'Message text or media URL, or a message object. Media needs exactly one of url, base64, path or mediaId',
+  properties: {
+    text: { type: 'string', minLength: 1, description: 'Text (text messages)' },
+    url: { type: 'string', format: 'uri', description: 'Media URL' },
+    base64: { type: 'string', minLength: 1, description: 'Base64 media data or a data: URI' },
+    path: { type: 'string', minLength: 1, description: 'File path inside MEDIA_DIR' },
+    mediaId: { type: 'string', pattern: '^med_[a-f0-9]{40}$', description: 'ID returned by POST /api/media' },
+    caption: { type: 'string', description: 'Caption (image, video, document)' },
+    filename: { type: 'string', maxLength: 255, description: 'File name shown for documents' },
+    mimetype: { type: 'string', description: 'Mimetype, guessed from the file name when omitted' },
+    ptt: { type: 'boolean', description: 'Send audio as a voice note' },
+  },
+  additionalProperties: false,
+};
+
+const templateName = {
+  type: 'string',
+  pattern: '^[a-z0-9_-]{1,64}$',
+  description: 'Template name (lowercase letters, digits, _ and -)',
+};
+
+const templateVariables = {
+  type: 'object',
+  description: 'Template variables ({{name}} -> value), override the template defaults',
+};
+
+// Broadcast recipients can carry their own template variables
+const broadcastRecipient = {
+  type: ['string', 'object'],
+  minLength: 1,
+  format: 'recipient',
+  description: 'Phone number, WhatsApp JID or group ID, or { to, variables } for per-recipient template variables',
+  required: ['to'],
+  properties: {
+    to: recipient,
+    variables: templateVariables,
+  },
+  additionalProperties: false,
+};
+
+// ===========================================
+// Route schemas
+// ===========================================
+
+const sendMessageBody = {
+  type: 'object',
+  required: ['to', 'message'],
+  properties: {
+    to: recipient,
+    message,
+    type: messageType,
+    sessionId,
+    usePipedream: { type: 'boolean', default: false },
+  },
+};
+
+const notifyBody = {
+  type: 'object',
+  required: ['number', 'bodyMessage'],
+  properties: {
+    number: recipient,
+    bodyMessage: { type: 'string', minLength: 1 },
+    sessionId,
+  },
+};
+
+const createSessionBody = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: {
+    sessionId,
+    label: { type: 'string', maxLength: 64 },
+  },
+};
+
+const clearSessionBody = {
+  type: 'object',
+  properties: {
+    sessionId,
+  },
+};
+
+const createApiKeyBody = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64 },
+    role: { type: 'string', enum: Object.values(Role), default: Role.CLIENT },
+  },
+};
+
+const createWebhookBody = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', format: 'uri' },
+    secret: { type: 'string', minLength: 16, description: 'Signing secret, generated when omitted' },
+    events: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: [ALL_EVENTS, ...Object.values(WebhookEvent)] },
+      default: [ALL_EVENTS],
+    },
+    description: { type: 'string', maxLength: 200 },
+  },
+};
+
+const timeOfDay = { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$', description: 'HH:MM' };
+
+const autoReplyProperties = {
+  name: { type: 'string', maxLength: 64 },
+  match: { type: 'string', enum: Object.values(MatchType), default: MatchType.EXACT },
+  pattern: { type: 'string', minLength: 1, maxLength: 500, description: 'Text to match, or a regular expression for match=regex' },
+  caseSensitive: { type: 'boolean', default: false },
+  reply: { type: 'string', minLength: 1, maxLength: 4096 },
+  chats: { type: 'array', maxItems: 100, items: recipient, description: 'Only reply in these chats (numbers or JIDs), empty for every chat' },
+  sessionId: { ...sessionId, description: 'Only reply on this session, every session when omitted' },
+  activeHours: {
+    type: 'object',
+    description: 'Only reply at these times (start may be after end to span midnight)',
+    properties: {
+      start: timeOfDay,
+      end: timeOfDay,
+      days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, description: '0 = Sunday' },
+      timezone: { type: 'string', description: 'IANA timezone, defaults to AUTO_REPLY_TIMEZONE' },
+    },
+    additionalProperties: false,
+  },
+  priority: { type: 'integer', default: 0, description: 'Higher priority rules are checked first' },
+  enabled: { type: 'boolean', default: true },
+};
+
+const createAutoReplyBody = {
+  type: 'object',
+  required: ['pattern', 'reply'],
+  properties: autoReplyProperties,
+  additionalProperties: false,
+};
+
+const updateAutoReplyBody = {
+  type: 'object',
+  properties: autoReplyProperties,
+  additionalProperties: false,
+};
+
+const testAutoReplyBody = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    chat: recipient,
+    sessionId,
+  },
+};
+
+const flowStepName = { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,32}$' };
+
+const flowStep = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 4096, description: 'Text sent when the step starts, {{key}} is replaced by saved answers' },
+    save: { type: 'string', pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$', description: 'Save the answer under this key' },
+    next: flowStepName,
+    options: {
+      type: 'array',
+      minItems: 1,
+      description: 'Branch on the answer (case-insensitive exact match)',
+      items: {
+        type: 'object',
+        required: ['match', 'next'],
+        properties: {
+          match: { type: ['string', 'array'], minLength: 1, minItems: 1, items: { type: 'string', minLength: 1 } },
+          value: { type: 'string', description: 'Value saved instead of the answer' },
+          next: flowStepName,
+        },
+        additionalProperties: false,
+      },
+    },
+    pattern: { type: 'string', minLength: 1, maxLength: 500, description: 'Regular expression the answer must match' },
+    invalidMessage: { type: 'string', minLength: 1, maxLength: 4096 },
+    end: { type: 'boolean', description: 'Complete the flow after sending the message' },
+  },
+  additionalProperties: false,
+};
+
+const flowProperties = {
+  id: { type: 'string', pattern: '^[a-z0-9_-]{1,32}$' },
+  name: { type: 'string', maxLength: 64 },
+  triggers: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Messages that start the flow (case-insensitive)' },
+  start: flowStepName,
+  steps: { type: 'object', additionalProperties: flowStep },
+  timeoutMinutes: { type: 'integer', minimum: 1, maximum: 10080, description: 'Minutes without an answer before the flow is dropped' },
+  cancelKeywords: { type: 'array', items: { type: 'string', minLength: 1 }, default: ['batal', 'cancel'] },
+  cancelMessage: { type: 'string', minLength: 1 },
+  sessionId: { ...sessionId, description: 'Only run on this session, every session when omitted' },
+  enabled: { type: 'boolean', default: true },
+};
+
+const createFlowBody = {
+  type: 'object',
+  required: ['id', 'start', 'steps'],
+  properties: flowProperties,
+  additionalProperties: false,
+};
+
+// PUT /api/flows/:flowId takes the ID from the path
+const replaceFlowBody = {
+  type: 'object',
+  required: ['start', 'steps'],
+  properties: { ...flowProperties },
+  additionalProperties: false,
+};
+delete replaceFlowBody.properties.id;
+
+const templateProperties = {
+  body: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 4096,
+    description: 'Text with {{var}}, {{var|default}}, {{#if var}}...{{else}}...{{/if}} and {{#unless var}}...{{/unless}}',
+  },
+  description: { type: 'string', maxLength: 200 },
+  defaults: {
+    type: 'object',
+    additionalProperties: { type: ['string', 'number', 'boolean'] },
+    description: 'Values used for variables the sender leaves out',
+  },
+};
+
+const createTemplateBody = {
+  type: 'object',
+  required: ['name', 'body'],
+  properties: {
+    name: templateName,
+    ...templateProperties,
+  },
+  additionalProperties: false,
+};
+
+const updateTemplateBody = {
+  type: 'object',
+  properties: templateProperties,
+  additionalProperties: false,
+};
+
+const previewTemplateBody = {
+  type: 'object',
+  properties: {
+    variables: templateVariables,
+  },
+};
+
+const createCampaignBody = {
+  type: 'object',
+  required: ['recipients'],
+  description: 'Needs message, or template to personalize the text per recipient',
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    recipients: { type: 'array', minItems: 1, maxItems: 10000, items: broadcastRecipient },
+    message,
+    template: templateName,
+    variables: { ...templateVariables, description: 'Template variables shared by every recipient' },
+    type: messageType,
+    delay: { type: 'integer', minimum: 0, maximum: 60000, default: 1000, description: 'Delay between messages in ms' },
+    batchSize: { type: 'integer', minimum: 1, maximum: 100, description: 'Recipients per batch job (default: CAMPAIGN_BATCH_SIZE)' },
+    checkRecipients,
+    sessionId,
+  },
+  additionalProperties: false,
+};
+
+const listCampaignsQuery = {
+  type: 'object',
+  properties: {
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+  },
+};
+
+const listCampaignRecipientsQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: Object.values(RecipientStatus) },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+  },
+};
+
+const createScheduleBody = {
+  type: 'object',
+  required: ['cron'],
+  description: 'Needs to (one recipient) or recipients (a broadcast), and message or template',
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    cron: {
+      type: 'string',
+      format: 'cron',
+      description: 'Cron expression: minute hour day-of-month month day-of-week, e.g. "0 7 * * MON"',
+    },
+    timezone: { type: 'string', format: 'timezone', description: 'IANA time zone (default: SCHEDULE_TIMEZONE)' },
+    to: recipient,
+    recipients: { type: 'array', minItems: 1, maxItems: 1000, items: broadcastRecipient },
+    message,
+    template: templateName,
+    variables: templateVariables,
+    type: messageType,
+    checkRecipients,
+    sessionId,
+  },
+  additionalProperties: false,
+};
+
+const listSchedulesQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: Object.values(ScheduleStatus) },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+  },
+};
+
+const listScheduleRunsQuery = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+  },
+};
+
+const checkContactsBody = {
+  type: 'object',
+  required: ['numbers'],
+  properties: {
+    numbers: { type: 'array', minItems: 1, maxItems: 500, items: recipient },
+    refresh: { type: 'boolean', default: false, description: 'Ask WhatsApp again instead of using cached answers' },
+    sessionId,
+  },
+};
+
+const sessionQuery = {
+  type: 'object',
+  properties: {
+    sessionId,
+  },
+};
+
+const createGroupBody = {
+  type: 'object',
+  required: ['subject', 'participants'],
+  properties: {
+    subject: { type: 'string', minLength: 1, maxLength: 100 },
+    participants,
+    sessionId,
+  },
+};
+
+const updateParticipantsBody = {
+  type: 'object',
+  required: ['action', 'participants'],
+  properties: {
+    action: { type: 'string', enum: Object.values(ParticipantAction) },
+    participants,
+    sessionId,
+  },
+};
+
+const updateGroupBody = {
+  type: 'object',
+  properties: {
+    subject: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 2048, description: 'Empty string removes the description' },
+    sessionId,
+  },
+};
+
+const incomingMessagesBody = {
+  type: 'object',
+  properties: {
+    messages: { type: 'array', items: { type: 'object' } },
+    sessionId,
+  },
+};
+
+const jobOptions = {
+  type: 'object',
+  properties: {
+    maxAttempts: { type: 'integer', minimum: 1, maximum: 10, default: 3 },
+    priority: { type: ['string', 'integer'], description: 'Lane: urgent, normal or bulk (default: bulk for broadcast and campaign_batch, normal otherwise); numbers above 0 are urgent, below 0 bulk' },
+    delay: { type: 'integer', minimum: 0, description: 'Delay in seconds' },
+    scheduledFor: { type: 'string', format: 'date-time', description: 'Run at this time (overrides delay)' },
+    metadata: { type: 'object' },
+  },
+};
+
+const enqueueJobBody = {
+  type: 'object',
+  required: ['type', 'payload'],
+  properties: {
+    // Internal job types (webhook deliveries, campaign batches) can't be enqueued through the API
+    type: { type: 'string', enum: [JobType.SEND_MESSAGE, JobType.BROADCAST, JobType.SCHEDULED_MESSAGE, JobType.SEND_TEMPLATE, JobType.CUSTOM] },
+    payload: { type: 'object' },
+    options: jobOptions,
+  },
+};
+
+const listJobsParams = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: Object.values(JobStatus) },
+  },
+};
+
+const listJobsQuery = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.values(JobType) },
+    from: { type: 'string', format: 'date-time', description: 'Only jobs created at or after this time' },
+    to: { type: 'string', format: 'date-time', description: 'Only jobs created at or before this time' },
+    metadata: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'Only jobs with these metadata values, e.g. metadata[campaignId]=cmp_123',
+    },
+    cursor: { type: 'string', minLength: 1, description: 'nextCursor of the previous page' },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+  },
+};
+
+const workerBody = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: ['process', 'single', 'stats'], default: 'process' },
+    count: { type: 'integer', minimum: 1, maximum: 50, default: 5 },
+    queueType: { type: 'string', enum: Object.values(JobType) },
+  },
+};
+
+const listDeadJobsQuery = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: Object.values(JobType) },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+  },
+};
+
+const deadJobsBody = {
+  type: 'object',
+  properties: {
+    jobIds: { type: 'array', minItems: 1, maxItems: 1000, items: { type: 'string', minLength: 1 }, description: 'Dead-lettered jobs to act on' },
+    all: { type: 'boolean', description: 'Act on every dead-lettered job instead (optionally of one type)' },
+    type: { type: 'string', enum: Object.values(JobType), description: 'With all, only jobs of this type' },
+  },
+};
+
+// ===========================================
+// Job payload schemas (one per JobType)
+// ===========================================
+
+const jobPayloadSchemas = {
+  [JobType.SEND_MESSAGE]: {
+    type: 'object',
+    required: ['to', 'message'],
+    properties: {
+      to: recipient,
+      message,
+      type: messageType,
+      checkRecipients,
+      sessionId,
+    },
+  },
+  [JobType.BROADCAST]: {
+    type: 'object',
+    required: ['recipients'],
+    description: 'Needs message, or template to personalize the text per recipient',
+    properties: {
+      recipients: { type: 'array', minItems: 1, items: broadcastRecipient },
+      message,
+      template: templateName,
+      variables: { ...templateVariables, description: 'Template variables shared by every recipient' },
+      type: messageType,
+      delay: { type: 'integer', minimum: 0, default: 1000, description: 'Delay between messages in ms' },
+      checkRecipients,
+      sessionId,
+    },
+  },
+  [JobType.SCHEDULED_MESSAGE]: {
+    type: 'object',
+    required: ['to', 'message'],
+    properties: {
+      to: recipient,
+      message,
+      type: messageType,
+      scheduledFor: { type: 'string', format: 'date-time' },
+      checkRecipients,
+      sessionId,
+    },
+  },
+  [JobType.SEND_TEMPLATE]: {
+    type: 'object',
+    required: ['to', 'template'],
+    properties: {
+      to: recipient,
+      template: templateName,
+      variables: templateVariables,
+      checkRecipients,
+      sessionId,
+    },
+  },
+  [JobType.CUSTOM]: {
+    type: 'object',
+    required: ['handler'],
+    properties: {
+      handler: { type: 'string', enum: ['check_status', 'get_contacts'] },
+      data: { type: 'object' },
+      sessionId,
+    },
+  },
+};
+
+module.exports = {
+  sendMessageBody,
+  notifyBody,
+  createSessionBody,
+  clearSessionBody,
+  createApiKeyBody,
+  createWebhookBody,
+  createAutoReplyBody,
+  updateAutoReplyBody,
+  testAutoReplyBody,
+  createFlowBody,
+  replaceFlowBody,
+  createTemplateBody,
+  updateTemplateBody,
+  previewTemplateBody,
+  createCampaignBody,
+  listCampaignsQuery,
+  listCampaignRecipientsQuery,
+  createScheduleBody,
+  listSchedulesQuery,
+  listScheduleRunsQuery,
+  checkContactsBody,
+  sessionQuery,
+  createGroupBody,
+  updateParticipantsBody,
+  updateGroupBody,
+  incomingMessagesBody,
+  enqueueJobBody,
+  jobOptions,
+  listJobsParams,
+  listJobsQuery,
+  workerBody,
+  listDeadJobsQuery,
+  deadJobsBody,
+  jobPayloadSchemas,
+};
@@ -7,6 +7,11 @@ const { redis } = require('./redis');
 const SESSION_TTL = 86400 * 7; // 7 days in seconds
 const SESSION_PREFIX = 'wa:session:';
 
+// Registry of named WhatsApp accounts (one linked number per session ID)
+const SESSION_REGISTRY_KEY = 'wa:sessions:registry';
+const DEFAULT_SESSION_ID = 'main';
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
 /**
  * Save WhatsApp session to Redis
  * @param {string} sessionId - Unique session identifier
@@ -128,6 +133,80 @@ async function clearAllSessions() {
   }
 }
 
+/**
+ * Check that a session ID is safe to use in Redis keys and directory names
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean}
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Register a named session (account)
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - Session options
+ * @param {string} options.label - Human readable label (e.g. "announcements")
+ * @returns {Promise<Object>} Session record
+ */
+async function registerSession(sessionId, { label } = {}) {
+  if (!isValidSessionId(sessionId)) {
+    throw new Error('Invalid session ID (use 1-32 letters, digits, "-" or "_")');
+  }
+
+  const existing = await getRegisteredSession(sessionId);
+  const record = {
+    id: sessionId,
+    label: label || existing?.label || sessionId,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+
+  await redis.hset(SESSION_REGISTRY_KEY, { [sessionId]: JSON.stringify(record) });
+  console.log(`📇 Session registered: ${sessionId}`);
+  return record;
+}
+
+/**
+ * Get a registered session record
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Object|null>} Session record or null
+ */
+async function getRegisteredSession(sessionId) {
+  const data = await redis.hget(SESSION_REGISTRY_KEY, sessionId);
+  if (!data) {
+    // The default session always exists, even before it is registered
+    if (sessionId === DEFAULT_SESSION_ID) {
+      return { id: DEFAULT_SESSION_ID, label: DEFAULT_SESSION_ID, createdAt: null };
+    }
+    return null;
+  }
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * List all registered sessions (always includes the default session)
+ * @returns {Promise<Array<Object>>} Session records
+ */
+async function listRegisteredSessions() {
+  const all = (await redis.hgetall(SESSION_REGISTRY_KEY)) || {};
+  const sessions = Object.values(all).map(data => (typeof data === 'string' ? JSON.parse(data) : data));
+
+  if (!sessions.some(session => session.id === DEFAULT_SESSION_ID)) {
+    sessions.unshift({ id: DEFAULT_SESSION_ID, label: DEFAULT_SESSION_ID, createdAt: null });
+  }
+  return sessions;
+}
+
+/**
+ * Remove a session from the registry
+ * @param {string} sessionId - Session identifier
+ */
+async function unregisterSession(sessionId) {
+  await redis.hdel(SESSION_REGISTRY_KEY, sessionId);
+  console.log(`🗑️ Session unregistered: ${sessionId}`);
+  return true;
+}
+
 module.exports = {
   saveSession,
   getSession,
@@ -136,6 +215,12 @@ module.exports = {
   updateSession,
   getAllSessionIds,
   clearAllSessions,
+  isValidSessionId,
+  registerSession,
+  getRegisteredSession,
+  listRegisteredSessions,
+  unregisterSession,
   SESSION_PREFIX,
   SESSION_TTL,
+  DEFAULT_SESSION_ID,
 };
@@ -0,0 +1,297 @@
+// Message templates
+// Named texts with placeholders, managed through /api/templates and rendered per recipient by
+// send_template and broadcast jobs:
+//
+//   Halo {{name}}, iuran {{month|bulan ini}} sebesar Rp{{amount}} belum dibayar.
+//   {{#if dueDate}}Mohon dibayar sebelum {{dueDate}}.{{else}}Mohon segera dibayar.{{/if}}
+//
+// {{var}} is required, {{var|text}} falls back to text, {{#if var}}...{{else}}...{{/if}} and
+// {{#unless var}}...{{/unless}} show a part only when var is (not) set. Template defaults fill
+// variables the caller leaves out.
+
+const { redis } = require('./redis');
+
+// Storage configuration
+const TEMPLATES_KEY = 'wa:templates'; // hash: template name -> template
+
+// Error codes of templates that can't be rendered (jobs fail without retries)
+const TEMPLATE_NOT_FOUND = 'TEMPLATE_NOT_FOUND';
+const TEMPLATE_VARIABLES_MISSING = 'TEMPLATE_VARIABLES_MISSING';
+
+const TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const VARIABLE_NAME = '[a-zA-Z_][\\w.]*';
+const BLOCK_OPEN = new RegExp(`^#(if|unless)\\s+(${VARIABLE_NAME})$`);
+const BLOCK_CLOSE = /^\/(if|unless)$/;
+const VARIABLE = new RegExp(`^(${VARIABLE_NAME})(?:\\s*\\|\\s*(.*))?$`);
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Error in a template body, answered with a 400 by the routes
+ */
+function templateError(message) {
+  return Object.assign(new Error(message), { field: 'body' });
+}
+
+/**
+ * Parse a template body into text, variable and block nodes
+ * @param {string} body - Template text
+ * @returns {Array<Object>} Nodes: { text } | { name, fallback } | { block, name, then, otherwise }
+ * @throws {Error} With field 'body' when a tag is invalid or a block isn't closed
+ */
+function parseTemplate(body) {
+  const root = [];
+  const stack = [{ node: null, children: root }];
+  let position = 0;
+
+  for (const match of body.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push({ text: body.slice(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const tag = match[1];
+    let parts;
+    if ((parts = tag.match(BLOCK_OPEN))) {
+      const node = { block: parts[1], name: parts[2], then: [], otherwise: [] };
+      current.children.push(node);
+      stack.push({ node, children: node.then });
+    } else if (tag === 'else') {
+      if (!current.node || current.children === current.node.otherwise) {
+        throw templateError('{{else}} without {{#if}} or {{#unless}}');
+      }
+      current.children = current.node.otherwise;
+    } else if ((parts = tag.match(BLOCK_CLOSE))) {
+      if (current.node?.block !== parts[1]) {
+        throw templateError(`{{/${parts[1]}}} without {{#${parts[1]}}}`);
+      }
+      stack.pop();
+    } else if ((parts = tag.match(VARIABLE))) {
+      current.children.push({ name: parts[1], fallback: parts[2] });
+    } else {
+      throw templateError(`Invalid tag {{${tag}}}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw templateError(`{{#${stack[stack.length - 1].node.block}}} is not closed`);
+  }
+  if (position < body.length) {
+    root.push({ text: body.slice(position) });
+  }
+  return root;
+}
+
+/**
+ * List the variables a template uses
+ * @returns {Array<{name: string, required: boolean}>} Variables; required when used without a fallback or default
+ */
+function listVariables(nodes, defaults = {}) {
+  const variables = new Map();
+
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.text !== undefined) continue;
+      const required = !node.block && node.fallback === undefined && defaults[node.name] === undefined;
+      variables.set(node.name, variables.get(node.name) || required);
+      if (node.block) {
+        visit(node.then);
+        visit(node.otherwise);
+      }
+    }
+  };
+  visit(nodes);
+
+  return [...variables].map(([name, required]) => ({ name, required }));
+}
+
+/**
+ * Get a variable by name (dots read nested objects: {{member.name}})
+ */
+function lookup(variables, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+/**
+ * Check if a value counts as set (empty strings and arrays don't)
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== ''
+    && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render parsed nodes, collecting required variables that have no value
+ */
+function renderNodes(nodes, variables, missing) {
+  return nodes.map((node) => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    if (node.block) {
+      const show = isSet(lookup(variables, node.name)) === (node.block === 'if');
+      return renderNodes(show ? node.then : node.otherwise, variables, missing);
+    }
+
+    const value = lookup(variables, node.name);
+    if (isSet(value)) {
+      return String(value);
+    }
+    if (node.fallback !== undefined) {
+      return node.fallback;
+    }
+    missing.add(node.name);
+    return '';
+  }).join('');
+}
+
+/**
+ * Render a template
+ * @param {Object} template - Template (or { body, defaults })
+ * @param {Object} variables - Variables, override the template defaults
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Throw when required variables are missing (default: true)
+ * @returns {{text: string, missing: Array<string>}} Rendered text and missing variables
+ * @throws {Error} code TEMPLATE_VARIABLES_MISSING (retryable: false) in strict mode
+ */
+function renderTemplate(template, variables = {}, { strict = true } = {}) {
+  const missing = new Set();
+  const text = renderNodes(parseTemplate(template.body), { ...template.defaults, ...variables }, missing);
+
+  if (strict && missing.size > 0) {
+    throw Object.assign(new Error(`Missing template variables: ${[...missing].join(', ')}`), {
+      code: TEMPLATE_VARIABLES_MISSING,
+      missing: [...missing],
+      retryable: false,
+    });
+  }
+  return { text, missing: [...missing] };
+}
+
+/**
+ * List templates
+ * @returns {Promise<Array>} Templates sorted by name
+ */
+async function listTemplates() {
+  const all = await redis.hgetall(TEMPLATES_KEY);
+  if (!all) {
+    return [];
+  }
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a template
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>} Template
+ */
+async function getTemplate(name) {
+  return parseRecord(await redis.hget(TEMPLATES_KEY, name));
+}
+
+/**
+ * Get a template for sending, failing the job (without retries) when it doesn't exist
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} Template
+ */
+async function requireTemplate(name) {
+  const template = await getTemplate(name);
+  if (!template) {
+    throw Object.assign(new Error(`Template "${name}" does not exist`), {
+      code: TEMPLATE_NOT_FOUND,
+      retryable: false,
+    });
+  }
+  return template;
+}
+
+/**
+ * Create or update a template (only the given fields change)
+ * @param {string} name - Template name
+ * @param {Object} fields - { body, description, defaults }
+ * @returns {Promise<{template: Object, created: boolean}>} Stored template
+ */
+async function saveTemplate(name, fields) {
+  const existing = await getTemplate(name);
+  const now = new Date().toISOString();
+  const template = {
+    name,
+    description: null,
+    defaults: {},
+    ...existing,
+    ...fields,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+
+  template.variables = listVariables(parseTemplate(template.body), template.defaults);
+
+  await redis.hset(TEMPLATES_KEY, { [name]: JSON.stringify(template) });
+  console.log(`📝 Template ${existing ? 'updated' : 'created'}: ${name}`);
+  return { template, created: !existing };
+}
+
+/**
+ * Delete a template
+ * @param {string} name - Template name
+ * @returns {Promise<boolean>} True if the template existed
+ */
+async function deleteTemplate(name) {
+  return (await redis.hdel(TEMPLATES_KEY, name)) > 0;
+}
+
+/**
+ * Check that the template of a job payload exists and every recipient has its variables
+ * @param {Object} payload - send_template, broadcast or campaign payload with a template
+ * @param {string} path - Field path used in error messages ('' for a request body)
+ * @returns {Promise<Array<{field: string, message: string}>>} Validation errors
+ */
+async function validateTemplatePayload(payload, path = 'payload') {
+  const prefix = path ? `${path}.` : '';
+  const template = await getTemplate(payload.template);
+  if (!template) {
+    return [{ field: `${prefix}template`, message: `must name an existing template, "${payload.template}" was not found` }];
+  }
+
+  const targets = payload.recipients
+    ? payload.recipients.map((recipient, index) => ({
+      field: `${prefix}recipients[${index}]`,
+      variables: { ...payload.variables, ...recipient.variables },
+    }))
+    : [{ field: `${prefix}variables`, variables: payload.variables }];
+
+  const errors = [];
+  for (const { field, variables } of targets) {
+    const { missing } = renderTemplate(template, variables, { strict: false });
+    if (missing.length > 0) {
+      errors.push({ field, message: `is missing template variables: ${missing.join(', ')}` });
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  TEMPLATE_NOT_FOUND,
+  TEMPLATE_VARIABLES_MISSING,
+  parseTemplate,
+  renderTemplate,
+  listTemplates,
+  getTemplate,
+  requireTemplate,
+  saveTemplate,
+  deleteTemplate,
+  validateTemplatePayload,
+};
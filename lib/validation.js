@@ -0,0 +1,218 @@
+// Request validation
+// Validates values against a small JSON Schema subset (the same schemas feed the OpenAPI document)
+//
+// Supported keywords: type, required, properties, additionalProperties (false or a schema), items,
+// enum, minLength, maxLength, pattern, format (date-time, uri, recipient), minimum, maximum, minItems, maxItems
+
+// Format checks return true/false, or an error message when they can tell what is wrong
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  },
+  // Phone number (normalized by lib/phone.js), WhatsApp JID or group ID
+  recipient: (value) => {
+    const { isGroupJid } = require('./jid');
+    const { phoneError } = require('./phone');
+    if (value.includes('@') || isGroupJid(value.trim())) {
+      return true;
+    }
+    const reason = phoneError(value);
+    return reason ? `is not a valid phone number: ${reason}` : true;
+  },
+  // Cron expression (lib/cron-expression.js)
+  cron: (value) => {
+    const { parseCron } = require('./cron-expression');
+    try {
+      parseCron(value);
+      return true;
+    } catch (error) {
+      return `is not a valid cron expression: ${error.message}`;
+    }
+  },
+  // IANA time zone such as Asia/Jakarta
+  timezone: (value) => {
+    const { isValidTimezone } = require('./cron-expression');
+    return isValidTimezone(value) || 'must be a known time zone such as Asia/Jakarta';
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<{field: string, message: string}>} Validation errors (empty when valid)
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const field = path || 'body';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match pattern ${schema.pattern}` });
+    }
+    const formatResult = schema.format && FORMATS[schema.format] ? FORMATS[schema.format](value) : true;
+    if (formatResult !== true) {
+      errors.push({ field, message: typeof formatResult === 'string' ? formatResult : `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, joinPath(path, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ field: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validate(propertySchema, value[key], joinPath(path, key)));
+      }
+    }
+    if (schema.additionalProperties === false || typeOf(schema.additionalProperties) === 'object') {
+      for (const key of Object.keys(value)) {
+        if (schema.properties && key in schema.properties) continue;
+        if (schema.additionalProperties === false) {
+          errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+        } else {
+          errors.push(...validate(schema.additionalProperties, value[key], joinPath(path, key)));
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert query string values to the types declared in a schema
+ * (query parameters always arrive as strings)
+ */
+function coerceQuery(schema, query) {
+  const result = { ...query };
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    const value = result[key];
+    if (typeof value !== 'string') continue;
+    if ((propertySchema.type === 'integer' || propertySchema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      result[key] = Number(value);
+    } else if (propertySchema.type === 'boolean' && (value === 'true' || value === 'false')) {
+      result[key] = value === 'true';
+    }
+  }
+  return result;
+}
+
+/**
+ * Send a 400 response with field-level errors
+ */
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.map(e => `${e.field} ${e.message}`).join('; '),
+    fields: errors,
+  });
+}
+
+/**
+ * Express middleware validating the request body, query and/or params
+ * @param {Object} schemas - Schemas to apply
+ * @param {Object} schemas.body - Body schema
+ * @param {Object} schemas.query - Query schema (values are coerced to declared types)
+ * @param {Object} schemas.params - Path params schema
+ */
+function validateRequest({ body, query, params } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (params) {
+      errors.push(...validate(params, req.params || {}, ''));
+    }
+    if (query) {
+      const coerced = coerceQuery(query, req.query || {});
+      errors.push(...validate(query, coerced, ''));
+      req.validatedQuery = coerced;
+    }
+    if (body) {
+      errors.push(...validate(body, req.body ?? {}, ''));
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateRequest,
+  sendValidationError,
+};
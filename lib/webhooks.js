@@ -0,0 +1,287 @@
+// Outgoing webhooks
+// Subscribers register a URL, a secret and the events they want. Every event is delivered as
+// a signed POST through the job queue, so failed deliveries are retried with backoff.
+//
+// Signature: X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`)
+
+const crypto = require('crypto');
+const { redis } = require('./redis');
+
+// Storage configuration
+const WEBHOOKS_KEY = 'wa:webhooks'; // hash: webhookId -> webhook record
+const WEBHOOK_DELIVERIES_KEY = 'wa:webhooks:deliveries'; // hash: webhookId -> last delivery result
+
+// Delivery configuration
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+
+// Events sent to subscribers
+const WebhookEvent = {
+  MESSAGE_RECEIVED: 'message.received',
+  MESSAGE_RECEIPT: 'message.receipt',
+  CONNECTION_UPDATE: 'connection.update',
+  FLOW_COMPLETED: 'flow.completed',
+};
+
+// Subscribe to every event
+const ALL_EVENTS = '*';
+
+// Helper function to safely parse records from Redis
+function parseRecord(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+}
+
+/**
+ * Hide the secret before returning a webhook to clients
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretPrefix: secret.slice(0, 10) };
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Verify a webhook signature (for receivers written in Node)
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Webhook-Signature header
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+  if (!signature || !timestamp) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Register a webhook subscriber
+ * @param {Object} options - Webhook options
+ * @param {string} options.url - URL receiving the POST requests
+ * @param {string} options.secret - Signing secret (generated when omitted)
+ * @param {Array<string>} options.events - Events to receive (defaults to all)
+ * @param {string} options.description - Optional description
+ * @returns {Promise<Object>} Webhook record, including the secret
+ */
+async function createWebhook({ url, secret, events = [ALL_EVENTS], description = '' }) {
+  const webhook = {
+    id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+    url,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    events,
+    description,
+    createdAt: new Date().toISOString(),
+  };
+
+  await redis.hset(WEBHOOKS_KEY, { [webhook.id]: JSON.stringify(webhook) });
+
+  console.log(`🪝 Webhook registered: ${webhook.id} -> ${url} (${events.join(', ')})`);
+  return webhook;
+}
+
+/**
+ * Get a webhook (including its secret)
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} Webhook record
+ */
+async function getWebhook(webhookId) {
+  return parseRecord(await redis.hget(WEBHOOKS_KEY, webhookId));
+}
+
+/**
+ * List webhooks (without secrets)
+ * @returns {Promise<Array>} Webhook records
+ */
+async function listWebhooks() {
+  const all = await redis.hgetall(WEBHOOKS_KEY);
+  if (!all) {
+    return [];
+  }
+  const deliveries = (await redis.hgetall(WEBHOOK_DELIVERIES_KEY)) || {};
+  return Object.values(all)
+    .map(parseRecord)
+    .filter(Boolean)
+    .map(webhook => ({
+      ...toPublicWebhook(webhook),
+      lastDelivery: parseRecord(deliveries[webhook.id]),
+    }))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Delete a webhook
+ * Pending deliveries for it are skipped
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} True if the webhook existed
+ */
+async function deleteWebhook(webhookId) {
+  const deleted = await redis.hdel(WEBHOOKS_KEY, webhookId);
+  await redis.hdel(WEBHOOK_DELIVERIES_KEY, webhookId);
+  if (deleted) {
+    console.log(`🗑️ Webhook deleted: ${webhookId}`);
+  }
+  return deleted > 0;
+}
+
+/**
+ * Check whether a webhook wants an event
+ */
+function isSubscribed(webhook, event) {
+  return webhook.events.includes(ALL_EVENTS) || webhook.events.includes(event);
+}
+
+/**
+ * Enqueue a delivery and make the first attempt right away
+ * Failed attempts stay in the queue and are retried by the worker/cron with backoff
+ */
+async function enqueueDelivery(webhookId, payload) {
+  const { enqueueJob, claimJob, JobType } = require('./queue');
+
+  const jobId = await enqueueJob(JobType.WEBHOOK_DELIVERY, { webhookId, payload }, {
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  });
+
+  const job = await claimJob(jobId);
+  if (job) {
+    const { processJob } = require('./job-handlers');
+    processJob(job).catch(() => {
+      // Already recorded on the job, the queue retries it
+    });
+  }
+
+  return jobId;
+}
+
+/**
+ * Send an event to every subscribed webhook
+ * @param {string} event - Event name (see WebhookEvent)
+ * @param {Object} data - Event data
+ * @param {Object} options - Event options
+ * @param {string} options.sessionId - Session the event belongs to
+ * @param {string} options.webhookId - Only deliver to this webhook
+ * @returns {Promise<Array<string>>} Delivery job IDs
+ */
+async function dispatchEvent(event, data, { sessionId, webhookId } = {}) {
+  const webhooks = webhookId
+    ? [await getWebhook(webhookId)].filter(Boolean)
+    : (await listWebhooks()).filter(webhook => isSubscribed(webhook, event));
+
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const payload = {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    event,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+
+  const jobIds = [];
+  for (const webhook of webhooks) {
+    jobIds.push(await enqueueDelivery(webhook.id, payload));
+  }
+  return jobIds;
+}
+
+/**
+ * Deliver one event to one webhook (called by the webhook_delivery job handler)
+ * Throws on network errors and non-2xx responses so the queue retries the delivery
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} Delivery result
+ */
+async function deliverWebhook(webhookId, payload) {
+  const webhook = await getWebhook(webhookId);
+  if (!webhook) {
+    return { skipped: true, reason: 'Webhook deleted' };
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wa-bot-webhooks/1.0',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `Webhook responded with HTTP ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  // Keep the last delivery result for debugging (shown in the webhook list)
+  await redis.hset(WEBHOOK_DELIVERIES_KEY, {
+    [webhookId]: JSON.stringify({
+      at: new Date().toISOString(),
+      event: payload.event,
+      statusCode,
+      error,
+    }),
+  });
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  console.log(`🪝 Webhook ${webhookId} delivered ${payload.event} (${statusCode})`);
+  return {
+    webhookId,
+    eventId: payload.id,
+    event: payload.event,
+    statusCode,
+  };
+}
+
+module.exports = {
+  WebhookEvent,
+  ALL_EVENTS,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  dispatchEvent,
+  deliverWebhook,
+  signPayload,
+  verifySignature,
+};
@@ -6,8 +6,9 @@ const fs = require('fs');
 const path = require('path');
 const { saveSession } = require('./lib/session');
 
-const AUTH_DIR = './whatsapp-session';
-const SESSION_ID = 'main';
+// Usage: node migrate-session.js [sessionId]
+const SESSION_ID = process.argv[2] || 'main';
+const AUTH_DIR = SESSION_ID === 'main' ? './whatsapp-session' : `./whatsapp-session-${SESSION_ID}`;
 
 async function migrateSession() {
   console.log('🔄 Migrating WhatsApp session to Redis...\n');
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const { createRequest, createResponse, runMiddleware } = require('./helpers/http');
+const {
+  Role,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+  authenticate,
+  requireRole,
+  requireCronSecretOrAdmin,
+} = require('../lib/auth');
+
+const CRON_SECRET = 'cron-secret-for-tests';
+
+function bearer(apiKey) {
+  return { authorization: `Bearer ${apiKey}` };
+}
+
+beforeEach(() => {
+  redis.flushall();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.CRON_SECRET;
+});
+
+describe('API keys', () => {
+  it('creates keys that verify until they are revoked', async () => {
+    const { apiKey, key } = await createApiKey({ name: 'ops', role: Role.ADMIN });
+    assert.match(apiKey, /^wak_/);
+    assert.equal(key.hash, undefined);
+
+    const verified = await verifyApiKey(apiKey);
+    assert.equal(verified.id, key.id);
+    assert.equal(verified.role, Role.ADMIN);
+    assert.deepEqual((await listApiKeys()).map(({ id, hash }) => ({ id, hash })), [{ id: key.id, hash: undefined }]);
+
+    assert.equal(await revokeApiKey(key.id), true);
+    assert.equal(await revokeApiKey(key.id), false);
+    assert.equal(await verifyApiKey(apiKey), null);
+  });
+
+  it('rejects keys without a name or with an unknown role', async () => {
+    await assert.rejects(createApiKey({ role: Role.CLIENT }), /name is required/);
+    await assert.rejects(createApiKey({ name: 'ops', role: 'root' }), /Invalid role/);
+  });
+
+  it('does not verify strings that only look like keys', async () => {
+    assert.equal(await verifyApiKey('wak_unknown'), null);
+    assert.equal(await verifyApiKey('not-a-key'), null);
+    assert.equal(await verifyApiKey(undefined), null);
+  });
+});
+
+describe('authenticate', () => {
+  const middleware = authenticate({ publicPaths: ['/health'], cronPaths: ['/api/cron'] });
+
+  it('lets public paths and preflight requests through without a key', async () => {
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/health' })), true);
+    assert.equal(await runMiddleware(middleware, createRequest({ method: 'OPTIONS', path: '/api/send' })), true);
+  });
+
+  it('answers 401 without a key or with an invalid one', async () => {
+    const missing = createResponse();
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/api/send' }), missing), false);
+    assert.equal(missing.statusCode, 401);
+
+    const invalid = createResponse();
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/api/send', headers: bearer('wak_nope') }), invalid), false);
+    assert.equal(invalid.statusCode, 401);
+    assert.equal(invalid.body.details, 'Invalid or revoked API key');
+  });
+
+  it('attaches the key of a valid bearer token to the request', async () => {
+    const { apiKey, key } = await createApiKey({ name: 'app' });
+    const req = createRequest({ path: '/api/send', headers: bearer(apiKey) });
+
+    assert.equal(await runMiddleware(middleware, req), true);
+    assert.equal(req.apiKey.id, key.id);
+    assert.equal(req.apiKey.role, Role.CLIENT);
+  });
+
+  it('takes ?key= only on the /qr page', async () => {
+    const { apiKey } = await createApiKey({ name: 'ops', role: Role.ADMIN });
+
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/qr', query: { key: apiKey } })), true);
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/qr/sales', query: { key: apiKey } })), true);
+    assert.equal(await runMiddleware(middleware, createRequest({ path: '/status', query: { key: apiKey } })), false);
+  });
+});
+
+describe('requireRole', () => {
+  it('answers 403 to keys without the role', async () => {
+    const res = createResponse();
+    assert.equal(await runMiddleware(requireRole(Role.ADMIN), createRequest({ apiKey: { role: Role.CLIENT } }), res), false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(await runMiddleware(requireRole(Role.ADMIN), createRequest({ apiKey: { role: Role.ADMIN } })), true);
+  });
+});
+
+describe('cron paths', () => {
+  const middleware = authenticate({ cronPaths: ['/api/cron'] });
+
+  async function authorize(req) {
+    const res = createResponse();
+    const passed = await runMiddleware(middleware, req, res) && await runMiddleware(requireCronSecretOrAdmin, req, res);
+    return { passed, statusCode: res.statusCode };
+  }
+
+  it('accept CRON_SECRET in the header or query instead of a key', async () => {
+    process.env.CRON_SECRET = CRON_SECRET;
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', headers: { 'X-Cron-Secret': CRON_SECRET } })), { passed: true, statusCode: 200 });
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', query: { secret: CRON_SECRET } })), { passed: true, statusCode: 200 });
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', headers: { 'X-Cron-Secret': 'wrong' } })), { passed: false, statusCode: 401 });
+  });
+
+  it('fail closed without CRON_SECRET configured', async () => {
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron' })), { passed: false, statusCode: 401 });
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', headers: { 'X-Cron-Secret': '' } })), { passed: false, statusCode: 401 });
+  });
+
+  it('accept admin keys but not client keys', async () => {
+    const admin = await createApiKey({ name: 'ops', role: Role.ADMIN });
+    const client = await createApiKey({ name: 'app' });
+
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', headers: bearer(admin.apiKey) })), { passed: true, statusCode: 200 });
+    assert.deepEqual(await authorize(createRequest({ path: '/api/cron', headers: bearer(client.apiKey) })), { passed: false, statusCode: 403 });
+  });
+
+  it('do not accept CRON_SECRET on other paths', async () => {
+    process.env.CRON_SECRET = CRON_SECRET;
+    const req = createRequest({ path: '/api/send', headers: { 'X-Cron-Secret': CRON_SECRET } });
+    assert.equal(await runMiddleware(middleware, req), false);
+  });
+});
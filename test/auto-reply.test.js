@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const {
+  MatchType,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  matchRule,
+  isWithinActiveHours,
+  findMatchingRule,
+  handleAutoReply,
+} = require('../lib/auto-reply');
+
+const CHAT = '6281234567890@s.whatsapp.net';
+
+let now = Date.parse('2026-10-19T10:00:00Z');
+
+function rule(fields) {
+  return { match: MatchType.EXACT, pattern: '', caseSensitive: false, chats: [], sessionId: null, activeHours: null, ...fields };
+}
+
+beforeEach(async () => {
+  redis.flushall();
+  // Past the rules cache of the previous test
+  now += 60 * 1000;
+  mock.method(Date, 'now', () => now);
+  mock.method(console, 'log', () => {});
+  // Start without the default rules
+  for (const { id } of await listRules()) {
+    await deleteRule(id);
+  }
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.AUTO_REPLY_ENABLED;
+});
+
+describe('rules', () => {
+  it('seeds the default rules once', async () => {
+    redis.flushall();
+    assert.deepEqual((await listRules()).map(({ pattern }) => pattern).sort(), ['halo', 'test']);
+
+    const [first] = await listRules();
+    await deleteRule(first.id);
+    assert.equal((await listRules()).length, 1);
+  });
+
+  it('fills in defaults and formats the chats as JIDs', async () => {
+    const created = await createRule({ pattern: 'harga', reply: 'Cek katalog kami', chats: ['0812-3456-7890'] });
+    assert.equal(created.match, MatchType.EXACT);
+    assert.equal(created.enabled, true);
+    assert.equal(created.priority, 0);
+    assert.deepEqual(created.chats, [CHAT]);
+
+    const updated = await updateRule(created.id, { reply: 'Lihat katalog', enabled: false });
+    assert.equal(updated.reply, 'Lihat katalog');
+    assert.equal(updated.pattern, 'harga');
+    assert.equal(updated.createdAt, created.createdAt);
+    assert.equal(await updateRule('ar_missing', { reply: 'x' }), null);
+  });
+
+  it('rejects invalid regexes, half active hours and unknown time zones by field', async () => {
+    await assert.rejects(createRule({ match: MatchType.REGEX, pattern: '(', reply: 'x' }), { field: 'pattern' });
+    await assert.rejects(createRule({ pattern: 'x', reply: 'x', activeHours: { start: '08:00' } }), { field: 'activeHours' });
+    await assert.rejects(createRule({ pattern: 'x', reply: 'x', activeHours: { timezone: 'Mars/Olympus' } }), { field: 'activeHours.timezone' });
+  });
+});
+
+describe('matchRule', () => {
+  const message = { text: '  Halo Admin ', chat: CHAT, sessionId: 'main' };
+
+  it('matches exact, contains and regex patterns, ignoring case unless asked', () => {
+    assert.equal(matchRule(rule({ pattern: 'halo admin' }), message), true);
+    assert.equal(matchRule(rule({ pattern: 'halo' }), message), false);
+    assert.equal(matchRule(rule({ match: MatchType.CONTAINS, pattern: 'ADMIN' }), message), true);
+    assert.equal(matchRule(rule({ match: MatchType.CONTAINS, pattern: 'admin', caseSensitive: true }), message), false);
+    assert.equal(matchRule(rule({ match: MatchType.REGEX, pattern: '^halo\\b' }), message), true);
+  });
+
+  it('keeps to its session and chats', () => {
+    const pattern = 'halo admin';
+    assert.equal(matchRule(rule({ pattern, sessionId: 'sales' }), message), false);
+    assert.equal(matchRule(rule({ pattern, chats: ['6289900000001@s.whatsapp.net'] }), message), false);
+    assert.equal(matchRule(rule({ pattern, sessionId: 'main', chats: [CHAT] }), message), true);
+  });
+});
+
+describe('isWithinActiveHours', () => {
+  // Monday 2026-10-19 10:00 UTC is 17:00 in Jakarta
+  const monday = new Date('2026-10-19T10:00:00Z');
+
+  it('checks the hours in the rule time zone', () => {
+    assert.equal(isWithinActiveHours(null, monday), true);
+    assert.equal(isWithinActiveHours({ start: '08:00', end: '17:00', timezone: 'Asia/Jakarta' }, monday), false);
+    assert.equal(isWithinActiveHours({ start: '08:00', end: '17:00', timezone: 'UTC' }, monday), true);
+  });
+
+  it('wraps ranges around midnight and checks the days', () => {
+    assert.equal(isWithinActiveHours({ start: '16:00', end: '06:00', timezone: 'Asia/Jakarta' }, monday), true);
+    assert.equal(isWithinActiveHours({ start: '22:00', end: '06:00', timezone: 'Asia/Jakarta' }, monday), false);
+    assert.equal(isWithinActiveHours({ days: [1], timezone: 'Asia/Jakarta' }, monday), true);
+    assert.equal(isWithinActiveHours({ days: [0, 6], timezone: 'Asia/Jakarta' }, monday), false);
+  });
+});
+
+describe('findMatchingRule', () => {
+  it('takes the enabled rule with the highest priority', async () => {
+    await createRule({ match: MatchType.CONTAINS, pattern: 'promo', reply: 'low', priority: 1 });
+    const high = await createRule({ match: MatchType.CONTAINS, pattern: 'promo', reply: 'high', priority: 5 });
+    await createRule({ match: MatchType.CONTAINS, pattern: 'promo', reply: 'off', priority: 9, enabled: false });
+
+    assert.equal((await findMatchingRule({ text: 'ada promo?', chat: CHAT, sessionId: 'main' })).id, high.id);
+    assert.equal(await findMatchingRule({ text: '', chat: CHAT, sessionId: 'main' }), null);
+  });
+});
+
+describe('handleAutoReply', () => {
+  const sent = [];
+  const sock = {
+    async sendMessage(jid, content) {
+      sent.push({ jid, text: content.text });
+    },
+  };
+  const message = { key: { remoteJid: CHAT } };
+
+  it('sends the reply of the matching rule', async () => {
+    await createRule({ pattern: 'halo', reply: 'Halo juga!' });
+    sent.length = 0;
+
+    assert.ok(await handleAutoReply({ sock, sessionId: 'main', message, text: 'HALO' }));
+    assert.deepEqual(sent, [{ jid: CHAT, text: 'Halo juga!' }]);
+    assert.equal(await handleAutoReply({ sock, sessionId: 'main', message, text: 'apa kabar' }), null);
+  });
+
+  it('does nothing when AUTO_REPLY_ENABLED is false', async () => {
+    await createRule({ pattern: 'halo', reply: 'Halo juga!' });
+    sent.length = 0;
+    process.env.AUTO_REPLY_ENABLED = 'false';
+
+    assert.equal(await handleAutoReply({ sock, sessionId: 'main', message, text: 'halo' }), null);
+    assert.deepEqual(sent, []);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const {
+  CampaignStatus,
+  RecipientStatus,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  listRecipients,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  resendFailed,
+  deleteCampaign,
+  runCampaignBatch,
+} = require('../lib/campaigns');
+const { setBotProvider } = require('../lib/bot-provider');
+const { saveTemplate, deleteTemplate } = require('../lib/templates');
+
+const FAILING = '6281234567891@s.whatsapp.net';
+
+let sent;
+let failing;
+
+const bot = {
+  keepAlive: true,
+  async startBot() {},
+  async disconnectBot() {},
+  async sendMessage(jid, message) {
+    if (failing.has(jid)) {
+      throw new Error('Connection Closed');
+    }
+    sent.push({ jid, message });
+    return { key: { id: `msg_${sent.length}` } };
+  },
+};
+
+function create(fields) {
+  return createCampaign({ message: 'Rapat warga jam 19.00', delay: 0, checkRecipients: false, ...fields });
+}
+
+beforeEach(() => {
+  redis.flushall();
+  sent = [];
+  failing = new Set();
+  setBotProvider(bot);
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('createCampaign', () => {
+  it('skips invalid and duplicate numbers and enqueues the first batch', async () => {
+    const campaign = await create({ recipients: ['081234567890', '12', '+62 812-3456-7890', '081234567891'] });
+
+    assert.equal(campaign.status, CampaignStatus.RUNNING);
+    assert.ok(campaign.batchJobId);
+    assert.equal(campaign.total, 4);
+    assert.equal(campaign.counts.pending, 2);
+    assert.equal(campaign.counts.skipped, 2);
+    assert.deepEqual(campaign.progress, { processed: 2, percent: 50 });
+
+    const { recipients } = await listRecipients(campaign.id, { status: RecipientStatus.SKIPPED });
+    assert.deepEqual(recipients.map(({ index, code }) => [index, code]), [[1, 'INVALID_PHONE_NUMBER'], [2, 'DUPLICATE_RECIPIENT']]);
+  });
+
+  it('completes right away when no recipient can be sent to', async () => {
+    const campaign = await create({ recipients: ['12'] });
+    assert.equal(campaign.status, CampaignStatus.COMPLETED);
+    assert.equal(campaign.batchJobId, null);
+  });
+
+  it('lists campaigns newest first', async () => {
+    let now = Date.now();
+    mock.method(Date, 'now', () => now);
+    const first = await create({ name: 'Pertama', recipients: ['12'] });
+    now += 1000;
+    const second = await create({ name: 'Kedua', recipients: ['12'] });
+
+    const { total, campaigns } = await listCampaigns();
+    assert.equal(total, 2);
+    assert.deepEqual(campaigns.map(({ id }) => id), [second.id, first.id]);
+  });
+});
+
+describe('runCampaignBatch', () => {
+  it('sends in batches, recording failures, and completes after the last one', async () => {
+    failing.add(FAILING);
+    const campaign = await create({ recipients: ['081234567890', '081234567891', '081234567892'], batchSize: 2 });
+
+    const first = await runCampaignBatch(campaign.id, campaign.batchJobId);
+    assert.equal(first.sent, 1);
+    assert.equal(first.failed, 1);
+    assert.equal(first.remaining, 1);
+    assert.ok(first.nextJobId);
+
+    // The job that was replaced by the next batch stops right away
+    assert.equal((await runCampaignBatch(campaign.id, campaign.batchJobId)).stopped, 'superseded');
+
+    const second = await runCampaignBatch(campaign.id, first.nextJobId);
+    assert.equal(second.sent, 1);
+    assert.equal(second.nextJobId, null);
+
+    const done = await getCampaign(campaign.id);
+    assert.equal(done.status, CampaignStatus.COMPLETED);
+    assert.equal(done.batches, 2);
+    assert.deepEqual(done.counts, { pending: 0, sent: 2, failed: 1, skipped: 0, cancelled: 0 });
+    assert.deepEqual(sent.map(({ message }) => message), ['Rapat warga jam 19.00', 'Rapat warga jam 19.00']);
+  });
+
+  it('renders the template per recipient and skips recipients missing variables', async () => {
+    await saveTemplate('iuran', { body: 'Halo {{name}}, iuran Rp{{amount}}' });
+    const campaign = await create({
+      message: null,
+      template: 'iuran',
+      variables: { amount: 50000 },
+      recipients: [{ to: '081234567890', variables: { name: 'Budi' } }, '081234567891'],
+    });
+
+    const result = await runCampaignBatch(campaign.id, campaign.batchJobId);
+    assert.equal(result.sent, 1);
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(sent, [{ jid: '6281234567890@s.whatsapp.net', message: 'Halo Budi, iuran Rp50000' }]);
+
+    const { recipients } = await listRecipients(campaign.id, { status: RecipientStatus.SKIPPED });
+    assert.equal(recipients[0].code, 'TEMPLATE_VARIABLES_MISSING');
+  });
+
+  it('pauses the campaign when its template was deleted', async () => {
+    await saveTemplate('iuran', { body: 'Halo {{name}}' });
+    const campaign = await create({ message: null, template: 'iuran', recipients: ['081234567890'] });
+    await deleteTemplate('iuran');
+
+    const result = await runCampaignBatch(campaign.id, campaign.batchJobId);
+    assert.equal(result.stopped, CampaignStatus.PAUSED);
+
+    const paused = await getCampaign(campaign.id);
+    assert.equal(paused.status, CampaignStatus.PAUSED);
+    assert.match(paused.lastError, /does not exist/);
+    assert.equal(paused.counts.pending, 1);
+  });
+});
+
+describe('campaign actions', () => {
+  it('pauses and resumes, refusing actions the status does not allow', async () => {
+    const campaign = await create({ recipients: ['081234567890'] });
+
+    await assert.rejects(resumeCampaign(campaign.id), { statusCode: 409, message: 'Campaign is already running' });
+    await assert.rejects(deleteCampaign(campaign.id), { statusCode: 409 });
+
+    const paused = await pauseCampaign(campaign.id);
+    assert.equal(paused.status, CampaignStatus.PAUSED);
+    await assert.rejects(pauseCampaign(campaign.id), { statusCode: 409 });
+    assert.equal((await runCampaignBatch(campaign.id, campaign.batchJobId)).stopped, CampaignStatus.PAUSED);
+
+    const resumed = await resumeCampaign(campaign.id);
+    assert.equal(resumed.status, CampaignStatus.RUNNING);
+    assert.notEqual(resumed.batchJobId, campaign.batchJobId);
+    assert.equal((await runCampaignBatch(campaign.id, resumed.batchJobId)).sent, 1);
+
+    assert.equal(await pauseCampaign('cmp_missing'), null);
+  });
+
+  it('cancels the recipients that were not sent to', async () => {
+    const campaign = await create({ recipients: ['081234567890', '081234567891'] });
+
+    const cancelled = await cancelCampaign(campaign.id);
+    assert.equal(cancelled.status, CampaignStatus.CANCELLED);
+    assert.equal(cancelled.counts.cancelled, 2);
+    assert.equal(cancelled.counts.pending, 0);
+    await assert.rejects(cancelCampaign(campaign.id), { statusCode: 409 });
+    await assert.rejects(resendFailed(campaign.id), { statusCode: 409 });
+
+    assert.equal(await deleteCampaign(campaign.id), true);
+    assert.equal(await getCampaign(campaign.id), null);
+  });
+
+  it('sends to failed recipients again, restarting a completed campaign', async () => {
+    failing.add(FAILING);
+    const campaign = await create({ recipients: ['081234567890', '081234567891'] });
+    await runCampaignBatch(campaign.id, campaign.batchJobId);
+    assert.equal((await getCampaign(campaign.id)).status, CampaignStatus.COMPLETED);
+
+    failing.clear();
+    const { campaign: restarted, requeued } = await resendFailed(campaign.id);
+    assert.equal(requeued, 1);
+    assert.equal(restarted.status, CampaignStatus.RUNNING);
+    assert.equal(restarted.counts.failed, 0);
+
+    await runCampaignBatch(campaign.id, restarted.batchJobId);
+    const done = await getCampaign(campaign.id);
+    assert.equal(done.status, CampaignStatus.COMPLETED);
+    assert.equal(done.counts.sent, 2);
+
+    const { recipients } = await listRecipients(campaign.id, { offset: 1, limit: 1 });
+    assert.equal(recipients[0].jid, FAILING);
+    assert.equal(recipients[0].attempts, 2);
+  });
+});
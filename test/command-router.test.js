@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CommandPermission,
+  parseArgs,
+  parseCommand,
+  registerCommand,
+  getCommand,
+  isAdminNumber,
+  handleCommand,
+} = require('../lib/command-router');
+
+const PRIVATE_CHAT = '6281234567890@s.whatsapp.net';
+const GROUP_CHAT = '120363025246125486@g.us';
+const ADMIN = '6289900000001@s.whatsapp.net';
+
+let replies;
+const sock = {
+  async sendMessage(jid, content) {
+    replies.push({ jid, text: content.text });
+  },
+};
+
+function incoming(text, { jid = PRIVATE_CHAT, participant } = {}) {
+  return handleCommand({
+    sock,
+    sessionId: 'main',
+    message: { key: { remoteJid: jid, participant }, messageTimestamp: 0 },
+    text,
+  });
+}
+
+registerCommand({
+  name: 'echo',
+  aliases: ['say'],
+  usage: '<text>',
+  minArgs: 1,
+  async execute({ args, reply }) {
+    await reply(args.join('|'));
+  },
+});
+registerCommand({
+  name: 'shutdown',
+  permission: CommandPermission.ADMIN,
+  async execute({ reply, isAdmin }) {
+    await reply(`bye ${isAdmin}`);
+  },
+});
+registerCommand({
+  name: 'broken',
+  async execute() {
+    throw new Error('boom');
+  },
+});
+
+beforeEach(() => {
+  replies = [];
+  process.env.ADMIN_NUMBERS = '+62 899-0000-0001';
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.ADMIN_NUMBERS;
+});
+
+describe('parseCommand', () => {
+  it('needs the prefix and a command name', () => {
+    assert.equal(parseCommand('ping'), null);
+    assert.equal(parseCommand('!'), null);
+    assert.equal(parseCommand('! '), null);
+    assert.deepEqual(parseCommand('!PING'), { command: 'ping', args: [], text: '' });
+  });
+
+  it('splits arguments, keeping quoted text together', () => {
+    assert.deepEqual(parseCommand('!remind  "beli susu" \'besok pagi\' 3'), {
+      command: 'remind',
+      args: ['beli susu', 'besok pagi', '3'],
+      text: '"beli susu" \'besok pagi\' 3',
+    });
+    assert.deepEqual(parseArgs(''), []);
+  });
+});
+
+describe('registerCommand', () => {
+  it('rejects invalid plugins and taken names', () => {
+    assert.throws(() => registerCommand({ name: 'nothing' }), /execute function/);
+    assert.throws(() => registerCommand({ name: 'x', permission: 'owner', execute() {} }), /Invalid permission/);
+    assert.throws(() => registerCommand({ name: 'speak', aliases: ['say'], execute() {} }), /already used by echo/);
+  });
+
+  it('finds commands by name or alias, in any case', () => {
+    assert.equal(getCommand('SAY').name, 'echo');
+    assert.equal(getCommand('ping').name, 'ping');
+    assert.equal(getCommand('missing'), null);
+  });
+});
+
+describe('isAdminNumber', () => {
+  it('matches ADMIN_NUMBERS without separators or device suffix', () => {
+    assert.equal(isAdminNumber('6289900000001:12@s.whatsapp.net'), true);
+    assert.equal(isAdminNumber(PRIVATE_CHAT), false);
+    delete process.env.ADMIN_NUMBERS;
+    assert.equal(isAdminNumber(ADMIN), false);
+  });
+});
+
+describe('handleCommand', () => {
+  it('ignores messages without the prefix', async () => {
+    assert.equal(await incoming('halo'), false);
+    assert.deepEqual(replies, []);
+  });
+
+  it('runs a command with its arguments and replies in the chat', async () => {
+    assert.equal(await incoming('!say a "b c"'), true);
+    assert.deepEqual(replies, [{ jid: PRIVATE_CHAT, text: 'a|b c' }]);
+  });
+
+  it('loads the plugins from commands/', async () => {
+    assert.equal(await incoming('!ping'), true);
+    assert.match(replies[0].text, /^🏓 Pong!/);
+  });
+
+  it('replies with the usage when arguments are missing', async () => {
+    await incoming('!echo');
+    assert.match(replies[0].text, /^⚠️ Argumen kurang/);
+    assert.match(replies[0].text, /\*!echo <text>\*/);
+  });
+
+  it('answers unknown commands in private chats only', async () => {
+    assert.equal(await incoming('!nope'), true);
+    assert.match(replies[0].text, /^❓ Perintah !nope tidak dikenal/);
+
+    replies = [];
+    assert.equal(await incoming('!nope', { jid: GROUP_CHAT, participant: PRIVATE_CHAT }), false);
+    assert.deepEqual(replies, []);
+  });
+
+  it('keeps admin commands to ADMIN_NUMBERS, also in groups', async () => {
+    await incoming('!shutdown');
+    assert.equal(replies[0].text, '⛔ Perintah ini khusus admin.');
+
+    await incoming('!shutdown', { jid: ADMIN });
+    await incoming('!shutdown', { jid: GROUP_CHAT, participant: ADMIN });
+    assert.deepEqual(replies.slice(1), [{ jid: ADMIN, text: 'bye true' }, { jid: GROUP_CHAT, text: 'bye true' }]);
+  });
+
+  it('replies with an error when a command fails', async () => {
+    assert.equal(await incoming('!broken'), true);
+    assert.equal(replies[0].text, '❌ Terjadi kesalahan saat menjalankan perintah.');
+  });
+});
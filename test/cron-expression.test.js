@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, nextRun, isValidTimezone } = require('../lib/cron-expression');
+
+function next(expression, after, timezone = 'UTC') {
+  const run = nextRun(expression, { after: Date.parse(after), timezone });
+  return run && run.toISOString();
+}
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const parsed = parseCron('0,30 9-17/4 * JAN-MAR MON-FRI');
+    assert.deepEqual([...parsed.minutes], [0, 30]);
+    assert.deepEqual([...parsed.hours], [9, 13, 17]);
+    assert.deepEqual([...parsed.months], [1, 2, 3]);
+    assert.deepEqual([...parsed.weekdays], [1, 2, 3, 4, 5]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  });
+
+  it('accepts macros', () => {
+    assert.equal(parseCron('@weekly').expression, '@weekly');
+    assert.equal(next('@daily', '2026-10-19T10:00:00Z'), '2026-10-20T00:00:00.000Z');
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'));
+    assert.throws(() => parseCron('60 * * * *'));
+    assert.throws(() => parseCron('* * * * FOO'));
+    assert.throws(() => parseCron('*/0 * * * *'));
+  });
+});
+
+describe('nextRun', () => {
+  it('finds the next run after the given time', () => {
+    assert.equal(next('*/15 * * * *', '2026-10-19T10:07:30Z'), '2026-10-19T10:15:00.000Z');
+    assert.equal(next('0 9 * * *', '2026-10-19T09:00:00Z'), '2026-10-20T09:00:00.000Z');
+  });
+
+  it('runs in the given time zone', () => {
+    assert.equal(next('0 7 * * MON', '2026-10-18T12:00:00Z', 'Asia/Jakarta'), '2026-10-19T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    assert.equal(next('0 9 13 * FRI', '2026-10-01T00:00:00Z'), '2026-10-02T09:00:00.000Z');
+  });
+
+  it('moves times skipped by daylight saving forward', () => {
+    assert.equal(next('30 2 * * *', '2026-03-07T12:00:00Z', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('runs a repeated time once, at its first occurrence', () => {
+    assert.equal(next('30 1 * * *', '2026-11-01T04:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    assert.equal(next('30 1 * * *', '2026-11-01T05:30:00Z', 'America/New_York'), '2026-11-02T06:30:00.000Z');
+  });
+
+  it('waits for leap days and gives up on dates that never come', () => {
+    assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.equal(next('0 0 31 2 *', '2026-03-01T00:00:00Z'), null);
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('knows IANA zones', () => {
+    assert.equal(isValidTimezone('Asia/Jakarta'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+  });
+});
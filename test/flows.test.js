@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const {
+  listFlows,
+  saveFlow,
+  deleteFlow,
+  getFlowState,
+  handleFlowAnswer,
+  handleFlowTrigger,
+  isFlowChat,
+} = require('../lib/flows');
+const { createWebhook } = require('../lib/webhooks');
+
+const CHAT = '6281234567890@s.whatsapp.net';
+
+const COMPLAINT = {
+  id: 'pengaduan',
+  triggers: ['lapor'],
+  start: 'nama',
+  steps: {
+    nama: { message: 'Siapa nama Anda?', save: 'name', next: 'jenis' },
+    jenis: {
+      message: '1. Kebersihan 2. Keamanan',
+      save: 'category',
+      options: [
+        { match: '1', value: 'kebersihan', next: 'selesai' },
+        { match: ['2', 'keamanan'], value: 'keamanan', next: 'selesai' },
+      ],
+    },
+    selesai: { message: 'Terima kasih {{name}}, laporan {{category}} diterima.', end: true },
+  },
+};
+
+let now = Date.parse('2026-10-19T10:00:00Z');
+let sent;
+let requests;
+
+const sock = {
+  async sendMessage(jid, content) {
+    sent.push(content.text);
+  },
+};
+
+function send(text, sessionId = 'main') {
+  const message = { key: { remoteJid: CHAT }, pushName: 'Budi' };
+  return handleFlowAnswer({ sock, sessionId, message, text })
+    .then(consumed => consumed || handleFlowTrigger({ sock, sessionId, message, text }));
+}
+
+// Webhook deliveries run in the background
+async function settle() {
+  for (let i = 0; i < 50; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+beforeEach(() => {
+  redis.flushall();
+  sent = [];
+  requests = [];
+  // Past the flows cache of the previous test
+  now += 60 * 1000;
+  mock.method(Date, 'now', () => now);
+  mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push(JSON.parse(options.body));
+    return { ok: true, status: 200 };
+  });
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('saveFlow', () => {
+  it('fills in defaults and keeps createdAt on replace', async () => {
+    const { flow, created } = await saveFlow(COMPLAINT);
+    assert.equal(created, true);
+    assert.equal(flow.enabled, true);
+    assert.deepEqual(flow.cancelKeywords, ['batal', 'cancel']);
+
+    const replaced = await saveFlow({ ...COMPLAINT, name: 'Pengaduan' });
+    assert.equal(replaced.created, false);
+    assert.equal(replaced.flow.createdAt, flow.createdAt);
+    assert.deepEqual((await listFlows()).map(({ name }) => name), ['Pengaduan']);
+  });
+
+  it('rejects missing steps, dead ends and flows without an end by field', async () => {
+    await assert.rejects(saveFlow({ ...COMPLAINT, start: 'awal' }), { field: 'start' });
+    await assert.rejects(
+      saveFlow({ ...COMPLAINT, steps: { ...COMPLAINT.steps, nama: { message: 'Nama?', next: 'umur' } } }),
+      { field: 'steps.nama', message: /"umur" does not exist/ },
+    );
+    await assert.rejects(
+      saveFlow({ ...COMPLAINT, steps: { ...COMPLAINT.steps, nama: { message: 'Nama?' } } }),
+      { field: 'steps.nama', message: /needs next, options or end/ },
+    );
+    await assert.rejects(
+      saveFlow({ id: 'loop', start: 'a', steps: { a: { message: 'A', next: 'a' } } }),
+      { field: 'steps' },
+    );
+    await assert.rejects(
+      saveFlow({ ...COMPLAINT, steps: { ...COMPLAINT.steps, nama: { message: 'Nama?', next: 'jenis', pattern: '(' } } }),
+      { field: 'steps.nama.pattern' },
+    );
+  });
+});
+
+describe('conversation', () => {
+  it('walks through the steps and sends the answers to webhooks', async () => {
+    await saveFlow(COMPLAINT);
+    await createWebhook({ url: 'https://example.com/hook', events: ['flow.completed'] });
+
+    assert.equal(await send('Lapor'), true);
+    assert.equal(await send('Budi'), true);
+    assert.equal((await getFlowState('main', CHAT)).step, 'jenis');
+    assert.equal(await send('Keamanan'), true);
+
+    assert.deepEqual(sent, [
+      'Siapa nama Anda?',
+      '1. Kebersihan 2. Keamanan',
+      'Terima kasih Budi, laporan keamanan diterima.',
+    ]);
+    assert.equal(await getFlowState('main', CHAT), null);
+
+    await settle();
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].event, 'flow.completed');
+    assert.deepEqual(requests[0].data.data, { name: 'Budi', category: 'keamanan' });
+    assert.equal(requests[0].data.pushName, 'Budi');
+  });
+
+  it('asks again after an invalid answer', async () => {
+    await saveFlow(COMPLAINT);
+    await send('lapor');
+    await send('Budi');
+
+    assert.equal(await send('3'), true);
+    assert.equal(sent.at(-1), 'Jawaban tidak valid, silakan coba lagi.');
+    assert.equal((await getFlowState('main', CHAT)).step, 'jenis');
+  });
+
+  it('cancels on a cancel keyword', async () => {
+    await saveFlow(COMPLAINT);
+    await send('lapor');
+
+    assert.equal(await send('BATAL'), true);
+    assert.equal(sent.at(-1), 'Percakapan dibatalkan.');
+    assert.equal(await getFlowState('main', CHAT), null);
+  });
+
+  it('lets messages through once the flow is gone or the state expired', async () => {
+    await saveFlow(COMPLAINT);
+    await send('lapor');
+    await deleteFlow('pengaduan');
+
+    assert.equal(await send('Budi'), false);
+    assert.equal(await getFlowState('main', CHAT), null);
+
+    await saveFlow(COMPLAINT);
+    await send('lapor');
+    now += 31 * 60 * 1000;
+    assert.equal(await send('Budi'), false);
+  });
+
+  it('only starts on triggers of enabled flows for the session', async () => {
+    await saveFlow({ ...COMPLAINT, sessionId: 'sales' });
+    await saveFlow({ ...COMPLAINT, id: 'nonaktif', triggers: ['daftar'], enabled: false });
+
+    assert.equal(await send('lapor'), false);
+    assert.equal(await send('daftar'), false);
+    assert.equal(await send('lapor', 'sales'), true);
+  });
+});
+
+describe('isFlowChat', () => {
+  it('only allows private chats', () => {
+    assert.equal(isFlowChat(CHAT), true);
+    assert.equal(isFlowChat('120363025246125486@g.us'), false);
+    assert.equal(isFlowChat('status@broadcast'), false);
+    assert.equal(isFlowChat(null), false);
+  });
+});
@@ -0,0 +1,423 @@
+// In-memory stand-in for the Upstash Redis client, used by the tests
+// Covers the commands the modules under test call. Lua scripts can't run here, so eval recognizes
+// the scripts of lib/queue.js and lib/lock.js by a piece of their text and runs a JavaScript
+// version of them; a script it doesn't know fails the test.
+
+const path = require('path');
+const Module = require('module');
+
+const REDIS_MODULE = path.join(__dirname, '..', '..', 'lib', 'redis.js');
+
+/**
+ * Create an empty fake client
+ * Expiry follows Date.now(), so tests that mock the clock also move key expiry.
+ */
+function createFakeRedis() {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  // Upstash returns JSON values parsed
+  function decode(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  function encode(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  function entry(key) {
+    const item = data.get(key);
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return item || null;
+  }
+
+  function read(key, empty) {
+    const item = entry(key);
+    return item ? item.value : empty;
+  }
+
+  function write(key, value) {
+    const item = entry(key);
+    data.set(key, { value, expiresAt: item ? item.expiresAt : null });
+    return value;
+  }
+
+  function parseBound(bound) {
+    if (bound === '-inf') return { value: -Infinity, exclusive: false };
+    if (bound === '+inf') return { value: Infinity, exclusive: false };
+    const text = String(bound);
+    return text.startsWith('(') ? { value: Number(text.slice(1)), exclusive: true } : { value: Number(text), exclusive: false };
+  }
+
+  function sortedEntries(key) {
+    return [...read(key, new Map()).entries()]
+      .sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0));
+  }
+
+  const client = {
+    async get(key) {
+      return decode(read(key, null));
+    },
+
+    async mget(...keys) {
+      return keys.flat().map(key => decode(read(key, null)));
+    },
+
+    async set(key, value, { nx, ex } = {}) {
+      if (nx && entry(key)) {
+        return null;
+      }
+      data.set(key, { value: encode(value), expiresAt: ex ? Date.now() + (ex * 1000) : null });
+      return 'OK';
+    },
+
+    async del(...keys) {
+      return keys.flat().filter(key => entry(key) && data.delete(key)).length;
+    },
+
+    async exists(...keys) {
+      return keys.flat().filter(key => entry(key)).length;
+    },
+
+    async expire(key, seconds) {
+      const item = entry(key);
+      if (!item) {
+        return 0;
+      }
+      item.expiresAt = Date.now() + (seconds * 1000);
+      return 1;
+    },
+
+    async pttl(key) {
+      const item = entry(key);
+      if (!item) {
+        return -2;
+      }
+      return item.expiresAt === null ? -1 : item.expiresAt - Date.now();
+    },
+
+    async hset(key, fields) {
+      const hash = read(key, null) || write(key, new Map());
+      let added = 0;
+      for (const [field, value] of Object.entries(fields)) {
+        added += hash.has(field) ? 0 : 1;
+        hash.set(field, encode(value));
+      }
+      return added;
+    },
+
+    async hget(key, field) {
+      const value = read(key, new Map()).get(String(field));
+      return value === undefined ? null : decode(value);
+    },
+
+    async hmget(key, ...fields) {
+      const hash = read(key, null);
+      if (!hash) {
+        return null;
+      }
+      return Object.fromEntries(fields.map(field => [field, hash.has(field) ? decode(hash.get(field)) : null]));
+    },
+
+    async hgetall(key) {
+      const hash = read(key, null);
+      if (!hash || hash.size === 0) {
+        return null;
+      }
+      return Object.fromEntries([...hash.entries()].map(([field, value]) => [field, decode(value)]));
+    },
+
+    async hdel(key, ...fields) {
+      const hash = read(key, new Map());
+      return fields.filter(field => hash.delete(String(field))).length;
+    },
+
+    async hincrby(key, field, increment) {
+      const hash = read(key, null) || write(key, new Map());
+      const value = Number(hash.get(field) || 0) + Number(increment);
+      hash.set(field, String(value));
+      return value;
+    },
+
+    async hlen(key) {
+      return read(key, new Map()).size;
+    },
+
+    async zadd(key, ...members) {
+      const options = members[0] && !('member' in members[0]) ? members.shift() : {};
+      const set = read(key, null) || write(key, new Map());
+      let added = 0;
+      for (const { score, member } of members) {
+        const name = String(member);
+        if ((options.nx && set.has(name)) || (options.xx && !set.has(name))) {
+          continue;
+        }
+        added += set.has(name) ? 0 : 1;
+        set.set(name, Number(score));
+      }
+      return added;
+    },
+
+    async zrem(key, ...members) {
+      const set = read(key, new Map());
+      return members.flat().filter(member => set.delete(String(member))).length;
+    },
+
+    async zcard(key) {
+      return read(key, new Map()).size;
+    },
+
+    async zscore(key, member) {
+      const score = read(key, new Map()).get(String(member));
+      return score === undefined ? null : score;
+    },
+
+    async zrange(key, start, stop, { byScore, rev, offset, count, withScores } = {}) {
+      let entries = sortedEntries(key);
+      if (byScore) {
+        const [min, max] = (rev ? [stop, start] : [start, stop]).map(parseBound);
+        entries = entries.filter(([, score]) => (min.exclusive ? score > min.value : score >= min.value)
+          && (max.exclusive ? score < max.value : score <= max.value));
+        if (rev) entries.reverse();
+        if (offset !== undefined) entries = entries.slice(offset, offset + count);
+      } else {
+        if (rev) entries.reverse();
+        const last = stop < 0 ? entries.length + stop : stop;
+        entries = entries.slice(start, last + 1);
+      }
+      return withScores ? entries.flat() : entries.map(([member]) => member);
+    },
+
+    async eval(script, keys, args) {
+      const emulation = SCRIPTS.find(({ marker }) => script.includes(marker));
+      if (!emulation) {
+        throw new Error(`Fake Redis can't run this script:\n${script}`);
+      }
+      return emulation.run(client, keys, args.map(String));
+    },
+
+    /**
+     * Remove every key (between tests)
+     */
+    flushall() {
+      data.clear();
+    },
+  };
+
+  return client;
+}
+
+// Counter updates of the index scripts in lib/queue.js, entries are "<type>:<status>:<lane>"
+async function count(redis, countsKey, indexEntry, delta) {
+  const [, jobType, status, lane] = indexEntry.match(/^([^:]*):([^:]*):?(.*)$/);
+  await redis.hincrby(countsKey, status, delta);
+  await redis.hincrby(countsKey, `${jobType}:${status}`, delta);
+  if (status === 'pending' && lane !== '') {
+    await redis.hincrby(countsKey, `pending:${lane}`, delta);
+    await redis.hincrby(countsKey, `${jobType}:pending:${lane}`, delta);
+  }
+  return { jobType, status };
+}
+
+async function unschedule(redis, scheduledKey, countsKey, jobId, jobType) {
+  if (await redis.zrem(scheduledKey, jobId)) {
+    await redis.hincrby(countsKey, 'scheduled', -1);
+    await redis.hincrby(countsKey, `${jobType}:scheduled`, -1);
+  }
+}
+
+// JavaScript versions of the Lua scripts, by a piece of text only that script has
+const SCRIPTS = [
+  {
+    // lib/queue.js CLAIM_SCRIPT
+    marker: "if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then",
+    async run(redis, [queue, processing, claim], [jobId, owner, leaseUntil, ttl]) {
+      if (!await redis.zrem(queue, jobId)) {
+        return 0;
+      }
+      await redis.zadd(processing, { score: Number(leaseUntil), member: jobId });
+      await redis.set(claim, owner, { ex: Number(ttl) });
+      return 1;
+    },
+  },
+  {
+    // lib/queue.js HEARTBEAT_SCRIPT
+    marker: "redis.call('ZADD', KEYS[1], 'XX', ARGV[3], ARGV[1])",
+    async run(redis, [processing, claim], [jobId, owner, leaseUntil]) {
+      if (await redis.get(claim) !== owner) {
+        return 0;
+      }
+      await redis.zadd(processing, { xx: true }, { score: Number(leaseUntil), member: jobId });
+      return 1;
+    },
+  },
+  {
+    // lib/queue.js HEADS_SCRIPT
+    marker: 'local heads = {}',
+    async run(redis, keys, [now]) {
+      const heads = [];
+      for (const key of keys) {
+        const head = await redis.zrange(key, '-inf', now, { byScore: true, offset: 0, count: 1, withScores: true });
+        heads.push(head.length ? String(head[1]) : '');
+      }
+      return heads;
+    },
+  },
+  {
+    // lib/queue.js REAP_SCRIPT
+    marker: "local expiry = redis.call('ZSCORE', KEYS[1], ARGV[1])",
+    async run(redis, [processing, claim], [jobId, now]) {
+      const expiry = await redis.zscore(processing, jobId);
+      if (expiry === null || expiry > Number(now)) {
+        return 0;
+      }
+      await redis.zrem(processing, jobId);
+      await redis.del(claim);
+      return 1;
+    },
+  },
+  {
+    // lib/queue.js INDEX_SCRIPT
+    marker: "local previous = redis.call('HGET', KEYS[1], ARGV[1])",
+    async run(redis, [index, counts, expiry, scheduled], [jobId, jobType, status, createdAt, expiresAt, statusPrefix, typePrefix, lane, runAt, now]) {
+      const previous = await redis.hget(index, jobId);
+      const current = `${jobType}:${status}:${lane}`;
+      if (previous !== current) {
+        if (previous) {
+          const { status: previousStatus } = await count(redis, counts, previous, -1);
+          await redis.zrem(`${statusPrefix}${previousStatus}`, jobId);
+        }
+        await redis.zadd(`${statusPrefix}${status}`, { score: Number(createdAt), member: jobId });
+        await redis.zadd(`${typePrefix}${jobType}`, { score: Number(createdAt), member: jobId });
+        await count(redis, counts, current, 1);
+        await redis.hset(index, { [jobId]: current });
+      }
+      await unschedule(redis, scheduled, counts, jobId, jobType);
+      if (status === 'pending' && Number(runAt) > Number(now)) {
+        await redis.zadd(scheduled, { score: Number(runAt), member: jobId });
+        await redis.hincrby(counts, 'scheduled', 1);
+        await redis.hincrby(counts, `${jobType}:scheduled`, 1);
+      }
+      await redis.zadd(expiry, { score: Number(expiresAt), member: jobId });
+      return 1;
+    },
+  },
+  {
+    // lib/queue.js UNINDEX_SCRIPT
+    marker: "local ttl = redis.call('PTTL', KEYS[4])",
+    async run(redis, [index, counts, expiry, jobKey, scheduled], [jobId, statusPrefix, typePrefix, now]) {
+      const ttl = await redis.pttl(jobKey);
+      if (ttl > 0) {
+        await redis.zadd(expiry, { score: Number(now) + ttl, member: jobId });
+        return 0;
+      }
+      await redis.zrem(expiry, jobId);
+      if (ttl === -1) {
+        return 0;
+      }
+      const current = await redis.hget(index, jobId);
+      if (!current) {
+        return 0;
+      }
+      const { jobType, status } = await count(redis, counts, current, -1);
+      await unschedule(redis, scheduled, counts, jobId, jobType);
+      await redis.zrem(`${statusPrefix}${status}`, jobId);
+      await redis.zrem(`${typePrefix}${jobType}`, jobId);
+      await redis.hdel(index, jobId);
+      return 1;
+    },
+  },
+  {
+    // lib/queue.js SETTLE_SCRIPT
+    marker: "local due = redis.call('ZRANGE', KEYS[1], '-inf', ARGV[1]",
+    async run(redis, [scheduled, index, counts], [now, limit]) {
+      const due = await redis.zrange(scheduled, '-inf', now, { byScore: true, offset: 0, count: Number(limit) });
+      for (const jobId of due) {
+        await redis.zrem(scheduled, jobId);
+        await redis.hincrby(counts, 'scheduled', -1);
+        const current = await redis.hget(index, jobId);
+        if (current) {
+          await redis.hincrby(counts, `${current.split(':')[0]}:scheduled`, -1);
+        }
+      }
+      return due.length;
+    },
+  },
+  {
+    // lib/lock.js RELEASE_SCRIPT
+    marker: "return redis.call('DEL', KEYS[1])",
+    async run(redis, [key], [token]) {
+      return await redis.get(key) === token ? redis.del(key) : 0;
+    },
+  },
+  {
+    // lib/lock.js EXTEND_SCRIPT
+    marker: "return redis.call('EXPIRE', KEYS[1], ARGV[2])",
+    async run(redis, [key], [token, seconds]) {
+      return await redis.get(key) === token ? redis.expire(key, Number(seconds)) : 0;
+    },
+  },
+];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Create a sliding-window limiter like the Upstash one, keeping its hits in the fake client
+ * @param {Object} redis - Fake client
+ * @param {number} requests - Requests allowed per window
+ * @param {string} window - Window duration (e.g. "10 s", "1m")
+ * @param {string} prefix - Key prefix
+ */
+function createFakeRatelimit(redis, requests, window, prefix) {
+  const [, amount, unit] = String(window).match(/^(\d+)\s*(ms|s|m|h|d)$/);
+  const windowMs = Number(amount) * DURATION_UNITS[unit];
+  let sequence = 0;
+
+  return {
+    async limit(identifier) {
+      const key = `${prefix}:${identifier}`;
+      const now = Date.now();
+      const expired = await redis.zrange(key, '-inf', now - windowMs, { byScore: true });
+      await redis.zrem(key, ...expired);
+
+      const hits = await redis.zrange(key, 0, -1, { withScores: true });
+      const reset = (hits.length > 0 ? hits[1] : now) + windowMs;
+      if (hits.length / 2 >= requests) {
+        return { success: false, limit: requests, remaining: 0, reset };
+      }
+      await redis.zadd(key, { score: now, member: `${now}:${sequence++}` });
+      return { success: true, limit: requests, remaining: requests - (hits.length / 2) - 1, reset };
+    },
+  };
+}
+
+/**
+ * Make lib/redis.js export a fake client, without loading the Upstash packages
+ * Call before requiring any module that uses Redis.
+ * @returns {Object} The fake client
+ */
+function installFakeRedis() {
+  const redis = createFakeRedis();
+  const createRatelimit = (requests = 10, window = '10 s', prefix = 'wa-bot') => createFakeRatelimit(redis, requests, window, prefix);
+
+  const fake = new Module(REDIS_MODULE);
+  fake.filename = REDIS_MODULE;
+  fake.loaded = true;
+  fake.exports = { redis, ratelimit: createRatelimit(), createRatelimit };
+  require.cache[REDIS_MODULE] = fake;
+  return redis;
+}
+
+module.exports = {
+  createFakeRedis,
+  installFakeRedis,
+};
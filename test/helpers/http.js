@@ -0,0 +1,63 @@
+// Minimal Express request and response stand-ins, for testing middleware and handlers without a server
+
+/**
+ * Create a request
+ * @param {Object} options - Request fields (method, path, headers, query, params, body)
+ */
+function createRequest({ method = 'GET', path = '/', headers = {}, query = {}, params = {}, body, ...rest } = {}) {
+  const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    path,
+    headers: lowerCaseHeaders,
+    query,
+    params,
+    body,
+    ip: '127.0.0.1',
+    get(name) {
+      return lowerCaseHeaders[name.toLowerCase()];
+    },
+    ...rest,
+  };
+}
+
+/**
+ * Create a response that records its status, headers and JSON body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Run a middleware
+ * @returns {Promise<boolean>} Whether it called next()
+ */
+async function runMiddleware(middleware, req, res = createResponse()) {
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return nextCalled;
+}
+
+module.exports = {
+  createRequest,
+  createResponse,
+  runMiddleware,
+};
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const { createRequest, createResponse, runMiddleware } = require('./helpers/http');
+const { idempotency } = require('../lib/idempotency');
+
+const middleware = idempotency('send');
+
+function request(key, body = { to: '6281234567890', message: 'Halo' }, apiKeyId = 'key_1') {
+  const headers = key === undefined ? {} : { 'Idempotency-Key': key };
+  return createRequest({ method: 'POST', path: '/api/send', headers, body, apiKey: { id: apiKeyId } });
+}
+
+// The response is stored before it goes out
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function handle(req, statusCode, body) {
+  const res = createResponse();
+  const passed = await runMiddleware(middleware, req, res);
+  if (passed) {
+    res.status(statusCode).json(body);
+    await settle();
+  }
+  return { passed, res };
+}
+
+beforeEach(() => {
+  redis.flushall();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('idempotency', () => {
+  it('leaves requests without the header alone', async () => {
+    const { passed, res } = await handle(request(), 200, { success: true });
+    assert.equal(passed, true);
+    assert.deepEqual(res.body, { success: true });
+    assert.equal((await handle(request(), 200, { success: true })).passed, true);
+  });
+
+  it('rejects empty and over-long keys', async () => {
+    for (const key of ['', 'k'.repeat(256)]) {
+      const { passed, res } = await handle(request(key), 200, {});
+      assert.equal(passed, false);
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.fields[0].field, 'Idempotency-Key');
+    }
+  });
+
+  it('replays the first successful response to a retry', async () => {
+    const first = await handle(request('order-1'), 200, { success: true, messageId: 'ABC' });
+    assert.equal(first.passed, true);
+    assert.deepEqual(first.res.body, { success: true, messageId: 'ABC' });
+
+    const retry = await handle(request('order-1'), 200, { success: true, messageId: 'DEF' });
+    assert.equal(retry.passed, false);
+    assert.equal(retry.res.statusCode, 200);
+    assert.deepEqual(retry.res.body, { success: true, messageId: 'ABC' });
+    assert.equal(retry.res.headers['idempotent-replayed'], 'true');
+  });
+
+  it('answers 422 when the key comes back with a different body', async () => {
+    await handle(request('order-1'), 200, { success: true });
+    const { passed, res } = await handle(request('order-1', { to: '6281234567890', message: 'Other' }), 200, {});
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 422);
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    assert.equal(await runMiddleware(middleware, request('order-1')), true);
+
+    const { passed, res } = await handle(request('order-1'), 200, {});
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.headers['retry-after'], '1');
+  });
+
+  it('frees the key after an error response, so the retry runs', async () => {
+    await handle(request('order-1'), 503, { error: 'Bot not connected' });
+    const retry = await handle(request('order-1'), 200, { success: true });
+    assert.equal(retry.passed, true);
+    assert.deepEqual(retry.res.body, { success: true });
+  });
+
+  it('scopes keys per caller', async () => {
+    await handle(request('order-1', undefined, 'key_1'), 200, { success: true, messageId: 'ABC' });
+    const other = await handle(request('order-1', undefined, 'key_2'), 200, { success: true, messageId: 'DEF' });
+    assert.equal(other.passed, true);
+    assert.deepEqual(other.res.body, { success: true, messageId: 'DEF' });
+  });
+
+  it('lets requests through when Redis is unavailable', async () => {
+    mock.method(redis, 'set', async () => {
+      throw new Error('connection refused');
+    });
+    assert.equal(await runMiddleware(middleware, request('order-1')), true);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/jid.js reaches Redis through lib/media-store.js
+require('./helpers/fake-redis').installFakeRedis();
+
+const { isGroupJid, formatJid } = require('../lib/jid');
+
+describe('isGroupJid', () => {
+  it('knows group JIDs and both group ID formats', () => {
+    assert.equal(isGroupJid('120363025246125486@g.us'), true);
+    assert.equal(isGroupJid('120363025246125486'), true);
+    assert.equal(isGroupJid('6281234567890-1600000000'), true);
+  });
+
+  it('does not take long or dashed phone numbers for groups', () => {
+    assert.equal(isGroupJid('6281234567890@s.whatsapp.net'), false);
+    assert.equal(isGroupJid('6281234567890'), false);
+    assert.equal(isGroupJid('08123456789012345'), false);
+    assert.equal(isGroupJid('1234567890123456'), false);
+    assert.equal(isGroupJid('0812-34567890'), false);
+  });
+});
+
+describe('formatJid', () => {
+  it('turns group IDs into group JIDs', () => {
+    assert.equal(formatJid('120363025246125486'), '120363025246125486@g.us');
+    assert.equal(formatJid(' 6281234567890-1600000000 '), '6281234567890-1600000000@g.us');
+  });
+
+  it('normalizes phone numbers and keeps JIDs', () => {
+    assert.equal(formatJid('0812-3456-7890'), '6281234567890@s.whatsapp.net');
+    assert.equal(formatJid('6281234567890@s.whatsapp.net'), '6281234567890@s.whatsapp.net');
+  });
+
+  it('rejects over-long phone numbers instead of sending them to a group', () => {
+    assert.throws(() => formatJid('08123456789012345'), { code: 'INVALID_PHONE_NUMBER', statusCode: 400 });
+  });
+});
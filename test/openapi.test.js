@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/fake-redis').installFakeRedis();
+
+const { generateOpenApiSpec } = require('../lib/openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function operations(spec) {
+  return Object.entries(spec.paths).flatMap(([path, item]) => (
+    Object.entries(item)
+      .filter(([method]) => METHODS.includes(method))
+      .map(([method, operation]) => ({ name: `${method.toUpperCase()} ${path}`, path, operation }))
+  ));
+}
+
+describe('generateOpenApiSpec', () => {
+  const spec = generateOpenApiSpec({ serverUrl: 'https://bot.example.com' });
+
+  it('builds an OpenAPI 3.1 document with bearer auth', () => {
+    assert.equal(spec.openapi, '3.1.0');
+    assert.deepEqual(spec.servers, [{ url: 'https://bot.example.com' }]);
+    assert.deepEqual(spec.security, [{ bearerAuth: [] }]);
+    assert.equal(generateOpenApiSpec().servers, undefined);
+  });
+
+  it('declares every path parameter exactly once', () => {
+    for (const { name, path, operation } of operations(spec)) {
+      const templated = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+      const parameters = operation.parameters || [];
+      const declared = parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name).sort();
+      assert.deepEqual(declared, templated, name);
+
+      const keys = parameters.map(parameter => `${parameter.in}:${parameter.name}`);
+      assert.equal(new Set(keys).size, keys.length, `${name} has duplicate parameters`);
+      assert.notDeepEqual(operation.parameters, [], `${name} has an empty parameter list`);
+    }
+  });
+
+  it('documents the Idempotency-Key header and its responses on /api/send', () => {
+    const send = spec.paths['/api/send'].post;
+    const header = send.parameters.find(parameter => parameter.name === 'Idempotency-Key');
+    assert.equal(header.in, 'header');
+    assert.equal(header.required, false);
+    assert.ok(send.responses[409]);
+    assert.ok(send.responses[422]);
+    assert.ok(send.responses[429]);
+    assert.ok(send.requestBody.content['application/json'].schema);
+  });
+
+  it('marks only the public routes as needing no key', () => {
+    const publicRoutes = operations(spec)
+      .filter(({ operation }) => Array.isArray(operation.security) && operation.security.length === 0)
+      .map(({ name }) => name)
+      .sort();
+    assert.deepEqual(publicRoutes, ['GET /api', 'GET /api/openapi.json', 'GET /health'].sort());
+    assert.ok(spec.paths['/status/{sessionId}'].get.responses[401]);
+  });
+});
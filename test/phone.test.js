@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePhone, phoneError } = require('../lib/phone');
+
+describe('normalizePhone', () => {
+  it('keeps international digits as they are', () => {
+    assert.equal(normalizePhone('6281234567890'), '6281234567890');
+    assert.equal(normalizePhone(6281234567890), '6281234567890');
+  });
+
+  it('strips a leading + or 00', () => {
+    assert.equal(normalizePhone('+62 812-3456-7890'), '6281234567890');
+    assert.equal(normalizePhone('0062 812 3456 7890'), '6281234567890');
+  });
+
+  it('gives local numbers the country code', () => {
+    assert.equal(normalizePhone('0812 3456 7890'), '6281234567890');
+    assert.equal(normalizePhone('(0812) 3456.7890', { countryCode: '60' }), '6081234567890');
+  });
+
+  it('rejects other characters with a non-retryable 400 error', () => {
+    assert.throws(() => normalizePhone('0812-abc-7890'), {
+      code: 'INVALID_PHONE_NUMBER',
+      statusCode: 400,
+      retryable: false,
+    });
+  });
+
+  it('rejects empty numbers and impossible lengths', () => {
+    assert.throws(() => normalizePhone('  '), { reason: 'number is empty' });
+    assert.throws(() => normalizePhone(undefined), { reason: 'number is empty' });
+    assert.throws(() => normalizePhone('+12345'), /7 to 15 digits/);
+    assert.throws(() => normalizePhone('+1234567890123456'), /7 to 15 digits/);
+  });
+
+  it('rejects a country code starting with 0', () => {
+    assert.throws(() => normalizePhone('000812345678'), /country code/);
+  });
+});
+
+describe('phoneError', () => {
+  it('returns null for a valid number and the reason otherwise', () => {
+    assert.equal(phoneError('081234567890'), null);
+    assert.equal(phoneError(''), 'number is empty');
+  });
+});
@@ -0,0 +1,334 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JOB_LEASE_SECONDS = '90';
+process.env.PRIORITY_AGING_SECONDS = '300';
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const queue = require('../lib/queue');
+
+const { JobStatus, JobType, JobPriority } = queue;
+
+const LEASE_MS = 90 * 1000;
+const AGING_MS = 300 * 1000;
+const JOB_TTL_MS = 86400 * 1000;
+
+let now;
+
+function advance(ms) {
+  now += ms;
+}
+
+async function enqueue(options = {}) {
+  return queue.enqueueJob(JobType.SEND_MESSAGE, { to: '6281234567890', message: 'Halo' }, options);
+}
+
+async function stats() {
+  return queue.getQueueStats();
+}
+
+beforeEach(() => {
+  redis.flushall();
+  now = Date.parse('2026-10-19T10:00:00Z');
+  mock.method(Date, 'now', () => now);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('job lifecycle', () => {
+  it('runs a job from pending through processing to completed', async () => {
+    const jobId = await enqueue();
+    assert.equal((await queue.getJobStatus(jobId)).status, JobStatus.PENDING);
+    assert.equal((await stats()).pending, 1);
+    assert.equal((await stats()).byPriority[JobPriority.NORMAL], 1);
+
+    const job = await queue.dequeueJob(JobType.SEND_MESSAGE);
+    assert.equal(job.id, jobId);
+    assert.equal(job.status, JobStatus.PROCESSING);
+    assert.ok(job.workerId);
+    assert.equal(await redis.zscore('wa:processing', jobId), now + LEASE_MS);
+    assert.equal(await queue.dequeueJob(JobType.SEND_MESSAGE), null);
+
+    assert.equal(await queue.updateJobStatus(jobId, JobStatus.COMPLETED, { messageId: 'ABC' }), true);
+    const completed = await queue.getJobStatus(jobId);
+    assert.equal(completed.status, JobStatus.COMPLETED);
+    assert.deepEqual(completed.result, { messageId: 'ABC' });
+    assert.deepEqual(completed.attemptHistory.map(attempt => attempt.status), [JobStatus.COMPLETED]);
+    assert.equal(await redis.zscore('wa:processing', jobId), null);
+    assert.equal(await redis.get(`wa:claim:${jobId}`), null);
+
+    const { pending, processing, completed: completedCount } = await stats();
+    assert.deepEqual({ pending, processing, completed: completedCount }, { pending: 0, processing: 0, completed: 1 });
+  });
+
+  it('keeps delayed jobs out of reach until they are due', async () => {
+    const jobId = await enqueue({ delay: 60 });
+    assert.equal((await stats()).scheduled, 1);
+    assert.equal(await queue.dequeueJob(JobType.SEND_MESSAGE), null);
+
+    advance(60 * 1000);
+    assert.equal((await stats()).scheduled, 0);
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, jobId);
+  });
+
+  it('cancels pending jobs only', async () => {
+    const pendingId = await enqueue();
+    const processingId = await enqueue();
+    await queue.claimJob(processingId);
+
+    assert.equal(await queue.cancelJob(pendingId), true);
+    assert.equal(await queue.cancelJob(processingId), false);
+    assert.equal((await queue.getJobStatus(pendingId)).status, JobStatus.CANCELLED);
+    assert.equal(await queue.dequeueJob(JobType.SEND_MESSAGE), null);
+
+    const { pending, processing, cancelled } = await stats();
+    assert.deepEqual({ pending, processing, cancelled }, { pending: 0, processing: 1, cancelled: 1 });
+  });
+
+  it('puts a released job back without counting an attempt', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+
+    assert.equal(await queue.releaseJob(jobId), true);
+    const job = await queue.getJobStatus(jobId);
+    assert.equal(job.status, JobStatus.PENDING);
+    assert.equal(job.attempts, 0);
+    assert.equal(await redis.zscore('wa:processing', jobId), null);
+    assert.equal(await queue.releaseJob(jobId), false);
+
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, jobId);
+  });
+});
+
+describe('failures', () => {
+  it('retries a failed job with exponential backoff', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Connection closed' });
+
+    const job = await queue.getJobStatus(jobId);
+    assert.equal(job.status, JobStatus.PENDING);
+    assert.equal(job.attempts, 1);
+    assert.equal(job.runAt, new Date(now + 2000).toISOString());
+    assert.equal((await stats()).scheduled, 1);
+    assert.equal(await queue.dequeueJob(JobType.SEND_MESSAGE), null);
+
+    advance(2000);
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, jobId);
+    await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Connection closed' });
+    assert.equal((await queue.getJobStatus(jobId)).runAt, new Date(now + 4000).toISOString());
+  });
+
+  it('dead-letters a job that used up its attempts', async () => {
+    const jobId = await enqueue({ maxAttempts: 1 });
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Timed out', code: 'TIMEOUT' });
+
+    assert.equal((await queue.getJobStatus(jobId)).status, JobStatus.FAILED);
+    const dead = await queue.getDeadJob(jobId);
+    assert.equal(dead.error, 'Timed out');
+    assert.deepEqual(dead.attemptHistory.map(({ status, code }) => ({ status, code })), [{ status: JobStatus.FAILED, code: 'TIMEOUT' }]);
+    const { failed, dead: deadCount } = await stats();
+    assert.deepEqual({ failed, dead: deadCount }, { failed: 1, dead: 1 });
+
+    assert.equal(await queue.retryJob(jobId), true);
+    assert.equal(await queue.getDeadJob(jobId), null);
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, jobId);
+  });
+
+  it('dead-letters a non-retryable failure right away', async () => {
+    const jobId = await enqueue({ maxAttempts: 3 });
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Not on WhatsApp', retryable: false });
+
+    const job = await queue.getJobStatus(jobId);
+    assert.equal(job.status, JobStatus.FAILED);
+    assert.equal(job.attempts, 1);
+    assert.deepEqual((await queue.listDeadJobs()).jobs.map(({ id }) => id), [jobId]);
+  });
+
+  it('replays dead-lettered jobs with fresh attempts and purges others', async () => {
+    const replayId = await enqueue({ maxAttempts: 1 });
+    const purgeId = await enqueue({ maxAttempts: 1 });
+    for (const jobId of [replayId, purgeId]) {
+      await queue.claimJob(jobId);
+      await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Timed out' });
+    }
+
+    assert.deepEqual(await queue.replayDeadJobs([replayId, 'job_missing']), { replayed: [replayId], notFound: ['job_missing'] });
+    assert.deepEqual(await queue.purgeDeadJobs([purgeId]), { purged: [purgeId], notFound: [] });
+    assert.equal((await queue.listDeadJobs()).total, 0);
+
+    const replayed = await queue.getJobStatus(replayId);
+    assert.equal(replayed.status, JobStatus.PENDING);
+    assert.equal(replayed.attempts, 0);
+    assert.equal(replayed.attemptHistory.length, 1);
+  });
+});
+
+describe('leases', () => {
+  it('queues a job again as an attempt when its lease expires', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+
+    assert.deepEqual(await queue.recoverExpiredJobs(), []);
+    advance(LEASE_MS + 1);
+    assert.deepEqual(await queue.recoverExpiredJobs(), [{ jobId, type: JobType.SEND_MESSAGE, status: JobStatus.PENDING }]);
+
+    const job = await queue.getJobStatus(jobId);
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lost, 1);
+    assert.equal((await stats()).lost, 1);
+
+    // The worker that lost the lease reports back late: a failure is ignored, the retry stays queued
+    assert.equal(await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Timed out' }), false);
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, jobId);
+  });
+
+  it('fails a job whose lease expired on its last attempt', async () => {
+    const jobId = await enqueue({ maxAttempts: 1 });
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    advance(LEASE_MS + 1);
+
+    assert.deepEqual(await queue.recoverExpiredJobs(), [{ jobId, type: JobType.SEND_MESSAGE, status: JobStatus.FAILED }]);
+    assert.ok(await queue.getDeadJob(jobId));
+  });
+
+  it('drops a stale lease of a job that already finished', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    await queue.updateJobStatus(jobId, JobStatus.COMPLETED);
+    // As if the worker died between saving the result and releasing the claim
+    await redis.zadd('wa:processing', { score: now + LEASE_MS, member: jobId });
+    advance(LEASE_MS + 1);
+
+    assert.deepEqual(await queue.recoverExpiredJobs(), []);
+    assert.equal(await redis.zscore('wa:processing', jobId), null);
+    assert.equal((await queue.getJobStatus(jobId)).status, JobStatus.COMPLETED);
+    assert.equal(await queue.dequeueJob(JobType.SEND_MESSAGE), null);
+  });
+});
+
+describe('priority lanes', () => {
+  it('dequeues urgent, then normal, then bulk jobs', async () => {
+    const bulkId = await enqueue({ priority: JobPriority.BULK });
+    const normalId = await enqueue();
+    const urgentId = await enqueue({ priority: JobPriority.URGENT });
+
+    const order = [];
+    for (let i = 0; i < 3; i++) {
+      order.push((await queue.dequeueJob(JobType.SEND_MESSAGE)).id);
+    }
+    assert.deepEqual(order, [urgentId, normalId, bulkId]);
+  });
+
+  it('lets a bulk job that waited two aging periods go before a new normal job', async () => {
+    const bulkId = await enqueue({ priority: JobPriority.BULK });
+    advance(AGING_MS);
+    const normalId = await enqueue();
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, normalId);
+
+    advance(AGING_MS);
+    await enqueue();
+    assert.equal((await queue.dequeueJob(JobType.SEND_MESSAGE)).id, bulkId);
+  });
+
+  it('takes turns between job types in the same lane', async () => {
+    const messageIds = [await enqueue()];
+    advance(1);
+    messageIds.push(await enqueue());
+    const webhookId = await queue.enqueueJob(JobType.WEBHOOK_DELIVERY, { url: 'https://example.com' });
+
+    const order = [];
+    for (let i = 0; i < 3; i++) {
+      order.push((await queue.dequeueNextJob()).id);
+    }
+    assert.deepEqual(order, [messageIds[0], webhookId, messageIds[1]]);
+  });
+});
+
+describe('expired jobs', () => {
+  it('drops expired jobs from the indexes and counters', async () => {
+    await enqueue();
+    advance(JOB_TTL_MS + 1);
+    const liveId = await enqueue();
+
+    assert.equal(await queue.pruneExpiredJobs(), 1);
+    assert.equal((await stats()).pending, 1);
+    assert.deepEqual((await queue.listJobs(JobStatus.PENDING)).jobs.map(({ id }) => id), [liveId]);
+  });
+
+  it('moves the expiry entry of a job whose key still exists instead of dropping it', async () => {
+    const jobId = await enqueue();
+    await redis.zadd('wa:index:expiry', { score: now - 1, member: jobId });
+
+    assert.equal(await queue.pruneExpiredJobs(), 0);
+    assert.equal(await redis.zscore('wa:index:expiry', jobId), now + JOB_TTL_MS);
+    assert.equal((await stats()).pending, 1);
+  });
+});
+
+describe('requeueing', () => {
+  // Another worker claims the job the moment it is back in its queue
+  async function claimedWhenQueued(action) {
+    const zadd = redis.zadd;
+    let claimed = null;
+    mock.method(redis, 'zadd', async (key, ...members) => {
+      const result = await zadd(key, ...members);
+      if (key.startsWith('wa:queue:') && claimed === null) {
+        claimed = false;
+        claimed = await queue.claimJob(members[members.length - 1].member);
+      }
+      return result;
+    });
+    await action();
+    redis.zadd.mock.restore();
+    return claimed;
+  }
+
+  async function assertProcessing(jobId) {
+    assert.equal((await queue.getJobStatus(jobId)).status, JobStatus.PROCESSING);
+    assert.ok(await redis.zscore('wa:processing', jobId));
+    assert.ok(await redis.get(`wa:claim:${jobId}`));
+  }
+
+  it('keeps the claim of a worker that takes a retried job', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    assert.ok(await claimedWhenQueued(() => queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Timed out' })));
+    await assertProcessing(jobId);
+  });
+
+  it('keeps the claim of a worker that takes a recovered job', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    advance(LEASE_MS + 1);
+    assert.ok(await claimedWhenQueued(() => queue.recoverExpiredJobs()));
+    await assertProcessing(jobId);
+  });
+
+  it('keeps the claim of a worker that takes a released job', async () => {
+    const jobId = await enqueue();
+    await queue.dequeueJob(JobType.SEND_MESSAGE);
+    assert.ok(await claimedWhenQueued(() => queue.releaseJob(jobId)));
+    await assertProcessing(jobId);
+  });
+
+  it('keeps the claim of a worker that takes a retried or replayed dead job', async () => {
+    const retriedId = await enqueue({ maxAttempts: 1 });
+    const replayedId = await enqueue({ maxAttempts: 1 });
+    for (const jobId of [retriedId, replayedId]) {
+      await queue.claimJob(jobId);
+      await queue.updateJobStatus(jobId, JobStatus.FAILED, { error: 'Timed out' });
+    }
+
+    assert.ok(await claimedWhenQueued(() => queue.retryJob(retriedId)));
+    await assertProcessing(retriedId);
+    assert.ok(await claimedWhenQueued(() => queue.replayDeadJobs([replayedId])));
+    await assertProcessing(replayedId);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const { createRequest, createResponse, runMiddleware } = require('./helpers/http');
+const { rateLimit, getRouteLimit, getCallerId } = require('../lib/rate-limit');
+
+let now;
+
+beforeEach(() => {
+  redis.flushall();
+  now = Date.parse('2026-10-19T10:00:00Z');
+  mock.method(Date, 'now', () => now);
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('getRouteLimit', () => {
+  it('reads the route settings, then the global ones, then the defaults', () => {
+    process.env.RATE_LIMIT_REQUESTS = '30';
+    process.env.RATE_LIMIT_MEDIA_WINDOW = '1 m';
+    try {
+      assert.deepEqual(getRouteLimit('media'), { requests: 30, window: '1 m' });
+      delete process.env.RATE_LIMIT_REQUESTS;
+      assert.deepEqual(getRouteLimit('jobs'), { requests: 10, window: '10 s' });
+    } finally {
+      delete process.env.RATE_LIMIT_REQUESTS;
+      delete process.env.RATE_LIMIT_MEDIA_WINDOW;
+    }
+  });
+});
+
+describe('getCallerId', () => {
+  it('prefers the API key, then the forwarded client IP', () => {
+    assert.equal(getCallerId(createRequest({ apiKey: { id: 'key_1' } })), 'key:key_1');
+    assert.equal(getCallerId(createRequest({ headers: { 'X-Forwarded-For': '203.0.113.7, 10.0.0.1' } })), 'ip:203.0.113.7');
+    assert.equal(getCallerId(createRequest()), 'ip:127.0.0.1');
+  });
+});
+
+describe('rateLimit', () => {
+  process.env.RATE_LIMIT_SEND_REQUESTS = '2';
+  process.env.RATE_LIMIT_SEND_WINDOW = '10 s';
+  const limitSend = rateLimit('send');
+
+  async function send(apiKeyId = 'key_1') {
+    const res = createResponse();
+    const passed = await runMiddleware(limitSend, createRequest({ path: '/api/send', apiKey: { id: apiKeyId } }), res);
+    return { passed, res };
+  }
+
+  it('answers 429 with Retry-After once a caller used up the window', async () => {
+    const first = await send();
+    assert.equal(first.passed, true);
+    assert.equal(first.res.headers['x-ratelimit-limit'], '2');
+    assert.equal(first.res.headers['x-ratelimit-remaining'], '1');
+    assert.equal((await send()).passed, true);
+
+    now += 4000;
+    const limited = await send();
+    assert.equal(limited.passed, false);
+    assert.equal(limited.res.statusCode, 429);
+    assert.equal(limited.res.headers['x-ratelimit-remaining'], '0');
+    assert.equal(limited.res.headers['retry-after'], '6');
+    assert.equal(limited.res.body.retryAfter, 6);
+  });
+
+  it('counts each caller on its own', async () => {
+    await send('key_1');
+    await send('key_1');
+    assert.equal((await send('key_1')).passed, false);
+    assert.equal((await send('key_2')).passed, true);
+  });
+
+  it('lets requests through again when the window moved on', async () => {
+    await send();
+    await send();
+    now += 10 * 1000;
+    assert.equal((await send()).passed, true);
+  });
+
+  it('lets requests through when Redis is unavailable', async () => {
+    mock.method(redis, 'zrange', async () => {
+      throw new Error('connection refused');
+    });
+    const { passed, res } = await send();
+    assert.equal(passed, true);
+    assert.equal(res.headers['x-ratelimit-limit'], undefined);
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const {
+  TEMPLATE_NOT_FOUND,
+  TEMPLATE_VARIABLES_MISSING,
+  parseTemplate,
+  renderTemplate,
+  listTemplates,
+  requireTemplate,
+  saveTemplate,
+  deleteTemplate,
+  validateTemplatePayload,
+} = require('../lib/templates');
+
+const REMINDER = 'Halo {{name}}, iuran {{month|bulan ini}} sebesar Rp{{amount}} belum dibayar.'
+  + '{{#if dueDate}} Bayar sebelum {{dueDate}}.{{else}} Mohon segera dibayar.{{/if}}';
+
+beforeEach(() => {
+  redis.flushall();
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('renderTemplate', () => {
+  it('fills variables, fallbacks and blocks', () => {
+    assert.equal(
+      renderTemplate({ body: REMINDER }, { name: 'Budi', amount: 50000 }).text,
+      'Halo Budi, iuran bulan ini sebesar Rp50000 belum dibayar. Mohon segera dibayar.',
+    );
+    assert.equal(
+      renderTemplate({ body: REMINDER }, { name: 'Budi', amount: 50000, month: 'Oktober', dueDate: '25 Oktober' }).text,
+      'Halo Budi, iuran Oktober sebesar Rp50000 belum dibayar. Bayar sebelum 25 Oktober.',
+    );
+  });
+
+  it('reads nested variables and lets callers override defaults', () => {
+    const template = { body: '{{#unless paid}}Hai {{member.name}} dari {{rt}}{{/unless}}', defaults: { rt: 'RT 01' } };
+    assert.equal(renderTemplate(template, { member: { name: 'Sari' } }).text, 'Hai Sari dari RT 01');
+    assert.equal(renderTemplate(template, { member: { name: 'Sari' }, rt: 'RT 02' }).text, 'Hai Sari dari RT 02');
+    assert.equal(renderTemplate(template, { paid: true }).text, '');
+  });
+
+  it('throws a non-retryable error for missing variables unless not strict', () => {
+    assert.throws(() => renderTemplate({ body: REMINDER }, { name: '' }), {
+      code: TEMPLATE_VARIABLES_MISSING,
+      missing: ['name', 'amount'],
+      retryable: false,
+    });
+    assert.deepEqual(renderTemplate({ body: REMINDER }, {}, { strict: false }).missing, ['name', 'amount']);
+  });
+});
+
+describe('parseTemplate', () => {
+  it('rejects invalid tags and unbalanced blocks in the body field', () => {
+    for (const body of ['{{nama lengkap}}', '{{#if a}}x', '{{/if}}', '{{else}}', '{{#if a}}x{{/unless}}', '{{#if a}}{{else}}{{else}}{{/if}}']) {
+      assert.throws(() => parseTemplate(body), { field: 'body' }, body);
+    }
+  });
+});
+
+describe('storage', () => {
+  it('stores templates with their variables and keeps createdAt on update', async () => {
+    const body = 'Halo {{name}}, iuran {{month|bulan ini}} Rp{{amount}}.{{#if paid}} Terima kasih.{{/if}}';
+    const { template, created } = await saveTemplate('iuran', { body, defaults: { amount: 50000 } });
+    assert.equal(created, true);
+    assert.deepEqual(template.variables, [
+      { name: 'name', required: true },
+      { name: 'month', required: false },
+      { name: 'amount', required: false },
+      { name: 'paid', required: false },
+    ]);
+
+    const updated = await saveTemplate('iuran', { description: 'Pengingat iuran' });
+    assert.equal(updated.created, false);
+    assert.equal(updated.template.body, body);
+    assert.equal(updated.template.createdAt, template.createdAt);
+
+    await saveTemplate('arisan', { body: 'Arisan {{date}}' });
+    assert.deepEqual((await listTemplates()).map(({ name }) => name), ['arisan', 'iuran']);
+
+    assert.equal(await deleteTemplate('arisan'), true);
+    assert.equal(await deleteTemplate('arisan'), false);
+  });
+
+  it('fails jobs for missing templates without retries', async () => {
+    await assert.rejects(requireTemplate('hilang'), { code: TEMPLATE_NOT_FOUND, retryable: false });
+  });
+});
+
+describe('validateTemplatePayload', () => {
+  it('reports an unknown template and recipients missing variables', async () => {
+    assert.deepEqual(await validateTemplatePayload({ template: 'hilang' }, ''), [
+      { field: 'template', message: 'must name an existing template, "hilang" was not found' },
+    ]);
+
+    await saveTemplate('iuran', { body: REMINDER });
+    const errors = await validateTemplatePayload({
+      template: 'iuran',
+      variables: { amount: 50000 },
+      recipients: [{ to: '081234567890', variables: { name: 'Budi' } }, { to: '081234567891' }],
+    });
+    assert.deepEqual(errors, [
+      { field: 'payload.recipients[1]', message: 'is missing template variables: name' },
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The recipient format loads lib/jid.js, which reaches Redis through lib/media-store.js
+require('./helpers/fake-redis').installFakeRedis();
+
+const { validate, validateRequest, sendValidationError } = require('../lib/validation');
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+describe('validate', () => {
+  const schema = {
+    type: 'object',
+    required: ['to', 'message'],
+    additionalProperties: false,
+    properties: {
+      to: { type: 'string', format: 'recipient' },
+      message: { type: 'string', minLength: 1, maxLength: 10 },
+      priority: { type: 'string', enum: ['urgent', 'normal', 'bulk'] },
+      delay: { type: 'integer', minimum: 0, maximum: 60 },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    },
+  };
+
+  it('returns no errors for a valid value', () => {
+    assert.deepEqual(validate(schema, { to: '081234567890', message: 'Halo', priority: 'bulk', delay: 5, tags: ['a'] }), []);
+  });
+
+  it('reports missing, unknown and out-of-range fields by path', () => {
+    const errors = validate(schema, { message: '', delay: 61, tags: ['a', 2, 'c'], extra: true });
+    assert.deepEqual(errors, [
+      { field: 'to', message: 'is required' },
+      { field: 'message', message: 'is required' },
+      { field: 'message', message: 'must not be empty' },
+      { field: 'delay', message: 'must be <= 60' },
+      { field: 'tags', message: 'must contain at most 2 items' },
+      { field: 'tags[1]', message: 'must be of type string' },
+      { field: 'extra', message: 'is not allowed' },
+    ]);
+  });
+
+  it('stops at a wrong type', () => {
+    assert.deepEqual(validate(schema, 'text'), [{ field: 'body', message: 'must be of type object' }]);
+    assert.deepEqual(validate({ type: ['string', 'null'] }, null), []);
+  });
+
+  it('checks additional properties against a schema', () => {
+    const variables = { type: 'object', additionalProperties: { type: 'string' } };
+    assert.deepEqual(validate(variables, { name: 'Budi', age: 30 }, 'variables'), [
+      { field: 'variables.age', message: 'must be of type string' },
+    ]);
+  });
+
+  describe('formats', () => {
+    const check = (format, value) => validate({ type: 'string', format }, value, 'value');
+
+    it('accepts phone numbers, JIDs and group IDs as recipients', () => {
+      assert.deepEqual(check('recipient', '+62 812-3456-7890'), []);
+      assert.deepEqual(check('recipient', '6281234567890@s.whatsapp.net'), []);
+      assert.deepEqual(check('recipient', '120363025246125486@g.us'), []);
+      assert.match(check('recipient', '12ab')[0].message, /^is not a valid phone number: /);
+    });
+
+    it('checks dates, URLs, cron expressions and time zones', () => {
+      assert.deepEqual(check('date-time', '2026-10-19T10:00:00Z'), []);
+      assert.deepEqual(check('date-time', 'tomorrow'), [{ field: 'value', message: 'must be a valid date-time' }]);
+      assert.deepEqual(check('uri', 'https://example.com/hook'), []);
+      assert.equal(check('uri', 'ftp://example.com').length, 1);
+      assert.deepEqual(check('cron', '0 9 * * MON-FRI'), []);
+      assert.match(check('cron', '0 25 * * *')[0].message, /^is not a valid cron expression: /);
+      assert.deepEqual(check('timezone', 'Asia/Jakarta'), []);
+      assert.equal(check('timezone', 'Asia/Atlantis').length, 1);
+    });
+  });
+});
+
+describe('validateRequest', () => {
+  const query = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      dead: { type: 'boolean' },
+      status: { type: 'string' },
+    },
+  };
+
+  it('coerces query values to the declared types', () => {
+    const req = { query: { limit: '20', dead: 'true', status: '5' } };
+    let called = false;
+    validateRequest({ query })(req, fakeResponse(), () => { called = true; });
+
+    assert.equal(called, true);
+    assert.deepEqual(req.validatedQuery, { limit: 20, dead: true, status: '5' });
+    assert.deepEqual(req.query, { limit: '20', dead: 'true', status: '5' });
+  });
+
+  it('answers 400 with the field errors of body, query and params', () => {
+    const req = { params: {}, query: { limit: 'many' }, body: {} };
+    const res = fakeResponse();
+    validateRequest({
+      params: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+      query,
+      body: { type: 'object', required: ['name'] },
+    })(req, res, () => assert.fail('next must not be called'));
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.equal(res.body.details, 'id is required; limit must be of type integer; name is required');
+    assert.equal(res.body.fields.length, 3);
+  });
+});
+
+describe('sendValidationError', () => {
+  it('joins the field errors into details', () => {
+    const res = fakeResponse();
+    sendValidationError(res, [{ field: 'to', message: 'is required' }]);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      error: 'Validation failed',
+      details: 'to is required',
+      fields: [{ field: 'to', message: 'is required' }],
+    });
+  });
+});
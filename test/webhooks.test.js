@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const redis = require('./helpers/fake-redis').installFakeRedis();
+const {
+  WebhookEvent,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  dispatchEvent,
+  deliverWebhook,
+  signPayload,
+  verifySignature,
+} = require('../lib/webhooks');
+const { getJobStatus } = require('../lib/queue');
+
+const SECRET = 'whsec_test';
+
+let requests;
+let responseStatus;
+
+// Deliveries run in the background after dispatchEvent returns
+async function settle() {
+  for (let i = 0; i < 50; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+beforeEach(() => {
+  redis.flushall();
+  requests = [];
+  responseStatus = 200;
+  mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push({ url, ...options });
+    return { ok: responseStatus < 300, status: responseStatus };
+  });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('signatures', () => {
+  it('sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1792404000.{"a":1}').digest('hex');
+    assert.equal(signPayload(SECRET, 1792404000, '{"a":1}'), `sha256=${expected}`);
+  });
+
+  it('verify only untampered, recent payloads', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(SECRET, timestamp, '{"a":1}');
+
+    assert.equal(verifySignature(SECRET, timestamp, '{"a":1}', signature), true);
+    assert.equal(verifySignature(SECRET, timestamp, '{"a":2}', signature), false);
+    assert.equal(verifySignature('whsec_other', timestamp, '{"a":1}', signature), false);
+    assert.equal(verifySignature(SECRET, timestamp - 301, '{"a":1}', signPayload(SECRET, timestamp - 301, '{"a":1}')), false);
+    assert.equal(verifySignature(SECRET, timestamp, '{"a":1}', 'sha256=short'), false);
+    assert.equal(verifySignature(SECRET, timestamp, '{"a":1}', undefined), false);
+  });
+});
+
+describe('webhooks', () => {
+  it('hide the secret when listed', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hook', secret: SECRET });
+    const [listed] = await listWebhooks();
+    assert.equal(listed.id, webhook.id);
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.secretPrefix, SECRET.slice(0, 10));
+
+    assert.equal(await deleteWebhook(webhook.id), true);
+    assert.deepEqual(await listWebhooks(), []);
+  });
+
+  it('generate a secret when none is given', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hook' });
+    assert.match(webhook.secret, /^whsec_/);
+  });
+});
+
+describe('deliverWebhook', () => {
+  const payload = { id: 'evt_1', event: WebhookEvent.MESSAGE_RECEIVED, data: { text: 'Halo' } };
+
+  it('posts a body the receiver can verify', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hook', secret: SECRET });
+    const result = await deliverWebhook(webhook.id, payload);
+    assert.deepEqual(result, { webhookId: webhook.id, eventId: 'evt_1', event: WebhookEvent.MESSAGE_RECEIVED, statusCode: 200 });
+
+    const [{ url, method, headers, body }] = requests;
+    assert.equal(url, 'https://example.com/hook');
+    assert.equal(method, 'POST');
+    assert.equal(headers['X-Webhook-Event'], WebhookEvent.MESSAGE_RECEIVED);
+    assert.equal(headers['X-Webhook-Id'], 'evt_1');
+    assert.deepEqual(JSON.parse(body), payload);
+    assert.equal(verifySignature(SECRET, headers['X-Webhook-Timestamp'], body, headers['X-Webhook-Signature']), true);
+  });
+
+  it('throws on a non-2xx response, so the queue retries, and keeps the result', async () => {
+    const webhook = await createWebhook({ url: 'https://example.com/hook', secret: SECRET });
+    responseStatus = 500;
+
+    await assert.rejects(deliverWebhook(webhook.id, payload), /HTTP 500/);
+    const [listed] = await listWebhooks();
+    assert.equal(listed.lastDelivery.statusCode, 500);
+    assert.equal(listed.lastDelivery.error, 'Webhook responded with HTTP 500');
+  });
+
+  it('skips deliveries to deleted webhooks', async () => {
+    assert.deepEqual(await deliverWebhook('wh_gone', payload), { skipped: true, reason: 'Webhook deleted' });
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe('dispatchEvent', () => {
+  it('delivers an event to the subscribed webhooks through the queue', async () => {
+    await createWebhook({ url: 'https://example.com/all', secret: SECRET });
+    await createWebhook({ url: 'https://example.com/receipts', secret: SECRET, events: [WebhookEvent.MESSAGE_RECEIPT] });
+
+    const jobIds = await dispatchEvent(WebhookEvent.MESSAGE_RECEIVED, { text: 'Halo' }, { sessionId: 'main' });
+    await settle();
+
+    assert.equal(jobIds.length, 1);
+    assert.deepEqual(requests.map(({ url }) => url), ['https://example.com/all']);
+    const body = JSON.parse(requests[0].body);
+    assert.equal(body.event, WebhookEvent.MESSAGE_RECEIVED);
+    assert.equal(body.sessionId, 'main');
+    assert.deepEqual(body.data, { text: 'Halo' });
+    assert.equal((await getJobStatus(jobIds[0])).status, 'completed');
+  });
+
+  it('keeps a failed delivery queued for a retry', async () => {
+    await createWebhook({ url: 'https://example.com/all', secret: SECRET });
+    responseStatus = 503;
+
+    const [jobId] = await dispatchEvent(WebhookEvent.CONNECTION_UPDATE, { connection: 'open' });
+    await settle();
+
+    const job = await getJobStatus(jobId);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+  });
+});